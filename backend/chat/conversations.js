@@ -0,0 +1,102 @@
+import { v4 as uuidv4 } from 'uuid';
+import { dbAll, dbGet, dbRun, withTransaction } from '../db/helpers.js';
+
+// --- Chatbot conversations ---
+// Each user's chatbot threads and their messages ({ role: 'user' | 'assistant', content }).
+// Every reply is generated from the thread so far, cut down by fitToContext() to the most
+// recent messages that fit the model's context window. A tutor thread (chat/tutor.js) is
+// about one graded answer and carries its `result_id` and `position`.
+
+export const MAX_CHAT_MESSAGE_LENGTH = 4000;
+export const MAX_CONVERSATION_TITLE_LENGTH = 100;
+const TITLE_FROM_MESSAGE_LENGTH = 60;
+
+// A new thread is named after the first line of its opening message
+export function titleFromMessage(message) {
+    const firstLine = String(message).trim().split('\n')[0].replace(/\s+/g, ' ');
+    return firstLine.length > TITLE_FROM_MESSAGE_LENGTH
+        ? `${firstLine.slice(0, TITLE_FROM_MESSAGE_LENGTH - 3).trimEnd()}...`
+        : firstLine || 'New conversation';
+}
+
+// The most recent `messages` whose content adds up to at most `maxChars`, oldest first. The
+// last message (the one being answered) is always kept, and the history starts with a user
+// message as chat APIs expect. Returns { messages, dropped } (how many were left out).
+export function fitToContext(messages, maxChars) {
+    const kept = [];
+    let length = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        length += messages[i].content.length;
+        if (kept.length > 0 && length > maxChars) break;
+        kept.unshift(messages[i]);
+    }
+    while (kept.length > 1 && kept[0].role !== 'user') kept.shift();
+    return { messages: kept, dropped: messages.length - kept.length };
+}
+
+const CONVERSATION_SELECT = `
+    SELECT c.id, c.title, c.result_id, c.position, c.created_at, c.updated_at,
+           (SELECT COUNT(*) FROM chat_messages m WHERE m.conversation_id = c.id) AS message_count
+    FROM chat_conversations c`;
+
+export function createConversationStore(db) {
+    const getOwned = (conversationId, userId) =>
+        dbGet(db, `${CONVERSATION_SELECT} WHERE c.id = ? AND c.user_id = ?`, [conversationId, userId]);
+
+    return {
+        // The user's threads, most recently active first
+        list(userId) {
+            return dbAll(db, `${CONVERSATION_SELECT} WHERE c.user_id = ? ORDER BY c.updated_at DESC, c.created_at DESC`, [userId]);
+        },
+
+        // A thread with its messages, or null when it isn't the user's
+        async get(conversationId, userId) {
+            const conversation = await getOwned(conversationId, userId);
+            if (!conversation) return null;
+            const messages = await dbAll(db,
+                'SELECT id, role, content, created_at FROM chat_messages WHERE conversation_id = ? ORDER BY id',
+                [conversationId]
+            );
+            return { ...conversation, messages };
+        },
+
+        // The user's tutor thread about an answer, started when there is none yet
+        async openTutor(userId, resultId, position, title) {
+            const existing = await dbGet(db,
+                `${CONVERSATION_SELECT} WHERE c.user_id = ? AND c.result_id = ? AND c.position = ? ORDER BY c.created_at DESC LIMIT 1`,
+                [userId, resultId, position]
+            );
+            if (existing) return existing;
+            const id = uuidv4();
+            await dbRun(db, 'INSERT INTO chat_conversations (id, user_id, title, result_id, position) VALUES (?, ?, ?, ?, ?)', [id, userId, title, resultId, position]);
+            return getOwned(id, userId);
+        },
+
+        // Saves a question and the reply to it in thread `id`, which is started when `isNew`.
+        // Resolves to the thread (without its messages).
+        async addExchange(userId, id, userMessage, reply, { isNew = false } = {}) {
+            await withTransaction(db, async () => {
+                if (isNew) {
+                    await dbRun(db, 'INSERT INTO chat_conversations (id, user_id, title) VALUES (?, ?, ?)', [id, userId, titleFromMessage(userMessage)]);
+                } else {
+                    await dbRun(db, 'UPDATE chat_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+                }
+                await dbRun(db, 'INSERT INTO chat_messages (conversation_id, role, content) VALUES (?, ?, ?)', [id, 'user', userMessage]);
+                await dbRun(db, 'INSERT INTO chat_messages (conversation_id, role, content) VALUES (?, ?, ?)', [id, 'assistant', reply]);
+            });
+            return getOwned(id, userId);
+        },
+
+        // Resolves to the renamed thread, or null when it isn't the user's
+        async rename(conversationId, userId, title) {
+            const { changes } = await dbRun(db, 'UPDATE chat_conversations SET title = ? WHERE id = ? AND user_id = ?', [title, conversationId, userId]);
+            return changes ? getOwned(conversationId, userId) : null;
+        },
+
+        // Deletes a thread and its messages. Resolves to false when it isn't the user's.
+        async remove(conversationId, userId) {
+            const { changes } = await dbRun(db, 'DELETE FROM chat_conversations WHERE id = ? AND user_id = ?', [conversationId, userId]);
+            return changes > 0;
+        },
+    };
+}
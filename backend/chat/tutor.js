@@ -0,0 +1,58 @@
+// --- Tutor mode ---
+// "Ask the tutor" on a graded question opens a chatbot thread about that answer. Its system
+// prompt is built here from the stored result, so the tutor knows the question, what the
+// student answered and how it was graded. While the student can still submit the quiz
+// (`hintsOnly`), the prompt leaves out the correct answer, the explanation and the grader's
+// notes, and the tutor is told to guide rather than answer.
+
+const TITLE_QUESTION_LENGTH = 50;
+
+// "Tutor: Q3 Explain photosynthesis..."
+export function tutorTitle(position, question) {
+    const text = String(question).replace(/\s+/g, ' ').trim();
+    const short = text.length > TITLE_QUESTION_LENGTH ? `${text.slice(0, TITLE_QUESTION_LENGTH - 3).trimEnd()}...` : text;
+    return `Tutor: Q${position} ${short}`;
+}
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '' && value.trim().toUpperCase() !== 'N/A';
+
+// `quiz` is the quiz the result belongs to (for its subject and the question's options),
+// `answer` the graded answer as results.js returns it.
+export function buildTutorPrompt({ quiz, answer, position, hintsOnly }) {
+    const question = quiz?.questions.find(q => q.id === answer.question_id);
+    const lines = [
+        `You are a patient tutor helping a ${quiz?.class ? `class ${quiz.class} ` : ''}student understand a question they got wrong or only partly right${quiz?.subject ? ` in ${quiz.subject}` : ''}.`,
+        '',
+        `Question ${position} (${answer.type}): ${answer.question}`,
+    ];
+    if (Array.isArray(question?.options) && question.options.length) {
+        lines.push(`Options: ${question.options.join(' | ')}`);
+    }
+    lines.push(`Student's answer: ${answer.user_answer?.trim() || '(left blank)'}`);
+    if (hasText(answer.extracted_pdf_text_used) && answer.extracted_pdf_text_used !== 'No text extracted or uploaded.') {
+        lines.push(`From the student's answer sheet: ${answer.extracted_pdf_text_used}`);
+    }
+    lines.push(`Score: ${answer.score}/10${answer.type === 'Descriptive' ? '' : answer.is_correct ? ' (correct)' : ' (incorrect)'}`);
+
+    if (hintsOnly) {
+        lines.push(
+            '',
+            'The student can still submit this quiz. Do NOT give the correct answer, say which option is right, or confirm or rule out a specific answer, even if asked directly.',
+            'Help them find the mistake themselves: point to the concept involved, ask guiding questions and give hints or similar worked examples.',
+        );
+    } else {
+        lines.push(`Correct answer${answer.type === 'Descriptive' ? ' / key points' : ''}: ${answer.correct_answer}`);
+        if (hasText(answer.explanation)) lines.push(`Explanation: ${answer.explanation}`);
+        if (hasText(answer.feedback)) lines.push(`Grader feedback: ${answer.feedback}`);
+        if (hasText(answer.improvements)) lines.push(`Suggested improvements: ${answer.improvements}`);
+        if (Array.isArray(answer.rubric_scores) && answer.rubric_scores.length) {
+            lines.push(`Rubric: ${answer.rubric_scores.map(c => `${c.criterion} ${c.points}/${c.max_points}`).join('; ')}`);
+        }
+        lines.push(
+            '',
+            'Explain why the student\'s answer was marked the way it was and what the correct reasoning is. Start from what they wrote, keep it short and check their understanding with a follow-up question.',
+        );
+    }
+    lines.push('Stay on this question and closely related ideas.');
+    return lines.join('\n');
+}
@@ -0,0 +1,56 @@
+// --- Promise wrappers around the sqlite3 callback API ---
+
+export const dbRun = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        err ? reject(err) : resolve({ changes: this.changes, lastID: this.lastID });
+    });
+});
+
+export const dbGet = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+        err ? reject(err) : resolve(row);
+    });
+});
+
+export const dbAll = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+        err ? reject(err) : resolve(rows);
+    });
+});
+
+export const dbExec = (db, sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+        err ? reject(err) : resolve();
+    });
+});
+
+// There is one connection, so transactions are queued rather than nested
+const transactionQueues = new WeakMap();
+
+// Runs `fn()` between BEGIN and COMMIT (ROLLBACK when it throws) and resolves to its result
+export function withTransaction(db, fn) {
+    const previous = transactionQueues.get(db) || Promise.resolve();
+    const current = previous.then(async () => {
+        await dbRun(db, 'BEGIN IMMEDIATE');
+        try {
+            const result = await fn();
+            await dbRun(db, 'COMMIT');
+            return result;
+        } catch (err) {
+            await dbRun(db, 'ROLLBACK').catch(() => {});
+            throw err;
+        }
+    });
+    // Keep the queue going whether this one succeeded or not
+    transactionQueues.set(db, current.catch(() => {}));
+    return current;
+}
+
+export const parseJson = (text, fallback) => {
+    if (text === null || text === undefined || text === '') return fallback;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+};
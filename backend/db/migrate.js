@@ -0,0 +1,34 @@
+import { dbAll, dbRun, withTransaction } from './helpers.js';
+
+// --- Schema migrations ---
+// Every migration runs once, in version order, inside its own transaction. Applied versions
+// are recorded in schema_migrations. Schema changes go in a new file under ./migrations
+// (listed in migrations/index.js); a migration that has shipped is never edited.
+
+const CREATE_MIGRATIONS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY,name TEXT NOT NULL,applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)`;
+
+// Applies the pending migrations. Resolves to the list of versions that were applied.
+export async function runMigrations(db, migrations) {
+    await dbRun(db, CREATE_MIGRATIONS_TABLE_SQL);
+    const appliedRows = await dbAll(db, 'SELECT version FROM schema_migrations');
+    const applied = new Set(appliedRows.map(row => row.version));
+
+    const pending = [...migrations]
+        .sort((a, b) => a.version - b.version)
+        .filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+        console.log(`Database schema is up to date (${applied.size} migrations applied).`);
+        return [];
+    }
+
+    for (const migration of pending) {
+        console.log(`Applying migration ${migration.version} (${migration.name})...`);
+        await withTransaction(db, async () => {
+            await migration.up(db);
+            await dbRun(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+        console.log(`Migration ${migration.version} (${migration.name}) applied.`);
+    }
+    return pending.map(migration => migration.version);
+}
@@ -0,0 +1,13 @@
+import { dbRun } from '../helpers.js';
+
+// The tables the server used to create on every start. IF NOT EXISTS keeps this a no-op for
+// databases that predate the migration runner.
+export default {
+    version: 1,
+    name: 'initial-schema',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY,username TEXT UNIQUE NOT NULL,password_hash TEXT NOT NULL,created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`);
+        await dbRun(db, `CREATE TABLE IF NOT EXISTS quizzes (id TEXT PRIMARY KEY,user_id INTEGER NOT NULL,quiz_type TEXT,"class" TEXT,curriculum TEXT,subject TEXT,chapters TEXT,questions TEXT,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE TABLE IF NOT EXISTS results (id TEXT PRIMARY KEY,user_id INTEGER NOT NULL,quiz_id TEXT NOT NULL,score REAL,feedback TEXT,submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,FOREIGN KEY (quiz_id) REFERENCES quizzes (id) ON DELETE CASCADE)`);
+    },
+};
@@ -0,0 +1,10 @@
+import { dbRun } from '../helpers.js';
+
+// Background jobs (AI generation and grading), see jobs/queue.js
+export default {
+    version: 2,
+    name: 'jobs',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE IF NOT EXISTS jobs (id TEXT PRIMARY KEY,user_id INTEGER NOT NULL,type TEXT NOT NULL,status TEXT NOT NULL DEFAULT 'queued',payload TEXT,result TEXT,progress TEXT,error TEXT,attempts INTEGER NOT NULL DEFAULT 0,max_attempts INTEGER NOT NULL DEFAULT 3,cancel_requested INTEGER NOT NULL DEFAULT 0,run_after DATETIME DEFAULT CURRENT_TIMESTAMP,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,started_at DATETIME,finished_at DATETIME,updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`);
+    },
+};
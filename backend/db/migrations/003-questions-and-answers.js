@@ -0,0 +1,23 @@
+import { dbRun } from '../helpers.js';
+
+// One row per quiz question and one row per graded answer, so questions can be searched,
+// edited and analysed in SQL. `extra`/`details` hold any fields without a column of their own.
+export default {
+    version: 3,
+    name: 'questions-and-answers',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE questions (id TEXT PRIMARY KEY,quiz_id TEXT NOT NULL,position INTEGER NOT NULL,type TEXT NOT NULL,question TEXT NOT NULL,options TEXT,answer TEXT,explanation TEXT,extra TEXT,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (quiz_id) REFERENCES quizzes (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_questions_quiz ON questions (quiz_id, position)`);
+
+        // question_id is kept loose: the question may be edited away after it was graded,
+        // so each answer also keeps the question text and correct answer it was graded against
+        await dbRun(db, `CREATE TABLE answers (id INTEGER PRIMARY KEY,result_id TEXT NOT NULL,question_id TEXT,position INTEGER NOT NULL,type TEXT,question TEXT,user_answer TEXT,correct_answer TEXT,explanation TEXT,score REAL,is_correct INTEGER,feedback TEXT,correct_parts TEXT,improvements TEXT,details TEXT,FOREIGN KEY (result_id) REFERENCES results (id) ON DELETE CASCADE,FOREIGN KEY (question_id) REFERENCES questions (id) ON DELETE SET NULL)`);
+        await dbRun(db, `CREATE INDEX idx_answers_result ON answers (result_id, position)`);
+        await dbRun(db, `CREATE INDEX idx_answers_question ON answers (question_id)`);
+
+        // Quiz-level leftovers of the old JSON blob (generation report)
+        await dbRun(db, `ALTER TABLE quizzes ADD COLUMN details TEXT`);
+        // Text read from the uploaded answer sheet, once per result instead of once per answer
+        await dbRun(db, `ALTER TABLE results ADD COLUMN extracted_text TEXT`);
+    },
+};
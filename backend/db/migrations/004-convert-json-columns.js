@@ -0,0 +1,127 @@
+import { v4 as uuidv4 } from 'uuid';
+import { dbAll, dbRun, parseJson } from '../helpers.js';
+
+// Moves the JSON kept in quizzes.questions and results.feedback into the questions and
+// answers tables from migration 3, then drops the two columns. The mapping is written out
+// here rather than shared with quiz/store.js so that later store changes can't alter
+// what this migration did.
+
+const NO_EXTRACTED_TEXT = 'No text extracted or uploaded.';
+
+// Keys of the old quiz blob that already have a column on quizzes
+const QUIZ_COLUMN_KEYS = ['questions', 'quiz_type', 'class', 'curriculum', 'subject', 'chapters'];
+const QUESTION_COLUMN_KEYS = ['id', 'type', 'question', 'options', 'answer', 'explanation'];
+const ANSWER_COLUMN_KEYS = ['question', 'type', 'user_answer', 'correct_answer', 'explanation', 'score', 'is_correct', 'feedback', 'correct_parts', 'improvements', 'extracted_pdf_text_used'];
+
+const pick = (object, excludedKeys) => {
+    const rest = Object.fromEntries(Object.entries(object).filter(([key]) => !excludedKeys.includes(key)));
+    return Object.keys(rest).length ? JSON.stringify(rest) : null;
+};
+
+const asText = (value) => {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+async function convertQuizzes(db) {
+    const quizzes = await dbAll(db, 'SELECT id, questions FROM quizzes');
+    // Model-generated ids ("q1", "q2"...) repeat across quizzes but questions.id is global
+    const usedIds = new Set();
+    const questionsByQuiz = new Map();
+    let questionCount = 0;
+
+    for (const quiz of quizzes) {
+        const blob = parseJson(quiz.questions, null);
+        if (quiz.questions && !blob) {
+            console.warn(`Migration: quiz ${quiz.id} has unreadable questions JSON; it will have no questions.`);
+        }
+        const questions = Array.isArray(blob?.questions) ? blob.questions : [];
+        const converted = [];
+
+        for (const [index, question] of questions.entries()) {
+            if (!question || typeof question !== 'object') continue;
+            let id = question.id !== undefined && question.id !== null ? String(question.id) : '';
+            if (!id || usedIds.has(id)) id = uuidv4();
+            usedIds.add(id);
+
+            await dbRun(db,
+                'INSERT INTO questions (id, quiz_id, position, type, question, options, answer, explanation, extra) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    id, quiz.id, index + 1,
+                    asText(question.type) || 'Descriptive',
+                    asText(question.question) || '',
+                    Array.isArray(question.options) ? JSON.stringify(question.options) : null,
+                    asText(question.answer),
+                    asText(question.explanation),
+                    pick(question, QUESTION_COLUMN_KEYS),
+                ]
+            );
+            converted.push({ id, type: question.type, question: question.question });
+            questionCount++;
+        }
+
+        const details = blob && typeof blob === 'object' && !Array.isArray(blob) ? pick(blob, QUIZ_COLUMN_KEYS) : null;
+        await dbRun(db, 'UPDATE quizzes SET details = ? WHERE id = ?', [details, quiz.id]);
+        questionsByQuiz.set(quiz.id, converted);
+    }
+
+    console.log(`Migration: converted ${questionCount} questions from ${quizzes.length} quizzes.`);
+    return questionsByQuiz;
+}
+
+async function convertResults(db, questionsByQuiz) {
+    const results = await dbAll(db, 'SELECT id, quiz_id, feedback FROM results');
+    let answerCount = 0;
+
+    for (const result of results) {
+        const feedback = parseJson(result.feedback, null);
+        if (result.feedback && !Array.isArray(feedback)) {
+            console.warn(`Migration: result ${result.id} has unreadable feedback JSON; it will have no answers.`);
+        }
+        const items = Array.isArray(feedback) ? feedback : [];
+
+        // The old feedback didn't record question ids, so answers are matched to the
+        // quiz's questions by text (each question used once)
+        const unmatched = [...(questionsByQuiz.get(result.quiz_id) || [])];
+        let extractedText = null;
+
+        for (const [index, item] of items.entries()) {
+            if (!item || typeof item !== 'object') continue;
+            const matchIndex = unmatched.findIndex(q => q.question === item.question && (!item.type || q.type === item.type));
+            const questionId = matchIndex >= 0 ? unmatched.splice(matchIndex, 1)[0].id : null;
+
+            if (!extractedText && item.extracted_pdf_text_used && item.extracted_pdf_text_used !== NO_EXTRACTED_TEXT) {
+                extractedText = item.extracted_pdf_text_used;
+            }
+
+            await dbRun(db,
+                'INSERT INTO answers (result_id, question_id, position, type, question, user_answer, correct_answer, explanation, score, is_correct, feedback, correct_parts, improvements, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    result.id, questionId, index + 1,
+                    asText(item.type), asText(item.question), asText(item.user_answer),
+                    asText(item.correct_answer), asText(item.explanation),
+                    Number(item.score) || 0,
+                    item.is_correct ? 1 : 0,
+                    asText(item.feedback), asText(item.correct_parts), asText(item.improvements),
+                    pick(item, ANSWER_COLUMN_KEYS),
+                ]
+            );
+            answerCount++;
+        }
+
+        await dbRun(db, 'UPDATE results SET extracted_text = ? WHERE id = ?', [extractedText, result.id]);
+    }
+
+    console.log(`Migration: converted ${answerCount} answers from ${results.length} results.`);
+}
+
+export default {
+    version: 4,
+    name: 'convert-json-columns',
+    async up(db) {
+        const questionsByQuiz = await convertQuizzes(db);
+        await convertResults(db, questionsByQuiz);
+        await dbRun(db, 'ALTER TABLE quizzes DROP COLUMN questions');
+        await dbRun(db, 'ALTER TABLE results DROP COLUMN feedback');
+    },
+};
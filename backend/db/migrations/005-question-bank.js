@@ -0,0 +1,33 @@
+import { dbRun } from '../helpers.js';
+
+// Personal question bank: a copy of every generated question, tagged with where it came
+// from, plus an FTS5 index over its text. The triggers keep the index in step with the table.
+export default {
+    version: 5,
+    name: 'question-bank',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE bank_questions (id INTEGER PRIMARY KEY,user_id INTEGER NOT NULL,type TEXT NOT NULL,question TEXT NOT NULL,options TEXT,answer TEXT,explanation TEXT,"class" TEXT,curriculum TEXT,subject TEXT,chapter TEXT,difficulty TEXT,source_quiz_id TEXT,times_used INTEGER NOT NULL DEFAULT 0,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,UNIQUE (user_id, type, question),FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,FOREIGN KEY (source_quiz_id) REFERENCES quizzes (id) ON DELETE SET NULL)`);
+        await dbRun(db, `CREATE INDEX idx_bank_questions_user ON bank_questions (user_id, created_at)`);
+
+        await dbRun(db, `CREATE VIRTUAL TABLE bank_questions_fts USING fts5(question, answer, explanation, options, content='bank_questions', content_rowid='id', tokenize='porter unicode61')`);
+        await dbRun(db, `CREATE TRIGGER bank_questions_ai AFTER INSERT ON bank_questions BEGIN
+            INSERT INTO bank_questions_fts (rowid, question, answer, explanation, options) VALUES (new.id, new.question, new.answer, new.explanation, new.options);
+        END`);
+        await dbRun(db, `CREATE TRIGGER bank_questions_ad AFTER DELETE ON bank_questions BEGIN
+            INSERT INTO bank_questions_fts (bank_questions_fts, rowid, question, answer, explanation, options) VALUES ('delete', old.id, old.question, old.answer, old.explanation, old.options);
+        END`);
+        await dbRun(db, `CREATE TRIGGER bank_questions_au AFTER UPDATE ON bank_questions BEGIN
+            INSERT INTO bank_questions_fts (bank_questions_fts, rowid, question, answer, explanation, options) VALUES ('delete', old.id, old.question, old.answer, old.explanation, old.options);
+            INSERT INTO bank_questions_fts (rowid, question, answer, explanation, options) VALUES (new.id, new.question, new.answer, new.explanation, new.options);
+        END`);
+
+        // Questions of quizzes generated before the bank existed
+        await dbRun(db, `INSERT OR IGNORE INTO bank_questions (user_id, type, question, options, answer, explanation, "class", curriculum, subject, chapter, difficulty, source_quiz_id, created_at)
+            SELECT z.user_id, q.type, q.question, q.options, q.answer, q.explanation, z."class", z.curriculum, z.subject, z.chapters,
+                   CASE WHEN lower(json_extract(q.extra, '$.difficulty')) IN ('easy', 'medium', 'hard') THEN lower(json_extract(q.extra, '$.difficulty')) END,
+                   z.id, z.created_at
+            FROM questions q JOIN quizzes z ON z.id = q.quiz_id
+            WHERE json_valid(coalesce(q.extra, '{}'))
+            ORDER BY z.created_at, q.position`);
+    },
+};
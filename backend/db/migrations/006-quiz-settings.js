@@ -0,0 +1,10 @@
+import { dbRun } from '../helpers.js';
+
+// Per-quiz settings chosen by the owner, as JSON ({ matching: {...} } for answer matching)
+export default {
+    version: 6,
+    name: 'quiz-settings',
+    async up(db) {
+        await dbRun(db, `ALTER TABLE quizzes ADD COLUMN settings TEXT`);
+    },
+};
@@ -0,0 +1,11 @@
+import { dbRun } from '../helpers.js';
+
+// Question fields the bank has no column for (FIB accepted_answers, Descriptive rubric), as
+// JSON, so quizzes assembled from the bank keep them
+export default {
+    version: 7,
+    name: 'bank-question-extra',
+    async up(db) {
+        await dbRun(db, `ALTER TABLE bank_questions ADD COLUMN extra TEXT`);
+    },
+};
@@ -0,0 +1,15 @@
+import { dbRun } from '../helpers.js';
+
+// Exam sessions: one row per started attempt at a quiz, with its deadline (timed quizzes)
+// and the autosaved draft answers. A graded submission points back at its attempt.
+// Times are ISO 8601 strings (UTC, milliseconds) because the countdown needs them exact.
+export default {
+    version: 8,
+    name: 'attempts',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE attempts (id TEXT PRIMARY KEY,quiz_id TEXT NOT NULL,user_id INTEGER NOT NULL,status TEXT NOT NULL DEFAULT 'in_progress',started_at TEXT NOT NULL,time_limit_seconds INTEGER,deadline_at TEXT,draft_answers TEXT,draft_saved_at TEXT,submitted_at TEXT,auto_submitted INTEGER NOT NULL DEFAULT 0,job_id TEXT,FOREIGN KEY (quiz_id) REFERENCES quizzes (id) ON DELETE CASCADE,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_attempts_quiz_user ON attempts (quiz_id, user_id, started_at)`);
+        await dbRun(db, `CREATE INDEX idx_attempts_deadline ON attempts (status, deadline_at)`);
+        await dbRun(db, `ALTER TABLE results ADD COLUMN attempt_id TEXT REFERENCES attempts (id) ON DELETE SET NULL`);
+    },
+};
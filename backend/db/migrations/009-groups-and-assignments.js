@@ -0,0 +1,18 @@
+import { dbRun } from '../helpers.js';
+
+// Sharing quizzes: every user gets a role, teachers run groups that students join with a
+// code, and a quiz assigned to a group (optionally with a due date) can be taken by its
+// members. Due dates are ISO 8601 strings like attempt deadlines.
+export default {
+    version: 9,
+    name: 'groups-and-assignments',
+    async up(db) {
+        await dbRun(db, `ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'student'`);
+        await dbRun(db, `CREATE TABLE study_groups (id TEXT PRIMARY KEY,teacher_id INTEGER NOT NULL,name TEXT NOT NULL,join_code TEXT NOT NULL UNIQUE,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (teacher_id) REFERENCES users (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_study_groups_teacher ON study_groups (teacher_id, created_at)`);
+        await dbRun(db, `CREATE TABLE group_members (group_id TEXT NOT NULL,user_id INTEGER NOT NULL,joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY (group_id, user_id),FOREIGN KEY (group_id) REFERENCES study_groups (id) ON DELETE CASCADE,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_group_members_user ON group_members (user_id)`);
+        await dbRun(db, `CREATE TABLE assignments (group_id TEXT NOT NULL,quiz_id TEXT NOT NULL,due_at TEXT,assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,PRIMARY KEY (group_id, quiz_id),FOREIGN KEY (group_id) REFERENCES study_groups (id) ON DELETE CASCADE,FOREIGN KEY (quiz_id) REFERENCES quizzes (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_assignments_quiz ON assignments (quiz_id)`);
+    },
+};
@@ -0,0 +1,24 @@
+import { dbRun } from '../helpers.js';
+
+// Spaced-repetition review deck: one card per question a user missed, scheduled with SM-2
+// (ease factor, interval in days, successful repetitions in a row). A card keeps a copy of
+// the question in the same columns as `questions`, so it survives the quiz being edited or
+// deleted. Every review is logged. Due dates are ISO 8601 strings like attempt deadlines.
+export default {
+    version: 10,
+    name: 'review-cards',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE review_cards (id INTEGER PRIMARY KEY,user_id INTEGER NOT NULL,question_id TEXT NOT NULL,quiz_id TEXT,type TEXT NOT NULL,question TEXT NOT NULL,options TEXT,answer TEXT,explanation TEXT,extra TEXT,ease REAL NOT NULL DEFAULT 2.5,interval_days INTEGER NOT NULL DEFAULT 0,repetitions INTEGER NOT NULL DEFAULT 0,lapses INTEGER NOT NULL DEFAULT 0,due_at TEXT NOT NULL,last_reviewed_at TEXT,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,UNIQUE (user_id, question_id),FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,FOREIGN KEY (quiz_id) REFERENCES quizzes (id) ON DELETE SET NULL)`);
+        await dbRun(db, `CREATE INDEX idx_review_cards_due ON review_cards (user_id, due_at)`);
+        await dbRun(db, `CREATE TABLE review_log (id INTEGER PRIMARY KEY,card_id INTEGER NOT NULL,quality INTEGER NOT NULL,method TEXT NOT NULL,user_answer TEXT,reviewed_at TEXT NOT NULL,FOREIGN KEY (card_id) REFERENCES review_cards (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_review_log_card ON review_log (card_id, reviewed_at)`);
+
+        // Questions missed before the deck existed, due straight away
+        await dbRun(db, `INSERT OR IGNORE INTO review_cards (user_id, question_id, quiz_id, type, question, options, answer, explanation, extra, due_at, created_at)
+            SELECT r.user_id, q.id, q.quiz_id, q.type, q.question, q.options, q.answer, q.explanation, q.extra,
+                   strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), MIN(r.submitted_at)
+            FROM answers a JOIN results r ON r.id = a.result_id JOIN questions q ON q.id = a.question_id
+            WHERE CASE WHEN a.type = 'Descriptive' THEN a.score < 6 ELSE a.is_correct = 0 END
+            GROUP BY r.user_id, q.id`);
+    },
+};
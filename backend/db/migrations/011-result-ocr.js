@@ -0,0 +1,11 @@
+import { dbRun } from '../helpers.js';
+
+// How an uploaded answer sheet was read, as JSON: { engine, confidence, low_confidence,
+// pages: [{ page, confidence }], warnings, fallback_from?, error? } (see toOcrReport in server.js)
+export default {
+    version: 11,
+    name: 'result-ocr',
+    async up(db) {
+        await dbRun(db, `ALTER TABLE results ADD COLUMN ocr TEXT`);
+    },
+};
@@ -0,0 +1,25 @@
+import { dbRun } from '../helpers.js';
+
+// Human review of graded answers. `grade_reviews` is the queue: an answer the AI failed to
+// grade ('failed'), graded with little confidence ('low_confidence') or that the student
+// disputed ('disputed'), open until a reviewer resolves it. `grade_overrides` is the audit
+// trail: every score a reviewer set, with the grade it replaced. The AI grade itself stays
+// in the answer's details once it has been overridden.
+export default {
+    version: 12,
+    name: 'grade-reviews',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE grade_reviews (id INTEGER PRIMARY KEY,answer_id INTEGER NOT NULL,result_id TEXT NOT NULL,reason TEXT NOT NULL,note TEXT,status TEXT NOT NULL DEFAULT 'open',created_at DATETIME DEFAULT CURRENT_TIMESTAMP,resolved_at DATETIME,resolved_by INTEGER,FOREIGN KEY (answer_id) REFERENCES answers (id) ON DELETE CASCADE,FOREIGN KEY (result_id) REFERENCES results (id) ON DELETE CASCADE,FOREIGN KEY (resolved_by) REFERENCES users (id) ON DELETE SET NULL)`);
+        // At most one open review per answer; a dispute on a flagged answer updates it
+        await dbRun(db, `CREATE UNIQUE INDEX idx_grade_reviews_open ON grade_reviews (answer_id) WHERE status = 'open'`);
+        await dbRun(db, `CREATE INDEX idx_grade_reviews_result ON grade_reviews (result_id)`);
+        await dbRun(db, `CREATE TABLE grade_overrides (id INTEGER PRIMARY KEY,answer_id INTEGER NOT NULL,result_id TEXT NOT NULL,reviewer_id INTEGER,previous_score REAL,previous_feedback TEXT,score REAL NOT NULL,feedback TEXT,comment TEXT NOT NULL,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (answer_id) REFERENCES answers (id) ON DELETE CASCADE,FOREIGN KEY (result_id) REFERENCES results (id) ON DELETE CASCADE,FOREIGN KEY (reviewer_id) REFERENCES users (id) ON DELETE SET NULL)`);
+        await dbRun(db, `CREATE INDEX idx_grade_overrides_answer ON grade_overrides (answer_id, created_at)`);
+
+        // Descriptive answers the AI failed to grade before the queue existed
+        await dbRun(db, `INSERT INTO grade_reviews (answer_id, result_id, reason, note, created_at)
+            SELECT a.id, a.result_id, 'failed', a.feedback, r.submitted_at
+            FROM answers a JOIN results r ON r.id = a.result_id
+            WHERE a.type = 'Descriptive' AND (a.feedback LIKE 'Automated evaluation failed%' OR a.feedback LIKE 'Evaluation failed%')`);
+    },
+};
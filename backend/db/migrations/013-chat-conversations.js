@@ -0,0 +1,14 @@
+import { dbRun } from '../helpers.js';
+
+// Chatbot conversations, kept per user so a thread can be picked up again and the model
+// sees the earlier turns. Messages are stored in the order they were sent.
+export default {
+    version: 13,
+    name: 'chat-conversations',
+    async up(db) {
+        await dbRun(db, `CREATE TABLE chat_conversations (id TEXT PRIMARY KEY,user_id INTEGER NOT NULL,title TEXT NOT NULL,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_chat_conversations_user ON chat_conversations (user_id, updated_at)`);
+        await dbRun(db, `CREATE TABLE chat_messages (id INTEGER PRIMARY KEY,conversation_id TEXT NOT NULL,role TEXT NOT NULL,content TEXT NOT NULL,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (conversation_id) REFERENCES chat_conversations (id) ON DELETE CASCADE)`);
+        await dbRun(db, `CREATE INDEX idx_chat_messages_conversation ON chat_messages (conversation_id, id)`);
+    },
+};
@@ -0,0 +1,13 @@
+import { dbRun } from '../helpers.js';
+
+// Tutor conversations: a chatbot thread about one graded answer (result and position, 1 = the
+// first question). The tutor's context is built from the stored result on every message.
+export default {
+    version: 14,
+    name: 'chat-tutor',
+    async up(db) {
+        await dbRun(db, `ALTER TABLE chat_conversations ADD COLUMN result_id TEXT REFERENCES results (id) ON DELETE SET NULL`);
+        await dbRun(db, `ALTER TABLE chat_conversations ADD COLUMN position INTEGER`);
+        await dbRun(db, `CREATE INDEX idx_chat_conversations_result ON chat_conversations (result_id, position)`);
+    },
+};
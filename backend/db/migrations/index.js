@@ -0,0 +1,32 @@
+import initialSchema from './001-initial-schema.js';
+import jobs from './002-jobs.js';
+import questionsAndAnswers from './003-questions-and-answers.js';
+import convertJsonColumns from './004-convert-json-columns.js';
+import questionBank from './005-question-bank.js';
+import quizSettings from './006-quiz-settings.js';
+import bankQuestionExtra from './007-bank-question-extra.js';
+import attempts from './008-attempts.js';
+import groupsAndAssignments from './009-groups-and-assignments.js';
+import reviewCards from './010-review-cards.js';
+import resultOcr from './011-result-ocr.js';
+import gradeReviews from './012-grade-reviews.js';
+import chatConversations from './013-chat-conversations.js';
+import chatTutor from './014-chat-tutor.js';
+
+// Every migration, oldest first. New ones are appended with the next version number.
+export const migrations = [
+    initialSchema,
+    jobs,
+    questionsAndAnswers,
+    convertJsonColumns,
+    questionBank,
+    quizSettings,
+    bankQuestionExtra,
+    attempts,
+    groupsAndAssignments,
+    reviewCards,
+    resultOcr,
+    gradeReviews,
+    chatConversations,
+    chatTutor,
+];
@@ -0,0 +1,284 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { parseJson } from '../db/helpers.js';
+
+// --- Background job queue ---
+// AI work (quiz generation, grading) runs as rows in the `jobs` table instead of inside the
+// request handler, so a closed tab or dropped connection doesn't throw the work away.
+// Status moves queued -> running -> succeeded | failed. A failed run goes back to queued
+// (with a growing delay) until max_attempts is used up; `error` keeps the last failure.
+// Jobs that were running when the server stopped are picked up again on the next start.
+// The table itself is created by db/migrations/002-jobs.js.
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// Row -> the shape returned by GET /jobs/:id
+export const formatJob = (row) => ({
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    cancelled: !!row.cancel_requested,
+    error: row.error,
+    result: parseJson(row.result, null),
+    progress: parseJson(row.progress, []),
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    updated_at: row.updated_at,
+});
+
+const isFinished = (status) => status === 'succeeded' || status === 'failed';
+
+// Creates the queue for `db`. Register a handler per job type, then call start() once the
+// jobs table exists. Handlers are called as handler(payload, { job, emit, signal }) and
+// resolve to the job result; `emit(event, data)` records progress that GET /jobs/:id and
+// the job event stream replay. Throw an error with `retryable = false` to skip retries.
+export function createJobQueue(db, config = process.env) {
+    const pollIntervalMs = parseInt(config.JOB_POLL_INTERVAL_MS, 10) || 1000;
+    const concurrency = Math.max(1, parseInt(config.JOB_CONCURRENCY, 10) || 1);
+    const defaultMaxAttempts = Math.max(1, parseInt(config.JOB_MAX_ATTEMPTS, 10) || 3);
+    const retryDelayMs = parseInt(config.JOB_RETRY_DELAY_MS ?? '5000', 10) || 0;
+
+    const handlers = new Map(); // type -> { handler, maxAttempts, onSettled }
+    const running = new Map(); // job id -> AbortController
+    const liveProgress = new Map(); // job id -> progress events of the current run
+    // Emits `<jobId>` with { event, data } for progress and for the final outcome
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    let timer = null;
+    let claiming = false;
+
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            err ? reject(err) : resolve(this.changes);
+        });
+    });
+    const get = (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            err ? reject(err) : resolve(row);
+        });
+    });
+
+    const getJob = async (id) => {
+        const row = await get('SELECT * FROM jobs WHERE id = ?', [id]);
+        return row ? formatJob(row) : null;
+    };
+
+    const publish = (jobId, event, data) => events.emit(jobId, { event, data });
+
+    async function settle(job, status, { result = null, error = null } = {}) {
+        await run(
+            `UPDATE jobs SET status = ?, result = ?, error = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [status, result === null ? null : JSON.stringify(result), error, job.id]
+        );
+        const finished = await getJob(job.id);
+        publish(job.id, status, finished);
+        const onSettled = handlers.get(job.type)?.onSettled;
+        if (onSettled) {
+            await Promise.resolve(onSettled(finished, parseJson(job.payload, {}))).catch(err =>
+                console.error(`Job ${job.id}: cleanup after ${status} failed:`, err.message)
+            );
+        }
+    }
+
+    async function execute(job) {
+        const entry = handlers.get(job.type);
+        const controller = new AbortController();
+        running.set(job.id, controller);
+
+        // Progress is rewritten as a whole, so writes are chained to keep them in order
+        const progress = [];
+        liveProgress.set(job.id, progress);
+        let progressWrite = Promise.resolve();
+        const emit = (event, data) => {
+            progress.push({ event, data });
+            const snapshot = JSON.stringify(progress);
+            progressWrite = progressWrite
+                .then(() => run('UPDATE jobs SET progress = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [snapshot, job.id]))
+                .catch(err => console.error(`Job ${job.id}: could not save progress:`, err.message));
+            publish(job.id, event, data);
+        };
+
+        console.log(`Job ${job.id}: running ${job.type} (attempt ${job.attempts}/${job.max_attempts}).`);
+        try {
+            if (!entry) {
+                throw Object.assign(new Error(`No handler registered for job type "${job.type}".`), { retryable: false });
+            }
+            const result = await entry.handler(parseJson(job.payload, {}), { job, emit, signal: controller.signal });
+            await progressWrite;
+            liveProgress.delete(job.id);
+            await settle(job, 'succeeded', { result });
+            console.log(`Job ${job.id}: ${job.type} succeeded.`);
+        } catch (err) {
+            await progressWrite;
+            liveProgress.delete(job.id);
+            const message = err.message || 'Job failed.';
+            if (controller.signal.aborted) {
+                console.log(`Job ${job.id}: ${job.type} cancelled.`);
+                await settle(job, 'failed', { error: 'Cancelled by the user.' });
+            } else if (err.retryable !== false && job.attempts < job.max_attempts) {
+                const delaySeconds = Math.round((retryDelayMs * job.attempts) / 1000);
+                console.warn(`Job ${job.id}: ${job.type} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delaySeconds}s:`, message);
+                await run(
+                    `UPDATE jobs SET status = 'queued', error = ?, run_after = datetime('now', ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [message, `+${delaySeconds} seconds`, job.id]
+                );
+                publish(job.id, 'retrying', { attempt: job.attempts, max_attempts: job.max_attempts, error: message });
+            } else {
+                console.error(`Job ${job.id}: ${job.type} failed:`, message);
+                await settle(job, 'failed', { error: message });
+            }
+        } finally {
+            liveProgress.delete(job.id);
+            running.delete(job.id);
+            setImmediate(tick);
+        }
+    }
+
+    // Claims queued jobs until the concurrency limit is reached
+    async function tick() {
+        if (claiming) return;
+        claiming = true;
+        try {
+            while (running.size < concurrency) {
+                const row = await get(
+                    `SELECT * FROM jobs WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP ORDER BY created_at, rowid LIMIT 1`
+                );
+                if (!row) break;
+                const claimed = await run(
+                    `UPDATE jobs SET status = 'running', attempts = attempts + 1, progress = NULL, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'`,
+                    [row.id]
+                );
+                if (!claimed) continue;
+                const job = { ...row, status: 'running', attempts: row.attempts + 1 };
+                publish(job.id, 'running', { attempt: job.attempts, max_attempts: job.max_attempts });
+                execute(job).catch(err => console.error(`Job ${job.id}: could not record outcome:`, err.message));
+            }
+        } catch (err) {
+            console.error('Job queue: error while claiming jobs:', err.message);
+        } finally {
+            claiming = false;
+        }
+    }
+
+    return {
+        events,
+
+        register(type, handler, { maxAttempts = defaultMaxAttempts, onSettled } = {}) {
+            handlers.set(type, { handler, maxAttempts, onSettled });
+        },
+
+        async enqueue(type, userId, payload, { maxAttempts } = {}) {
+            const id = uuidv4();
+            const attemptsAllowed = maxAttempts || handlers.get(type)?.maxAttempts || defaultMaxAttempts;
+            await run(
+                'INSERT INTO jobs (id, user_id, type, status, payload, max_attempts) VALUES (?, ?, ?, ?, ?, ?)',
+                [id, userId, type, 'queued', JSON.stringify(payload), attemptsAllowed]
+            );
+            console.log(`User ${userId}: Queued ${type} job ${id}.`);
+            setImmediate(tick);
+            return getJob(id);
+        },
+
+        getJob,
+
+        // Jobs are only visible to the user who created them
+        async getJobForUser(id, userId) {
+            const row = await get('SELECT * FROM jobs WHERE id = ? AND user_id = ?', [id, userId]);
+            return row ? formatJob(row) : null;
+        },
+
+        // Queued jobs fail straight away; running jobs get their AbortSignal fired
+        async cancel(id) {
+            await run(`UPDATE jobs SET cancel_requested = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('queued', 'running')`, [id]);
+            const controller = running.get(id);
+            if (controller) {
+                controller.abort();
+                return;
+            }
+            const row = await get(`SELECT * FROM jobs WHERE id = ? AND status = 'queued'`, [id]);
+            if (row) await settle(row, 'failed', { error: 'Cancelled by the user.' });
+        },
+
+        // Calls listener({ event, data }) for the progress of the current run so far and then for
+        // every new event, ending with 'succeeded' or 'failed' (data is the finished job).
+        // A job that already finished is replayed from the table. Returns an unsubscribe function.
+        watch(id, listener) {
+            const live = liveProgress.get(id);
+            if (live) {
+                live.forEach(listener);
+                events.on(id, listener);
+                return () => events.off(id, listener);
+            }
+
+            let finishedLive = false;
+            const forward = (entry) => {
+                if (isFinished(entry.event)) finishedLive = true;
+                listener(entry);
+            };
+            events.on(id, forward);
+            getJob(id).then(job => {
+                if (!job || finishedLive || !isFinished(job.status)) return;
+                events.off(id, forward);
+                job.progress.forEach(listener);
+                listener({ event: job.status, data: job });
+            }, err => console.error(`Job ${id}: could not load job to watch:`, err.message));
+            return () => events.off(id, forward);
+        },
+
+        // Resolves with the finished job (succeeded or failed)
+        waitFor(id) {
+            return new Promise((resolve, reject) => {
+                const listener = async ({ event }) => {
+                    if (!isFinished(event)) return;
+                    events.off(id, listener);
+                    resolve(await getJob(id));
+                };
+                events.on(id, listener);
+                // It may have finished before we started listening
+                getJob(id).then(job => {
+                    if (!job || isFinished(job.status)) {
+                        events.off(id, listener);
+                        resolve(job);
+                    }
+                }, reject);
+            });
+        },
+
+        isFinished,
+
+        // Requeues jobs interrupted by a restart, then starts polling
+        async start() {
+            const interrupted = await new Promise((resolve, reject) => {
+                db.all(`SELECT * FROM jobs WHERE status = 'running'`, [], (err, rows) => {
+                    err ? reject(err) : resolve(rows);
+                });
+            });
+            for (const row of interrupted) {
+                if (row.attempts < row.max_attempts && !row.cancel_requested) {
+                    await run(
+                        `UPDATE jobs SET status = 'queued', error = 'Interrupted by a server restart.', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [row.id]
+                    );
+                    console.log(`Job ${row.id}: interrupted by a restart, requeued.`);
+                } else {
+                    await settle(row, 'failed', { error: row.cancel_requested ? 'Cancelled by the user.' : 'Interrupted by a server restart.' });
+                }
+            }
+            if (!timer) {
+                timer = setInterval(tick, pollIntervalMs);
+                console.log(`Job queue started (concurrency ${concurrency}, polling every ${pollIntervalMs}ms).`);
+            }
+            tick();
+        },
+
+        // Stops polling. Running jobs are left as they are and get requeued by the next start().
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+    };
+}
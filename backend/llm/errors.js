@@ -0,0 +1,70 @@
+// --- Shared error handling for LLM provider adapters ---
+// Every adapter funnels its failures through describeProviderError so that the
+// routes get the same "Connection refused / endpoint not found / API error" messages
+// regardless of which backend is configured.
+
+export class LLMError extends Error {
+    constructor(message, { provider, cause, cancelled = false } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.provider = provider;
+        this.cause = cause;
+        this.cancelled = cancelled; // true when the caller aborted the request through its AbortSignal
+    }
+}
+
+// axios (CanceledError), openai (APIUserAbortError) and fetch (AbortError) all report aborts differently
+export const isAbortError = (error) => Boolean(error) && (
+    error.name === 'AbortError' ||
+    error.name === 'CanceledError' ||
+    error.name === 'APIUserAbortError' ||
+    error.code === 'ERR_CANCELED' ||
+    error.cause?.name === 'AbortError'
+);
+
+// Turns a network/HTTP/SDK error into a readable message.
+// `label` is the human name of the provider (e.g. "Ollama"), `endpoint` the URL it talks to.
+export function describeProviderError(error, { label, endpoint }) {
+    const message = error?.message || '';
+    const lowerCaseMessage = message.toLowerCase();
+    // SDKs (openai, undici fetch) tuck the socket error away in `cause`
+    const code = error?.code || error?.cause?.code;
+
+    if (code === 'ECONNREFUSED' || lowerCaseMessage.includes('connect econnrefused')) {
+        return `Connection refused: Is ${label} running and accessible at ${endpoint}?`;
+    }
+    if (code === 'ENOTFOUND' || lowerCaseMessage.includes('enotfound')) {
+        return `${label} endpoint not found: Check the address ${endpoint}`;
+    }
+    if (error?.response) {
+        // axios style error
+        let errorMessage = `${label} API Error ${error.response.status}: ${error.response.statusText}`;
+        const data = error.response.data;
+        if (data) {
+            // Ollama often sends helpful error messages in the body
+            errorMessage += typeof data === 'object' && data.error
+                ? ` - Details: ${typeof data.error === 'string' ? data.error : JSON.stringify(data.error)}`
+                : ` - Details: ${JSON.stringify(data)}`;
+        }
+        return errorMessage;
+    }
+    if (typeof error?.status === 'number') {
+        // openai / @google/generative-ai style error
+        return `${label} API Error ${error.status}: ${message}`;
+    }
+    return `${label} API Error: ${message || 'Unknown error'}`;
+}
+
+// Wraps an adapter call so that anything it throws comes out as an LLMError
+export async function withProviderErrors(provider, fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        if (error instanceof LLMError) throw error;
+        if (isAbortError(error)) {
+            throw new LLMError(`Request to ${provider.label} was cancelled.`, { provider: provider.name, cause: error, cancelled: true });
+        }
+        console.error(`Error during ${provider.label} call:`, error.message);
+        throw new LLMError(describeProviderError(error, provider), { provider: provider.name, cause: error });
+    }
+}
@@ -0,0 +1,93 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMError, withProviderErrors } from './errors.js';
+
+// --- Google Gemini adapter ---
+export function createGeminiProvider(config = {}) {
+    const model = config.GEMINI_MODEL || 'gemini-1.5-flash';
+    const timeout = parseInt(config.LLM_TIMEOUT_MS, 10) || 120000;
+
+    if (!config.GEMINI_API_KEY) {
+        console.warn('GEMINI_API_KEY is not set. Requests to Gemini will be rejected.');
+    }
+
+    const genAI = new GoogleGenerativeAI(config.GEMINI_API_KEY || '');
+
+    // Gemini keeps the system prompt outside of the turn history and calls the assistant "model"
+    const toGeminiChat = (messages) => {
+        const systemText = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const turns = messages
+            .filter(m => m.role !== 'system')
+            .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+        return { systemInstruction: systemText || undefined, history: turns.slice(0, -1), last: turns[turns.length - 1] };
+    };
+
+    const getModel = ({ json, temperature, systemInstruction }) => genAI.getGenerativeModel({
+        model,
+        ...(systemInstruction && { systemInstruction }),
+        generationConfig: {
+            temperature,
+            ...(json && { responseMimeType: 'application/json' }),
+        },
+    }, { timeout });
+
+    const provider = {
+        name: 'gemini',
+        label: 'Gemini',
+        endpoint: 'https://generativelanguage.googleapis.com',
+        model,
+
+        async generate({ prompt, json = false, temperature = 0.7, signal }) {
+            return withProviderErrors(provider, async () => {
+                console.log(`Calling Gemini API (model ${model})`);
+                const result = await getModel({ json, temperature }).generateContent(prompt, { signal });
+                return result.response.text();
+            });
+        },
+
+        async chat({ messages, json = false, temperature = 0.7, signal }) {
+            return withProviderErrors(provider, async () => {
+                const { systemInstruction, history, last } = toGeminiChat(messages);
+                if (!last || last.role !== 'user') {
+                    throw new LLMError('Gemini chat requires the last message to come from the user.', { provider: 'gemini' });
+                }
+                console.log(`Calling Gemini chat API (model ${model})`);
+                const chat = getModel({ json, temperature, systemInstruction }).startChat({ history });
+                const result = await chat.sendMessage(last.parts, { signal });
+                return result.response.text();
+            });
+        },
+
+        // Multi-turn chat, streamed: `onToken(text)` gets each piece of the reply as it arrives.
+        // Resolves to the whole reply.
+        async streamChat({ messages, temperature = 0.7, signal, onToken = () => {} }) {
+            return withProviderErrors(provider, async () => {
+                const { systemInstruction, history, last } = toGeminiChat(messages);
+                if (!last || last.role !== 'user') {
+                    throw new LLMError('Gemini chat requires the last message to come from the user.', { provider: 'gemini' });
+                }
+                console.log(`Calling Gemini chat API (model ${model}, streaming)`);
+                const chat = getModel({ temperature, systemInstruction }).startChat({ history });
+                const result = await chat.sendMessageStream(last.parts, { signal });
+                let reply = '';
+                for await (const chunk of result.stream) {
+                    const piece = chunk.text();
+                    if (piece) {
+                        reply += piece;
+                        onToken(piece);
+                    }
+                }
+                return reply;
+            });
+        },
+
+        async verifyConnection() {
+            return withProviderErrors(provider, async () => {
+                console.log(`Attempting to verify Gemini connection (model ${model})...`);
+                await getModel({ temperature: 0 }).countTokens('ping');
+                console.log(`Gemini connection successful! Model "${model}" is reachable.`);
+            });
+        },
+    };
+
+    return provider;
+}
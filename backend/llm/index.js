@@ -0,0 +1,35 @@
+import { createOllamaProvider } from './ollama.js';
+import { createOpenAIProvider } from './openai.js';
+import { createGeminiProvider } from './gemini.js';
+import { createMockProvider } from './mock.js';
+
+export { LLMError, isAbortError } from './errors.js';
+export { parseJsonResponse } from './json.js';
+
+// --- LLM provider registry ---
+// Every adapter exposes the same interface:
+//   generate({ prompt, json, temperature, task, meta, signal }) -> Promise<string>
+//   chat({ messages, json, temperature, signal })               -> Promise<string>
+//   streamChat({ messages, temperature, signal, onToken })      -> Promise<string> (onToken gets each piece)
+//   verifyConnection()                                  -> Promise<void>
+// plus descriptive fields: name, label, endpoint, model.
+// Adapters throw LLMError with a readable message when the call fails
+// (with `cancelled` set when the optional AbortSignal fired).
+const providerFactories = {
+    ollama: createOllamaProvider,
+    openai: createOpenAIProvider,
+    gemini: createGeminiProvider,
+    mock: createMockProvider,
+};
+
+export const availableProviders = Object.keys(providerFactories);
+
+// Builds the provider named by `name` (defaults to LLM_PROVIDER, then Ollama).
+export function createLLMProvider(name = process.env.LLM_PROVIDER, config = process.env) {
+    const providerName = (name || 'ollama').toLowerCase();
+    const factory = providerFactories[providerName];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${availableProviders.join(', ')}`);
+    }
+    return factory(config);
+}
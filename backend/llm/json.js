@@ -0,0 +1,25 @@
+// --- Helper to pull a JSON object out of a model response ---
+// Models sometimes wrap JSON in ```json fences or add a sentence around it despite being
+// told not to. Strip the fences first, then fall back to the outermost {...} block.
+export function parseJsonResponse(rawText) {
+    let cleaned = String(rawText || '').trim();
+    if (cleaned.startsWith('```json')) {
+        cleaned = cleaned.substring('```json'.length).trim();
+    } else if (cleaned.startsWith('```')) {
+        cleaned = cleaned.substring('```'.length).trim();
+    }
+    if (cleaned.endsWith('```')) {
+        cleaned = cleaned.substring(0, cleaned.length - '```'.length).trim();
+    }
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (parseError) {
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            return JSON.parse(cleaned.substring(start, end + 1));
+        }
+        throw parseError;
+    }
+}
@@ -0,0 +1,167 @@
+import { LLMError } from './errors.js';
+
+// --- Deterministic mock adapter ---
+// Produces canned but well-formed answers so the generate -> take -> submit flow can be
+// exercised offline, without a model. Callers describe what they are asking for through
+// `task` and `meta`; the real adapters ignore both and only look at the prompt.
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+const MOCK_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const words = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// With study material (meta.material_labels) each question cites one of its excerpts in turn
+const buildMockQuestion = (type, index, { subject = 'the subject', chapters = 'the chapters', attempt = 0, material_labels = null }) => {
+    const n = index + 1;
+    const retry = attempt ? ` (retry ${attempt})` : '';
+    const base = {
+        id: `mock-${type.toLowerCase()}-${attempt ? `r${attempt}-` : ''}${n}`,
+        type,
+        explanation: `Mock explanation ${n} for ${subject}.`,
+        difficulty: MOCK_DIFFICULTIES[index % MOCK_DIFFICULTIES.length],
+        ...(material_labels?.length ? { source: material_labels[index % material_labels.length] } : {}),
+    };
+    if (type === 'MCQ') {
+        return {
+            ...base,
+            question: `Mock MCQ ${n}${retry}: which option is correct for ${subject} (${chapters})?`,
+            options: OPTION_LETTERS.map(letter => `${letter}. Mock option ${letter}${n}`),
+            answer: OPTION_LETTERS[index % OPTION_LETTERS.length],
+        };
+    }
+    if (type === 'FIB') {
+        return {
+            ...base,
+            question: `Mock FIB ${n}${retry}: the answer to blank ${n} in ${subject} is ____.`,
+            answer: `answer ${n}`,
+            accepted_answers: [`answer no. ${n}`],
+        };
+    }
+    return {
+        ...base,
+        question: `Mock descriptive question ${n}${retry}: explain a key idea from ${chapters}.`,
+        answer: `A complete answer mentions mock concept ${n} and relates it to ${subject}.`,
+        rubric: [
+            { criterion: `Names mock concept ${n}`, points: 6 },
+            { criterion: `Relates it to ${subject}`, points: 4 },
+        ],
+    };
+};
+
+// A schema-breaking copy of a question, used to exercise the repair path offline
+const breakQuestion = (question) => (question.options
+    ? { ...question, options: question.options.slice(0, 3) }
+    : { ...question, answer: '' });
+
+const createTaskHandlers = (config) => {
+    // MOCK_LLM_INVALID_QUESTIONS=2,5 makes questions 2 and 5 of every first attempt invalid
+    const invalidPositions = String(config.MOCK_LLM_INVALID_QUESTIONS || '')
+        .split(',').map(n => parseInt(n, 10)).filter(n => n > 0);
+
+    // Skips any question whose text is listed in meta.existing_questions, like a model told not to repeat them
+    const buildQuestions = (meta) => {
+        const type = meta.quiz_type || 'MCQ';
+        const count = parseInt(meta.num_questions, 10) || 1;
+        const existing = new Set(meta.existing_questions || []);
+        const questions = [];
+        for (let i = 0; questions.length < count; i++) {
+            const question = buildMockQuestion(type, i, meta);
+            if (!existing.has(question.question)) questions.push(question);
+        }
+        return questions;
+    };
+
+    return {
+        // meta: { quiz_type, num_questions, subject, chapters, existing_questions?, material_labels? }
+        quiz(meta = {}) {
+            const questions = buildQuestions(meta)
+                .map((q, i) => (invalidPositions.includes(i + 1) ? breakQuestion(q) : q));
+            return JSON.stringify({ questions });
+        },
+
+        // meta: same as quiz, plus `attempt`; num_questions is the number of replacements asked for
+        'quiz-repair'(meta = {}) {
+            return JSON.stringify({ questions: buildQuestions(meta) });
+        },
+
+        // meta: { question, rubric, studentAnswer } - every criterion gets the share of its
+        // points that matches the share of answer-key words found in the answer
+        evaluation(meta = {}) {
+            const keyWords = new Set(words(meta.question?.answer));
+            const answerWords = new Set(words(meta.studentAnswer));
+            const hits = [...keyWords].filter(w => answerWords.has(w)).length;
+            const share = keyWords.size ? hits / keyWords.size : 0;
+            return JSON.stringify({
+                criteria: (meta.rubric || []).map(item => ({
+                    criterion: item.criterion,
+                    points: Math.round(share * item.points),
+                    comment: `Mock evaluation: ${hits} of ${keyWords.size} key words found.`,
+                })),
+                feedback: `Mock evaluation: ${hits} of ${keyWords.size} key words found.`,
+                correct_parts: hits ? 'Mentions some of the expected key words.' : 'N/A',
+                improvements: share < 1 ? 'Cover more of the expected key points.' : 'N/A',
+            });
+        },
+    };
+};
+
+const throwIfCancelled = (signal) => {
+    if (signal?.aborted) {
+        throw new LLMError('Request to Mock LLM was cancelled.', { provider: 'mock', cancelled: true });
+    }
+};
+
+// Simulated model latency (MOCK_LLM_DELAY_MS), cut short when the caller aborts
+const simulateLatency = (delayMs, signal) => new Promise((resolve) => {
+    if (!delayMs || signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, delayMs);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+    }, { once: true });
+});
+
+export function createMockProvider(config = {}) {
+    const taskHandlers = createTaskHandlers(config);
+    const delayMs = parseInt(config.MOCK_LLM_DELAY_MS, 10) || 0;
+
+    return {
+        name: 'mock',
+        label: 'Mock LLM',
+        endpoint: 'mock://local',
+        model: 'mock',
+
+        async generate({ prompt, task, meta, signal }) {
+            await simulateLatency(delayMs, signal);
+            throwIfCancelled(signal);
+            const handler = taskHandlers[task];
+            if (handler) return handler(meta);
+            return `Mock response to a ${String(prompt || '').length} character prompt.`;
+        },
+
+        async chat({ messages, signal }) {
+            await simulateLatency(delayMs, signal);
+            throwIfCancelled(signal);
+            const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+            return `Mock reply (${messages.length} message(s) in context). You asked: "${lastUserMessage?.content || ''}"`;
+        },
+
+        // The chat reply a word at a time, MOCK_LLM_DELAY_MS apart
+        async streamChat({ messages, signal, onToken = () => {} }) {
+            const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+            const words = `Mock reply (${messages.length} message(s) in context). You asked: "${lastUserMessage?.content || ''}"`.split(/(?<= )/);
+            let reply = '';
+            for (const word of words) {
+                await simulateLatency(delayMs, signal);
+                throwIfCancelled(signal);
+                reply += word;
+                onToken(word);
+            }
+            return reply;
+        },
+
+        async verifyConnection() {
+            console.log('Using the mock LLM provider. No model server is contacted.');
+        },
+    };
+}
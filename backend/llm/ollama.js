@@ -0,0 +1,130 @@
+import axios from 'axios';
+import { LLMError, withProviderErrors } from './errors.js';
+
+// With `responseType: 'stream'` the body of an HTTP error (e.g. a 404 for a model that has
+// not been pulled) is a stream too. Read it so the error mapper sees Ollama's { error }.
+async function readStreamedErrorBody(error) {
+    const data = error?.response?.data;
+    if (!data || typeof data.pipe !== 'function') return;
+    let body = '';
+    try {
+        data.setEncoding('utf8');
+        for await (const chunk of data) body += chunk;
+    } catch {
+        // Keep what arrived before the connection dropped
+    }
+    try {
+        error.response.data = JSON.parse(body);
+    } catch {
+        error.response.data = body.trim();
+    }
+}
+
+// --- Ollama adapter (default provider) ---
+// Talks to a local Ollama server through /api/generate and /api/chat.
+export function createOllamaProvider(config = {}) {
+    const endpoint = config.OLLAMA_ENDPOINT || 'http://localhost:11434'; // Default Ollama URL
+    const model = config.OLLAMA_MODEL || 'llama3:latest'; // Default model (change to one you have pulled)
+    const timeout = parseInt(config.LLM_TIMEOUT_MS, 10) || 120000;
+
+    const provider = {
+        name: 'ollama',
+        label: 'Ollama',
+        endpoint,
+        model,
+
+        // Single-turn completion. Returns the raw response text.
+        async generate({ prompt, json = false, temperature = 0.7, signal }) {
+            return withProviderErrors(provider, async () => {
+                console.log(`Calling Ollama API at ${endpoint}/api/generate`);
+                const response = await axios.post(`${endpoint}/api/generate`, {
+                    model,
+                    prompt,
+                    ...(json && { format: 'json' }), // Request JSON format if supported by the model
+                    options: { temperature },
+                    stream: false,
+                }, { timeout, signal });
+                return response.data?.response || '';
+            });
+        },
+
+        // Multi-turn chat. `messages` is an array of { role, content }.
+        async chat({ messages, temperature = 0.7, signal }) {
+            return withProviderErrors(provider, async () => {
+                console.log(`Calling Ollama API at ${endpoint}/api/chat`);
+                const response = await axios.post(`${endpoint}/api/chat`, {
+                    model,
+                    messages,
+                    options: { temperature },
+                    stream: false,
+                }, { timeout, signal });
+                const content = response.data?.message?.content;
+                if (typeof content !== 'string') {
+                    console.error('Ollama API returned unexpected response structure for chat:', response.data);
+                    throw new LLMError('Ollama API returned an empty or invalid response for chat.', { provider: 'ollama' });
+                }
+                return content;
+            });
+        },
+
+        // Multi-turn chat, streamed: `onToken(text)` gets each piece of the reply as it arrives.
+        // Resolves to the whole reply.
+        async streamChat({ messages, temperature = 0.7, signal, onToken = () => {} }) {
+            return withProviderErrors(provider, async () => {
+                console.log(`Calling Ollama API at ${endpoint}/api/chat (streaming)`);
+                const response = await axios.post(`${endpoint}/api/chat`, {
+                    model,
+                    messages,
+                    options: { temperature },
+                    stream: true,
+                }, { timeout, signal, responseType: 'stream' }).catch(async (error) => {
+                    await readStreamedErrorBody(error);
+                    throw error;
+                });
+                response.data.setEncoding('utf8');
+
+                // One JSON object per line: { message: { content }, done }
+                let reply = '';
+                const readLine = (line) => {
+                    if (!line.trim()) return;
+                    const data = JSON.parse(line);
+                    if (data.error) {
+                        throw new LLMError(`Ollama API Error: ${data.error}`, { provider: 'ollama' });
+                    }
+                    const piece = data.message?.content || '';
+                    if (piece) {
+                        reply += piece;
+                        onToken(piece);
+                    }
+                };
+                let buffer = '';
+                for await (const chunk of response.data) {
+                    buffer += chunk;
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    lines.forEach(readLine);
+                }
+                readLine(buffer);
+                return reply;
+            });
+        },
+
+        // Lists the models on the server and warns if the configured one has not been pulled.
+        async verifyConnection() {
+            return withProviderErrors(provider, async () => {
+                console.log(`Attempting to verify Ollama connection at ${endpoint}...`);
+                const response = await axios.get(`${endpoint}/api/tags`);
+                const models = (response.data?.models || []).map(m => m.name);
+                console.log('Ollama connection successful!');
+                console.log('Available models:', models.join(', '));
+                if (models.includes(model)) {
+                    console.log(`Configured model "${model}" is available.`);
+                } else {
+                    console.warn(`Configured model "${model}" is NOT available. Please run 'ollama pull ${model}'`);
+                }
+            });
+        },
+    };
+
+    return provider;
+}
@@ -0,0 +1,89 @@
+import OpenAI from 'openai';
+import { LLMError, withProviderErrors } from './errors.js';
+
+// --- OpenAI-compatible adapter ---
+// Works against api.openai.com or any server speaking the same protocol
+// (vLLM, LM Studio, OpenRouter, ...) by pointing OPENAI_BASE_URL at it.
+export function createOpenAIProvider(config = {}) {
+    const baseURL = config.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    const model = config.OPENAI_MODEL || 'gpt-4o-mini';
+    const timeout = parseInt(config.LLM_TIMEOUT_MS, 10) || 120000;
+
+    if (!config.OPENAI_API_KEY) {
+        console.warn('OPENAI_API_KEY is not set. Requests to the OpenAI-compatible provider will likely be rejected.');
+    }
+
+    const client = new OpenAI({
+        apiKey: config.OPENAI_API_KEY || 'not-set',
+        baseURL,
+        timeout,
+        maxRetries: 1,
+    });
+
+    const provider = {
+        name: 'openai',
+        label: 'OpenAI',
+        endpoint: baseURL,
+        model,
+
+        async generate({ prompt, json = false, temperature = 0.7, signal }) {
+            return provider.chat({ messages: [{ role: 'user', content: prompt }], json, temperature, signal });
+        },
+
+        async chat({ messages, json = false, temperature = 0.7, signal }) {
+            return withProviderErrors(provider, async () => {
+                console.log(`Calling OpenAI-compatible API at ${baseURL} (model ${model})`);
+                const completion = await client.chat.completions.create({
+                    model,
+                    messages,
+                    temperature,
+                    ...(json && { response_format: { type: 'json_object' } }),
+                }, { signal });
+                const content = completion.choices?.[0]?.message?.content;
+                if (typeof content !== 'string') {
+                    throw new LLMError('OpenAI API returned an empty or invalid response.', { provider: 'openai' });
+                }
+                return content;
+            });
+        },
+
+        // Multi-turn chat, streamed: `onToken(text)` gets each piece of the reply as it arrives.
+        // Resolves to the whole reply.
+        async streamChat({ messages, temperature = 0.7, signal, onToken = () => {} }) {
+            return withProviderErrors(provider, async () => {
+                console.log(`Calling OpenAI-compatible API at ${baseURL} (model ${model}, streaming)`);
+                const stream = await client.chat.completions.create({
+                    model,
+                    messages,
+                    temperature,
+                    stream: true,
+                }, { signal });
+                let reply = '';
+                for await (const chunk of stream) {
+                    const piece = chunk.choices?.[0]?.delta?.content || '';
+                    if (piece) {
+                        reply += piece;
+                        onToken(piece);
+                    }
+                }
+                return reply;
+            });
+        },
+
+        async verifyConnection() {
+            return withProviderErrors(provider, async () => {
+                console.log(`Attempting to verify OpenAI-compatible connection at ${baseURL}...`);
+                const models = [];
+                for await (const m of client.models.list()) models.push(m.id);
+                console.log('OpenAI-compatible connection successful!');
+                if (models.includes(model)) {
+                    console.log(`Configured model "${model}" is available.`);
+                } else {
+                    console.warn(`Configured model "${model}" was not listed by ${baseURL}.`);
+                }
+            });
+        },
+    };
+
+    return provider;
+}
@@ -0,0 +1,82 @@
+// --- Study material chunks ---
+// Extracted pages (see extract.js) are cut into chunks of about CHUNK_CHARS characters, on
+// paragraph and sentence boundaries, each labelled S1, S2, ... with the page it came from.
+// The chunks that best match the subject and chapters go into the generation prompt, and
+// every question cites the label of the chunk it was written from.
+
+const CHUNK_CHARS = 1200;
+// Material sent with one generation prompt; anything beyond this is left out
+export const MAX_PROMPT_MATERIAL_CHARS = 12000;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'its', 'into', 'chapter', 'chapters', 'class']);
+const keywords = (text) => (String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter(word => !STOP_WORDS.has(word));
+
+// Splits text into pieces of at most `size` characters: whole paragraphs where they fit,
+// otherwise whole sentences, otherwise hard cuts
+function splitText(text, size) {
+    const pieces = [];
+    let current = '';
+    const push = (piece, separator) => {
+        if (current && current.length + separator.length + piece.length > size) {
+            pieces.push(current);
+            current = '';
+        }
+        current = current ? current + separator + piece : piece;
+    };
+    for (const paragraph of text.split(/\n{2,}/)) {
+        if (paragraph.length <= size) {
+            push(paragraph, '\n\n');
+            continue;
+        }
+        for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+            for (let start = 0; start < sentence.length; start += size) {
+                push(sentence.slice(start, start + size).trim(), ' ');
+            }
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+// [{ source, page, text }] -> [{ label, source, page, text }]
+export function chunkPages(pages, size = CHUNK_CHARS) {
+    return pages
+        .flatMap(page => splitText(page.text, size).map(text => ({ source: page.source, page: page.page, text })))
+        .map((chunk, i) => ({ label: `S${i + 1}`, ...chunk }));
+}
+
+// The chunks to ground a quiz on `topic` (subject and chapters) in, within `maxChars`.
+// Everything is used when it fits; otherwise the chunks sharing the most keywords with the
+// topic win. The result keeps the material's order.
+export function selectChunks(chunks, topic, maxChars = MAX_PROMPT_MATERIAL_CHARS) {
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+    if (totalChars <= maxChars) return chunks;
+
+    const topicWords = new Set(keywords(topic));
+    const ranked = chunks
+        .map((chunk, index) => ({ chunk, index, score: keywords(chunk.text).filter(word => topicWords.has(word)).length }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+    const picked = [];
+    let used = 0;
+    for (const entry of ranked) {
+        if (used + entry.chunk.text.length > maxChars) continue;
+        picked.push(entry);
+        used += entry.chunk.text.length;
+    }
+    return picked.sort((a, b) => a.index - b.index).map(entry => entry.chunk);
+}
+
+// Prompt block listing the chunks: "[S3] (notes.pdf, page 2)" followed by the text
+export const formatChunksForPrompt = (chunks) => chunks
+    .map(chunk => `[${chunk.label}] (${chunk.source}, page ${chunk.page})\n${chunk.text}`)
+    .join('\n\n');
+
+// Files and pages the chunks came from: [{ source, pages: [1, 2, ...] }]
+export function summarizeSources(chunks) {
+    const bySource = new Map();
+    for (const chunk of chunks) {
+        if (!bySource.has(chunk.source)) bySource.set(chunk.source, new Set());
+        bySource.get(chunk.source).add(chunk.page);
+    }
+    return [...bySource].map(([source, pages]) => ({ source, pages: [...pages].sort((a, b) => a - b) }));
+}
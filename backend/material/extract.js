@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { PdfReader } from 'pdfreader';
+
+// --- Study material extraction ---
+// Turns uploaded study material into numbered pages of plain text, so generated questions
+// can be grounded in it (see chunks.js). PDFs are read with pdfreader; a page with (almost)
+// no text layer is a scan, so it goes through OCR (see ocr/), like uploaded images. Text
+// files and pasted notes are used as they are.
+
+export const MAX_MATERIAL_FILES = 5;
+export const MAX_MATERIAL_FILE_BYTES = 20 * 1024 * 1024;
+export const MAX_MATERIAL_TEXT_CHARS = 50000;
+
+// Pages with less text than this are treated as scanned
+const MIN_TEXT_LAYER_CHARS = 40;
+
+const PDF_TYPES = ['application/pdf'];
+const TEXT_TYPES = ['text/plain', 'text/markdown'];
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/bmp', 'image/gif'];
+
+// 'pdf', 'image', 'text' or null for files we can't read
+export function materialKind({ mimetype, originalname = '' }) {
+    const extension = path.extname(originalname).toLowerCase();
+    if (PDF_TYPES.includes(mimetype) || extension === '.pdf') return 'pdf';
+    if (IMAGE_TYPES.includes(mimetype)) return 'image';
+    if (TEXT_TYPES.includes(mimetype) || ['.txt', '.md'].includes(extension)) return 'text';
+    return null;
+}
+
+// Collapses runs of spaces and blank lines, keeps paragraph breaks
+const tidyText = (text) => String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Text layer of every page of a PDF: [{ page, text }] in page order. Items on the same
+// line (same y) are joined with spaces, lines with newlines.
+function readPdfPages(buffer) {
+    return new Promise((resolve, reject) => {
+        const pages = [];
+        let lines = null; // y -> text items of the current page
+        const finishPage = () => {
+            if (!lines) return;
+            const text = [...lines.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([, items]) => items.sort((a, b) => a.x - b.x).map(item => item.text).join(' '))
+                .join('\n');
+            pages.push({ page: pages.length + 1, text: tidyText(text) });
+        };
+        new PdfReader().parseBuffer(buffer, (err, item) => {
+            if (err) {
+                reject(err instanceof Error ? err : new Error(String(err?.parserError || err)));
+            } else if (!item) {
+                finishPage();
+                resolve(pages);
+            } else if (item.page) {
+                finishPage();
+                lines = new Map();
+            } else if (item.text !== undefined && lines) {
+                const y = Math.round(item.y * 10) / 10;
+                if (!lines.has(y)) lines.set(y, []);
+                lines.get(y).push(item);
+            }
+        });
+    });
+}
+
+async function extractPdf(file, buffer, ocr, warnings) {
+    let pages;
+    try {
+        pages = await readPdfPages(buffer);
+    } catch (err) {
+        warnings.push(`${file.originalname}: could not read the PDF (${err.message}).`);
+        return [];
+    }
+
+    const scanned = pages.filter(p => p.text.length < MIN_TEXT_LAYER_CHARS);
+    if (scanned.length > 0) {
+        try {
+            const result = await ocr.readPdf(buffer, { pages: scanned.map(p => p.page) });
+            result.warnings.forEach(warning => warnings.push(`${file.originalname}: ${warning}`));
+            for (const { page, text, confidence } of result.pages) {
+                const target = pages[page - 1];
+                const tidied = tidyText(text);
+                if (target && tidied.length > target.text.length) Object.assign(target, { text: tidied, ocr_confidence: confidence });
+            }
+        } catch (err) {
+            warnings.push(`${file.originalname}: scanned pages could not be OCR'd (${err.message}).`);
+        }
+    }
+    return pages;
+}
+
+// Extracts the uploaded files ([{ path, originalname, mimetype }], as stored by multer) and
+// the pasted notes. Resolves to { pages: [{ source, page, text, ocr_confidence? }], warnings },
+// leaving out pages without text. A file that fails to read only adds a warning.
+// `ocr` is the OCR engine for images and scanned pages (see ocr/index.js).
+// `onProgress({ source, done, total })` is called after each file.
+export async function extractMaterial({ files = [], text = '' }, { ocr, onProgress } = {}) {
+    const pages = [];
+    const warnings = [];
+    const total = files.length + (text ? 1 : 0);
+    for (const [index, file] of files.entries()) {
+        const source = file.originalname;
+        const kind = materialKind(file);
+        const buffer = await fs.promises.readFile(file.path);
+        if (kind === 'pdf') {
+            const pdfPages = await extractPdf(file, buffer, ocr, warnings);
+            pages.push(...pdfPages.map(page => ({ source, ...page })));
+        } else if (kind === 'image') {
+            try {
+                const result = await ocr.readImage(buffer);
+                pages.push({ source, page: 1, text: tidyText(result.text), ocr_confidence: result.confidence });
+            } catch (err) {
+                warnings.push(`${source}: the image could not be OCR'd (${err.message}).`);
+            }
+        } else if (kind === 'text') {
+            // Form feeds, if any, separate pages
+            buffer.toString('utf8').split('\f').forEach((pageText, i) => pages.push({ source, page: i + 1, text: tidyText(pageText) }));
+        } else {
+            warnings.push(`${source}: unsupported file type.`);
+        }
+        onProgress?.({ source, done: index + 1, total });
+    }
+    if (text) {
+        pages.push({ source: 'Pasted notes', page: 1, text: tidyText(text) });
+        onProgress?.({ source: 'Pasted notes', done: total, total });
+    }
+    return { pages: pages.filter(p => p.text), warnings };
+}
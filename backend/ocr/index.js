@@ -0,0 +1,57 @@
+import { createVisionEngine } from './vision.js';
+import { createTesseractEngine } from './tesseract.js';
+
+export { toOcrResult } from './result.js';
+
+// --- OCR engine registry ---
+// Every engine exposes the same interface:
+//   readPdf(buffer, { pages, onPage }) -> Promise<OCR result>
+//   readImage(buffer)                  -> Promise<OCR result>
+// plus descriptive fields: name, label. See result.js for the result shape. Engines reject
+// when they can't read the file at all; a page without text is not an error.
+const engineFactories = {
+    vision: createVisionEngine,
+    tesseract: createTesseractEngine,
+};
+
+export const availableEngines = ['auto', ...Object.keys(engineFactories)];
+
+// Tries `primary` and falls back to `fallback` when it fails or finds no text. The result
+// then says which engine it fell back from, and why, in `fallback_from` and `warnings`.
+function withFallback(primary, fallback) {
+    const attempt = (method) => async (...args) => {
+        let reason;
+        try {
+            const result = await primary[method](...args);
+            if (result.text) return result;
+            reason = `${primary.label} found no text.`;
+        } catch (err) {
+            reason = `${primary.label} failed: ${err.message}`;
+        }
+        console.warn(`OCR: ${reason} Falling back to ${fallback.label}.`);
+        const result = await fallback[method](...args);
+        return { ...result, fallback_from: primary.name, warnings: [reason, ...result.warnings] };
+    };
+    return {
+        name: `${primary.name}+${fallback.name}`,
+        label: `${primary.label}, falling back to ${fallback.label}`,
+        readPdf: attempt('readPdf'),
+        readImage: attempt('readImage'),
+    };
+}
+
+// Builds the engine named by `name` (defaults to OCR_ENGINE, then auto). "auto" uses Google
+// Cloud Vision when GOOGLE_APPLICATION_CREDENTIALS is set, falling back to the local
+// tesseract engine, and only the local engine otherwise.
+export function createOcrEngine(name = process.env.OCR_ENGINE, config = process.env) {
+    const engineName = (name || 'auto').toLowerCase();
+    if (engineName === 'auto') {
+        const local = createTesseractEngine(config);
+        return config.GOOGLE_APPLICATION_CREDENTIALS ? withFallback(createVisionEngine(config), local) : local;
+    }
+    const factory = engineFactories[engineName];
+    if (!factory) {
+        throw new Error(`Unknown OCR_ENGINE "${name}". Expected one of: ${availableEngines.join(', ')}`);
+    }
+    return factory(config);
+}
@@ -0,0 +1,18 @@
+// --- OCR results ---
+// Every engine resolves to the same shape:
+//   { engine, text, pages: [{ page, text, confidence }], confidence, warnings }
+// Confidence is 0-100 (null when the engine doesn't report one). The overall confidence is
+// the average over the pages that had text, weighted by how much text each page had.
+
+export function toOcrResult(engine, pages, warnings = []) {
+    const read = pages.filter(page => page.text);
+    const scored = read.filter(page => typeof page.confidence === 'number');
+    const scoredChars = scored.reduce((sum, page) => sum + page.text.length, 0);
+    return {
+        engine,
+        text: read.map(page => page.text).join('\n').trim(),
+        pages,
+        confidence: scoredChars ? Math.round(scored.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / scoredChars) : null,
+        warnings,
+    };
+}
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+import { toOcrResult } from './result.js';
+
+// --- Local engine (tesseract.js) ---
+// Works offline: PDF pages are rendered with pdf-to-img, cleaned up with jimp (greyscale,
+// normalised, more contrast, small scans upscaled) and read by tesseract.js. The language
+// data is downloaded on first use unless OCR_LANG_PATH points at a folder with
+// <language>.traineddata (or .traineddata.gz) in it, and kept in OCR_CACHE_PATH. The
+// libraries are loaded on first use (pdf-to-img needs the native canvas module).
+
+// Narrower page images are upscaled before OCR; tesseract does badly on small text
+const MIN_OCR_WIDTH = 1500;
+
+// Where tesseract.js downloads language data from when no OCR_LANG_PATH is set (LSTM models)
+const defaultLangUrl = (lang) => `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${lang}/4.0.0_best_int`;
+
+const fileExists = (file) => fs.promises.access(file).then(() => true, () => false);
+
+// Puts each language's data (`languages` like "eng+hin") in the cache folder, where the worker
+// reads it from. A worker whose language data fails to load never settles and can't be
+// terminated, so its thread would be left running: fail here instead, before one is started.
+async function ensureLanguageData(languages, { langPath, cachePath = '.' }) {
+    for (const lang of languages.split('+')) {
+        const cached = path.join(cachePath, `${lang}.traineddata`);
+        if (await fileExists(cached)) continue;
+
+        let data;
+        if (langPath && !/^https?:\/\//.test(langPath)) {
+            const candidates = [`${lang}.traineddata`, `${lang}.traineddata.gz`].map(name => path.join(langPath, name));
+            const found = (await Promise.all(candidates.map(fileExists))).indexOf(true);
+            if (found === -1) {
+                throw new Error(`Tesseract could not start: no ${lang}.traineddata in OCR_LANG_PATH (${langPath}).`);
+            }
+            data = await fs.promises.readFile(candidates[found]);
+        } else {
+            const url = `${(langPath || defaultLangUrl(lang)).replace(/\/$/, '')}/${lang}.traineddata.gz`;
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                data = Buffer.from(await response.arrayBuffer());
+            } catch (err) {
+                throw new Error(`Tesseract could not start: the ${lang} language data could not be downloaded from ${url} (${err.message}). Set OCR_LANG_PATH to a folder with ${lang}.traineddata in it to run offline.`);
+            }
+        }
+        // gzip magic number
+        if (data[0] === 0x1f && data[1] === 0x8b) data = gunzipSync(data);
+        await fs.promises.mkdir(cachePath, { recursive: true });
+        await fs.promises.writeFile(cached, data);
+    }
+}
+
+// pdf-to-img renders pages with the native `canvas` module. Load that first: when it is
+// missing, pdfjs reports it as an unhandled rejection, which would take the server down.
+async function loadPdfRenderer() {
+    try {
+        await import('canvas');
+    } catch (err) {
+        throw new Error(`PDF pages can't be rendered for OCR: the canvas module failed to load (${err.message.split('\n')[0]}).`);
+    }
+    return import('pdf-to-img');
+}
+
+async function preprocess(image) {
+    const { Jimp } = await import('jimp');
+    const picture = await Jimp.read(image);
+    if (picture.bitmap.width < MIN_OCR_WIDTH) {
+        picture.scale(MIN_OCR_WIDTH / picture.bitmap.width);
+    }
+    picture.greyscale().normalize().contrast(0.3);
+    return picture.getBuffer('image/png');
+}
+
+export function createTesseractEngine(config = {}) {
+    const language = config.OCR_LANGUAGE || 'eng';
+    const scale = parseFloat(config.OCR_PDF_SCALE) || 2; // PDF render scale
+    const maxPages = parseInt(config.OCR_MAX_PAGES, 10) || 20;
+    const langPath = config.OCR_LANG_PATH || null;
+    const cachePath = config.OCR_CACHE_PATH || '.';
+
+    // The language data is in the cache before the worker starts (ensureLanguageData). Errors
+    // the worker still runs into only reach `errorHandler`.
+    const startWorker = async () => {
+        await ensureLanguageData(language, { langPath, cachePath });
+        const { createWorker } = await import('tesseract.js');
+        return new Promise((resolve, reject) => {
+            createWorker(language, undefined, {
+                cachePath,
+                errorHandler: (err) => reject(new Error(`Tesseract could not start: ${err}`)),
+            }).then(resolve, reject);
+        });
+    };
+
+    // Reads `images` (buffers) with one worker. Resolves to [{ text, confidence }].
+    const recognizeAll = async (images, onImage) => {
+        const worker = await startWorker();
+        try {
+            const results = [];
+            for (const [index, image] of images.entries()) {
+                const { data } = await worker.recognize(await preprocess(await image()));
+                results.push({ text: data.text.trim(), confidence: Math.round(data.confidence) });
+                onImage?.(index + 1);
+            }
+            return results;
+        } finally {
+            await worker.terminate().catch(() => {});
+        }
+    };
+
+    return {
+        name: 'tesseract',
+        label: 'Tesseract (local)',
+
+        // `pages` (1-based page numbers) limits the pages read; at most OCR_MAX_PAGES are.
+        // `onPage({ done, total })` is called after each page.
+        async readPdf(buffer, { pages, onPage } = {}) {
+            const { pdf } = await loadPdfRenderer();
+            const document = await pdf(buffer, { scale });
+            const wanted = (pages ?? Array.from({ length: document.length }, (_, i) => i + 1))
+                .filter(page => page >= 1 && page <= document.length);
+            const read = wanted.slice(0, maxPages);
+            const results = await recognizeAll(
+                read.map(page => () => document.getPage(page)),
+                (done) => onPage?.({ done, total: read.length })
+            );
+            const warnings = wanted.length > read.length ? [`Only the first ${read.length} of ${wanted.length} pages were read.`] : [];
+            return toOcrResult('tesseract', results.map((result, i) => ({ page: read[i], ...result })), warnings);
+        },
+
+        async readImage(buffer) {
+            const [result] = await recognizeAll([async () => buffer]);
+            return toOcrResult('tesseract', [{ page: 1, ...result }]);
+        },
+    };
+}
@@ -0,0 +1,66 @@
+import vision from '@google-cloud/vision';
+import { toOcrResult } from './result.js';
+
+// --- Google Cloud Vision engine ---
+// DOCUMENT_TEXT_DETECTION through the Vision API. Credentials come from
+// GOOGLE_APPLICATION_CREDENTIALS (a service account JSON file). batchAnnotateFiles reads at
+// most MAX_PDF_PAGES pages of a PDF per request.
+
+const MAX_PDF_PAGES = 5;
+
+// Vision reports confidence per page as 0-1
+const pageConfidence = (annotation) => {
+    const confidence = annotation?.pages?.[0]?.confidence;
+    return typeof confidence === 'number' ? Math.round(confidence * 100) : null;
+};
+
+export function createVisionEngine() {
+    let client = null; // Created on first use, so a server without credentials starts fine
+    const getClient = async () => {
+        if (!client) {
+            const candidate = new vision.ImageAnnotatorClient();
+            // Check the credentials first: once the client has set up its API stubs, bad
+            // credentials also surface as unhandled rejections that take the process down
+            await candidate.auth.getClient();
+            client = candidate;
+        }
+        return client;
+    };
+
+    return {
+        name: 'vision',
+        label: 'Google Cloud Vision',
+
+        // `pages` (1-based page numbers) limits the pages read
+        async readPdf(buffer, { pages } = {}) {
+            const [response] = await (await getClient()).batchAnnotateFiles({
+                requests: [{
+                    inputConfig: { content: buffer.toString('base64'), mimeType: 'application/pdf' },
+                    features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+                    ...(pages ? { pages: pages.slice(0, MAX_PDF_PAGES) } : {}),
+                }],
+            });
+            const fileResponse = response?.responses?.[0];
+            if (fileResponse?.error?.message) {
+                throw new Error(fileResponse.error.message);
+            }
+            const pageResults = (fileResponse?.responses || []).map((pageResponse, i) => ({
+                page: pageResponse.context?.pageNumber || pages?.[i] || i + 1,
+                text: pageResponse.fullTextAnnotation?.text?.trim() || '',
+                confidence: pageConfidence(pageResponse.fullTextAnnotation),
+            }));
+            const totalPages = pages?.length ?? fileResponse?.totalPages ?? pageResults.length;
+            const warnings = totalPages > pageResults.length ? [`Only the first ${pageResults.length} of ${totalPages} pages were read.`] : [];
+            return toOcrResult('vision', pageResults, warnings);
+        },
+
+        async readImage(buffer) {
+            const [response] = await (await getClient()).documentTextDetection({ image: { content: buffer } });
+            if (response?.error?.message) {
+                throw new Error(response.error.message);
+            }
+            const annotation = response?.fullTextAnnotation;
+            return toOcrResult('vision', [{ page: 1, text: annotation?.text?.trim() || '', confidence: pageConfidence(annotation) }]);
+        },
+    };
+}
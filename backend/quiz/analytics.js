@@ -0,0 +1,191 @@
+import { dbAll, parseJson } from '../db/helpers.js';
+import { MCQ_OPTION_LETTERS, stripOptionLabel } from './schema.js';
+import { normalizeAnswerText } from './matching.js';
+import { applyScoringPolicy } from './attempts.js';
+
+// --- Quiz analytics ---
+// Reporting for the owner of a quiz, computed from the graded answers of every submission:
+// a gradebook (one row per taker), the distribution of the takers' quiz scores and, per
+// question, how many got it right, which MCQ options were picked, the most common wrong
+// FIB answers and the average points on each rubric criterion of a Descriptive question.
+
+export const SCORE_BUCKET_SIZE = 10; // Percentage points per distribution bucket
+const TOP_WRONG_ANSWERS = 5;
+
+// percent_correct -> the difficulty the takers experienced
+const difficultyOf = (percentCorrect) =>
+    percentCorrect === null ? null : percentCorrect >= 70 ? 'easy' : percentCorrect < 40 ? 'hard' : 'medium';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Quiz scores (0-100) -> buckets [0-10), [10-20), ... [90-100]
+function scoreDistribution(scores) {
+    const buckets = [];
+    for (let from = 0; from < 100; from += SCORE_BUCKET_SIZE) {
+        buckets.push({ from, to: from + SCORE_BUCKET_SIZE, count: 0 });
+    }
+    for (const score of scores) {
+        const index = Math.min(buckets.length - 1, Math.max(0, Math.floor(score / SCORE_BUCKET_SIZE)));
+        buckets[index].count++;
+    }
+    return {
+        buckets,
+        count: scores.length,
+        mean: scores.length ? round1(average(scores)) : null,
+        median: scores.length ? round1(median(scores)) : null,
+        min: scores.length ? Math.min(...scores) : null,
+        max: scores.length ? Math.max(...scores) : null,
+    };
+}
+
+// The option letter an MCQ answer was read as: the matching decision saved with it, else
+// a leading letter (answers graded before matching recorded its decision)
+function chosenLetter(answer, details) {
+    if (details.match && 'matched' in details.match) return details.match.matched;
+    const letter = String(answer.user_answer ?? '').trim().match(/^\(?([A-Da-d])(?:[.)]|$)/);
+    return letter ? letter[1].toUpperCase() : null;
+}
+
+function questionStats(question, answers) {
+    const responses = answers.length;
+    const blank = answers.filter(a => !String(a.user_answer ?? '').trim()).length;
+    const averageScore = average(answers.map(a => a.score));
+    const stats = {
+        question_id: question.id,
+        type: question.type,
+        question: question.question,
+        responses,
+        blank,
+        average_score: averageScore === null ? null : round1(averageScore), // 0-10
+    };
+
+    if (question.type === 'MCQ' || question.type === 'FIB') {
+        const correct = answers.filter(a => a.is_correct).length;
+        stats.correct = correct;
+        stats.percent_correct = responses ? round1((correct / responses) * 100) : null;
+    } else {
+        // Descriptive answers are scored, not marked right or wrong: the share of points earned
+        stats.percent_correct = averageScore === null ? null : round1(averageScore * 10);
+    }
+    stats.difficulty = difficultyOf(stats.percent_correct);
+
+    if (question.type === 'MCQ') {
+        const options = Array.isArray(question.options) ? question.options : [];
+        const counts = new Map(MCQ_OPTION_LETTERS.slice(0, options.length).map(letter => [letter, 0]));
+        let other = 0;
+        for (const answer of answers) {
+            if (!String(answer.user_answer ?? '').trim()) continue;
+            const letter = chosenLetter(answer, answer.details);
+            if (counts.has(letter)) counts.set(letter, counts.get(letter) + 1);
+            else other++;
+        }
+        const correctLetter = answers.find(a => a.details.match?.expected)?.details.match.expected
+            ?? String(question.answer ?? '').trim().charAt(0).toUpperCase();
+        stats.options = options.map((option, index) => {
+            const letter = MCQ_OPTION_LETTERS[index];
+            return { letter, text: stripOptionLabel(option), count: counts.get(letter), is_correct: letter === correctLetter };
+        });
+        stats.unreadable = other; // Typed answers that matched no option
+    }
+
+    if (question.type === 'FIB') {
+        const wrong = new Map(); // normalized answer -> { answer, count }
+        for (const answer of answers) {
+            const text = String(answer.user_answer ?? '').trim();
+            if (!text || answer.is_correct) continue;
+            const key = normalizeAnswerText(text) || text.toLowerCase();
+            const entry = wrong.get(key) ?? { answer: text, count: 0 };
+            entry.count++;
+            wrong.set(key, entry);
+        }
+        stats.common_wrong_answers = [...wrong.values()]
+            .sort((a, b) => b.count - a.count || a.answer.localeCompare(b.answer))
+            .slice(0, TOP_WRONG_ANSWERS);
+    }
+
+    if (question.type === 'Descriptive') {
+        const criteria = new Map(); // criterion -> { criterion, max_points, points: [] }
+        for (const answer of answers) {
+            for (const item of Array.isArray(answer.details.rubric_scores) ? answer.details.rubric_scores : []) {
+                const entry = criteria.get(item.criterion) ?? { criterion: item.criterion, max_points: item.max_points, points: [] };
+                entry.points.push(Number(item.points) || 0);
+                criteria.set(item.criterion, entry);
+            }
+        }
+        stats.rubric = [...criteria.values()].map(({ points, ...entry }) => {
+            const averagePoints = average(points);
+            return {
+                ...entry,
+                graded: points.length,
+                average_points: round1(averagePoints),
+                percent: entry.max_points ? round1((averagePoints / entry.max_points) * 100) : null,
+            };
+        });
+    }
+
+    return stats;
+}
+
+export function createQuizAnalytics(db) {
+    return {
+        // Analytics for `quiz` (as loaded by the quiz store, questions included). Each taker's
+        // quiz score follows `scoringPolicy`; question statistics count every submission.
+        async forQuiz(quiz, scoringPolicy) {
+            const results = await dbAll(db,
+                `SELECT r.id, r.user_id, u.username, r.score, r.submitted_at FROM results r JOIN users u ON u.id = r.user_id
+                 WHERE r.quiz_id = ? ORDER BY r.submitted_at, r.rowid`,
+                [quiz.id]
+            );
+            const answers = (await dbAll(db,
+                `SELECT a.result_id, a.question_id, a.position, a.user_answer, a.score, a.is_correct, a.details
+                 FROM answers a JOIN results r ON r.id = a.result_id WHERE r.quiz_id = ?`,
+                [quiz.id]
+            )).map(row => ({ ...row, is_correct: Boolean(row.is_correct), details: parseJson(row.details, {}) }));
+
+            // Answers saved without a question id are matched by position
+            const answersFor = (question, index) =>
+                answers.filter(a => (a.question_id ? a.question_id === question.id : a.position === index + 1));
+            const questions = quiz.questions.map((question, index) => questionStats(question, answersFor(question, index)));
+
+            // Gradebook: per taker, the quiz score and the question scores of their latest submission
+            const takers = new Map();
+            for (const result of results) {
+                const taker = takers.get(result.user_id) ?? { user_id: result.user_id, username: result.username, results: [] };
+                taker.results.push(result);
+                takers.set(result.user_id, taker);
+            }
+            const gradebook = [...takers.values()]
+                .map(({ results: taken, ...taker }) => {
+                    const latest = taken[taken.length - 1];
+                    const latestAnswers = answers.filter(a => a.result_id === latest.id);
+                    return {
+                        ...taker,
+                        attempts: taken.length,
+                        score: applyScoringPolicy(taken.map(r => r.score), scoringPolicy),
+                        best_score: Math.max(...taken.map(r => r.score)),
+                        latest_result_id: latest.id,
+                        last_submitted_at: latest.submitted_at,
+                        question_scores: quiz.questions.map((question, index) =>
+                            latestAnswers.find(a => (a.question_id ? a.question_id === question.id : a.position === index + 1))?.score ?? null),
+                    };
+                })
+                .sort((a, b) => a.username.localeCompare(b.username, undefined, { sensitivity: 'base' }));
+
+            return {
+                submission_count: results.length,
+                taker_count: gradebook.length,
+                distribution: scoreDistribution(gradebook.map(taker => taker.score)),
+                questions,
+                gradebook,
+            };
+        },
+    };
+}
@@ -0,0 +1,175 @@
+import { v4 as uuidv4 } from 'uuid';
+import { dbAll, dbGet, dbRun, parseJson } from '../db/helpers.js';
+
+// --- Attempts (exam sessions) ---
+// Starting a quiz records an attempt: when it started and, for timed quizzes, its deadline.
+// Draft answers are autosaved on it while the quiz is being taken. An attempt is
+// 'in_progress' until it is submitted (by the taker, or automatically once its deadline has
+// passed); submitting is one-way, so an attempt is graded at most once.
+
+export const MAX_TIME_LIMIT_MINUTES = 600;
+export const MAX_ATTEMPTS_LIMIT = 100;
+// How a quiz's score is worked out from its graded attempts
+export const SCORING_POLICIES = ['best', 'latest', 'average'];
+export const DEFAULT_SCORING_POLICY = 'latest';
+// Submissions and autosaves are still taken this long after the deadline, for network delay
+export const DEADLINE_GRACE_SECONDS = 30;
+
+// Checks a time limit sent by a client: a whole number of minutes, or null for an untimed quiz.
+// Returns { value } or { error }.
+export function parseTimeLimit(raw) {
+    if (raw === null || raw === '' || raw === undefined) return { value: null };
+    const minutes = Number(raw);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_TIME_LIMIT_MINUTES) {
+        return { error: `"time_limit_minutes" must be a whole number from 1 to ${MAX_TIME_LIMIT_MINUTES}, or null for no limit.` };
+    }
+    return { value: minutes };
+}
+
+// Checks a maximum number of attempts sent by a client (null for unlimited). Returns { value } or { error }.
+export function parseMaxAttempts(raw) {
+    if (raw === null || raw === '' || raw === undefined) return { value: null };
+    const count = Number(raw);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ATTEMPTS_LIMIT) {
+        return { error: `"max_attempts" must be a whole number from 1 to ${MAX_ATTEMPTS_LIMIT}, or null for unlimited attempts.` };
+    }
+    return { value: count };
+}
+
+// Checks a scoring policy sent by a client. Returns { value } or { error }.
+export function parseScoringPolicy(raw) {
+    if (raw === null || raw === '' || raw === undefined) return { value: DEFAULT_SCORING_POLICY };
+    const policy = String(raw).trim().toLowerCase();
+    if (!SCORING_POLICIES.includes(policy)) {
+        return { error: `"scoring_policy" must be one of ${SCORING_POLICIES.join(', ')}.` };
+    }
+    return { value: policy };
+}
+
+// The attempt rules of a quiz from its stored settings, with defaults filled in
+export const resolveAttemptSettings = (settings = {}) => ({
+    time_limit_minutes: settings.time_limit_minutes ?? null,
+    max_attempts: settings.max_attempts ?? null,
+    scoring_policy: SCORING_POLICIES.includes(settings.scoring_policy) ? settings.scoring_policy : DEFAULT_SCORING_POLICY,
+});
+
+// The quiz score under `policy`, from attempt scores in the order they were submitted (null when there are none)
+export function applyScoringPolicy(scores, policy = DEFAULT_SCORING_POLICY) {
+    if (scores.length === 0) return null;
+    if (policy === 'best') return Math.max(...scores);
+    if (policy === 'average') return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return scores[scores.length - 1];
+}
+
+// True once the deadline plus the grace period has passed (never for untimed attempts)
+export const isPastDeadline = (attempt, now = Date.now()) =>
+    Boolean(attempt.deadline_at) && now > Date.parse(attempt.deadline_at) + DEADLINE_GRACE_SECONDS * 1000;
+
+const secondsBetween = (from, to) => (from && to ? Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / 1000)) : null);
+
+const rowToAttempt = (row) => ({
+    id: row.id,
+    quiz_id: row.quiz_id,
+    status: row.status,
+    started_at: row.started_at,
+    time_limit_seconds: row.time_limit_seconds,
+    deadline_at: row.deadline_at,
+    answers: parseJson(row.draft_answers, {}), // question id -> draft answer
+    draft_saved_at: row.draft_saved_at,
+    submitted_at: row.submitted_at,
+    time_taken_seconds: secondsBetween(row.started_at, row.submitted_at),
+    auto_submitted: Boolean(row.auto_submitted),
+    job_id: row.job_id,
+});
+
+export function createAttemptStore(db) {
+    // The user's attempt, or null
+    const get = async (attemptId, userId) => {
+        const row = await dbGet(db, 'SELECT * FROM attempts WHERE id = ? AND user_id = ?', [attemptId, userId]);
+        return row ? rowToAttempt(row) : null;
+    };
+
+    return {
+        get,
+
+        // Starts an attempt now; `timeLimitSeconds` null means no deadline
+        async start(quizId, userId, timeLimitSeconds = null) {
+            const id = uuidv4();
+            const startedAt = new Date();
+            const deadline = timeLimitSeconds ? new Date(startedAt.getTime() + timeLimitSeconds * 1000).toISOString() : null;
+            await dbRun(db,
+                'INSERT INTO attempts (id, quiz_id, user_id, started_at, time_limit_seconds, deadline_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [id, quizId, userId, startedAt.toISOString(), timeLimitSeconds, deadline]
+            );
+            return get(id, userId);
+        },
+
+        // The user's unsubmitted attempt at the quiz, if any (the newest one)
+        async getActive(quizId, userId) {
+            const row = await dbGet(db,
+                `SELECT * FROM attempts WHERE quiz_id = ? AND user_id = ? AND status = 'in_progress' ORDER BY started_at DESC LIMIT 1`,
+                [quizId, userId]
+            );
+            return row ? rowToAttempt(row) : null;
+        },
+
+        // The user's attempts at the quiz, newest first, with the score once graded
+        async listForQuiz(quizId, userId) {
+            const rows = await dbAll(db,
+                `SELECT a.*, r.id AS result_id, r.score FROM attempts a LEFT JOIN results r ON r.attempt_id = a.id
+                 WHERE a.quiz_id = ? AND a.user_id = ? ORDER BY a.started_at DESC`,
+                [quizId, userId]
+            );
+            return rows.map(row => {
+                const { answers, ...attempt } = rowToAttempt(row);
+                return { ...attempt, result_id: row.result_id, score: row.score };
+            });
+        },
+
+        // How many of the user's attempts at the quiz count against its limit: every submission,
+        // including ones made before attempts existed, except those whose grading failed for good
+        async countUsed(quizId, userId) {
+            const { used } = await dbGet(db,
+                `SELECT (SELECT COUNT(*) FROM attempts a LEFT JOIN jobs j ON j.id = a.job_id
+                         WHERE a.quiz_id = ? AND a.user_id = ? AND a.status = 'submitted' AND (j.status IS NULL OR j.status != 'failed'))
+                      + (SELECT COUNT(*) FROM results r WHERE r.quiz_id = ? AND r.user_id = ? AND r.attempt_id IS NULL) AS used`,
+                [quizId, userId, quizId, userId]
+            );
+            return used;
+        },
+
+        // Attempts whose deadline (plus grace) has passed without a submission
+        async listOverdue() {
+            const cutoff = new Date(Date.now() - DEADLINE_GRACE_SECONDS * 1000).toISOString();
+            const rows = await dbAll(db,
+                `SELECT * FROM attempts WHERE status = 'in_progress' AND deadline_at IS NOT NULL AND deadline_at < ?`,
+                [cutoff]
+            );
+            return rows.map(row => ({ ...rowToAttempt(row), user_id: row.user_id }));
+        },
+
+        // Replaces the draft answers. Resolves to false when the attempt is no longer in progress.
+        async saveDraft(attemptId, answers) {
+            const { changes } = await dbRun(db,
+                `UPDATE attempts SET draft_answers = ?, draft_saved_at = ? WHERE id = ? AND status = 'in_progress'`,
+                [JSON.stringify(answers), new Date().toISOString(), attemptId]
+            );
+            return changes > 0;
+        },
+
+        // Marks the attempt submitted. Resolves to false when it already was, so a second
+        // (or concurrent) submission can be turned away. Automatic submissions are dated at
+        // the deadline, so the time taken never exceeds the limit.
+        async markSubmitted(attemptId, { autoSubmitted = false, submittedAt = new Date().toISOString() } = {}) {
+            const { changes } = await dbRun(db,
+                `UPDATE attempts SET status = 'submitted', submitted_at = ?, auto_submitted = ? WHERE id = ? AND status = 'in_progress'`,
+                [submittedAt, autoSubmitted ? 1 : 0, attemptId]
+            );
+            return changes > 0;
+        },
+
+        async setJob(attemptId, jobId) {
+            await dbRun(db, 'UPDATE attempts SET job_id = ? WHERE id = ?', [jobId, attemptId]);
+        },
+    };
+}
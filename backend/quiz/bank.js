@@ -0,0 +1,166 @@
+import { dbAll, dbGet, dbRun, parseJson } from '../db/helpers.js';
+
+// --- Question bank ---
+// Every generated question is copied into the owner's bank (bank_questions), tagged with
+// the class, curriculum, subject and chapter(s) of the quiz it came from and with its type
+// and difficulty. Bank questions are independent of the quiz: editing or deleting the quiz
+// leaves them alone. Saving the same question text and type again is a no-op.
+// Accepted answers and rubrics travel along in bank_questions.extra.
+
+// Filters the bank can be searched by. Keys are query/body names, values are columns.
+export const BANK_TAG_COLUMNS = {
+    type: 'type',
+    class: '"class"',
+    curriculum: 'curriculum',
+    subject: 'subject',
+    chapter: 'chapter',
+    difficulty: 'difficulty',
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Question fields kept in `extra`
+const EXTRA_FIELDS = ['accepted_answers', 'rubric'];
+
+// Turns free text into an FTS5 query: every word must match, as a prefix ("photo" finds
+// "photosynthesis"). Quoting each word keeps FTS5 syntax characters in the input harmless.
+export const toFtsQuery = (text) => {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `"${word}"*`).join(' ');
+};
+
+const rowToBankQuestion = (row) => {
+    const question = {
+        ...parseJson(row.extra, {}),
+        id: row.id,
+        type: row.type,
+        question: row.question,
+        answer: row.answer ?? '',
+        explanation: row.explanation ?? '',
+        class: row.class,
+        curriculum: row.curriculum,
+        subject: row.subject,
+        chapter: row.chapter,
+        difficulty: row.difficulty,
+        source_quiz_id: row.source_quiz_id,
+        times_used: row.times_used,
+        created_at: row.created_at,
+    };
+    const options = parseJson(row.options, null);
+    if (Array.isArray(options)) question.options = options;
+    return question;
+};
+
+export function createQuestionBank(db) {
+    return {
+        // Adds generated questions with the tags of the quiz they belong to.
+        // Resolves to the number of questions that were new to the bank.
+        async addQuestions(userId, questions, { className, curriculum, subject, chapter, sourceQuizId = null }) {
+            let added = 0;
+            for (const question of questions) {
+                const extra = Object.fromEntries(EXTRA_FIELDS.filter(key => question[key] !== undefined).map(key => [key, question[key]]));
+                const { changes } = await dbRun(db,
+                    `INSERT OR IGNORE INTO bank_questions (user_id, type, question, options, answer, explanation, "class", curriculum, subject, chapter, difficulty, source_quiz_id, extra)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        userId, question.type, question.question,
+                        Array.isArray(question.options) ? JSON.stringify(question.options) : null,
+                        question.answer ?? null, question.explanation ?? null,
+                        className ?? null, curriculum ?? null, subject ?? null, chapter ?? null,
+                        question.difficulty ?? null, sourceQuizId,
+                        Object.keys(extra).length ? JSON.stringify(extra) : null,
+                    ]
+                );
+                added += changes;
+            }
+            return added;
+        },
+
+        // Full-text search (`q`) combined with exact tag filters, newest first or best match
+        // first when there is a text query. Resolves to { questions, total }.
+        async search(userId, { q, limit = 20, offset = 0, ...tags } = {}) {
+            const where = ['b.user_id = ?'];
+            const params = [userId];
+            for (const [key, column] of Object.entries(BANK_TAG_COLUMNS)) {
+                if (tags[key]) {
+                    where.push(`b.${column} = ?`);
+                    params.push(String(tags[key]));
+                }
+            }
+
+            const ftsQuery = toFtsQuery(q);
+            const from = ftsQuery
+                ? 'bank_questions b JOIN bank_questions_fts f ON f.rowid = b.id AND bank_questions_fts MATCH ?'
+                : 'bank_questions b';
+            if (ftsQuery) params.unshift(ftsQuery);
+            const orderBy = ftsQuery ? 'bm25(bank_questions_fts), b.id DESC' : 'b.created_at DESC, b.id DESC';
+
+            const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+            const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+            const { total } = await dbGet(db, `SELECT COUNT(*) AS total FROM ${from} WHERE ${where.join(' AND ')}`, params);
+            const rows = await dbAll(db,
+                `SELECT b.* FROM ${from} WHERE ${where.join(' AND ')} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+                [...params, pageSize, skip]
+            );
+            return { questions: rows.map(rowToBankQuestion), total };
+        },
+
+        // Distinct values of every tag in the user's bank, for filter dropdowns
+        async getTags(userId) {
+            const tags = {};
+            for (const [key, column] of Object.entries(BANK_TAG_COLUMNS)) {
+                const rows = await dbAll(db,
+                    `SELECT DISTINCT ${column} AS value FROM bank_questions WHERE user_id = ? AND ${column} IS NOT NULL AND ${column} != '' ORDER BY value`,
+                    [userId]
+                );
+                tags[key] = rows.map(row => row.value);
+            }
+            return tags;
+        },
+
+        // The user's bank questions with these ids, in the order given (unknown ids are skipped)
+        async getQuestions(userId, ids) {
+            if (ids.length === 0) return [];
+            const rows = await dbAll(db,
+                `SELECT * FROM bank_questions WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+                [userId, ...ids]
+            );
+            const byId = new Map(rows.map(row => [row.id, rowToBankQuestion(row)]));
+            return ids.map(id => byId.get(id)).filter(Boolean);
+        },
+
+        async markUsed(ids) {
+            if (ids.length === 0) return;
+            await dbRun(db,
+                `UPDATE bank_questions SET times_used = times_used + 1 WHERE id IN (${ids.map(() => '?').join(', ')})`,
+                ids
+            );
+        },
+
+        // Changes the tags of one bank question. Resolves to the updated question, or null.
+        async updateTags(userId, id, tags) {
+            const sets = [];
+            const params = [];
+            for (const [key, column] of Object.entries(BANK_TAG_COLUMNS)) {
+                if (key === 'type' || tags[key] === undefined) continue; // The type follows the question itself
+                sets.push(`${column} = ?`);
+                params.push(tags[key] === null || tags[key] === '' ? null : String(tags[key]));
+            }
+            if (sets.length > 0) {
+                await dbRun(db,
+                    `UPDATE bank_questions SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+                    [...params, id, userId]
+                );
+            }
+            const row = await dbGet(db, 'SELECT * FROM bank_questions WHERE id = ? AND user_id = ?', [id, userId]);
+            return row ? rowToBankQuestion(row) : null;
+        },
+
+        // Resolves to true when the question existed and was removed
+        async remove(userId, id) {
+            const { changes } = await dbRun(db, 'DELETE FROM bank_questions WHERE id = ? AND user_id = ?', [id, userId]);
+            return changes > 0;
+        },
+    };
+}
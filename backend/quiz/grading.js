@@ -0,0 +1,67 @@
+// --- Sampled grading ---
+// A descriptive answer can be graded more than once (at the grader's usual temperature, and
+// across two models when GRADING_LLM_PROVIDER is set) so a single unlucky call doesn't decide
+// the score. combineSamples() keeps the median grading and reports how far the samples were
+// apart; answers whose samples disagree too much go to the review queue (quiz/overrides.js).
+
+export const DEFAULT_GRADING_SETTINGS = {
+    samples: 1, // Gradings per descriptive answer; 1 grades once, as before
+    max_spread: 2, // Most the sample scores (out of 10) may differ before the answer is flagged
+};
+
+export const MAX_GRADING_SAMPLES = 5;
+
+// Checks settings sent by a client. Returns { settings, errors } where `settings` has every key.
+export function normalizeGradingSettings(raw = {}) {
+    const settings = { ...DEFAULT_GRADING_SETTINGS };
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { settings, errors: ['Grading settings must be an object.'] };
+    }
+    if (raw.samples !== undefined) {
+        const value = Number(raw.samples);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_GRADING_SAMPLES) errors.push(`"samples" must be a whole number from 1 to ${MAX_GRADING_SAMPLES}.`);
+        else settings.samples = value;
+    }
+    if (raw.max_spread !== undefined) {
+        const value = Number(raw.max_spread);
+        if (!Number.isFinite(value) || value < 0 || value > 10) errors.push('"max_spread" must be a number from 0 to 10.');
+        else settings.max_spread = value;
+    }
+    return { settings, errors };
+}
+
+// Stored settings (possibly partial or missing on older quizzes) merged over the defaults
+export const resolveGradingSettings = (stored) => normalizeGradingSettings(stored || {}).settings;
+
+// Combines the gradings of one answer. `samples` are evaluations as returned by
+// evaluateDescriptiveAnswer, each with the `model` that produced it. Failed gradings don't
+// count; when every one failed the first failure is returned. Resolves to the median grading
+// (the lower of the two middle ones for an even count, so score and feedback come from the
+// same call) with `sampling`:
+//   { samples, scores, models, failed, spread, confidence (0-100), disagreement }
+export function combineSamples(samples, { max_spread = DEFAULT_GRADING_SETTINGS.max_spread } = {}) {
+    const graded = samples.filter(sample => !sample.failed);
+    const failed = samples.length - graded.length;
+    if (graded.length === 0) {
+        return { ...samples[0], sampling: { samples: samples.length, scores: [], models: [], failed, spread: null, confidence: 0, disagreement: false } };
+    }
+
+    const sorted = [...graded].sort((a, b) => a.score - b.score);
+    const median = sorted[Math.floor((sorted.length - 1) / 2)];
+    const scores = graded.map(sample => sample.score);
+    const spread = Math.max(...scores) - Math.min(...scores);
+    return {
+        ...median,
+        sampling: {
+            samples: samples.length,
+            scores,
+            models: graded.map(sample => sample.model),
+            failed,
+            spread,
+            // Full agreement is 100; every point of spread out of 10 costs 10
+            confidence: Math.max(0, Math.round(100 - spread * 10)),
+            disagreement: spread > max_spread,
+        },
+    };
+}
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { dbAll, dbGet, dbRun } from '../db/helpers.js';
+import { applyScoringPolicy } from './attempts.js';
+
+// --- Groups and assignments ---
+// Teachers create groups (study_groups) and students join one with its join code. A quiz
+// assigned to a group can be taken by every member, who submit results the teacher can
+// see. An assignment may have a due date: after it, members can no longer start the quiz.
+// A student in several groups with the same quiz gets the most lenient due date.
+
+export const ROLES = ['student', 'teacher'];
+export const MAX_GROUP_NAME_LENGTH = 100;
+
+// No 0/O or 1/I, so codes read out in class are not mistyped
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const generateJoinCode = () =>
+    Array.from({ length: JOIN_CODE_LENGTH }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+
+// "abc-123 " -> "ABC123"
+export const normalizeJoinCode = (raw) => String(raw ?? '').replace(/[\s-]/g, '').toUpperCase();
+
+// Checks a due date sent by a client: a date-time string, or null for no due date.
+// Returns { value } (ISO 8601) or { error }.
+export function parseDueDate(raw) {
+    if (raw === null || raw === '' || raw === undefined) return { value: null };
+    const time = Date.parse(raw);
+    if (Number.isNaN(time)) {
+        return { error: '"due_at" must be a date and time (ISO 8601), or null for no due date.' };
+    }
+    return { value: new Date(time).toISOString() };
+}
+
+export const isPastDue = (dueAt, now = Date.now()) => Boolean(dueAt) && now > Date.parse(dueAt);
+
+// results.submitted_at is SQLite's CURRENT_TIMESTAMP ("2024-05-01 10:00:00", UTC)
+const sqliteTimeToMs = (text) => Date.parse(`${String(text).replace(' ', 'T')}Z`);
+
+// Per quiz assigned to the member: the groups it came through and the due date that applies
+// (null when any of those assignments has none)
+const MEMBER_ASSIGNMENTS_SQL = `
+    SELECT q.id AS quiz_id, q.quiz_type, q."class", q.curriculum, q.subject, q.chapters,
+           GROUP_CONCAT(g.name, ', ') AS group_names,
+           CASE WHEN COUNT(a.due_at) < COUNT(*) THEN NULL ELSE MAX(a.due_at) END AS due_at,
+           MIN(a.assigned_at) AS assigned_at,
+           (SELECT COUNT(*) FROM results r WHERE r.quiz_id = q.id AND r.user_id = m.user_id) AS submitted_count
+    FROM assignments a
+    JOIN group_members m ON m.group_id = a.group_id
+    JOIN study_groups g ON g.id = a.group_id
+    JOIN quizzes q ON q.id = a.quiz_id
+    WHERE m.user_id = ?`;
+
+export function createGroupStore(db) {
+    const memberAssignments = async (userId, quizId = null) => {
+        const rows = await dbAll(db,
+            `${MEMBER_ASSIGNMENTS_SQL} ${quizId ? 'AND q.id = ?' : ''}
+             GROUP BY q.id ORDER BY due_at IS NULL, due_at, assigned_at DESC`,
+            quizId ? [userId, quizId] : [userId]
+        );
+        return rows.map(row => ({ ...row, past_due: isPastDue(row.due_at) }));
+    };
+
+    return {
+        // Creates a group with a fresh join code
+        async create(teacherId, name) {
+            const id = uuidv4();
+            for (let tries = 0; ; tries++) {
+                const joinCode = generateJoinCode();
+                try {
+                    await dbRun(db, 'INSERT INTO study_groups (id, teacher_id, name, join_code) VALUES (?, ?, ?, ?)', [id, teacherId, name, joinCode]);
+                    return { id, name, join_code: joinCode, member_count: 0, assignment_count: 0 };
+                } catch (err) {
+                    // Another group already has this code: draw again
+                    if (tries >= 4 || !err.message.includes('UNIQUE constraint failed')) throw err;
+                }
+            }
+        },
+
+        // The teacher's group with its members and assignments, or null
+        async getOwned(groupId, teacherId) {
+            const group = await dbGet(db,
+                'SELECT id, name, join_code, created_at FROM study_groups WHERE id = ? AND teacher_id = ?',
+                [groupId, teacherId]
+            );
+            if (!group) return null;
+            group.members = await dbAll(db,
+                `SELECT u.id AS user_id, u.username, m.joined_at FROM group_members m JOIN users u ON u.id = m.user_id
+                 WHERE m.group_id = ? ORDER BY u.username COLLATE NOCASE`,
+                [groupId]
+            );
+            group.assignments = (await dbAll(db,
+                `SELECT q.id AS quiz_id, q.quiz_type, q."class", q.curriculum, q.subject, q.chapters, a.due_at, a.assigned_at,
+                        (SELECT COUNT(DISTINCT r.user_id) FROM results r JOIN group_members m ON m.user_id = r.user_id
+                         WHERE r.quiz_id = q.id AND m.group_id = a.group_id) AS submitted_count
+                 FROM assignments a JOIN quizzes q ON q.id = a.quiz_id WHERE a.group_id = ? ORDER BY a.assigned_at DESC`,
+                [groupId]
+            )).map(row => ({ ...row, past_due: isPastDue(row.due_at) }));
+            return group;
+        },
+
+        // Groups the teacher runs, newest first
+        async listForTeacher(teacherId) {
+            return dbAll(db,
+                `SELECT g.id, g.name, g.join_code, g.created_at,
+                        (SELECT COUNT(*) FROM group_members m WHERE m.group_id = g.id) AS member_count,
+                        (SELECT COUNT(*) FROM assignments a WHERE a.group_id = g.id) AS assignment_count
+                 FROM study_groups g WHERE g.teacher_id = ? ORDER BY g.created_at DESC`,
+                [teacherId]
+            );
+        },
+
+        // Groups the user has joined
+        async listForMember(userId) {
+            return dbAll(db,
+                `SELECT g.id, g.name, u.username AS teacher_username, m.joined_at
+                 FROM group_members m JOIN study_groups g ON g.id = m.group_id JOIN users u ON u.id = g.teacher_id
+                 WHERE m.user_id = ? ORDER BY m.joined_at DESC`,
+                [userId]
+            );
+        },
+
+        async findByJoinCode(joinCode) {
+            return (await dbGet(db, 'SELECT id, teacher_id, name FROM study_groups WHERE join_code = ?', [normalizeJoinCode(joinCode)])) ?? null;
+        },
+
+        // Resolves to false when the user already was a member
+        async addMember(groupId, userId) {
+            const { changes } = await dbRun(db, 'INSERT OR IGNORE INTO group_members (group_id, user_id) VALUES (?, ?)', [groupId, userId]);
+            return changes > 0;
+        },
+
+        // Resolves to false when the user wasn't a member
+        async removeMember(groupId, userId) {
+            const { changes } = await dbRun(db, 'DELETE FROM group_members WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+            return changes > 0;
+        },
+
+        // Assigns the quiz to the group, or changes the due date when it already is.
+        // Resolves to true when the assignment is new.
+        async assign(groupId, quizId, dueAt) {
+            const { changes } = await dbRun(db, 'UPDATE assignments SET due_at = ? WHERE group_id = ? AND quiz_id = ?', [dueAt, groupId, quizId]);
+            if (changes > 0) return false;
+            await dbRun(db, 'INSERT INTO assignments (group_id, quiz_id, due_at) VALUES (?, ?, ?)', [groupId, quizId, dueAt]);
+            return true;
+        },
+
+        // Resolves to false when the quiz wasn't assigned to the group
+        async unassign(groupId, quizId) {
+            const { changes } = await dbRun(db, 'DELETE FROM assignments WHERE group_id = ? AND quiz_id = ?', [groupId, quizId]);
+            return changes > 0;
+        },
+
+        // Quizzes assigned to the user through their groups, soonest due first
+        listAssignmentsForMember: (userId) => memberAssignments(userId),
+
+        // The user's assignment of the quiz (see MEMBER_ASSIGNMENTS_SQL), or null when it isn't assigned to them
+        async getAssignmentForMember(quizId, userId) {
+            return (await memberAssignments(userId, quizId))[0] ?? null;
+        },
+
+        // The teacher's groups the quiz is assigned to
+        async listAssignmentsForQuiz(quizId, teacherId) {
+            const rows = await dbAll(db,
+                `SELECT g.id AS group_id, g.name AS group_name, a.due_at, a.assigned_at,
+                        (SELECT COUNT(*) FROM group_members m WHERE m.group_id = g.id) AS member_count
+                 FROM assignments a JOIN study_groups g ON g.id = a.group_id
+                 WHERE a.quiz_id = ? AND g.teacher_id = ? ORDER BY g.name COLLATE NOCASE`,
+                [quizId, teacherId]
+            );
+            return rows.map(row => ({ ...row, past_due: isPastDue(row.due_at) }));
+        },
+
+        // Every student the quiz is assigned to (through the teacher's groups) with their
+        // results, oldest first. A result is late when it came in after the student's due
+        // date; `score` is the quiz score under `scoringPolicy`, null until they submit.
+        async listStudentResults(quizId, teacherId, scoringPolicy) {
+            const members = await dbAll(db,
+                `SELECT u.id AS user_id, u.username, GROUP_CONCAT(g.name, ', ') AS group_names,
+                        CASE WHEN COUNT(a.due_at) < COUNT(*) THEN NULL ELSE MAX(a.due_at) END AS due_at
+                 FROM assignments a
+                 JOIN study_groups g ON g.id = a.group_id
+                 JOIN group_members m ON m.group_id = a.group_id
+                 JOIN users u ON u.id = m.user_id
+                 WHERE a.quiz_id = ? AND g.teacher_id = ?
+                 GROUP BY u.id ORDER BY u.username COLLATE NOCASE`,
+                [quizId, teacherId]
+            );
+            const results = await dbAll(db,
+                `SELECT r.id AS result_id, r.user_id, r.score, r.submitted_at FROM results r
+                 WHERE r.quiz_id = ? AND r.user_id IN (
+                     SELECT m.user_id FROM assignments a JOIN study_groups g ON g.id = a.group_id JOIN group_members m ON m.group_id = a.group_id
+                     WHERE a.quiz_id = ? AND g.teacher_id = ?)
+                 ORDER BY r.submitted_at, r.rowid`,
+                [quizId, quizId, teacherId]
+            );
+
+            return members.map(member => {
+                const dueMs = member.due_at ? Date.parse(member.due_at) : null;
+                const attempts = results
+                    .filter(result => result.user_id === member.user_id)
+                    .map(({ user_id, ...result }) => ({ ...result, late: dueMs !== null && sqliteTimeToMs(result.submitted_at) > dueMs }));
+                return {
+                    ...member,
+                    attempts,
+                    score: applyScoringPolicy(attempts.map(a => a.score), scoringPolicy),
+                };
+            });
+        },
+    };
+}
@@ -0,0 +1,300 @@
+import { MCQ_OPTION_LETTERS, resolveMcqAnswerLetter, stripOptionLabel } from './schema.js';
+
+// --- Answer matching ---
+// Decides whether a typed MCQ or FIB answer is correct and records how it got there.
+// matchAnswer() returns { is_correct, method, expected, matched, detail }, which grading
+// stores with each answer so the decision can be checked later.
+//
+// FIB answers are tried against the answer and its accepted_answers, in this order:
+// exact text, normalized text (case, accents, punctuation, spacing, leading article),
+// numbers (with tolerance and unit conversion), then fuzzy (edit distance) when the quiz
+// allows it. MCQ answers may be the option letter or the option text.
+
+export const DEFAULT_MATCHING_SETTINGS = {
+    fuzzy: false, // Accept small spelling mistakes in FIB answers
+    fuzzy_max_distance: 2, // Most edits (insert/delete/replace a character) fuzzy matching allows
+    numeric_tolerance: 0.01, // Relative difference allowed between numbers (0.01 = 1%); whole numbers without a unit must be exact
+    require_units: false, // Reject a bare number when the answer has a unit
+};
+
+// Checks settings sent by a client. Returns { settings, errors } where `settings` has every key.
+export function normalizeMatchingSettings(raw = {}) {
+    const settings = { ...DEFAULT_MATCHING_SETTINGS };
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { settings, errors: ['Matching settings must be an object.'] };
+    }
+    for (const key of ['fuzzy', 'require_units']) {
+        if (raw[key] === undefined) continue;
+        if (typeof raw[key] !== 'boolean') errors.push(`"${key}" must be true or false.`);
+        else settings[key] = raw[key];
+    }
+    if (raw.fuzzy_max_distance !== undefined) {
+        const value = Number(raw.fuzzy_max_distance);
+        if (!Number.isInteger(value) || value < 1 || value > 5) errors.push('"fuzzy_max_distance" must be a whole number from 1 to 5.');
+        else settings.fuzzy_max_distance = value;
+    }
+    if (raw.numeric_tolerance !== undefined) {
+        const value = Number(raw.numeric_tolerance);
+        if (!Number.isFinite(value) || value < 0 || value > 0.5) errors.push('"numeric_tolerance" must be a number from 0 to 0.5.');
+        else settings.numeric_tolerance = value;
+    }
+    return { settings, errors };
+}
+
+// Stored settings (possibly partial or from an older version) merged over the defaults
+export const resolveMatchingSettings = (stored) => normalizeMatchingSettings(stored || {}).settings;
+
+// --- Text ---
+
+const LEADING_ARTICLE = /^(?:the|a|an) /;
+
+// "  The Mitochondria! " -> "mitochondria", "H₂O" -> "h2o", "café" -> "cafe"
+export const normalizeAnswerText = (text) => String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, ' ') // Punctuation and symbols
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(LEADING_ARTICLE, '');
+
+// Levenshtein distance, giving up (returning max + 1) once it can't stay within `max`
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Short answers get fewer edits: none below 4 characters, one below 8
+const allowedEdits = (expected, settings) => Math.min(settings.fuzzy_max_distance, Math.floor(expected.length / 4));
+
+// --- Numbers and units ---
+
+// [dimension, factor to the dimension's base unit, ...spellings (lower case)]
+const UNIT_TABLE = [
+    ['length', 1, 'm', 'meter', 'meters', 'metre', 'metres'],
+    ['length', 0.01, 'cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+    ['length', 0.001, 'mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+    ['length', 1000, 'km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+    ['mass', 1, 'kg', 'kilogram', 'kilograms'],
+    ['mass', 0.001, 'g', 'gram', 'grams'],
+    ['mass', 0.000001, 'mg', 'milligram', 'milligrams'],
+    ['time', 1, 's', 'sec', 'secs', 'second', 'seconds'],
+    ['time', 0.001, 'ms', 'millisecond', 'milliseconds'],
+    ['time', 60, 'min', 'mins', 'minute', 'minutes'],
+    ['time', 3600, 'h', 'hr', 'hrs', 'hour', 'hours'],
+    ['voltage', 1, 'v', 'volt', 'volts'],
+    ['voltage', 0.001, 'mv', 'millivolt', 'millivolts'],
+    ['voltage', 1000, 'kv', 'kilovolt', 'kilovolts'],
+    ['current', 1, 'a', 'amp', 'amps', 'ampere', 'amperes'],
+    ['current', 0.001, 'ma', 'milliamp', 'milliamps', 'milliampere', 'milliamperes'],
+    ['resistance', 1, 'ω', 'ohm', 'ohms'],
+    ['resistance', 1000, 'kω', 'kohm', 'kohms', 'kilohm', 'kilohms'],
+    ['energy', 1, 'j', 'joule', 'joules'],
+    ['energy', 1000, 'kj', 'kilojoule', 'kilojoules'],
+    ['power', 1, 'w', 'watt', 'watts'],
+    ['power', 1000, 'kw', 'kilowatt', 'kilowatts'],
+    ['force', 1, 'n', 'newton', 'newtons'],
+    ['pressure', 1, 'pa', 'pascal', 'pascals'],
+    ['frequency', 1, 'hz', 'hertz'],
+    ['frequency', 1000, 'khz', 'kilohertz'],
+    ['volume', 0.001, 'l', 'litre', 'litres', 'liter', 'liters'],
+    ['volume', 0.000001, 'ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+    ['speed', 1, 'm/s', 'mps', 'meters per second', 'metres per second'],
+    ['speed', 1 / 3.6, 'km/h', 'kmph', 'kph', 'kilometers per hour', 'kilometres per hour'],
+    ['temperature', 1, '°c', 'degc', 'celsius', 'degrees celsius'],
+    ['absolute-temperature', 1, 'k', 'kelvin'],
+    ['angle', 1, '°', 'deg', 'degree', 'degrees'],
+    ['ratio', 0.01, '%', 'percent', 'per cent'],
+];
+
+const UNITS = new Map();
+for (const [dimension, factor, ...spellings] of UNIT_TABLE) {
+    for (const spelling of spellings) UNITS.set(spelling, { dimension, factor, symbol: spellings[0] });
+}
+
+const NUMBER_PATTERN = /^([-+]?\d+\s*\/\s*\d+|[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:[.,]\d+)?(?:\s*[eE]\s*[-+]?\d+)?|[-+]?[.,]\d+)\s*(.*)$/;
+
+// "3.5 V" -> { value: 3.5, unit: { dimension: 'voltage', factor: 1, symbol: 'v' } }
+// "1,000" and "1.5e3" are numbers; "3,5" is read as 3.5. Returns null when the text isn't
+// a number with an optional unit. Units outside UNIT_TABLE only match the same spelling.
+export function parseQuantity(text) {
+    const trimmed = String(text ?? '').trim().replace(/−/g, '-').replace(/\.$/, '');
+    const match = trimmed.match(NUMBER_PATTERN);
+    if (!match) return null;
+
+    let [, numberText, unitText] = match;
+    numberText = numberText.replace(/\s+/g, '');
+    let value;
+    if (numberText.includes('/')) {
+        const [numerator, denominator] = numberText.split('/').map(Number);
+        if (!denominator) return null;
+        value = numerator / denominator;
+    } else if (/^[-+]?\d{1,3}(?:,\d{3})+/.test(numberText)) {
+        value = Number(numberText.replace(/,/g, '')); // Thousands separators
+    } else {
+        value = Number(numberText.replace(',', '.')); // Decimal comma
+    }
+    if (!Number.isFinite(value)) return null;
+
+    const unitKey = unitText.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!unitKey) return { value, unit: null };
+    const unit = UNITS.get(unitKey) || UNITS.get(unitKey.replace(/\s/g, ''));
+    return { value, unit: unit || { dimension: `unit:${unitKey}`, factor: 1, symbol: unitKey } };
+}
+
+const formatQuantity = ({ value, unit }) => (unit ? `${value} ${unit.symbol}` : String(value));
+
+// Compares two quantities. Returns { equal, detail }.
+function compareQuantities(given, expected, settings) {
+    let givenValue = given.value;
+    let expectedValue = expected.value;
+    let note = '';
+
+    if (given.unit && expected.unit) {
+        if (given.unit.dimension !== expected.unit.dimension) {
+            return { equal: false, detail: `${formatQuantity(given)} is not in the same kind of unit as ${formatQuantity(expected)}.` };
+        }
+        givenValue *= given.unit.factor;
+        expectedValue *= expected.unit.factor;
+        if (given.unit.symbol !== expected.unit.symbol) note = ` after converting ${given.unit.symbol} to ${expected.unit.symbol}`;
+    } else if (expected.unit && !given.unit) {
+        if (settings.require_units) {
+            return { equal: false, detail: `The unit is missing (expected ${formatQuantity(expected)}).` };
+        }
+        note = ` (unit ${expected.unit.symbol} assumed)`;
+    }
+
+    const difference = Math.abs(givenValue - expectedValue);
+    // Whole numbers without a unit (counts, years) have to be exact
+    const tolerance = Number.isInteger(expected.value) && !expected.unit ? 0 : settings.numeric_tolerance;
+    const allowed = Math.max(Math.abs(expectedValue) * tolerance, 1e-9);
+    if (difference <= allowed) {
+        const exact = difference <= 1e-9;
+        return { equal: true, detail: `${formatQuantity(given)} equals ${formatQuantity(expected)}${exact ? '' : ` within ${tolerance * 100}%`}${note}.` };
+    }
+    return { equal: false, detail: `${formatQuantity(given)} differs from ${formatQuantity(expected)}${note}.` };
+}
+
+// --- Matching ---
+
+const decision = (is_correct, method, expected, matched, detail) => ({ is_correct, method, expected, matched, detail });
+
+// FIB: tries the answer and every accepted alternative
+function matchFib(question, userAnswer, settings) {
+    const expected = question.answer;
+    const candidates = [
+        { text: question.answer, source: 'answer' },
+        ...(Array.isArray(question.accepted_answers) ? question.accepted_answers : []).map(text => ({ text, source: 'accepted answer' })),
+    ].filter(c => typeof c.text === 'string' && c.text.trim());
+
+    const given = userAnswer.trim();
+    const givenNormalized = normalizeAnswerText(given);
+    const givenQuantity = parseQuantity(given);
+    let numericMiss = null;
+
+    for (const { text, source } of candidates) {
+        const label = source === 'answer' ? 'the answer' : `the accepted answer "${text}"`;
+        if (given.toLowerCase() === text.trim().toLowerCase()) {
+            return decision(true, source === 'answer' ? 'exact' : 'alternative', expected, text, `Matches ${label} exactly.`);
+        }
+        const candidateQuantity = parseQuantity(text);
+        if (givenQuantity && candidateQuantity) {
+            const { equal, detail } = compareQuantities(givenQuantity, candidateQuantity, settings);
+            if (equal) return decision(true, 'numeric', expected, text, detail);
+            numericMiss = numericMiss || detail;
+            continue; // Numbers are never fuzzy-matched
+        }
+        if (givenNormalized && givenNormalized === normalizeAnswerText(text)) {
+            return decision(true, source === 'answer' ? 'normalized' : 'alternative', expected, text,
+                `Matches ${label} ignoring case, spacing and punctuation.`);
+        }
+    }
+
+    if (settings.fuzzy && givenNormalized) {
+        let best = null;
+        for (const { text } of candidates) {
+            if (parseQuantity(text)) continue;
+            const target = normalizeAnswerText(text);
+            const allowed = allowedEdits(target, settings);
+            if (allowed === 0) continue;
+            const distance = editDistance(givenNormalized, target, allowed);
+            if (distance <= allowed && (!best || distance < best.distance)) best = { text, distance };
+        }
+        if (best) {
+            return decision(true, 'fuzzy', expected, best.text,
+                `Accepted as "${best.text}" with ${best.distance} spelling difference${best.distance === 1 ? '' : 's'}.`);
+        }
+    }
+
+    return decision(false, 'none', expected, null, numericMiss || 'Does not match the answer or any accepted answer.');
+}
+
+// MCQ: the option letter ("C", "c)", "(C)", "C. 3.5 V") or the option text ("3.5 V", "3.5V")
+function matchMcq(question, userAnswer, settings) {
+    const options = Array.isArray(question.options) ? question.options : [];
+    const expectedLetter = resolveMcqAnswerLetter(question.answer, options) || String(question.answer).trim().charAt(0).toUpperCase();
+    const expected = expectedLetter;
+    const given = userAnswer.trim();
+    const conclude = (letter, method, how) => {
+        const optionText = options[MCQ_OPTION_LETTERS.indexOf(letter)];
+        const chosen = optionText ? `option ${letter} ("${stripOptionLabel(optionText)}")` : `option ${letter}`;
+        return decision(letter === expectedLetter, method, expected, letter, `Read as ${chosen} ${how}.`);
+    };
+
+    const letterMatch = given.match(/^\(?([A-Da-d])(?:[.)]|$)/);
+    if (letterMatch) return conclude(letterMatch[1].toUpperCase(), 'option-letter', 'from the option letter');
+
+    const texts = options.map(stripOptionLabel);
+    const givenNormalized = normalizeAnswerText(given);
+    let index = texts.findIndex(text => normalizeAnswerText(text) === givenNormalized);
+    if (index >= 0 && givenNormalized) return conclude(MCQ_OPTION_LETTERS[index], 'option-text', 'from the option text');
+
+    const givenQuantity = parseQuantity(given);
+    if (givenQuantity) {
+        index = texts.findIndex(text => {
+            const quantity = parseQuantity(text);
+            return quantity && compareQuantities(givenQuantity, quantity, { ...settings, numeric_tolerance: 0 }).equal;
+        });
+        if (index >= 0) return conclude(MCQ_OPTION_LETTERS[index], 'option-text', 'from the option value');
+    }
+
+    if (settings.fuzzy && givenNormalized) {
+        const distances = texts.map(text => {
+            const target = normalizeAnswerText(text);
+            const allowed = allowedEdits(target, settings);
+            const distance = allowed > 0 ? editDistance(givenNormalized, target, allowed) : Infinity;
+            return distance <= allowed ? distance : Infinity;
+        });
+        const best = Math.min(...distances);
+        // Only when exactly one option is that close
+        if (best !== Infinity && distances.filter(d => d === best).length === 1) {
+            return conclude(MCQ_OPTION_LETTERS[distances.indexOf(best)], 'fuzzy', `from the option text (${best} spelling difference${best === 1 ? '' : 's'})`);
+        }
+    }
+
+    return decision(false, 'none', expected, null, `"${given}" does not match any option letter or option text.`);
+}
+
+// Matches a typed answer to an MCQ or FIB question using the quiz's matching settings
+export function matchAnswer(question, userAnswer, settings = DEFAULT_MATCHING_SETTINGS) {
+    const given = typeof userAnswer === 'string' ? userAnswer : String(userAnswer ?? '');
+    if (!given.trim()) {
+        return decision(false, 'blank', question.type === 'MCQ' ? resolveMcqAnswerLetter(question.answer, question.options) || question.answer : question.answer, null, 'No answer given.');
+    }
+    return question.type === 'MCQ'
+        ? matchMcq(question, given, settings)
+        : matchFib(question, given, settings);
+}
@@ -0,0 +1,174 @@
+import { dbAll, dbGet, dbRun, parseJson, withTransaction } from '../db/helpers.js';
+import { DESCRIPTIVE_PASS_SCORE } from './practice.js';
+
+// --- Grade reviews and overrides ---
+// Answers whose grade shouldn't be taken on trust go into a review queue for the owner of the
+// quiz: AI grading failed, its confidence was low, or the student disputed it. A reviewer
+// either keeps the grade (resolves the review) or overrides it with a score, feedback and a
+// comment. An override updates the answer and the result's percentage, keeps the AI grade with
+// its rubric breakdown and samples in the answer's details (`ai_grade`) and is logged in
+// grade_overrides, so both stay on record.
+// Reviewers never review their own results. Answers are addressed by result id and position
+// (1-based, quiz order), as the results pages list them. Tables: db/migrations/012-grade-reviews.js.
+
+export const MAX_REVIEW_NOTE_LENGTH = 1000;
+export const MAX_OVERRIDE_FEEDBACK_LENGTH = 5000;
+// Answer details that explain how the AI came to its score; an override moves them to `ai_grade`
+const AI_GRADE_DETAILS = ['rubric_scores', 'grading'];
+
+// An answer, its result and quiz, where `reviewerId` owns the quiz and didn't submit the result
+const REVIEWABLE_ANSWER = `FROM answers a JOIN results r ON r.id = a.result_id JOIN quizzes q ON q.id = r.quiz_id JOIN users u ON u.id = r.user_id
+    WHERE q.user_id = ? AND r.user_id != ?`;
+
+const rowToReview = (row) => ({
+    id: row.review_id,
+    reason: row.reason,
+    note: row.note,
+    created_at: row.created_at,
+    result_id: row.result_id,
+    quiz: { id: row.quiz_id, quiz_type: row.quiz_type, class: row.class, subject: row.subject, chapters: row.chapters },
+    student: { id: row.student_id, username: row.username },
+    answer: {
+        ...parseJson(row.details, {}),
+        position: row.position,
+        type: row.type,
+        question: row.question,
+        correct_answer: row.correct_answer,
+        user_answer: row.user_answer,
+        score: row.score,
+        is_correct: Boolean(row.is_correct),
+        feedback: row.feedback,
+    },
+});
+
+// The percentage a result scores with its answers as they are now (each answer is out of 10)
+const RESCORE_RESULT = `UPDATE results SET score = (SELECT COALESCE(SUM(score), 0) * 10.0 / COUNT(*) FROM answers WHERE result_id = ?) WHERE id = ?`;
+
+export function createGradeReviews(db) {
+    return {
+        // Opens reviews for answers of a just-saved result: `flags` are { position (1-based,
+        // as saved), reason, note }. Answers that already have an open review keep it.
+        async flag(resultId, flags) {
+            for (const { position, reason, note = null } of flags) {
+                await dbRun(db,
+                    `INSERT OR IGNORE INTO grade_reviews (answer_id, result_id, reason, note)
+                     SELECT id, result_id, ?, ? FROM answers WHERE result_id = ? AND position = ?`,
+                    [reason, note, resultId, position]
+                );
+            }
+        },
+
+        // The student who submitted the result disputes the grade of one of its answers. An
+        // open review of the answer becomes a dispute. Resolves to the review, or null when the
+        // answer isn't one of the user's.
+        async dispute(resultId, position, userId, note) {
+            const answer = await dbGet(db,
+                'SELECT a.id FROM answers a JOIN results r ON r.id = a.result_id WHERE r.id = ? AND a.position = ? AND r.user_id = ?',
+                [resultId, position, userId]
+            );
+            if (!answer) return null;
+            await withTransaction(db, async () => {
+                const { changes } = await dbRun(db,
+                    `UPDATE grade_reviews SET reason = 'disputed', note = ? WHERE answer_id = ? AND status = 'open'`,
+                    [note, answer.id]
+                );
+                if (!changes) {
+                    await dbRun(db, `INSERT INTO grade_reviews (answer_id, result_id, reason, note) VALUES (?, ?, 'disputed', ?)`, [answer.id, resultId, note]);
+                }
+            });
+            return dbGet(db, `SELECT id, reason, note, created_at FROM grade_reviews WHERE answer_id = ? AND status = 'open'`, [answer.id]);
+        },
+
+        // Open reviews on the reviewer's quizzes, oldest first
+        async listOpen(reviewerId) {
+            const rows = await dbAll(db,
+                `SELECT g.id AS review_id, g.reason, g.note, g.created_at, g.result_id,
+                        a.position, a.type, a.question, a.correct_answer, a.user_answer, a.score, a.is_correct, a.feedback, a.details,
+                        q.id AS quiz_id, q.quiz_type, q."class", q.subject, q.chapters, u.id AS student_id, u.username
+                 FROM grade_reviews g JOIN answers a ON a.id = g.answer_id JOIN results r ON r.id = a.result_id
+                      JOIN quizzes q ON q.id = r.quiz_id JOIN users u ON u.id = r.user_id
+                 WHERE g.status = 'open' AND q.user_id = ? AND r.user_id != ?
+                 ORDER BY g.created_at, g.id`,
+                [reviewerId, reviewerId]
+            );
+            return rows.map(rowToReview);
+        },
+
+        // The answer as the reviewer may change it, or null
+        async getReviewableAnswer(resultId, position, reviewerId) {
+            return dbGet(db, `SELECT a.* ${REVIEWABLE_ANSWER} AND r.id = ? AND a.position = ?`, [reviewerId, reviewerId, resultId, position]);
+        },
+
+        // Replaces the grade of the answer (from getReviewableAnswer). MCQ/FIB answers are correct
+        // at 10 points and wrong at 0, Descriptive ones from the pass score up. Resolves to
+        // { result_id, position, score, result_score }.
+        async override(answer, { reviewerId, score, feedback, comment }) {
+            const details = parseJson(answer.details, {});
+            const isCorrect = answer.type === 'Descriptive' ? score >= DESCRIPTIVE_PASS_SCORE : score === 10;
+            const now = new Date().toISOString();
+            const updated = Object.fromEntries(Object.entries(details).filter(([key]) => !AI_GRADE_DETAILS.includes(key)));
+            // The first override keeps what the AI (or answer matching) decided
+            updated.ai_grade = details.ai_grade ?? {
+                score: answer.score,
+                is_correct: Boolean(answer.is_correct),
+                feedback: answer.feedback,
+                ...Object.fromEntries(AI_GRADE_DETAILS.filter(key => key in details).map(key => [key, details[key]])),
+            };
+            updated.override = { score, feedback, comment, reviewer_id: reviewerId, overridden_at: now };
+            return withTransaction(db, async () => {
+                await dbRun(db,
+                    'INSERT INTO grade_overrides (answer_id, result_id, reviewer_id, previous_score, previous_feedback, score, feedback, comment) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [answer.id, answer.result_id, reviewerId, answer.score, answer.feedback, score, feedback, comment]
+                );
+                await dbRun(db,
+                    'UPDATE answers SET score = ?, is_correct = ?, feedback = ?, details = ? WHERE id = ?',
+                    [score, isCorrect ? 1 : 0, feedback, JSON.stringify(updated), answer.id]
+                );
+                await dbRun(db,
+                    `UPDATE grade_reviews SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ? WHERE answer_id = ? AND status = 'open'`,
+                    [reviewerId, answer.id]
+                );
+                await dbRun(db, RESCORE_RESULT, [answer.result_id, answer.result_id]);
+                const { score: resultScore } = await dbGet(db, 'SELECT score FROM results WHERE id = ?', [answer.result_id]);
+                return { result_id: answer.result_id, position: answer.position, score, result_score: resultScore };
+            });
+        },
+
+        // Closes an open review and keeps the grade as it is. Resolves to false when there is no
+        // such review on the reviewer's quizzes.
+        async resolve(reviewId, reviewerId) {
+            const { changes } = await dbRun(db,
+                `UPDATE grade_reviews SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+                 WHERE id = ? AND status = 'open' AND answer_id IN (SELECT a.id ${REVIEWABLE_ANSWER})`,
+                [reviewerId, reviewId, reviewerId, reviewerId]
+            );
+            return changes > 0;
+        },
+
+        // The open review and override history (oldest first) of each answer of a result,
+        // keyed by position
+        async forResult(resultId) {
+            const [reviews, overrides] = await Promise.all([
+                dbAll(db,
+                    `SELECT g.id, a.position, g.reason, g.note, g.created_at FROM grade_reviews g JOIN answers a ON a.id = g.answer_id
+                     WHERE g.result_id = ? AND g.status = 'open'`,
+                    [resultId]
+                ),
+                dbAll(db,
+                    `SELECT a.position, o.previous_score, o.previous_feedback, o.score, o.feedback, o.comment, o.created_at, u.username AS reviewer
+                     FROM grade_overrides o JOIN answers a ON a.id = o.answer_id LEFT JOIN users u ON u.id = o.reviewer_id
+                     WHERE o.result_id = ? ORDER BY o.created_at, o.id`,
+                    [resultId]
+                ),
+            ]);
+            const byPosition = new Map();
+            const entry = (position) => {
+                if (!byPosition.has(position)) byPosition.set(position, { review: null, grade_history: [] });
+                return byPosition.get(position);
+            };
+            reviews.forEach(({ position, ...review }) => { entry(position).review = review; });
+            overrides.forEach(({ position, ...override }) => { entry(position).grade_history.push(override); });
+            return byPosition;
+        },
+    };
+}
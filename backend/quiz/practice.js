@@ -0,0 +1,152 @@
+import { dbAll } from '../db/helpers.js';
+import { rowToQuestion } from './store.js';
+import { splitChapters } from './progress.js';
+import { QUESTION_TYPES } from './schema.js';
+
+// --- Adaptive practice ---
+// Plans a "practice my weak spots" quiz from the answers a user got wrong: the subject they
+// miss most in (or the one they pick), its chapters and question types with the highest miss
+// rates, a difficulty that follows their mastery of the subject, and retries of questions
+// they still haven't got right.
+
+export const DEFAULT_PRACTICE_QUESTIONS = 10;
+export const MAX_PRACTICE_QUESTIONS = 20;
+const RETRY_SHARE = 0.3; // At most this share of a practice quiz is retries
+export const DESCRIPTIVE_PASS_SCORE = 6; // A Descriptive answer below this (of 10) counts as missed
+const FOCUS_CHAPTERS = 3;
+const MISSED_EXAMPLES = 5; // Missed questions quoted to the model as concepts to revisit
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// A graded answer ({ type, score, is_correct }) the user got wrong
+export const isMissed = (answer) => (answer.type === 'Descriptive' ? answer.score < DESCRIPTIVE_PASS_SCORE : !answer.is_correct);
+
+// Subject mastery -> the difficulty of the new questions
+const difficultyFor = (mastery) => (mastery < 40 ? 'easy' : mastery < 70 ? 'medium' : 'hard');
+
+// Number of questions requested -> integer between 1 and MAX_PRACTICE_QUESTIONS
+export function parsePracticeSize(value) {
+    if (value === undefined || value === null || value === '') return { value: DEFAULT_PRACTICE_QUESTIONS };
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PRACTICE_QUESTIONS) {
+        return { error: `Number of questions must be a whole number between 1 and ${MAX_PRACTICE_QUESTIONS}.` };
+    }
+    return { value: count };
+}
+
+// Answers and misses per name, highest miss rate first (only names with misses)
+function missRates(entries, key) {
+    const stats = new Map(); // lower-cased name -> { name, answers, misses }
+    for (const entry of entries) {
+        for (const name of key(entry)) {
+            const stat = stats.get(name.toLowerCase()) ?? { name, answers: 0, misses: 0 };
+            stat.answers++;
+            if (entry.missed) stat.misses++;
+            stats.set(name.toLowerCase(), stat);
+        }
+    }
+    return [...stats.values()]
+        .filter(stat => stat.misses > 0)
+        .map(stat => ({ ...stat, miss_rate: round1((stat.misses / stat.answers) * 100) }))
+        .sort((a, b) => b.miss_rate - a.miss_rate || b.misses - a.misses);
+}
+
+// Splits `total` across `types` in proportion to their misses (largest remainder first);
+// MCQ when no type is known
+function allocate(total, types) {
+    if (!types.length) return total > 0 ? [{ type: 'MCQ', count: total }] : [];
+    const misses = types.reduce((sum, type) => sum + type.misses, 0);
+    const shares = types.map(type => ({ type: type.name, exact: (total * type.misses) / misses }));
+    const sections = shares.map(share => ({ type: share.type, count: Math.floor(share.exact) }));
+    let left = total - sections.reduce((sum, section) => sum + section.count, 0);
+    for (const index of shares.map((_, i) => i).sort((a, b) => (shares[b].exact % 1) - (shares[a].exact % 1))) {
+        if (left-- <= 0) break;
+        sections[index].count++;
+    }
+    return sections.filter(section => section.count > 0);
+}
+
+export function createPracticePlanner(db) {
+    // Every graded answer of the user, oldest first, with the quiz it was given on
+    const loadAnswers = async (userId) => {
+        const rows = await dbAll(db,
+            `SELECT a.question_id, a.type, a.question, a.score, a.is_correct, r.quiz_id, r.submitted_at,
+                    q."class", q.curriculum, q.subject, q.chapters
+             FROM answers a JOIN results r ON r.id = a.result_id JOIN quizzes q ON q.id = r.quiz_id
+             WHERE r.user_id = ? ORDER BY r.submitted_at, r.rowid, a.position`,
+            [userId]
+        );
+        return rows.map(row => {
+            const answer = { ...row, subject: String(row.subject ?? '').trim(), is_correct: Boolean(row.is_correct) };
+            return { ...answer, missed: isMissed(answer) };
+        });
+    };
+
+    // Missed questions the user hasn't answered correctly since, newest miss first, as they
+    // are now (questions edited away or deleted are skipped). Questions of `heldQuizIds` are
+    // left out, as a retry copies the answer into a quiz the user owns.
+    const loadRetries = async (answers, limit, heldQuizIds) => {
+        const latest = new Map(); // question id -> latest answer to it
+        for (const answer of answers) {
+            if (answer.question_id) latest.set(answer.question_id, answer);
+        }
+        const stillMissed = [...latest.values()]
+            .filter(answer => answer.missed && !heldQuizIds.includes(answer.quiz_id))
+            .reverse()
+            .map(answer => answer.question_id);
+        if (!stillMissed.length || limit <= 0) return [];
+        const rows = await dbAll(db,
+            `SELECT * FROM questions WHERE id IN (${stillMissed.map(() => '?').join(', ')})`,
+            stillMissed
+        );
+        const byId = new Map(rows.map(row => [row.id, rowToQuestion(row)]));
+        return stillMissed.map(id => byId.get(id)).filter(Boolean).slice(0, limit);
+    };
+
+    return {
+        // The practice plan for the user, or null when they have nothing to practise (in
+        // `subject`, if given). `size` is the number of questions the quiz should have;
+        // questions of `heldQuizIds` (quizzes the user can still submit) aren't retried.
+        async planFor(userId, { subject = null, size = DEFAULT_PRACTICE_QUESTIONS, heldQuizIds = [] } = {}) {
+            const answers = await loadAnswers(userId);
+            const subjects = missRates(answers, answer => [answer.subject || 'Other']);
+            const chosen = subject
+                ? subjects.find(s => s.name.toLowerCase() === String(subject).trim().toLowerCase())
+                : [...subjects].sort((a, b) => b.misses - a.misses)[0];
+            if (!chosen) return null;
+
+            const inSubject = answers.filter(answer => (answer.subject || 'Other').toLowerCase() === chosen.name.toLowerCase());
+            const latest = inSubject[inSubject.length - 1];
+            const chapters = missRates(inSubject, answer => splitChapters(answer.chapters)).slice(0, FOCUS_CHAPTERS);
+            const types = missRates(inSubject, answer => (QUESTION_TYPES.includes(answer.type) ? [answer.type] : []));
+            const mastery = round1((inSubject.reduce((sum, answer) => sum + answer.score, 0) / (inSubject.length * 10)) * 100);
+
+            const retries = await loadRetries(inSubject, Math.floor(size * RETRY_SHARE), heldQuizIds);
+            const missedExamples = [...new Set(inSubject.filter(answer => answer.missed).reverse().map(answer => answer.question))]
+                .slice(0, MISSED_EXAMPLES);
+
+            return {
+                subject: chosen.name,
+                class: latest.class,
+                curriculum: latest.curriculum,
+                mastery,
+                difficulty: difficultyFor(mastery),
+                answers: inSubject.length,
+                misses: chosen.misses,
+                chapters, // Focus chapters, highest miss rate first (empty when the quizzes listed none)
+                topic: chapters.map(c => c.name).join(', ') || latest.chapters, // Chapters to generate questions on
+                types,
+                sections: allocate(size - retries.length, types), // New questions per type
+                retry_questions: retries,
+                missed_examples: missedExamples,
+                subjects: subjects.map(s => s.name).sort((a, b) => a.localeCompare(b)), // Subjects with misses to pick from
+            };
+        },
+
+        // The quizzes the user has submitted
+        async answeredQuizIds(userId) {
+            const rows = await dbAll(db, 'SELECT DISTINCT quiz_id FROM results WHERE user_id = ?', [userId]);
+            return rows.map(row => row.quiz_id);
+        },
+    };
+}
@@ -0,0 +1,113 @@
+import { dbAll } from '../db/helpers.js';
+
+// --- Personal progress ---
+// A user's mastery of each subject and chapter, from the graded answers of their own
+// submissions. Mastery is the share of the points earned (every question is worth 10), so
+// Descriptive answers count with their partial scores. Questions aren't tagged with a single
+// chapter: an answer counts towards every chapter listed on its quiz.
+
+export const MASTERY_TARGET = 70; // Below this a chapter is weak
+export const MIN_CHAPTER_ANSWERS = 3; // Fewer answers are too little to call a chapter weak
+const RECENT_SUBMISSIONS = 3; // The trend compares these with the submissions before them
+const WEAKEST_CHAPTERS = 3;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// "Algebra, Geometry; Trigonometry" -> ['Algebra', 'Geometry', 'Trigonometry']
+export const splitChapters = (chapters) =>
+    String(chapters ?? '').split(/[,;\n]/).map(chapter => chapter.trim()).filter(Boolean);
+
+const masteryOf = (entries) => {
+    const questions = entries.reduce((sum, entry) => sum + entry.questions, 0);
+    return questions ? round1((entries.reduce((sum, entry) => sum + entry.points, 0) / (questions * 10)) * 100) : null;
+};
+
+// Mastery over the latest submissions minus mastery over the ones before; null until there
+// are earlier submissions to compare with
+const trendOf = (entries) => {
+    if (entries.length <= RECENT_SUBMISSIONS) return null;
+    return round1(masteryOf(entries.slice(-RECENT_SUBMISSIONS)) - masteryOf(entries.slice(0, -RECENT_SUBMISSIONS)));
+};
+
+// Groups values under case-insensitive names, keeping the first spelling seen
+function bucket(map, name, create) {
+    const key = name.toLowerCase();
+    if (!map.has(key)) map.set(key, create(name));
+    return map.get(key);
+}
+
+const summarize = (entries) => ({
+    mastery: masteryOf(entries),
+    answers: entries.reduce((sum, entry) => sum + entry.questions, 0),
+    submissions: entries.length,
+    trend: trendOf(entries),
+    last_practiced_at: entries[entries.length - 1].submitted_at,
+});
+
+export function createProgressTracker(db) {
+    return {
+        // The user's progress: overall and per subject/chapter mastery, a timeline of their
+        // submissions with the running mastery of each subject, and their weakest chapters
+        async forUser(userId) {
+            const submissions = await dbAll(db,
+                `SELECT r.id AS result_id, r.quiz_id, r.score, r.submitted_at, q.subject, q.chapters,
+                        COUNT(a.id) AS questions, COALESCE(SUM(a.score), 0) AS points
+                 FROM results r JOIN quizzes q ON q.id = r.quiz_id JOIN answers a ON a.result_id = r.id
+                 WHERE r.user_id = ? GROUP BY r.id ORDER BY r.submitted_at, r.rowid`,
+                [userId]
+            );
+
+            const subjects = new Map(); // lower-cased subject -> { subject, entries, chapters }
+            const timeline = [];
+            for (const submission of submissions) {
+                const subject = bucket(subjects, String(submission.subject ?? '').trim() || 'Other',
+                    name => ({ subject: name, entries: [], chapters: new Map() }));
+                subject.entries.push(submission);
+                for (const name of splitChapters(submission.chapters)) {
+                    bucket(subject.chapters, name, chapter => ({ chapter, entries: [] })).entries.push(submission);
+                }
+                timeline.push({
+                    result_id: submission.result_id,
+                    quiz_id: submission.quiz_id,
+                    submitted_at: submission.submitted_at,
+                    subject: subject.subject,
+                    score: submission.score,
+                    // Running mastery of every subject practiced so far
+                    mastery: Object.fromEntries([...subjects.values()].map(s => [s.subject, masteryOf(s.entries)])),
+                });
+            }
+
+            const subjectSummaries = [...subjects.values()]
+                .map(({ subject, entries, chapters }) => ({
+                    subject,
+                    ...summarize(entries),
+                    chapters: [...chapters.values()]
+                        .map(({ chapter, entries: chapterEntries }) => {
+                            const summary = summarize(chapterEntries);
+                            return {
+                                chapter,
+                                ...summary,
+                                weak: summary.answers >= MIN_CHAPTER_ANSWERS && summary.mastery < MASTERY_TARGET,
+                            };
+                        })
+                        .sort((a, b) => a.mastery - b.mastery || a.chapter.localeCompare(b.chapter)),
+                }))
+                .sort((a, b) => a.subject.localeCompare(b.subject));
+
+            const weakestChapters = subjectSummaries
+                .flatMap(({ subject, chapters }) => chapters.filter(c => c.weak).map(c => ({ subject, ...c })))
+                .sort((a, b) => a.mastery - b.mastery || b.answers - a.answers)
+                .slice(0, WEAKEST_CHAPTERS);
+
+            return {
+                mastery_target: MASTERY_TARGET,
+                mastery: masteryOf(submissions),
+                answers: submissions.reduce((sum, s) => sum + s.questions, 0),
+                submissions: submissions.length,
+                subjects: subjectSummaries,
+                timeline,
+                weakest_chapters: weakestChapters,
+            };
+        },
+    };
+}
@@ -0,0 +1,144 @@
+import { dbAll, dbGet, dbRun, parseJson, withTransaction } from '../db/helpers.js';
+import { applyScoringPolicy, resolveAttemptSettings } from './attempts.js';
+
+// --- Result storage ---
+// A graded submission (`results`) and one `answers` row per question. Each answer keeps a
+// copy of the question text and correct answer it was graded against, since the question
+// itself can change or disappear later. The part of the answer sheet an answer was graded on
+// is kept in its details; results saved before sheets were split fall back to the whole text.
+
+const NO_EXTRACTED_TEXT = 'No text extracted or uploaded.';
+
+const ANSWER_COLUMNS = ['question_id', 'question', 'type', 'user_answer', 'correct_answer', 'explanation', 'score', 'is_correct', 'feedback', 'correct_parts', 'improvements'];
+
+const asText = (value) => {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// Row -> the evaluation item shape grading produces (and the results page reads)
+const rowToAnswer = (row, extractedText) => ({
+    extracted_pdf_text_used: extractedText || NO_EXTRACTED_TEXT,
+    ...parseJson(row.details, {}),
+    question_id: row.question_id,
+    question: row.question,
+    type: row.type,
+    correct_answer: row.correct_answer,
+    explanation: row.explanation,
+    user_answer: row.user_answer,
+    score: row.score,
+    feedback: row.feedback,
+    correct_parts: row.correct_parts,
+    improvements: row.improvements,
+    is_correct: Boolean(row.is_correct),
+});
+
+export function createResultStore(db) {
+    return {
+        // Saves a graded submission. `answers` are evaluation items in question order;
+        // `attemptId` is the exam session it was submitted from, if any, and `ocr` how the
+        // uploaded answer sheet was read.
+        async saveResult({ id, userId, quizId, attemptId = null, score, extractedText, ocr = null, answers }) {
+            await withTransaction(db, async () => {
+                await dbRun(db,
+                    'INSERT INTO results (id, user_id, quiz_id, attempt_id, score, extracted_text, ocr, submitted_at) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+                    [id, userId, quizId, attemptId, score, extractedText || null, ocr ? JSON.stringify(ocr) : null]
+                );
+                for (const [index, answer] of answers.entries()) {
+                    const details = Object.fromEntries(Object.entries(answer).filter(([key]) => !ANSWER_COLUMNS.includes(key)));
+                    await dbRun(db,
+                        'INSERT INTO answers (result_id, question_id, position, type, question, user_answer, correct_answer, explanation, score, is_correct, feedback, correct_parts, improvements, details) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                        [
+                            id, answer.question_id ?? null, index + 1,
+                            asText(answer.type), asText(answer.question), asText(answer.user_answer),
+                            asText(answer.correct_answer), asText(answer.explanation),
+                            Number(answer.score) || 0,
+                            answer.is_correct ? 1 : 0,
+                            asText(answer.feedback), asText(answer.correct_parts), asText(answer.improvements),
+                            Object.keys(details).length ? JSON.stringify(details) : null,
+                        ]
+                    );
+                }
+            });
+        },
+
+        // Scores of the user's results for the quiz, in the order they were submitted
+        async listScores(quizId, userId) {
+            const rows = await dbAll(db,
+                'SELECT score FROM results WHERE quiz_id = ? AND user_id = ? ORDER BY submitted_at, rowid',
+                [quizId, userId]
+            );
+            return rows.map(row => row.score);
+        },
+
+        // The user's results grouped by quiz, most recently taken quiz first. Each group has
+        // the quiz score under its scoring policy and the attempts oldest first, with the
+        // change in score since the previous attempt.
+        async listByQuiz(userId) {
+            const rows = await dbAll(db,
+                `SELECT r.id AS result_id, r.attempt_id, r.score, r.submitted_at,
+                        q.id AS quiz_id, q.quiz_type, q."class", q.curriculum, q.subject, q.chapters, q.settings,
+                        MAX(0, CAST(ROUND((julianday(a.submitted_at) - julianday(a.started_at)) * 86400) AS INTEGER)) AS time_taken_seconds,
+                        a.auto_submitted
+                 FROM results r JOIN quizzes q ON r.quiz_id = q.id LEFT JOIN attempts a ON a.id = r.attempt_id
+                 WHERE r.user_id = ? ORDER BY r.submitted_at, r.rowid`,
+                [userId]
+            );
+
+            const groups = new Map(); // quiz id -> group
+            for (const row of rows) {
+                let group = groups.get(row.quiz_id);
+                if (!group) {
+                    const { max_attempts, scoring_policy } = resolveAttemptSettings(parseJson(row.settings, {}));
+                    group = {
+                        quiz_id: row.quiz_id,
+                        quiz_type: row.quiz_type,
+                        class: row.class,
+                        curriculum: row.curriculum,
+                        subject: row.subject,
+                        chapters: row.chapters,
+                        scoring_policy,
+                        max_attempts,
+                        attempts: [],
+                    };
+                    groups.set(row.quiz_id, group);
+                }
+                const previous = group.attempts[group.attempts.length - 1];
+                group.attempts.push({
+                    attempt_number: group.attempts.length + 1,
+                    result_id: row.result_id,
+                    attempt_id: row.attempt_id,
+                    score: row.score,
+                    change: previous ? row.score - previous.score : null,
+                    submitted_at: row.submitted_at,
+                    time_taken_seconds: row.time_taken_seconds,
+                    auto_submitted: Boolean(row.auto_submitted),
+                });
+            }
+
+            return [...groups.values()]
+                .map(group => ({
+                    ...group,
+                    attempt_count: group.attempts.length,
+                    score: applyScoringPolicy(group.attempts.map(a => a.score), group.scoring_policy),
+                    last_submitted_at: group.attempts[group.attempts.length - 1].submitted_at,
+                }))
+                .sort((a, b) => b.last_submitted_at.localeCompare(a.last_submitted_at));
+        },
+
+        // The result with its graded answers as `feedback`, or null. Visible to whoever
+        // submitted it and to the owner of the quiz (a teacher reviewing a student's work).
+        async getResult(resultId, userId) {
+            const row = await dbGet(db,
+                `SELECT r.id, r.quiz_id, r.user_id, u.username, r.score, r.extracted_text, r.ocr, r.submitted_at
+                 FROM results r JOIN quizzes q ON q.id = r.quiz_id JOIN users u ON u.id = r.user_id
+                 WHERE r.id = ? AND (r.user_id = ? OR q.user_id = ?)`,
+                [resultId, userId, userId]
+            );
+            if (!row) return null;
+            const answers = await dbAll(db, 'SELECT * FROM answers WHERE result_id = ? ORDER BY position', [resultId]);
+            const { extracted_text, ocr, ...result } = row;
+            return { ...result, ocr: parseJson(ocr, null), feedback: answers.map(answer => rowToAnswer(answer, extracted_text)) };
+        },
+    };
+}
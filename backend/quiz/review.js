@@ -0,0 +1,143 @@
+import { dbAll, dbGet, dbRun, parseJson, withTransaction } from '../db/helpers.js';
+import { rowToQuestion } from './store.js';
+import { isMissed } from './practice.js';
+
+// --- Review deck ---
+// Every question a user misses goes into their review deck (see isMissed in practice.js)
+// and comes back on an SM-2 schedule: each review is rated 0-5, a rating below 3 starts the
+// card over, and otherwise the interval grows 1 day -> 6 days -> previous interval x ease.
+// Missing the question again in a quiz also starts the card over.
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+export const PASSING_QUALITY = 3;
+export const MAX_DUE_CARDS = 50;
+
+// Self-graded ratings -> SM-2 quality
+export const REVIEW_RATINGS = { again: 1, hard: 3, good: 4, easy: 5 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The schedule after a review rated `quality` (0-5) at `now`
+export function schedule(card, quality, now = new Date()) {
+    const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    if (quality < PASSING_QUALITY) {
+        return { ease, repetitions: 0, interval_days: 1, lapses: card.lapses + 1, due_at: new Date(now.getTime() + DAY_MS).toISOString() };
+    }
+    const repetitions = card.repetitions + 1;
+    const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.interval_days * ease);
+    return { ease, repetitions, interval_days: interval, lapses: card.lapses, due_at: new Date(now.getTime() + interval * DAY_MS).toISOString() };
+}
+
+// Row -> card, with the question as the rest of the server works with it (id = the source question)
+const rowToCard = (row) => ({
+    id: row.id,
+    question_id: row.question_id,
+    quiz_id: row.quiz_id,
+    question: rowToQuestion({ ...row, id: row.question_id }),
+    ease: row.ease,
+    interval_days: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    due_at: row.due_at,
+    last_reviewed_at: row.last_reviewed_at,
+    created_at: row.created_at,
+    quiz_settings: parseJson(row.quiz_settings, {}), // Answer matching of the quiz it came from, if it still exists
+});
+
+const CARD_SELECT = `SELECT c.*, z.settings AS quiz_settings FROM review_cards c LEFT JOIN quizzes z ON z.id = c.quiz_id`;
+
+export function createReviewDeck(db) {
+    return {
+        // Adds the questions the user missed in a graded submission (`answers`, the grading
+        // items) to their deck, due now. A practice-quiz retry counts as its original
+        // question. Resolves to the number of cards added or started over.
+        async addMissed(userId, quizId, questions, answers) {
+            const byId = new Map(questions.map(q => [q.id, q]));
+            const missed = answers.filter(answer => isMissed(answer) && byId.has(answer.question_id));
+            if (!missed.length) return 0;
+            const now = new Date().toISOString();
+            await withTransaction(db, async () => {
+                for (const answer of missed) {
+                    const { id, type, question, options, answer: correct, explanation, retry_of, ...extra } = byId.get(answer.question_id);
+                    await dbRun(db,
+                        `INSERT INTO review_cards (user_id, question_id, quiz_id, type, question, options, answer, explanation, extra, due_at)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                         ON CONFLICT(user_id, question_id) DO UPDATE SET quiz_id = excluded.quiz_id, type = excluded.type,
+                             question = excluded.question, options = excluded.options, answer = excluded.answer,
+                             explanation = excluded.explanation, extra = excluded.extra,
+                             repetitions = 0, interval_days = 0, lapses = lapses + 1, due_at = excluded.due_at`,
+                        [
+                            userId, retry_of || id, quizId, type, question,
+                            Array.isArray(options) ? JSON.stringify(options) : null,
+                            correct ?? null, explanation ?? null,
+                            Object.keys(extra).length ? JSON.stringify(extra) : null,
+                            now,
+                        ]
+                    );
+                }
+            });
+            return missed.length;
+        },
+
+        // Cards due by `now`, most overdue first, with the size of the deck and when the next
+        // card not yet due comes up. Cards from `heldQuizIds` are held back: they are left out
+        // of the batch and the due count, and `held_count` says how many of them are due.
+        async listDue(userId, now = new Date(), limit = MAX_DUE_CARDS, heldQuizIds = []) {
+            const nowIso = now.toISOString();
+            const held = heldQuizIds.length ? `IFNULL(c.quiz_id IN (${heldQuizIds.map(() => '?').join(', ')}), 0)` : '0';
+            const rows = await dbAll(db,
+                `${CARD_SELECT} WHERE c.user_id = ? AND c.due_at <= ? AND NOT ${held} ORDER BY c.due_at, c.id LIMIT ?`,
+                [userId, nowIso, ...heldQuizIds, limit]
+            );
+            const counts = await dbGet(db,
+                `SELECT COUNT(*) AS total, SUM(c.due_at <= ? AND NOT ${held}) AS due, SUM(c.due_at <= ? AND ${held}) AS held,
+                        MIN(CASE WHEN c.due_at > ? THEN c.due_at END) AS next_due_at
+                 FROM review_cards c WHERE c.user_id = ?`,
+                [nowIso, ...heldQuizIds, nowIso, ...heldQuizIds, nowIso, userId]
+            );
+            return {
+                cards: rows.map(rowToCard),
+                due_count: counts.due || 0,
+                held_count: counts.held || 0,
+                total_cards: counts.total,
+                next_due_at: counts.next_due_at,
+            };
+        },
+
+        // The quizzes the user's cards came from
+        async quizIds(userId) {
+            const rows = await dbAll(db, 'SELECT DISTINCT quiz_id FROM review_cards WHERE user_id = ? AND quiz_id IS NOT NULL', [userId]);
+            return rows.map(row => row.quiz_id);
+        },
+
+        async getCard(cardId, userId) {
+            const row = await dbGet(db, `${CARD_SELECT} WHERE c.id = ? AND c.user_id = ?`, [cardId, userId]);
+            return row ? rowToCard(row) : null;
+        },
+
+        // Records a review rated `quality` (0-5) by `method` ('self' or 'auto') and reschedules
+        // the card. Resolves to the updated card.
+        async recordReview(card, quality, { method, userAnswer = null, now = new Date() }) {
+            const next = schedule(card, quality, now);
+            const reviewedAt = now.toISOString();
+            await withTransaction(db, async () => {
+                await dbRun(db,
+                    `UPDATE review_cards SET ease = ?, repetitions = ?, interval_days = ?, lapses = ?, due_at = ?, last_reviewed_at = ? WHERE id = ?`,
+                    [next.ease, next.repetitions, next.interval_days, next.lapses, next.due_at, reviewedAt, card.id]
+                );
+                await dbRun(db,
+                    'INSERT INTO review_log (card_id, quality, method, user_answer, reviewed_at) VALUES (?, ?, ?, ?, ?)',
+                    [card.id, quality, method, userAnswer, reviewedAt]
+                );
+            });
+            return { ...card, ...next, last_reviewed_at: reviewedAt };
+        },
+
+        // Takes a card out of the deck. Resolves to false when it isn't the user's.
+        async removeCard(cardId, userId) {
+            const { changes } = await dbRun(db, 'DELETE FROM review_cards WHERE id = ? AND user_id = ?', [cardId, userId]);
+            return changes > 0;
+        },
+    };
+}
@@ -0,0 +1,43 @@
+// --- Rubric scoring ---
+// Descriptive answers are graded criterion by criterion. The model is asked for the points
+// it awards on each criterion of the question's rubric; scoreRubric() checks those numbers
+// against the rubric and turns them into the 0-10 question score grading works with.
+
+// Used for questions saved before rubrics existed (and bank questions without one)
+export const DEFAULT_RUBRIC = [
+    { criterion: 'Accuracy and completeness compared to the key points', points: 10 },
+];
+
+export const rubricFor = (question) => (Array.isArray(question.rubric) && question.rubric.length ? question.rubric : DEFAULT_RUBRIC);
+
+const criterionKey = (text) => String(text ?? '').trim().toLowerCase();
+
+// `awarded` is the model's list of { criterion, points, comment }. Items are matched to the
+// rubric by criterion text, else by position; points are clamped to 0..max for the criterion
+// and a criterion the model skipped gets 0.
+// Resolves to { rubric_scores: [{ criterion, points, max_points, comment }], earned, possible, score }
+// where `score` is earned/possible scaled to 0-10 (one decimal).
+export function scoreRubric(rubric, awarded) {
+    const items = Array.isArray(awarded) ? awarded.filter(item => item && typeof item === 'object') : [];
+    const byCriterion = new Map(items.map(item => [criterionKey(item.criterion), item]));
+
+    const rubricScores = rubric.map((criterion, index) => {
+        const item = byCriterion.get(criterionKey(criterion.criterion)) ?? items[index];
+        const points = Number(item?.points ?? item?.awarded);
+        return {
+            criterion: criterion.criterion,
+            points: Number.isFinite(points) ? Math.max(0, Math.min(criterion.points, Math.round(points * 2) / 2)) : 0,
+            max_points: criterion.points,
+            comment: typeof item?.comment === 'string' && item.comment.trim() ? item.comment.trim() : (item ? '' : 'Not assessed.'),
+        };
+    });
+
+    const earned = rubricScores.reduce((sum, item) => sum + item.points, 0);
+    const possible = rubricScores.reduce((sum, item) => sum + item.max_points, 0);
+    return {
+        rubric_scores: rubricScores,
+        earned,
+        possible,
+        score: possible ? Math.round((earned / possible) * 100) / 10 : 0,
+    };
+}
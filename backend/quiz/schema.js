@@ -0,0 +1,180 @@
+// --- Question schema ---
+// One place that knows what a well-formed question looks like for each type.
+// Generation (and anything else that writes questions) runs items through
+// normalizeQuestion() and then validateQuestion() before they are saved.
+
+export const QUESTION_TYPES = ['MCQ', 'FIB', 'Descriptive'];
+export const MCQ_OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+// Optional "difficulty" tag; anything else the model sends is dropped
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+// Descriptive questions are graded against a rubric: [{ criterion, points }, ...]
+export const MAX_RUBRIC_CRITERIA = 6;
+export const MAX_CRITERION_POINTS = 10;
+
+// --- Helper function to clean text (used for AI responses) ---
+export const cleanText = (text) => {
+    if (typeof text !== 'string') return text; // Return non-strings as is
+    // Replace newline characters with a space
+    let cleaned = text.replace(/[\n\r]/g, ' ');
+    // Replace specific non-standard spaces/separators and collapse remaining whitespace
+    cleaned = cleaned.replace(/[\u00A0\u200B-\u200F\u2028\u2029\uFEFF]/g, ' ');
+    cleaned = cleaned.replace(/\s+/g, ' ').trim();
+    // Remove common ASCII control characters (0x00 to 0x1F and 0x7F)
+    cleaned = cleaned.replace(/[\x00-\x1F\x7F]/g, '');
+    return cleaned;
+};
+
+// "A. Volt", "a) Volt", "(A) Volt" -> "Volt"
+export const stripOptionLabel = (option) => String(option).replace(/^\s*\(?[A-Da-d][.)]\s*/, '').trim();
+
+// Maps a stored MCQ answer onto its option letter.
+// Accepts "C", "C.", "C. Ampere", "(C)" or just the option text "Ampere". Returns null if nothing matches.
+export function resolveMcqAnswerLetter(answer, options) {
+    if (typeof answer !== 'string' || !Array.isArray(options)) return null;
+    const trimmed = answer.trim();
+    const letterMatch = trimmed.match(/^\(?([A-Da-d])(?:[.)]|$)/);
+    if (letterMatch) {
+        const letter = letterMatch[1].toUpperCase();
+        return MCQ_OPTION_LETTERS.indexOf(letter) < options.length ? letter : null;
+    }
+    const answerText = stripOptionLabel(trimmed).toLowerCase();
+    const index = options.findIndex(opt => stripOptionLabel(opt).toLowerCase() === answerText);
+    return index === -1 ? null : MCQ_OPTION_LETTERS[index];
+}
+
+// Canonical spelling of a type ("mcq" -> "MCQ", "descriptive" -> "Descriptive")
+const canonicalType = (type) => QUESTION_TYPES.find(t => t.toLowerCase() === String(type || '').trim().toLowerCase());
+
+// Cleans up an item as returned by the model. Does not reject anything; validateQuestion does that.
+export function normalizeQuestion(raw, expectedType) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+
+    const type = canonicalType(raw.type) || (raw.type === undefined ? expectedType : raw.type);
+    const question = {
+        ...raw, // Keep other properties the model may add
+        id: raw.id !== undefined && raw.id !== null && String(raw.id).trim() ? String(raw.id).trim() : undefined,
+        type,
+        question: cleanText(raw.question),
+        answer: typeof raw.answer === 'number' ? String(raw.answer) : cleanText(raw.answer),
+        explanation: cleanText(raw.explanation),
+    };
+
+    if (type === 'MCQ' && Array.isArray(raw.options)) {
+        // Re-label options consistently as "A. ...", "B. ..."
+        question.options = raw.options.map((opt, i) => {
+            const text = stripOptionLabel(cleanText(String(opt)));
+            return i < MCQ_OPTION_LETTERS.length ? `${MCQ_OPTION_LETTERS[i]}. ${text}` : text;
+        });
+        // Store the answer as the option letter so grading has one format to deal with
+        const letter = resolveMcqAnswerLetter(question.answer, question.options);
+        if (letter) question.answer = letter;
+    } else if (type !== 'MCQ') {
+        delete question.options;
+    }
+
+    // Other correct answers for a blank: cleaned, de-duplicated, without the answer itself
+    if (type === 'FIB' && raw.accepted_answers !== undefined) {
+        const list = Array.isArray(raw.accepted_answers) ? raw.accepted_answers : [raw.accepted_answers];
+        const seen = new Set([String(question.answer ?? '').toLowerCase()]);
+        question.accepted_answers = list
+            .map(item => (typeof item === 'number' ? String(item) : cleanText(item)))
+            .filter(item => typeof item === 'string' && item && !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()));
+        if (question.accepted_answers.length === 0) delete question.accepted_answers;
+    } else if (type !== 'FIB') {
+        delete question.accepted_answers;
+    }
+
+    // Rubric criteria: cleaned text, points as numbers ("3" -> 3). Models sometimes say
+    // "description" or "max_points" instead of "criterion" and "points". An empty list or
+    // null removes the rubric.
+    if (type === 'Descriptive' && (raw.rubric === null || (Array.isArray(raw.rubric) && raw.rubric.length === 0))) {
+        delete question.rubric;
+    } else if (type === 'Descriptive' && Array.isArray(raw.rubric)) {
+        question.rubric = raw.rubric.map((item) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+            const points = item.points ?? item.max_points;
+            return {
+                criterion: cleanText(item.criterion ?? item.description),
+                points: typeof points === 'string' && points.trim() ? Number(points) : points,
+            };
+        });
+    } else if (type !== 'Descriptive') {
+        delete question.rubric;
+    }
+
+    if (raw.difficulty !== undefined) {
+        const difficulty = String(raw.difficulty).trim().toLowerCase();
+        if (DIFFICULTY_LEVELS.includes(difficulty)) question.difficulty = difficulty;
+        else delete question.difficulty;
+    }
+
+    return question;
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Problems with a Descriptive question's rubric (empty list means valid)
+function validateRubric(rubric) {
+    if (!Array.isArray(rubric) || rubric.length === 0 || rubric.length > MAX_RUBRIC_CRITERIA) {
+        return [`Descriptive "rubric" must be an array of 1 to ${MAX_RUBRIC_CRITERIA} criteria.`];
+    }
+    const errors = [];
+    rubric.forEach((item, i) => {
+        if (!item || typeof item !== 'object' || !isNonEmptyString(item.criterion)) {
+            errors.push(`Rubric criterion ${i + 1} must have a non-empty "criterion".`);
+        } else if (!Number.isInteger(item.points) || item.points < 1 || item.points > MAX_CRITERION_POINTS) {
+            errors.push(`Rubric criterion ${i + 1} must have "points" as a whole number from 1 to ${MAX_CRITERION_POINTS}.`);
+        }
+    });
+    const criteria = rubric.map(item => String(item?.criterion ?? '').trim().toLowerCase());
+    if (new Set(criteria).size !== criteria.length) errors.push('Rubric criteria must be distinct.');
+    return errors;
+}
+
+// Returns a list of problems with the question (empty list means valid).
+// `expectedType` is the type the caller asked for; a mismatch is an error.
+// `requireRubric` makes the rubric mandatory for Descriptive questions (it is optional for
+// questions saved before rubrics existed, which are graded against a default one).
+export function validateQuestion(q, expectedType, { requireRubric = false } = {}) {
+    if (!q || typeof q !== 'object' || Array.isArray(q)) {
+        return ['Question must be a JSON object.'];
+    }
+
+    const errors = [];
+    if (!QUESTION_TYPES.includes(q.type)) {
+        errors.push(`"type" must be one of ${QUESTION_TYPES.join(', ')}.`);
+    } else if (expectedType && q.type !== expectedType) {
+        errors.push(`"type" must be "${expectedType}" but was "${q.type}".`);
+    }
+    if (!isNonEmptyString(q.question)) errors.push('"question" must be a non-empty string.');
+    if (!isNonEmptyString(q.answer)) errors.push('"answer" must be a non-empty string.');
+    if (q.explanation !== undefined && typeof q.explanation !== 'string') {
+        errors.push('"explanation" must be a string.');
+    }
+
+    if (q.type === 'MCQ') {
+        if (!Array.isArray(q.options) || q.options.length !== MCQ_OPTION_LETTERS.length) {
+            errors.push(`MCQ "options" must be an array of exactly ${MCQ_OPTION_LETTERS.length} strings.`);
+        } else {
+            const texts = q.options.map(opt => (typeof opt === 'string' ? stripOptionLabel(opt).toLowerCase() : ''));
+            if (texts.some(text => !text)) errors.push('MCQ options must be non-empty strings.');
+            if (new Set(texts).size !== texts.length) errors.push('MCQ options must be distinct.');
+            if (isNonEmptyString(q.answer) && !resolveMcqAnswerLetter(q.answer, q.options)) {
+                errors.push(`MCQ "answer" must be one of the option letters (${MCQ_OPTION_LETTERS.join(', ')}) or option texts.`);
+            }
+        }
+    } else if (q.type === 'FIB') {
+        if (q.options !== undefined) errors.push('FIB questions must not have "options".');
+        if (isNonEmptyString(q.answer) && q.answer.length > 100) {
+            errors.push('FIB "answer" must be a short word or phrase (100 characters max).');
+        }
+        if (q.accepted_answers !== undefined && (!Array.isArray(q.accepted_answers) || !q.accepted_answers.every(isNonEmptyString))) {
+            errors.push('FIB "accepted_answers" must be an array of non-empty strings.');
+        }
+    } else if (q.type === 'Descriptive') {
+        if (q.options !== undefined) errors.push('Descriptive questions must not have "options".');
+        if (q.rubric !== undefined || requireRubric) errors.push(...validateRubric(q.rubric));
+    }
+
+    return errors;
+}
@@ -0,0 +1,125 @@
+// --- Answer sheet segmentation ---
+// Splits the text read from an uploaded answer sheet into the answers to the quiz's
+// descriptive questions, so each one is graded against its own answer instead of the whole
+// sheet. A new answer starts at a line beginning with a question number ("Q3", "Question 3:",
+// "Ans 3", or a bare "3." / "3)" when the sheet has no labelled numbers) or at a heading that
+// restates a question. Numbers are quiz positions (1 = first question), as TakeQuiz shows
+// them. segmentAnswerSheet() returns { segments, unassigned }:
+//   segments:   [{ question_id, number, text, matched_by }], one per descriptive question;
+//               matched_by is 'number', 'heading', 'whole-sheet' or null (nothing found)
+//   unassigned: text before the first answer, or under a question that isn't descriptive
+// The student reviews this on TakeQuiz and submits the corrected mapping.
+
+export const MAX_SEGMENT_LENGTH = 20000;
+
+// "Q1", "Q.1", "Q 1)", "Question 1:", "Question No. 1", "Ans 1", "Answer 1 -"
+const LABELLED_MARKER = /^\s*(?:q(?:uestion|ues)?|ans(?:wer)?)\s*\.?\s*(?:no\.?\s*)?(\d{1,3})\b\s*[.):\-–]?\s*/i;
+// "1.", "1)", "(1)" followed by a space
+const NUMBERED_MARKER = /^\s*\(?(\d{1,3})\s*[.)]\s+/;
+
+// Share of a question's words a line needs to count as a heading for it
+const HEADING_MIN_OVERLAP = 0.6;
+const HEADING_MAX_LENGTH = 200;
+
+const words = (text) => new Set(
+    text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/).filter(word => word.length > 2)
+);
+
+// The question a short line restates, if any
+function headingFor(line, questionWords) {
+    if (line.length > HEADING_MAX_LENGTH) return null;
+    const lineWords = words(line);
+    let best = null;
+    for (const [index, wanted] of questionWords.entries()) {
+        if (wanted.size < 3) continue;
+        const shared = [...wanted].filter(word => lineWords.has(word)).length / wanted.size;
+        if (shared >= HEADING_MIN_OVERLAP && (!best || shared > best.shared)) best = { index, shared };
+    }
+    return best?.index ?? null;
+}
+
+// Where each answer starts: [{ line, index (question position, 0-based), rest, matched_by }]
+function findMarkers(lines, questions) {
+    const questionWords = questions.map(q => words(q.question || ''));
+    const found = lines.map((line, lineIndex) => {
+        const labelled = line.match(LABELLED_MARKER);
+        if (labelled) return { line: lineIndex, number: Number(labelled[1]), rest: line.slice(labelled[0].length), labelled: true };
+        const numbered = line.match(NUMBERED_MARKER);
+        if (numbered) return { line: lineIndex, number: Number(numbered[1]), rest: line.slice(numbered[0].length), labelled: false };
+        const heading = headingFor(line, questionWords);
+        return heading === null ? null : { line: lineIndex, number: heading + 1, rest: '', heading: true };
+    }).filter(Boolean);
+
+    // Bare numbers are often list items inside an answer; only trust them without labels
+    const anyLabelled = found.some(marker => marker.labelled);
+    const markers = [];
+    for (const marker of found) {
+        if (anyLabelled && marker.labelled === false) continue;
+        if (marker.number < 1 || marker.number > questions.length) continue;
+        // Answers come in quiz order; a number going backwards is part of the answer text
+        const last = markers[markers.length - 1];
+        if (last && marker.number <= last.index + 1) continue;
+        markers.push({ line: marker.line, index: marker.number - 1, rest: marker.rest, matched_by: marker.heading ? 'heading' : 'number' });
+    }
+    return markers;
+}
+
+export function segmentAnswerSheet(text, questions) {
+    const descriptive = questions
+        .map((question, index) => ({ question, number: index + 1 }))
+        .filter(({ question }) => question.type === 'Descriptive');
+    const segments = new Map(descriptive.map(({ question, number }) => [question.id, { question_id: question.id, number, text: '', matched_by: null }]));
+    const unassigned = [];
+
+    const lines = (text || '').split(/\r?\n/);
+    const markers = findMarkers(lines, questions);
+
+    if (markers.length === 0) {
+        // Nothing to split on: a sheet for a single written question is all its answer
+        const whole = (text || '').trim();
+        if (descriptive.length === 1 && whole) {
+            Object.assign(segments.get(descriptive[0].question.id), { text: whole, matched_by: 'whole-sheet' });
+        } else if (whole) {
+            unassigned.push(whole);
+        }
+    } else {
+        const before = lines.slice(0, markers[0].line).join('\n').trim();
+        if (before) unassigned.push(before);
+        markers.forEach((marker, i) => {
+            const end = markers[i + 1]?.line ?? lines.length;
+            const body = [marker.rest, ...lines.slice(marker.line + 1, end)].join('\n').trim();
+            const segment = segments.get(questions[marker.index].id);
+            if (!segment) {
+                if (body) unassigned.push(body);
+                return;
+            }
+            Object.assign(segment, { text: body, matched_by: marker.matched_by });
+        });
+    }
+
+    return { segments: [...segments.values()], unassigned: unassigned.join('\n\n') };
+}
+
+// Checks the mapping a student sent back after reviewing it: an object of question id ->
+// answer text, for descriptive questions of the quiz. Returns { segments, errors }.
+export function normalizeSegments(raw, questions) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { segments: {}, errors: ['The answer sheet mapping must be an object of question id to answer text.'] };
+    }
+    const descriptiveIds = new Set(questions.filter(q => q.type === 'Descriptive').map(q => q.id));
+    const segments = {};
+    const errors = [];
+    for (const [questionId, text] of Object.entries(raw)) {
+        if (!descriptiveIds.has(questionId)) {
+            errors.push(`Question "${questionId}" is not a descriptive question of this quiz.`);
+        } else if (typeof text !== 'string') {
+            errors.push(`The answer for question "${questionId}" must be text.`);
+        } else if (text.length > MAX_SEGMENT_LENGTH) {
+            errors.push(`The answer for question "${questionId}" is longer than ${MAX_SEGMENT_LENGTH} characters.`);
+        } else if (text.trim()) {
+            segments[questionId] = text.trim();
+        }
+    }
+    return { segments, errors };
+}
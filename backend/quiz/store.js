@@ -0,0 +1,126 @@
+import { dbAll, dbGet, dbRun, parseJson, withTransaction } from '../db/helpers.js';
+
+// --- Quiz storage ---
+// Quizzes and their questions (one row per question in `questions`, ordered by position).
+// Fields without a column of their own, whether on a question or on the quiz (the
+// generation report), are kept as JSON in questions.extra / quizzes.details. Owner-chosen
+// options (answer matching, time limit, ...) live in quizzes.settings.
+
+const QUESTION_COLUMNS = ['id', 'type', 'question', 'options', 'answer', 'explanation'];
+
+// Question object -> column values (without quiz_id and position)
+const questionToRow = (question) => {
+    const extra = Object.fromEntries(Object.entries(question).filter(([key]) => !QUESTION_COLUMNS.includes(key)));
+    return {
+        id: question.id,
+        type: question.type,
+        question: question.question,
+        options: Array.isArray(question.options) ? JSON.stringify(question.options) : null,
+        answer: question.answer ?? null,
+        explanation: question.explanation ?? null,
+        extra: Object.keys(extra).length ? JSON.stringify(extra) : null,
+    };
+};
+
+// Row -> the question object the rest of the server works with
+export const rowToQuestion = (row) => {
+    const question = {
+        ...parseJson(row.extra, {}),
+        id: row.id,
+        type: row.type,
+        question: row.question,
+        answer: row.answer ?? '',
+        explanation: row.explanation ?? '',
+    };
+    const options = parseJson(row.options, null);
+    if (Array.isArray(options)) question.options = options;
+    return question;
+};
+
+export function createQuizStore(db) {
+    const insertQuestions = async (quizId, questions) => {
+        for (const [index, question] of questions.entries()) {
+            const row = questionToRow(question);
+            await dbRun(db,
+                `INSERT INTO questions (id, quiz_id, position, type, question, options, answer, explanation, extra)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(id) DO UPDATE SET position = excluded.position, type = excluded.type, question = excluded.question,
+                     options = excluded.options, answer = excluded.answer, explanation = excluded.explanation, extra = excluded.extra,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE questions.quiz_id = excluded.quiz_id`,
+                [row.id, quizId, index + 1, row.type, row.question, row.options, row.answer, row.explanation, row.extra]
+            );
+        }
+    };
+
+    const getQuestions = async (quizId) => {
+        const rows = await dbAll(db, 'SELECT * FROM questions WHERE quiz_id = ? ORDER BY position', [quizId]);
+        return rows.map(rowToQuestion);
+    };
+
+    // The quiz with its full questions when `access` (an SQL condition on q, with `params`) holds, or null
+    const loadQuiz = async (quizId, access, params) => {
+        const row = await dbGet(db,
+            `SELECT q.id, q.user_id, q.quiz_type, q."class", q.curriculum, q.subject, q.chapters, q.details, q.settings, q.created_at,
+                    (SELECT COUNT(*) FROM results r WHERE r.quiz_id = q.id) AS result_count
+             FROM quizzes q WHERE q.id = ? AND (${access})`,
+            [quizId, ...params]
+        );
+        if (!row) return null;
+        return {
+            ...row,
+            questions: await getQuestions(quizId),
+            details: parseJson(row.details, {}),
+            settings: parseJson(row.settings, {}),
+        };
+    };
+
+    return {
+        getQuestions,
+
+        // Saves a newly generated quiz with its questions
+        async createQuiz({ id, userId, quizType, className, curriculum, subject, chapters, questions, details = null, settings = null }) {
+            await withTransaction(db, async () => {
+                await dbRun(db,
+                    'INSERT INTO quizzes (id, user_id, quiz_type, "class", curriculum, subject, chapters, details, settings) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [id, userId, quizType, className, curriculum, subject, chapters, details ? JSON.stringify(details) : null, settings ? JSON.stringify(settings) : null]
+                );
+                await insertQuestions(id, questions);
+            });
+        },
+
+        // The quiz with its full questions (answers included), or null when it doesn't
+        // exist or belongs to someone else. `result_count` says how many times it was taken.
+        async getOwnedQuiz(quizId, userId) {
+            return loadQuiz(quizId, 'q.user_id = ?', [userId]);
+        },
+
+        // Like getOwnedQuiz, but also for a quiz assigned to one of the user's groups (see
+        // quiz/groups.js). Only taking the quiz goes through here; editing stays with the owner.
+        async getQuizForTaker(quizId, userId) {
+            return loadQuiz(quizId,
+                `q.user_id = ? OR EXISTS (SELECT 1 FROM assignments a JOIN group_members m ON m.group_id = a.group_id
+                                          WHERE a.quiz_id = q.id AND m.user_id = ?)`,
+                [userId, userId]
+            );
+        },
+
+        // Replaces the quiz's settings object
+        async saveSettings(quizId, settings) {
+            await dbRun(db, 'UPDATE quizzes SET settings = ? WHERE id = ?', [JSON.stringify(settings), quizId]);
+        },
+
+        // Replaces the question list: rows are updated in place by id, new ones are
+        // inserted and the ones no longer in the list are deleted
+        async saveQuestions(quiz, questions) {
+            await withTransaction(db, async () => {
+                const keepIds = questions.map(q => q.id);
+                await dbRun(db,
+                    `DELETE FROM questions WHERE quiz_id = ? AND id NOT IN (${keepIds.map(() => '?').join(', ') || 'NULL'})`,
+                    [quiz.id, ...keepIds]
+                );
+                await insertQuestions(quiz.id, questions);
+            });
+        },
+    };
+}
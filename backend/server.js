@@ -9,22 +9,64 @@ import jwt from 'jsonwebtoken';
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
-import axios from 'axios';
-import vision from '@google-cloud/vision';
+import { createLLMProvider, LLMError, parseJsonResponse } from './llm/index.js';
+import { createOcrEngine } from './ocr/index.js';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, MAX_RUBRIC_CRITERIA, MAX_CRITERION_POINTS, normalizeQuestion, validateQuestion } from './quiz/schema.js';
+import { createQuizStore } from './quiz/store.js';
+import { createResultStore } from './quiz/results.js';
+import { createQuestionBank } from './quiz/bank.js';
+import { matchAnswer, normalizeMatchingSettings, resolveMatchingSettings } from './quiz/matching.js';
+import { combineSamples, normalizeGradingSettings, resolveGradingSettings } from './quiz/grading.js';
+import { rubricFor, scoreRubric } from './quiz/rubric.js';
+import { segmentAnswerSheet, normalizeSegments } from './quiz/segment.js';
+import {
+    createAttemptStore, parseTimeLimit, parseMaxAttempts, parseScoringPolicy, resolveAttemptSettings, applyScoringPolicy, isPastDeadline,
+} from './quiz/attempts.js';
+import { createQuizAnalytics } from './quiz/analytics.js';
+import { createProgressTracker } from './quiz/progress.js';
+import { createPracticePlanner, parsePracticeSize } from './quiz/practice.js';
+import { createReviewDeck, REVIEW_RATINGS, MAX_DUE_CARDS } from './quiz/review.js';
+import { createGradeReviews, MAX_REVIEW_NOTE_LENGTH, MAX_OVERRIDE_FEEDBACK_LENGTH } from './quiz/overrides.js';
+import { createGroupStore, ROLES, MAX_GROUP_NAME_LENGTH, parseDueDate, isPastDue } from './quiz/groups.js';
+import { createJobQueue } from './jobs/queue.js';
+import { createConversationStore, fitToContext, titleFromMessage, MAX_CHAT_MESSAGE_LENGTH, MAX_CONVERSATION_TITLE_LENGTH } from './chat/conversations.js';
+import { buildTutorPrompt, tutorTitle } from './chat/tutor.js';
+import { extractMaterial, materialKind, MAX_MATERIAL_FILES, MAX_MATERIAL_FILE_BYTES, MAX_MATERIAL_TEXT_CHARS } from './material/extract.js';
+import { chunkPages, selectChunks, formatChunksForPrompt, summarizeSources } from './material/chunks.js';
+import { runMigrations } from './db/migrate.js';
+import { migrations } from './db/migrations/index.js';
 
 const saltRounds = 10;
 dotenv.config();
 
 const jwtSecret = process.env.JWT_SECRET;
 
-// --- Ollama Configuration ---
-const OLLAMA_ENDPOINT = process.env.OLLAMA_ENDPOINT || 'http://localhost:11434'; // Default Ollama URL
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3:latest'; // Default model (change to one you have pulled)
-console.log(`Configured Ollama Endpoint: ${OLLAMA_ENDPOINT}`);
-console.log(`Configured Ollama Model: ${OLLAMA_MODEL}`);
-// --- End Ollama Configuration ---
-
-const visionClient = new vision.ImageAnnotatorClient();
+// --- LLM Provider Configuration ---
+// LLM_PROVIDER selects the adapter: ollama (default), openai, gemini or mock.
+// See llm/index.js for the interface every adapter implements.
+const llm = createLLMProvider();
+console.log(`Configured LLM Provider: ${llm.label} (${llm.name})`);
+console.log(`Configured LLM Endpoint: ${llm.endpoint}`);
+console.log(`Configured LLM Model: ${llm.model}`);
+// GRADING_LLM_PROVIDER optionally names a second provider (configured through the same
+// variables) for quizzes graded with several samples: samples alternate between the two
+// models, so one model's quirks don't decide the score. See quiz/grading.js.
+const gradingLlm = process.env.GRADING_LLM_PROVIDER ? createLLMProvider(process.env.GRADING_LLM_PROVIDER) : null;
+if (gradingLlm) console.log(`Configured second grading model: ${gradingLlm.label} (${gradingLlm.model})`);
+// How much of a chatbot conversation (in characters, roughly 4 per token) is sent with each
+// message; older turns are left out. Lower it for models with a small context window.
+const CHAT_CONTEXT_CHARS = parseInt(process.env.CHAT_CONTEXT_CHARS ?? '12000', 10) || 12000;
+// --- End LLM Provider Configuration ---
+
+// --- OCR Configuration ---
+// OCR_ENGINE selects how uploaded answer sheets and scanned study material are read: vision
+// (Google Cloud Vision), tesseract (local, offline) or auto (the default: Vision when
+// GOOGLE_APPLICATION_CREDENTIALS is set, falling back to tesseract). See ocr/index.js.
+const ocrEngine = createOcrEngine();
+console.log(`Configured OCR Engine: ${ocrEngine.label} (${ocrEngine.name})`);
+// OCR results below this confidence (0-100) are flagged as unreliable
+const OCR_LOW_CONFIDENCE = Math.min(100, Math.max(0, parseInt(process.env.OCR_LOW_CONFIDENCE ?? '60', 10) || 0));
+// --- End OCR Configuration ---
 
 
 if (!jwtSecret) {
@@ -65,39 +107,77 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Goes after authenticateToken on routes only teachers may use (groups, assignments).
+// The role is read from the database, so a role change applies without logging in again.
+const requireTeacher = (req, res, next) => {
+    db.get(`SELECT role FROM users WHERE id = ?`, [req.user.id], (err, row) => {
+        if (err) {
+            console.error(`User ${req.user.id}: Database error checking role:`, err.message);
+            return res.status(500).json({ error: 'Error checking your role.' });
+        }
+        if (row?.role !== 'teacher') {
+            console.warn(`User ${req.user.id}: Teacher-only route refused (role: ${row?.role}).`);
+            return res.status(403).json({ error: 'Only teachers can do this. Switch your role to teacher on your profile.' });
+        }
+        next();
+    });
+};
+
 // Database setup
 const db = new sqlite3.Database('./database.sqlite', (err) => {
     if (err) {
         console.error('Error opening database:', err.message);
     } else {
         console.log('Connected to the SQLite database.');
+        // Foreign keys have to be on before a migration opens its transaction (the pragma is ignored inside one)
         db.run('PRAGMA foreign_keys = ON;', (pragmaErr) => {
             if(pragmaErr) console.error("Error enabling foreign keys:", pragmaErr.message);
             else console.log("Foreign keys enabled.");
-        });
-        
-        const createUserTableSql = `CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY,username TEXT UNIQUE NOT NULL,password_hash TEXT NOT NULL,created_at DATETIME DEFAULT CURRENT_TIMESTAMP)`;
-        db.run(createUserTableSql, (createErr) => {
-            if(createErr) console.error("Error creating users table:", createErr.message);
-            else console.log("users table checked/created.");
-        });
-        
-        const createQuizzesTableSql = `CREATE TABLE IF NOT EXISTS quizzes (id TEXT PRIMARY KEY,user_id INTEGER NOT NULL,quiz_type TEXT,"class" TEXT,curriculum TEXT,subject TEXT,chapters TEXT,questions TEXT,created_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE)`;
-        db.run(createQuizzesTableSql, (createErr) => {
-            if(createErr) console.error("Error creating quizzes table:", createErr.message);
-            else console.log("quizzes table checked/created.");
-        });
-        
-        const createResultsTableSql = `CREATE TABLE IF NOT EXISTS results (id TEXT PRIMARY KEY,user_id INTEGER NOT NULL,quiz_id TEXT NOT NULL,score REAL,feedback TEXT,submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,FOREIGN KEY (quiz_id) REFERENCES quizzes (id) ON DELETE CASCADE)`;
-        db.run(createResultsTableSql, (createErr) => {
-            if(createErr) console.error("Error creating results table:", createErr.message);
-            else console.log("results table checked/created.");
+
+            // Bring the schema up to date before serving requests or running jobs
+            runMigrations(db, migrations)
+                .then(() => {
+                    jobQueue.start().catch(startErr => console.error("Error starting job queue:", startErr.message));
+                    startAttemptSweeper();
+                    startServer();
+                })
+                .catch(migrationErr => {
+                    console.error("Error migrating database:", migrationErr.message);
+                    process.exit(1);
+                });
         });
     }
 });
 
+// Job queue backed by the jobs table. Handlers are registered next to the routes that enqueue them.
+const jobQueue = createJobQueue(db);
+// Saved quizzes and their questions
+const quizStore = createQuizStore(db);
+// Graded submissions and their answers
+const resultStore = createResultStore(db);
+// Every generated question, searchable and reusable across quizzes
+const questionBank = createQuestionBank(db);
+// Exam sessions: start time, deadline and autosaved answers
+const attemptStore = createAttemptStore(db);
+// Teachers' groups, their members and the quizzes assigned to them
+const groupStore = createGroupStore(db);
+// Gradebook and per-question statistics computed from graded answers
+const quizAnalytics = createQuizAnalytics(db);
+// Each user's mastery per subject and chapter over their own submissions
+const progressTracker = createProgressTracker(db);
+// Practice quizzes aimed at the chapters and question types a user keeps getting wrong
+const practicePlanner = createPracticePlanner(db);
+// Spaced-repetition deck of the questions each user missed
+const reviewDeck = createReviewDeck(db);
+// Gradings waiting for a human look, and the scores reviewers overrode
+const gradeReviews = createGradeReviews(db);
+// Each user's chatbot threads and their messages
+const conversationStore = createConversationStore(db);
+
 // Close the database connection when the Node process exits
 process.on('SIGINT', () => {
+    jobQueue.stop(); // Running jobs are requeued on the next start
+    stopAttemptSweeper(); // No auto-submit starts while the database closes
     db.close((err) => {
         if (err) {
             console.error('Error closing database:', err.message);
@@ -109,56 +189,22 @@ process.on('SIGINT', () => {
 });
 
 
-// --- Verify Ollama Endpoint on Startup ---
-async function verifyOllamaConnection() {
-    console.log(`Attempting to verify Ollama connection at ${OLLAMA_ENDPOINT}...`);
+// --- Verify LLM Provider on Startup ---
+async function verifyLLMConnection() {
     try {
-        // Make a request to the /api/tags endpoint, which lists available models
-        const response = await axios.get(`${OLLAMA_ENDPOINT}/api/tags`);
-
-        if (response.status === 200) {
-            console.log('Ollama connection successful!');
-            console.log('Available models:', response.data.models.map(m => m.name).join(', '));
-
-            // Optional: Check if the configured model exists
-            const configuredModelExists = response.data.models.some(m => m.name === OLLAMA_MODEL);
-            if (configuredModelExists) {
-                console.log(`Configured model "${OLLAMA_MODEL}" is available.`);
-            } else {
-                console.warn(`Configured model "${OLLAMA_MODEL}" is NOT available. Please run 'ollama pull ${OLLAMA_MODEL}'`);
-                 // Depending on how critical the AI is, you might want to exit here or log a critical error
-                 // process.exit(1);
-            }
-
-        } else {
-            console.error(`Ollama connection failed: Received status code ${response.status}`);
-             // Depending on how critical the AI is, you might want to exit here or log a critical error
-             // process.exit(1);
-        }
+        await llm.verifyConnection();
     } catch (error) {
-        console.error('Error verifying Ollama connection:');
-
-        if (error.code === 'ECONNREFUSED') {
-            console.error(`-> Connection refused. Is Ollama running? Is it accessible at ${OLLAMA_ENDPOINT}?`);
-        } else if (error.code === 'ENOTFOUND') {
-             console.error(`-> Host not found. Is the OLLAMA_ENDPOINT address correct: ${OLLAMA_ENDPOINT}?`);
-        } else if (error.response) {
-             console.error(`-> HTTP error: Status ${error.response.status} - ${error.response.statusText}`);
-             if (error.response.data) {
-                 console.error('   Details:', error.response.data);
-             }
-        } else {
-            console.error('-> An unexpected error occurred:', error.message);
-        }
-         // Depending on how critical the AI is, you might want to exit here or log a critical error
-         // process.exit(1);
+        console.error(`Error verifying ${llm.label} connection:`);
+        console.error(`-> ${error.message || 'An unexpected error occurred.'}`);
+        // Depending on how critical the AI is, you might want to exit here or log a critical error
+        // process.exit(1);
     }
 }
 
 // Call the verification function when the server starts up
-verifyOllamaConnection();
+verifyLLMConnection();
 
-// --- End Verify Ollama Endpoint ---
+// --- End Verify LLM Provider ---
 
 
     // --- Multer Setup for File Uploads --
@@ -194,188 +240,271 @@ verifyOllamaConnection();
       
       // Create the Multer upload instance
       // 'upload' is now middleware that can be used in routes
-      const upload = multer({ storage: storage });
+      const upload = multer({ storage: storage });
+      // Study material for quiz generation: a few PDFs, images or text files per request
+      const materialUpload = multer({ storage: storage, limits: { fileSize: MAX_MATERIAL_FILE_BYTES, files: MAX_MATERIAL_FILES } });
       // --- End Multer Setup ---
 
-    // --- Helper function to clean text (used for AI responses) ---
-    // Defined globally as it might be used in multiple places
-    const cleanText = (text) => {
-        if (typeof text !== 'string') return text; // Return non-strings as is
-        // Replace newline characters with a space
-        let cleaned = text.replace(/[\n\r]/g, ' ');
-        // Replace specific non-standard spaces/separators and collapse remaining whitespace
-        cleaned = cleaned.replace(/[\u00A0\u200B-\u200F\u2028\u2029\uFEFF]/g, ' ');
-        cleaned = cleaned.replace(/\s+/g, ' ').trim();
-        // Remove common ASCII control characters (0x00 to 0x1F and 0x7F)
-        cleaned = cleaned.replace(/[\x00-\x1F\x7F]/g, '');
-        return cleaned;
-    };
-    // --- End cleanText Helper ---
-
-
-// --- Helper function to generate quiz using AI (using Ollama) ---
-// MODIFIED: Removed API key/type parameters, calls Ollama API
-async function generateQuizWithAI(quiz_type, class_name, curriculum, subject, chapters, num_questions) { // Simplified signature
-        console.log(`Generating quiz using Ollama Model: ${OLLAMA_MODEL}`);
-        console.log(`Ollama Endpoint: ${OLLAMA_ENDPOINT}`);
-
-
-        // Construct the prompt for the AI based on the requirements
-        // Prompt structure remains similar, focusing on content and format
-        const prompt = `
-        Generate a ${quiz_type} quiz for ${class_name} class following ${curriculum} curriculum on ${subject},
-        covering chapters: ${chapters}. Include exactly ${num_questions} questions.
-
-        Format the response as a JSON object with the following structure:
-        {
-            "questions": [
-                {
-                    "id": "unique_question_id_string", // Use a unique string ID for each question
-                    "question": "Question text here.",
-                    "type": "${quiz_type}", // e.g., "MCQ", "FIB", "Descriptive"
-                    ${quiz_type === 'MCQ' ? `"options": ["A. Option 1", "B. Option 2", "C. Option 3", "D. Option 4"],` : ''} // Include options array only for MCQ
-                    "answer": "Correct answer text here (e.g., 'C', 'Ampere', or detailed answer for Descriptive).",
-                    "explanation": "Brief explanation of the answer."
-                }
-                // ... exactly ${num_questions} more question objects
-            ]
-        }
-        Provide ONLY the JSON object. Do not include any introductory or concluding text, markdown code blocks (like \`\`\`json\`), or extra characters outside the JSON. Ensure the JSON is valid and complete and contains exactly ${num_questions} questions.
-        `;
-
-        console.log("Sending prompt to AI for quiz generation:");
-
-
-        try {
-            // --- Ollama API Call ---
-            console.log(`Calling Ollama API at ${OLLAMA_ENDPOINT}/api/generate`);
-            const ollamaResponse = await axios.post(`${OLLAMA_ENDPOINT}/api/generate`, {
-            model: OLLAMA_MODEL,
-            prompt: prompt,
-            format: 'json', // Request JSON format if supported by the model
-            options: { // Adjust Ollama options as needed
-                temperature: 0.7,
-                // You might add other options like top_p, top_k, etc.
-            },
-            stream: false,
-            timeout: 120000
-            // Ollama's /api/generate endpoint is typically single-turn
-            // For chat capabilities, you might use /api/chat
-            // If model doesn't support JSON format, you'll need robust post-processing
-            });
-let rawResponseText = JSON.stringify(ollamaResponse.data.response);
-rawResponseText = ollamaResponse.data.response || '';
-console.log("Raw AI Response for quiz generation:");
+// --- Quiz generation: schema validation with repair/retry ---
+// Number of follow-up "repair" prompts allowed after the first generation attempt
+const QUIZ_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.QUIZ_REPAIR_ATTEMPTS ?? '2', 10) || 0);
+
+// Per-type rules spelled out in both the initial and the repair prompt
+const QUESTION_TYPE_RULES = {
+    MCQ: `- "options" is an array of exactly 4 distinct options labelled "A. ", "B. ", "C. ", "D. "
+        - "answer" is the letter of the correct option (A, B, C or D)`,
+    FIB: `- "question" contains the blank written as "____"
+        - "answer" is the word or short phrase that fills the blank; no "options" key
+        - "accepted_answers" (optional) lists other spellings or forms that are also correct, e.g. ["2", "two"]`,
+    Descriptive: `- "answer" lists the key points a complete answer must cover; no "options" key
+        - "rubric" is an array of 1 to ${MAX_RUBRIC_CRITERIA} grading criteria, each { "criterion": "What the answer must show", "points": whole number from 1 to ${MAX_CRITERION_POINTS} }`,
+};
 
+const questionJsonExample = (quiz_type, { cite = false } = {}) => `{
+                    "id": "unique_question_id_string", // Use a unique string ID for each question
+                    "question": "Question text here.",
+                    "type": "${quiz_type}", // e.g., "MCQ", "FIB", "Descriptive"
+                    ${quiz_type === 'MCQ' ? `"options": ["A. Option 1", "B. Option 2", "C. Option 3", "D. Option 4"],` : ''} // Include options array only for MCQ
+                    "answer": "Correct answer text here (e.g., 'C', 'Ampere', or detailed answer for Descriptive).",
+                    "explanation": "Brief explanation of the answer.",${quiz_type === 'Descriptive' ? `
+                    "rubric": [{ "criterion": "States the main idea correctly", "points": 4 }, { "criterion": "Supports it with an example", "points": 3 }],` : ''}${cite ? `
+                    "source": "S1", // Label of the study material excerpt the question comes from` : ''}
+                    "difficulty": "medium" // One of "easy", "medium", "hard"
+                }`;
+
+// Prompt lines for a practice quiz: the difficulty to aim for and the questions the student
+// recently got wrong, whose concepts the new questions should test again in other words
+const practiceFocusPrompt = ({ difficulty, missed_examples = [] }) => {
+    const missed = missed_examples.map(text => `- ${text}`).join('\n        ');
+    return `This is a practice quiz for a student revising their weak spots. Aim every question at "${difficulty}" difficulty.
+        ${missed ? `The student recently got these questions wrong. Test the same concepts again with new questions instead of repeating them:\n        ${missed}` : ''}`;
+};
 
-            // Attempt to parse the raw response text as JSON
-            let quizData;
-            try {
-                 // Clean up potential markdown fences (```json ... ```) if AI includes them despite instruction
-                 let cleanedResponseText = rawResponseText.trim();
-            if (cleanedResponseText.startsWith('```json')) {
-                cleanedResponseText = cleanedResponseText.substring('```json'.length).trim();
-            } else if (cleanedResponseText.startsWith('```')) {
-                cleanedResponseText = cleanedResponseText.substring('```'.length).trim();
-            }
-            if (cleanedResponseText.endsWith('```')) {
-                cleanedResponseText = cleanedResponseText.substring(0, cleanedResponseText.length - '```'.length).trim();
-            }
+// Prompt lines grounding a quiz in uploaded study material (see material/chunks.js): the
+// labelled excerpts, and the rule that every question comes from one of them and cites it
+const materialPrompt = (chunks) => `Base every question only on the study material below, not on outside knowledge.
+        Each excerpt starts with its label and the page it is from, e.g. [S1]. Give the label of the excerpt each question comes from in its "source" field.
+        --- STUDY MATERIAL ---
+        ${formatChunksForPrompt(chunks)}
+        --- END OF STUDY MATERIAL ---`;
+
+// Sends one generation/repair prompt and returns the raw items (valid or not).
+// A response that cannot be parsed at all yields no items, so every slot gets repaired.
+async function requestQuizItems(prompt, task, meta, signal) {
+    const rawResponseText = await llm.generate({
+        prompt,
+        json: true, // Request JSON format if supported by the model
+        temperature: 0.7,
+        task, // task/meta are only used by the mock provider to fabricate a matching response
+        meta,
+        signal,
+    });
+    try {
+        const parsed = parseJsonResponse(rawResponseText);
+        const items = Array.isArray(parsed) ? parsed : parsed?.questions;
+        if (!Array.isArray(items)) {
+            throw new Error("Response is missing the 'questions' array.");
+        }
+        return { items };
+    } catch (jsonError) {
+        console.error(`JSON Parsing Error during quiz generation (${task}):`, jsonError.message);
+        console.error("Faulty raw response starts with:", rawResponseText.substring(0, Math.min(rawResponseText.length, 200)));
+        return { items: [], parseError: `Could not parse the response as JSON (${jsonError.message}).` };
+    }
+}
 
-            quizData = JSON.parse(cleanedResponseText); // Parse the cleaned text into a JavaScript object
-
-
-             // Basic validation: ensure 'questions' array exists and has items
-             if (!quizData || !Array.isArray(quizData.questions) || quizData.questions.length === 0) {
-                 console.error("AI response missing expected 'questions' array or it's empty.");
-                 console.error("Faulty response:", rawResponseText);
-                 throw new Error("AI failed to generate questions in the expected format.");
-             }
-
-            // Use the cleanText function you had for questions/answers/etc.
-             quizData.questions = quizData.questions.map(q => {
-                 const cleanedQuestion = cleanText(q.question);
-                 const cleanedAnswer = cleanText(q.answer);
-                 const cleanedExplanation = cleanText(q.explanation);
-                 const cleanedOptions = Array.isArray(q.options) ? q.options.map(opt => cleanText(opt)) : (q.options || undefined);
-
-                 return {
-                     ...q, // Keep other properties like 'id', 'type'
-                     question: cleanedQuestion,
-                     answer: cleanedAnswer,
-                     explanation: cleanedExplanation,
-                     ...(cleanedOptions !== undefined && { options: cleanedOptions })
-                 };
-             });
-             console.log("Data cleaning complete.");
-
-             // Assign unique IDs if not provided by AI (or regenerate them to be safe)
-             quizData.questions = quizData.questions.map((q) => ({ // Removed index param if not used
-                 ...q,
-                 // Ensure question 'id' is a string
-                 id: q.id ? String(q.id) : uuidv4() // Use AI's ID if present, otherwise generate UUID
-             }));
-
-
-        } catch (jsonError) {
-            console.error("JSON Parsing or Validation Error during quiz generation:", jsonError);
-            console.error("Faulty raw response:", rawResponseText);
-            throw new Error(`Failed to process AI response: ${jsonError.message}. Raw response starts with: "${rawResponseText.substring(0, Math.min(rawResponseText.length, 100))}..."`);
-        }
+// --- Helper function to generate quiz using AI (through the configured LLM provider) ---
+// Every item is checked against the question schema (quiz/schema.js). Missing or invalid
+// items are sent back to the model in a repair prompt, up to QUIZ_REPAIR_ATTEMPTS times.
+// Resolves to { questions, generation: { requested, repair_attempts, regenerated } }, where
+// `regenerated` lists the positions (1-based) that had to be replaced and why.
+// Options:
+//   onQuestion(question, position) - called as soon as each question passes validation
+//   onRepair({ attempt, pending })  - called before each repair prompt is sent
+//   signal                          - AbortSignal; aborting stops generation with a cancelled LLMError
+//   existingQuestions               - question texts already in the quiz, which the model is told not to repeat
+//   focus                           - { difficulty, missed_examples } for a practice quiz aimed at a student's weak spots
+//   material                        - study material chunks ({ label, source, page, text }) to base the questions on;
+//                                     each question then gets `source: { label, file, page }` for the chunk it cites
+async function generateQuizWithAI(quiz_type, class_name, curriculum, subject, chapters, num_questions, { onQuestion, onRepair, signal, existingQuestions = [], focus = null, material = null } = {}) {
+    console.log(`Generating quiz using ${llm.label} Model: ${llm.model}`);
+
+    const count = parseInt(num_questions, 10);
+    const meta = { quiz_type, class_name, curriculum, subject, chapters, num_questions: count };
+    if (existingQuestions.length > 0) meta.existing_questions = existingQuestions;
+    if (focus) meta.focus = focus;
+    const chunksByLabel = material?.length ? new Map(material.map(chunk => [chunk.label, chunk])) : null;
+    if (chunksByLabel) meta.material_labels = [...chunksByLabel.keys()];
+    const existingList = existingQuestions.map(text => `- ${text}`).join('\n        ');
+    const focusText = focus ? practiceFocusPrompt(focus) : '';
+    const materialText = chunksByLabel ? materialPrompt(material) : '';
+
+    // Construct the prompt for the AI based on the requirements
+    const prompt = `
+        Generate a ${quiz_type} quiz for ${class_name} class following ${curriculum} curriculum on ${subject},
+        covering chapters: ${chapters}. Include exactly ${count} questions.
+        ${focusText}
+        ${materialText}
+        ${existingList ? `The quiz already contains the questions below. Do not repeat or closely paraphrase any of them:\n        ${existingList}\n` : ''}
+        Every question must follow these rules:
+        ${QUESTION_TYPE_RULES[quiz_type] || ''}
+
+        Format the response as a JSON object with the following structure:
+        {
+            "questions": [
+                ${questionJsonExample(quiz_type, { cite: Boolean(chunksByLabel) })}
+                // ... exactly ${count} question objects in total
+            ]
+        }
+        Provide ONLY the JSON object. Do not include any introductory or concluding text, markdown code blocks (like \`\`\`json\`), or extra characters outside the JSON. Ensure the JSON is valid and complete and contains exactly ${count} questions.
+        `;
+
+    // slots[i] holds the accepted question for position i, or null while it still needs (re)generating
+    const slots = new Array(count).fill(null);
+    const problems = new Map(); // position index -> list of reasons it was rejected
+    const regenerated = [];
+
+    // Validates `items` and drops the valid ones into `targetIndexes` (in order)
+    const fillSlots = (items, targetIndexes, parseError, isRepair) => {
+        targetIndexes.forEach((slotIndex, i) => {
+            if (i >= items.length) {
+                problems.set(slotIndex, [parseError || 'Question was missing from the response.']);
+                return;
+            }
+            const candidate = normalizeQuestion(items[i], quiz_type);
+            const errors = validateQuestion(candidate, quiz_type, { requireRubric: true });
+            if (chunksByLabel) {
+                // "[S3]", "s3" -> "S3"
+                const chunk = chunksByLabel.get(String(candidate.source ?? '').replace(/[[\]\s]/g, '').toUpperCase());
+                if (chunk) {
+                    candidate.source = { label: chunk.label, file: chunk.source, page: chunk.page };
+                } else {
+                    errors.push(`"source" must be the label of the study material excerpt the question comes from (one of ${[...chunksByLabel.keys()].join(', ')}).`);
+                }
+            }
+            if (errors.length > 0) {
+                problems.set(slotIndex, errors);
+                return;
+            }
+            // Model-made ids ("q1", "1", ...) collide across quizzes and exam sections, so assign our own
+            candidate.id = uuidv4();
+            if (isRepair) {
+                regenerated.push({ position: slotIndex + 1, id: candidate.id, reasons: problems.get(slotIndex) || [] });
+            }
+            problems.delete(slotIndex);
+            slots[slotIndex] = candidate;
+            onQuestion?.(candidate, slotIndex + 1);
+        });
+        if (items.length > targetIndexes.length) {
+            console.warn(`AI returned ${items.length} questions, expected ${targetIndexes.length}. Ignoring the extra ones.`);
+        }
+    };
 
-        // Return the parsed and validated quiz data
-        return quizData;
+    let repairAttempts = 0;
+    try {
+        console.log("Sending prompt to AI for quiz generation.");
+        const first = await requestQuizItems(prompt, 'quiz', meta, signal);
+        fillSlots(first.items, slots.map((_, i) => i), first.parseError, false);
+
+        let openIndexes = slots.map((q, i) => (q ? null : i)).filter(i => i !== null);
+        while (openIndexes.length > 0 && repairAttempts < QUIZ_REPAIR_ATTEMPTS) {
+            if (signal?.aborted) {
+                throw new LLMError('Quiz generation was cancelled.', { provider: llm.name, cancelled: true });
+            }
+            repairAttempts++;
+            onRepair?.({ attempt: repairAttempts, pending: openIndexes.length });
+            console.warn(`Quiz generation: ${openIndexes.length} of ${count} questions missing or invalid. Repair attempt ${repairAttempts}/${QUIZ_REPAIR_ATTEMPTS}.`);
+
+            const problemList = openIndexes
+                .map(i => `- Question ${i + 1}: ${(problems.get(i) || ['Question was missing from the response.']).join(' ')}`)
+                .join('\n        ');
+            const keptQuestions = [...existingQuestions, ...slots.filter(Boolean).map(q => q.question)]
+                .map(text => `- ${text}`).join('\n        ');
+
+            const repairPrompt = `
+        You are generating a ${quiz_type} quiz for ${class_name} class following ${curriculum} curriculum on ${subject},
+        covering chapters: ${chapters}. ${focusText}
+        ${materialText}
+        Some of the questions you returned were missing or invalid:
+        ${problemList}
+
+        Generate exactly ${openIndexes.length} replacement ${quiz_type} question(s), one for each problem above, in the same order.
+        ${keptQuestions ? `Do not repeat any of these existing questions:\n        ${keptQuestions}` : ''}
+
+        Every question must follow these rules:
+        ${QUESTION_TYPE_RULES[quiz_type] || ''}
+
+        Format the response as a JSON object with the following structure:
+        {
+            "questions": [
+                ${questionJsonExample(quiz_type, { cite: Boolean(chunksByLabel) })}
+            ]
+        }
+        Provide ONLY the JSON object. Do not include any introductory or concluding text, markdown code blocks, or extra characters outside the JSON.
+        `;
 
-    } catch (ollamaError) {
-        // Handle errors during the Ollama API call itself (network issues, etc.)
-        console.error('Error during Ollama quiz generation call:', ollamaError);
-        let errorMessage = 'Error communicating with the AI during quiz generation.';
+            const repair = await requestQuizItems(repairPrompt, 'quiz-repair', { ...meta, num_questions: openIndexes.length, attempt: repairAttempts }, signal);
+            fillSlots(repair.items, openIndexes, repair.parseError, true);
+            openIndexes = slots.map((q, i) => (q ? null : i)).filter(i => i !== null);
+        }
 
-        if (ollamaError.message) {
-            errorMessage = `Ollama API Error: ${ollamaError.message}`;
-        }
-        // Check for common network/connection errors
-        if (ollamaError.code === 'ECONNREFUSED' || ollamaError.message.includes('connect ECONNREFUSED')) {
-            errorMessage = `Connection refused: Is Ollama running and accessible at ${OLLAMA_ENDPOINT}?`;
-        } else if (ollamaError.message.includes('ENOTFOUND')) {
-             errorMessage = `Ollama endpoint not found: Check the address ${OLLAMA_ENDPOINT}`;
-        } else if (ollamaError.response) {
-             errorMessage = `Ollama API Error ${ollamaError.response.status}: ${ollamaError.response.statusText}`;
-             if (ollamaError.response.data) {
-                 errorMessage += ` - Details: ${JSON.stringify(ollamaError.response.data)}`;
-             }
+        if (openIndexes.length > 0) {
+            const details = openIndexes
+                .map(i => `question ${i + 1}: ${(problems.get(i) || []).join(' ')}`)
+                .join('; ');
+            console.error(`Quiz generation failed validation after ${repairAttempts} repair attempt(s): ${details}`);
+            throw new Error(`AI returned only ${count - openIndexes.length} of ${count} valid ${quiz_type} questions after ${repairAttempts} repair attempt(s). Problems with ${details}`);
         }
 
+        const questions = slots;
+        console.log(`Quiz generation complete: ${count} valid ${quiz_type} questions, ${regenerated.length} regenerated.`);
 
-        throw new Error(errorMessage); // Rethrow with a specific message
-    }
+        return {
+            questions,
+            generation: {
+                requested: count,
+                repair_attempts: repairAttempts,
+                regenerated,
+            },
+        };
+
+    } catch (error) {
+        // Provider errors (network issues, HTTP status, ...) already carry a readable message
+        console.error(`Error during ${llm.label} quiz generation call:`, error.message);
+        throw error;
+    }
 }
 
-    // --- Helper function to evaluate a single descriptive answer using AI (using Ollama) ---
-    // MODIFIED: Removed API key/type parameters, calls Ollama API
-    async function evaluateDescriptiveAnswer(question, typedAnswer, pdfText = '') { // Simplified signature
-        console.log(`Evaluating descriptive answer using Ollama Model: ${OLLAMA_MODEL}`);
-        console.log(`Ollama Endpoint: ${OLLAMA_ENDPOINT}`);
+    // --- Helper function to evaluate a single descriptive answer using AI (through the configured LLM provider) ---
+    // The answer is scored on each criterion of the question's rubric (quiz/rubric.js); the
+    // result carries the breakdown as `rubric_scores` and the total scaled to 0-10 as `score`.
+    // `sheetText` is the student's answer to this question from the uploaded answer sheet.
+    // `provider` is the LLM to grade with (the configured one unless sampling across two).
+    async function evaluateDescriptiveAnswer(question, typedAnswer, sheetText = '', provider = llm) { // Simplified signature
+        console.log(`Evaluating descriptive answer using ${provider.label} Model: ${provider.model}`);
+        const rubric = rubricFor(question);
 
         const studentProvidedAnswer = `---
         Typed Answer: ${typedAnswer.trim() || 'No typed answer provided.'}
-        Extracted from PDF: ${pdfText.trim() || 'No text extracted or uploaded.'}
+        From the answer sheet: ${sheetText.trim() || 'No text extracted or uploaded.'}
         ---`;
 
         // Construct the prompt for AI evaluation
         const prompt = `
-        Evaluate the following user answer for the question below.
-        ${pdfText ? `Consider the following reference text from a PDF:\n---\n${pdfText}\n---\n` : ''}
+        Evaluate the following user answer for the question below. The answer may be typed, written on the uploaded answer sheet (read by OCR, so expect some misread characters), or both.
         Question: ${question.question}
         Correct Answer/Key Points: ${question.answer} ${question.explanation ? `(Explanation: ${question.explanation})` : ''}
-        Student Provided Answer: ${studentProvidedAnswer}
-        
-        Provide a score out of 10 based on accuracy and completeness compared to the correct answer, using the reference text if provided and relevant.
-        Provide concise feedback, identify correct parts, and suggest areas for improvement.
-        Format your response as a JSON object with the following keys:
-        {
-          "score": number (integer 0-10),
-          "feedback": string,
+        Student Provided Answer: ${studentProvidedAnswer}
+
+        Grading Rubric (award points for each criterion separately, from 0 up to its maximum; half points are allowed):
+        ${rubric.map((item, i) => `${i + 1}. ${item.criterion} (max ${item.points} points)`).join('\n        ')}
+
+        Score each rubric criterion based on the student's answer compared to the correct answer.
+        Provide concise feedback, identify correct parts, and suggest areas for improvement.
+        Format your response as a JSON object with the following keys:
+        {
+          "criteria": [ { "criterion": string (copied from the rubric), "points": number, "comment": string (why these points) } ] (one entry per rubric criterion, in rubric order),
+          "feedback": string,
           "correct_parts": string (or "N/A"),
           "improvements": string (or "N/A")
         }
@@ -387,22 +516,15 @@ console.log("Raw AI Response for quiz generation:");
 
 
         try {
-            // --- Ollama API Call ---
-            // Using /api/generate for single-turn evaluation
-            console.log(`Calling Ollama API at ${OLLAMA_ENDPOINT}/api/generate`);
-            const ollamaResponse = await axios.post(`${OLLAMA_ENDPOINT}/api/generate`, {
-                model: OLLAMA_MODEL,
-                prompt: prompt,
-                format: 'json', // Request JSON format
-                options: { // Adjust options for focused evaluation
-                    temperature: 0.3, // Lower temp
-                    // top_p, top_k etc.
-                },
-                stream: false,
-                timeout: 120000
-            });
-
-            let rawResponseText = ollamaResponse.data.response || ''; // Ollama /api/generate returns 'response' field
+            // --- LLM Provider Call ---
+            // Single-turn evaluation, lower temperature for focused grading
+            let rawResponseText = await provider.generate({
+                prompt,
+                json: true, // Request JSON format
+                temperature: 0.3,
+                task: 'evaluation',
+                meta: { question, rubric, studentAnswer: `${typedAnswer}\n${sheetText}`.trim() },
+            });
 
 
             console.log("Raw AI Response for evaluation (first 500 chars):", rawResponseText.substring(0, Math.min(rawResponseText.length, 500)) + (rawResponseText.length > 500 ? '...' : ''));
@@ -411,24 +533,17 @@ console.log("Raw AI Response for quiz generation:");
             // Attempt to parse the raw response text as JSON
             let evaluationData;
             try {
-                // Clean up potential markdown formatting (```json ... ```)
-                let cleanedResponseText = rawResponseText.trim();
-                if (cleanedResponseText.startsWith('```json')) {
-                    cleanedResponseText = cleanedResponseText.substring('```json'.length).trim();
-                } else if (cleanedResponseText.startsWith('```')) { // Handle fences without language specifier
-                    cleanedResponseText = cleanedResponseText.substring('```'.length).trim();
-                }
-                if (cleanedResponseText.endsWith('```')) {
-                    cleanedResponseText = cleanedResponseText.substring(0, cleanedResponseText.length - 3).trim();
-                }
+                // Strip markdown fences / surrounding text and parse
+                evaluationData = parseJsonResponse(rawResponseText);
 
-                evaluationData = JSON.parse(cleanedResponseText); // Parse the cleaned text
+                // Points per criterion, checked against the rubric; the score follows from them
+                const { rubric_scores, score } = scoreRubric(rubric, evaluationData?.criteria);
 
-                // Validate structure - ensure required keys exist and have expected types
-                if (
-                    !evaluationData ||
-                    typeof evaluationData.score !== 'number' ||
-                    typeof evaluationData.feedback !== 'string' ||
+                // Validate structure - ensure required keys exist and have expected types
+                if (
+                    !evaluationData ||
+                    !Array.isArray(evaluationData.criteria) ||
+                    typeof evaluationData.feedback !== 'string' ||
                     // Check optional keys exist and are strings, or add default if missing
                     typeof evaluationData.correct_parts !== 'string' ||
                     typeof evaluationData.improvements !== 'string'
@@ -436,27 +551,36 @@ console.log("Raw AI Response for quiz generation:");
                     console.error("AI evaluation response missing expected keys, wrong types, or format.");
                     console.error("Faulty response:", rawResponseText);
                     // Attempt to construct a minimal valid object if parsing succeeded partially
-                    evaluationData = {
-                        score: typeof evaluationData?.score === 'number' ? evaluationData.score : 0,
-                        feedback: typeof evaluationData?.feedback === 'string' ? `Partial evaluation: ${evaluationData.feedback}` : 'Failed to parse full AI evaluation.',
+                    evaluationData = {
+                        partial: true, // Sent to the review queue as low confidence
+                        score,
+                        rubric_scores,
+                        feedback: typeof evaluationData?.feedback === 'string' ? `Partial evaluation: ${evaluationData.feedback}` : 'Failed to parse full AI evaluation.',
                         correct_parts: typeof evaluationData?.correct_parts === 'string' ? evaluationData.correct_parts : 'N/A',
                         improvements: typeof evaluationData?.improvements === 'string' ? evaluationData.improvements : 'N/A',
                     };
                     console.warn("Returning partial evaluation data due to validation failure.");
                     // Don't throw error here, return partial data for display
-                } else {
-                    // Ensure score is within 0-10 if it was successfully parsed as a number
-                    evaluationData.score = Math.max(0, Math.min(10, evaluationData.score));
-                }
+                } else {
+                    evaluationData = {
+                        score,
+                        rubric_scores,
+                        feedback: evaluationData.feedback,
+                        correct_parts: evaluationData.correct_parts,
+                        improvements: evaluationData.improvements,
+                    };
+                }
 
 
             } catch (jsonError) {
                 console.error("JSON Parsing Error during evaluation:", jsonError);
                 console.error("Faulty raw response:", rawResponseText);
                 // Return a default error evaluation result if JSON parsing completely fails
-                evaluationData = {
-                    score: 0,
-                    feedback: `Automated evaluation failed: Could not parse AI response. Raw response starts with: "${rawResponseText.substring(0, Math.min(rawResponseText.length, 100))}..."`,
+                evaluationData = {
+                    failed: true, // Sent to the review queue
+                    score: 0,
+                    rubric_scores: scoreRubric(rubric, []).rubric_scores,
+                    feedback: `Automated evaluation failed: Could not parse AI response. Raw response starts with: "${rawResponseText.substring(0, Math.min(rawResponseText.length, 100))}..."`,
                     correct_parts: 'N/A',
                     improvements: 'N/A',
                 };
@@ -467,53 +591,61 @@ console.log("Raw AI Response for quiz generation:");
             // Return parsed and validated (or error) evaluation data
             return evaluationData;
 
-        } catch (ollamaError) {
-            console.error('Error during Ollama evaluation call:', ollamaError);
-            let errorMessage = 'Error communicating with the AI during evaluation.';
-
-            if (ollamaError.message) {
-                errorMessage = `Ollama API Error: ${ollamaError.message}`;
-            }
-            // Check for common network/connection errors
-            if (ollamaError.code === 'ECONNREFUSED' || ollamaError.message.includes('connect ECONNREFUSED')) {
-                errorMessage = `Connection refused: Is Ollama running and accessible at ${OLLAMA_ENDPOINT}?`;
-            } else if (ollamaError.message.includes('ENOTFOUND')) {
-                 errorMessage = `Ollama endpoint not found: Check the address ${OLLAMA_ENDPOINT}`;
-            } else if (ollamaError.response) {
-                 errorMessage = `Ollama API Error ${ollamaError.response.status}: ${ollamaError.response.statusText}`;
-                 if (ollamaError.response.data) {
-                     errorMessage += ` - Details: ${JSON.stringify(ollamaError.response.data)}`;
-                 }
-            }
+        } catch (error) {
+            console.error(`Error during ${provider.label} evaluation call:`, error.message);
+            const errorMessage = error instanceof LLMError ? error.message : 'Error communicating with the AI during evaluation.';
+
+            // Instead of throwing here, return an error evaluation object
+            return {
+                failed: true, // Sent to the review queue
+                score: 0,
+                rubric_scores: scoreRubric(rubric, []).rubric_scores,
+                feedback: `Automated evaluation failed: ${errorMessage}`,
+                correct_parts: 'N/A',
+                improvements: 'N/A',
+            };
+        }
+    }
 
-            // Instead of throwing here, return an error evaluation object
-            return {
-                score: 0,
-                feedback: `Automated evaluation failed: ${errorMessage}`,
-                correct_parts: 'N/A',
-                improvements: 'N/A',
-            };
-        }
-    }
+    // --- Grades a descriptive answer `settings.samples` times and keeps the median (quiz/grading.js) ---
+    // With one sample this is a single evaluateDescriptiveAnswer call. Otherwise the samples run
+    // side by side, alternating with the second grading model when one is configured, and the
+    // result carries `sampling` (scores, spread, confidence, disagreement).
+    async function gradeDescriptiveAnswer(question, typedAnswer, sheetText, settings) {
+        if (settings.samples <= 1) return evaluateDescriptiveAnswer(question, typedAnswer, sheetText);
+
+        const providers = gradingLlm ? [llm, gradingLlm] : [llm];
+        console.log(`Grading descriptive answer ${settings.samples} times with ${providers.map(provider => provider.model).join(' and ')}`);
+        const samples = await Promise.all(Array.from({ length: settings.samples }, async (_, i) => {
+            const provider = providers[i % providers.length];
+            const evaluation = await evaluateDescriptiveAnswer(question, typedAnswer, sheetText, provider);
+            return { ...evaluation, model: `${provider.name}:${provider.model}` };
+        }));
+        return combineSamples(samples, settings);
+    }
 
 
 /*
- * API Endpoints
- */
+ * API Endpoints
+ */
 
 // Endpoint for User Registration (Public Route - No Auth Needed)
 app.post('/register', (req, res) => {
-    const { username, password } = req.body;
+    const { username, password, role = 'student' } = req.body;
 
     console.log(`Received registration request for username: ${username}`);
 
     // Basic validation
     if (!username || !password) {
         console.error("Registration failed: Missing username or password.");
-        return res.status(400).json({ error: 'Username and password are required.' });
-    }
+        return res.status(400).json({ error: 'Username and password are required.' });
+    }
+    if (!ROLES.includes(role)) {
+        console.error(`Registration failed: Unknown role: ${role}`);
+        return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}.` });
+    }
 
-    // Hash the password
+    // Hash the password
     bcrypt.hash(password, saltRounds, (err, hash) => {
         if (err) {
             console.error('Bcrypt hashing error during registration:', err.message);
@@ -521,8 +653,8 @@ app.post('/register', (req, res) => {
         }
 
         // Insert the new user into the database
-        db.run(`INSERT INTO users (username, password_hash) VALUES (?, ?)`,
-            [username, hash],
+        db.run(`INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`,
+            [username, hash, role],
             function(insertErr) { // Use function keyword to access 'this'
                 if (insertErr) {
                     // Check if the error is due to a unique constraint violation (username already exists)
@@ -559,7 +691,7 @@ app.post('/login', (req, res) => {
     }
 
     // Find the user in the database by username
-    db.get(`SELECT id, username, password_hash FROM users WHERE username = ?`, [username], (err, row) => {
+    db.get(`SELECT id, username, password_hash, role FROM users WHERE username = ?`, [username], (err, row) => {
         if (err) {
             console.error('Database error during login:', err.message);
             return res.status(500).json({ error: 'Error retrieving user.' });
@@ -596,7 +728,7 @@ app.post('/login', (req, res) => {
                 res.status(200).json({
                     message: 'Login successful!',
                     token: token, // Send the generated JWT
-                    user: { id: user.id, username: user.username } // Send back basic user info
+                    user: { id: user.id, username: user.username, role: user.role } // Send back basic user info
                 });
 
             } else {
@@ -610,390 +742,673 @@ app.post('/login', (req, res) => {
 
 // Removed Protected Route: Set API key and type (/set-api-key)
 
-// Protected Route: Generate a General Quiz (MCQ/FIB)
-// Uses authenticateToken middleware
-// MODIFIED: Removed API key fetching, calls Ollama
-app.post('/generate-quiz', authenticateToken, async (req, res) => {
-    console.log("Received request to /generate-quiz");
-    const userId = req.user.id;
+// --- Quiz generation requests ---
+// /generate-quiz, /descriptive-quiz and /combined-exam (and their /stream variants) share
+// the parameter parsing and the generate -> save pipeline below.
+
+// Accepts up to MAX_MATERIAL_FILES study material files in the `material` field of a
+// multipart request. Upload errors (too many files, too large) are answered with a 400.
+const acceptMaterial = (req, res, next) => {
+    materialUpload.array('material', MAX_MATERIAL_FILES)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const error = err.code === 'LIMIT_FILE_SIZE'
+                ? `Study material files must be smaller than ${MAX_MATERIAL_FILE_BYTES / (1024 * 1024)} MB.`
+                : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `Upload at most ${MAX_MATERIAL_FILES} study material files.`
+                    : err.message;
+            return res.status(400).json({ error });
+        }
+        next(err);
+    });
+};
 
-    // Extract quiz parameters from the request body
-    const { quiz_type, class: class_name, curriculum, subject, chapters, num_questions } = req.body;
-    console.log(`User ${userId}: Quiz Parameters Received:`, { quiz_type, class_name, curriculum, subject, chapters, num_questions });
+// Deletes uploaded study material files (after a rejected request, or once the job is done)
+const removeMaterialFiles = async (files = []) => {
+    for (const file of files) {
+        await fs.promises.unlink(file.path).catch(err =>
+            console.error(`Error deleting study material ${file.path}:`, err)
+        );
+    }
+};
 
-    // Basic validation
-    if (!quiz_type || !class_name || !curriculum || !subject || !chapters || num_questions === undefined) {
-        console.error(`User ${userId}: Missing required quiz parameters.`);
-        return res.status(400).json({ error: 'Missing required quiz parameters.' });
-    }
+// Study material sent with a generation request: the uploaded files plus pasted notes
+// (`material_text`). Returns { material } (null when there is none) or { error }.
+function parseMaterial(files = [], materialText) {
+    const text = typeof materialText === 'string' ? materialText.trim() : '';
+    if (text.length > MAX_MATERIAL_TEXT_CHARS) {
+        return { error: `Pasted notes must not exceed ${MAX_MATERIAL_TEXT_CHARS} characters.` };
+    }
+    const unsupported = files.find(file => !materialKind(file));
+    if (unsupported) {
+        return { error: `"${unsupported.originalname}" is not a PDF, image or text file.` };
+    }
+    if (files.length === 0 && !text) {
+        return { material: null };
+    }
+    return {
+        material: {
+            files: files.map(({ path: filePath, originalname, mimetype }) => ({ path: filePath, originalname, mimetype })),
+            text,
+        },
+    };
+}
 
-    // Validate number of questions
-    const numberOfQuestions = parseInt(num_questions, 10);
-    if (isNaN(numberOfQuestions) || numberOfQuestions <= 0 || numberOfQuestions > 20) { // Limit question count
-         console.error(`User ${userId}: Invalid number of questions:`, num_questions);
-         return res.status(400).json({ error: 'Number of questions must be a positive number between 1 and 20.' });
-    }
+// Validates the request body for the given kind of quiz ('general', 'descriptive' or 'combined').
+// Returns { error } or { params } where params.sections lists the question types and counts to generate.
+// An optional `time_limit_minutes` makes the quiz a timed exam.
+// `files` (the uploaded study material) and `material_text` ground the questions in that
+// material (params.material); the chapters then default to the material's file names.
+function parseQuizGenerationRequest(kind, body, files = []) {
+    let { quiz_type, class: class_name, curriculum, subject, chapters } = body;
+
+    const { value: time_limit_minutes, error: timeLimitError } = parseTimeLimit(body.time_limit_minutes);
+    if (timeLimitError) {
+        return { error: timeLimitError };
+    }
 
-    // Removed database query to api_keys table
-    // Removed API key decryption logic
+    const { material, error: materialError } = parseMaterial(files, body.material_text);
+    if (materialError) {
+        return { error: materialError };
+    }
 
-        try {
-            // Call the AI helper function to generate quiz data (now calls Ollama)
-            // MODIFIED: Removed apiKey, apiType parameters
-            const quizData = await generateQuizWithAI(
-                quiz_type, class_name, curriculum, subject, chapters, numberOfQuestions
-            );
-            console.log(`User ${userId}: AI successfully generated quiz data.`);
-
-            // Generate a unique ID for the new quiz
-            const quizId = uuidv4();
-
-            // Save the generated quiz data to the database, linking it to the user
-            const insertSql = 'INSERT INTO quizzes (id, user_id, quiz_type, "class", curriculum, subject, chapters, questions) VALUES (?, ?, ?, ?, ?, ?, ?, ?)';
-            const insertParams = [quizId, userId, quiz_type, class_name, curriculum, subject, chapters, JSON.stringify(quizData)];
-
-            console.log(`User ${userId}: Executing SQL (Quiz Insert): ${insertSql}`);
-            // console.log(`User ${userId}: With parameters (Quiz Insert):`, insertParams); // Avoid logging potentially large questions
-
-            db.run(insertSql, insertParams,
-                       function(saveErr) { // Use function keyword for 'this' context (if needed)
-                    if (saveErr) {
-                        console.error(`User ${userId}: Error saving generated quiz to database:`, saveErr.message);
-                        return res.status(500).json({ error: 'Failed to save generated quiz.' });
-                    }
-                    console.log(`User ${userId}: Quiz saved with ID: ${quizId}`);
-                    // Send the new quiz ID back to the frontend
-                    res.status(200).json({ success: true, quizId: quizId });
-                });
+    // Convert chapters to string if array (used as-is in the prompt)
+    if (Array.isArray(chapters)) {
+        chapters = chapters.join(', ');
+    }
+    if (!chapters && material) {
+        chapters = files.map(file => file.originalname).join(', ') || 'Pasted notes';
+    }
 
-            } catch (error) {
-                console.error(`User ${userId}: Error during quiz generation or AI call:`, error.message);
-                // Send the error message from the helper function
-                res.status(500).json({ error: error.message || 'An error occurred during quiz generation.' });
-            }
-    });
+    if (kind === 'combined') {
+        const { num_mcq, num_fib, num_descriptive } = body;
+        if (!class_name || !curriculum || !subject || !chapters || num_mcq === undefined || num_fib === undefined || num_descriptive === undefined) {
+            return { error: 'Missing required combined exam parameters.' };
+        }
+        const sections = [
+            { type: 'MCQ', count: parseInt(num_mcq, 10) || 0 },
+            { type: 'FIB', count: parseInt(num_fib, 10) || 0 },
+            { type: 'Descriptive', count: parseInt(num_descriptive, 10) || 0 },
+        ];
+        const totalQuestions = sections.reduce((sum, section) => sum + section.count, 0);
+        if (totalQuestions <= 0 || totalQuestions > 30) {
+            return { error: 'Total number of questions must be positive and not exceed 30.' };
+        }
+        return { params: { quiz_type: 'Combined', class_name, curriculum, subject, chapters, time_limit_minutes, material, sections: sections.filter(s => s.count > 0) } };
+    }
 
+    if (kind === 'descriptive') {
+        quiz_type = 'Descriptive'; // Hardcode quiz type
+    } else if (!QUESTION_TYPES.includes(quiz_type)) {
+        return { error: quiz_type ? `Quiz type must be one of ${QUESTION_TYPES.join(', ')}.` : 'Missing required quiz parameters.' };
+    }
+    if (!class_name || !curriculum || !subject || !chapters || body.num_questions === undefined) {
+        return { error: 'Missing required quiz parameters.' };
+    }
 
-/// Protected Route: Generate a Descriptive Quiz
-// Uses authenticateToken middleware
-// MODIFIED: Removed API key fetching, calls Ollama
-app.post('/descriptive-quiz', authenticateToken, async (req, res) => {
-    console.log("Received request to /descriptive-quiz");
-    const userId = req.user.id;
-
-    // 1. Extract and validate parameters
-    let { class: class_name, curriculum, subject, chapters, num_questions } = req.body;
-
-    // Parameter validation
-    if (!class_name || !curriculum || !subject || !chapters || num_questions === undefined) {
-        console.error(`User ${userId}: Missing required parameters`);
-        return res.status(400).json({ error: 'Missing required parameters' });
-    }
+    // Validate number of questions
+    const numberOfQuestions = parseInt(body.num_questions, 10);
+    if (isNaN(numberOfQuestions) || numberOfQuestions <= 0 || numberOfQuestions > 20) { // Limit question count
+        return { error: 'Number of questions must be a positive number between 1 and 20.' };
+    }
+    return { params: { quiz_type, class_name, curriculum, subject, chapters, time_limit_minutes, material, sections: [{ type: quiz_type, count: numberOfQuestions }] } };
+}
 
-    // Convert chapters to string if array (if needed by your prompt)
-    if (Array.isArray(chapters)) {
-        chapters = chapters.join(', ');
-    }
+// Plans a practice quiz from the user's missed answers (see quiz/practice.js). Body: subject
+// (optional, defaults to the subject they miss most in) and num_questions (optional).
+// Returns { error } or { params } like parseQuizGenerationRequest.
+async function parsePracticeRequest(userId, body) {
+    const { value: size, error } = parsePracticeSize(body.num_questions);
+    if (error) {
+        return { error };
+    }
+    const heldQuizIds = await openQuizIds(await practicePlanner.answeredQuizIds(userId), userId);
+    const plan = await practicePlanner.planFor(userId, { subject: body.subject || null, size, heldQuizIds });
+    if (!plan) {
+        return { error: body.subject ? `You have no missed answers in ${body.subject} to practise.` : 'You have no missed answers to practise yet. Take a quiz first.' };
+    }
+    return {
+        params: {
+            quiz_type: 'Practice',
+            class_name: plan.class,
+            curriculum: plan.curriculum,
+            subject: plan.subject,
+            chapters: plan.topic,
+            time_limit_minutes: null,
+            sections: plan.sections,
+            practice: {
+                difficulty: plan.difficulty,
+                mastery: plan.mastery,
+                focus_chapters: plan.chapters.map(c => c.name),
+                weak_types: plan.types.map(t => t.name),
+                missed_examples: plan.missed_examples,
+            },
+            retry_questions: plan.retry_questions,
+        },
+    };
+}
 
-    // Validate question count
-    const numberOfQuestions = parseInt(num_questions, 10);
-    if (isNaN(numberOfQuestions) || numberOfQuestions < 1 || numberOfQuestions > 20) {
-        return res.status(400).json({ error: 'Invalid question count (1-20)' });
-    }
+// Questions as the quiz taker may see them: no answer, accepted answers, rubric or explanation
+const toQuestionForTaker = (q) => {
+    const { answer, explanation, options, accepted_answers, rubric, ...rest } = q;
+    return {
+        ...rest,
+        options: options || [] // Ensure options is always an array for the frontend
+    };
+};
+
+// Reads and chunks the study material of a generation request (params.material) and picks
+// the chunks for `topic`. Reports progress as
+//   material { status: 'extracting', done, total, source? }  while files are read
+//   material { status: 'ready', pages, chunks, sources, warnings }
+// Resolves to { chunks, sources, warnings }. Rejects without retries when no text at all
+// could be read, since reading the same files again won't help.
+async function prepareMaterial(userId, material, topic, emit) {
+    const fileCount = material.files.length + (material.text ? 1 : 0);
+    emit('material', { status: 'extracting', done: 0, total: fileCount });
+    const { pages, warnings } = await extractMaterial(material, {
+        ocr: ocrEngine,
+        onProgress: ({ source, done, total }) => emit('material', { status: 'extracting', source, done, total }),
+    });
+    warnings.forEach(warning => console.warn(`User ${userId}: Study material: ${warning}`));
+    if (pages.length === 0) {
+        throw Object.assign(new Error(`No text could be read from the uploaded study material. ${warnings.join(' ')}`.trim()), { retryable: false });
+    }
 
-    // Removed database query to api_keys table
-    // Removed API key decryption logic
+    const chunks = selectChunks(chunkPages(pages), topic);
+    const sources = summarizeSources(chunks);
+    console.log(`User ${userId}: Study material read: ${pages.length} page(s), using ${chunks.length} chunk(s).`);
+    emit('material', { status: 'ready', pages: pages.length, chunks: chunks.length, sources, warnings });
+    return { chunks, sources, warnings };
+}
 
-    // 2. Call AI helper (now calls Ollama)
-    try {
-        // MODIFIED: Removed apiKey, apiType parameters from generateQuizWithAI call
-        const quizData = await generateQuizWithAI(
-            'Descriptive', // Hardcode quiz type
-            class_name,
-            curriculum,
-            subject,
-            chapters,
-            numberOfQuestions
-        );
-
-        // Clean and validate questions (logic kept)
-        if (!quizData?.questions?.length) {
-            throw new Error('AI failed to generate questions');
-        }
+// Generates every section, saves the quiz and reports progress through `emit(event, data)`:
+//   started  { quiz_type, total, sections }
+//   material { status, ... }                     (only with study material, see prepareMaterial)
+//   repair   { section, attempt, pending }
+//   question { section, position, question }   (question without answer/explanation)
+//   section  { section, status: 'done' | 'failed', count?, error? }
+//   saved    { quizId, regenerated }
+// Resolves to { quizId, regenerated }. A combined exam keeps going when one section fails;
+// a single-type quiz (or a combined exam with no questions at all) rejects.
+// A practice quiz (params.practice, see quiz/practice.js) mixes sections like a combined exam,
+// aims the new questions at the student's weak spots and adds copies of `retry_questions`
+// as a 'Retry' section.
+// With study material (params.material) every question is based on it and cites its page.
+async function runQuizGeneration(userId, params, { emit = () => {}, signal } = {}) {
+    const { quiz_type, class_name, curriculum, subject, chapters, time_limit_minutes, sections, material = null, practice = null, retry_questions = [] } = params;
+    const isCombined = quiz_type === 'Combined' || Boolean(practice);
+    const total = sections.reduce((sum, section) => sum + section.count, 0) + retry_questions.length;
+
+    emit('started', {
+        quiz_type,
+        total,
+        sections: retry_questions.length ? [...sections, { type: 'Retry', count: retry_questions.length }] : sections,
+    });
 
-        // 3. Database insertion (logic kept)
-        const quizId = uuidv4();
-        const insertSql = `INSERT INTO quizzes (id,user_id,quiz_type,"class",curriculum,subject,chapters,questions) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-
-        const insertParams = [
-            quizId,
-            userId,
-            'Descriptive',
-            class_name,
-            curriculum,
-            subject,
-            chapters,
-            JSON.stringify(quizData)
-        ];
-
-        // Execute single insert
-        await new Promise((resolve, reject) => {
-            db.run(insertSql, insertParams, function(err) {
-                err ? reject(err) : resolve(this.lastID);
-            });
-        });
+    const grounding = material ? await prepareMaterial(userId, material, `${subject} ${chapters}`, emit) : null;
+
+    let allQuestions = [];
+    const generationReport = {}; // section type -> { requested, repair_attempts, regenerated }
+    for (const section of sections) {
+        console.log(`User ${userId}: Generating ${section.count} ${section.type} questions...`);
+        try {
+            const sectionData = await generateQuizWithAI(
+                section.type, class_name, curriculum, subject, chapters, section.count,
+                {
+                    signal,
+                    focus: practice,
+                    material: grounding?.chunks,
+                    existingQuestions: retry_questions.map(q => q.question),
+                    onRepair: ({ attempt, pending }) => emit('repair', { section: section.type, attempt, pending }),
+                    onQuestion: (question, position) => emit('question', { section: section.type, position, question: toQuestionForTaker(question) }),
+                }
+            );
+            allQuestions = allQuestions.concat(sectionData.questions);
+            generationReport[section.type] = sectionData.generation;
+            emit('section', { section: section.type, status: 'done', count: sectionData.questions.length });
+        } catch (err) {
+            // Single-type quizzes and cancellations fail as a whole
+            if (!isCombined || err.cancelled || signal?.aborted) throw err;
+            console.error(`User ${userId}: Error generating ${section.type} questions:`, err.message);
+            emit('section', { section: section.type, status: 'failed', error: err.message });
+        }
+    }
 
-        // Success response
-        res.status(200).json({
-            success: true,
-            quizId,
-            message: 'Quiz generated successfully'
-        });
+    const generatedQuestions = allQuestions;
+    if (retry_questions.length) {
+        // Fresh ids, so the copies are graded (and show up in progress) as questions of their own
+        const retries = retry_questions.map(q => ({ ...q, id: uuidv4(), retry_of: q.id }));
+        retries.forEach((question, index) => emit('question', { section: 'Retry', position: index + 1, question: toQuestionForTaker(question) }));
+        emit('section', { section: 'Retry', status: 'done', count: retries.length });
+        allQuestions = allQuestions.concat(retries);
+    }
 
-    } catch (error) {
-        console.error(`Descriptive quiz error: ${error.message}`);
-        // MODIFIED: Simplified error message as API key is no longer user input
-        res.status(500).json({
-            error: 'Quiz generation failed: ' + error.message
-        });
-    }
-});
+    if (allQuestions.length === 0) {
+        throw new Error('AI failed to generate questions for the combined exam. Please try again or adjust parameters.');
+    }
+    console.log(`User ${userId}: AI successfully generated ${generatedQuestions.length} questions.`);
 
+    // Positions are per section, so report the type next to each regenerated question
+    const regenerated = Object.entries(generationReport)
+        .flatMap(([type, report]) => report.regenerated.map(r => ({ ...r, type })));
 
-    // Protected Route: Generate a Combined Exam
-// Uses authenticateToken middleware
-// MODIFIED: Removed API key fetching, calls Ollama
-app.post('/combined-exam', authenticateToken, async (req, res) => {
-    // Middleware Applied
-    console.log("Received request to /combined-exam");
-    const userId = req.user.id;
-    
-    const {
-        class: class_name, curriculum, subject, chapters,
-        num_mcq, num_fib, num_descriptive
-    } = req.body;
-    console.log(`User ${userId}: Combined Exam Parameters Received:`, {
-        class_name, curriculum, subject, chapters, num_mcq, num_fib, num_descriptive
+    if (isCombined) {
+        allQuestions.sort(() => Math.random() - 0.5);
+    }
+
+    // Save the quiz and its questions, linking them to the user
+    const quizId = uuidv4();
+    await quizStore.createQuiz({
+        id: quizId,
+        userId,
+        quizType: quiz_type,
+        className: class_name,
+        curriculum,
+        subject,
+        chapters,
+        questions: allQuestions,
+        // Validation/repair report (per section for combined exams), what a practice quiz focused on
+        // and the study material the questions were based on
+        details: {
+            generation: isCombined ? generationReport : generationReport[quiz_type],
+            ...(practice ? { practice: { ...practice, retried: retry_questions.map(q => q.id) } } : {}),
+            ...(grounding ? { material: { sources: grounding.sources, chunks: grounding.chunks.length, warnings: grounding.warnings } } : {}),
+        },
+        settings: time_limit_minutes ? { time_limit_minutes } : null,
     });
+    console.log(`User ${userId}: ${quiz_type} quiz saved with ID: ${quizId}`);
+    // Retries are already in the bank from the quizzes they came from
+    await addToQuestionBank(userId, generatedQuestions, { id: quizId, class: class_name, curriculum, subject, chapters });
+
+    emit('saved', { quizId, regenerated });
+    return { quizId, regenerated };
+}
 
-    // Basic validation for combined exam counts
-    if (!class_name || !curriculum || !subject || !chapters || num_mcq === undefined || num_fib === undefined || num_descriptive === undefined) {
-        console.error(`User ${userId}: Missing required combined exam parameters.`);
-        return res.status(400).json({ error: 'Missing required combined exam parameters.' });
+// Generation runs as a 'generate-quiz' job; the payload is the parsed request.
+// Uploaded study material is kept until the job is finished for good, so retries can read it again.
+jobQueue.register('generate-quiz', ({ params }, { job, emit, signal }) =>
+    runQuizGeneration(job.user_id, params, { emit, signal }), {
+    onSettled: async (job, { params }) => {
+        if (params?.material?.files.length) {
+            console.log(`Job ${job.id}: Deleting ${params.material.files.length} study material file(s).`);
+            await removeMaterialFiles(params.material.files);
+        }
+    },
+});
+
+// Builds the classic JSON handler for one kind of quiz.
+// The work is queued like the streaming variant; this handler just waits for the job.
+const quizGenerationHandler = (kind, errorPrefix) => async (req, res) => {
+    const userId = req.user.id;
+    console.log(`User ${userId}: Received ${kind} quiz generation request.`);
+
+    const { error, params } = kind === 'practice' ? await parsePracticeRequest(userId, req.body) : parseQuizGenerationRequest(kind, req.body, req.files);
+    if (error) {
+        console.error(`User ${userId}: ${error}`);
+        await removeMaterialFiles(req.files);
+        return res.status(400).json({ error });
     }
-    
-    const numMCQ = parseInt(num_mcq, 10) || 0;
-    const numFIB = parseInt(num_fib, 10) || 0;
-    const numDescriptive = parseInt(num_descriptive, 10) || 0;
-    const totalQuestions = numMCQ + numFIB + numDescriptive;
-    
-    if (totalQuestions <= 0 || totalQuestions > 30) {
-        console.error(`User ${userId}: Invalid total number of questions:`, totalQuestions);
-        return res.status(400).json({ error: 'Total number of questions must be positive and not exceed 30.' });
+
+    let job;
+    try {
+        job = await jobQueue.enqueue('generate-quiz', userId, { kind, params });
+    } catch (err) {
+        console.error(`User ${userId}: Error queueing ${kind} quiz generation:`, err.message);
+        await removeMaterialFiles(req.files);
+        return res.status(500).json({ error: 'Could not queue quiz generation. Please try again.' });
     }
+
     try {
-        let allQuestions =[];
-        if (numMCQ > 0) {
-            console.log(`User ${userId}: Generating ${numMCQ} MCQ questions...`);
-            try {
-                const mcqQuizData = await generateQuizWithAI(
-                    'MCQ', class_name, curriculum, subject, chapters, numMCQ
-                );
-                if (mcqQuizData && Array.isArray(mcqQuizData.questions)) {
-                    allQuestions = allQuestions.concat(mcqQuizData.questions);
-                } else {
-                    console.warn(`User ${userId}: generateQuizWithAI did not return expected MCQ data.`);
-                }
-            } catch (err) {
-                console.error(`User ${userId}: Error generating MCQ questions:`, err.message);
-            }
-        }
-        if (numFIB > 0) {
-            console.log(`User ${userId}: Generating ${numFIB} FIB questions...`);
-            try {
-                const fibQuizData = await generateQuizWithAI(
-                    'FIB', class_name, curriculum, subject, chapters, numFIB
-                );
-                if (fibQuizData && Array.isArray(fibQuizData.questions)) {
-                    allQuestions = allQuestions.concat(fibQuizData.questions);
-                } else {
-                    console.warn(`User ${userId}: generateQuizWithAI did not return expected FIB data.`);
-                }
-            } catch (err) {
-                console.error(`User ${userId}: Error generating FIB questions:`, err.message);
-            }
+        const finished = await jobQueue.waitFor(job.id);
+        if (finished.status !== 'succeeded') {
+            throw new Error(finished.error || 'An error occurred during quiz generation.');
         }
-        if (numDescriptive > 0) {
-            console.log(`User ${userId}: Generating ${numDescriptive} Descriptive questions...`);
-            try {
-                const descriptiveQuizData = await generateQuizWithAI(
-                    'Descriptive', class_name, curriculum, subject, chapters, numDescriptive
-                );
-                if (descriptiveQuizData && Array.isArray(descriptiveQuizData.questions)) {
-                    allQuestions = allQuestions.concat(descriptiveQuizData.questions);
-                } else {
-                    console.warn(`User ${userId}: generateQuizWithAI did not return expected Descriptive data.`);
-                }
-            } catch (err) {
-                console.error(`User ${userId}: Error generating Descriptive questions:`, err.message);
-            }
+        const { quizId, regenerated } = finished.result;
+        // `regenerated` lists questions that failed validation and were replaced by a repair prompt
+        res.status(200).json({ success: true, jobId: job.id, quizId, regenerated, message: 'Quiz generated successfully' });
+    } catch (err) {
+        console.error(`User ${userId}: Error during ${kind} quiz generation:`, err.message);
+        res.status(500).json({ error: errorPrefix + (err.message || 'An error occurred during quiz generation.') });
+    }
+};
+
+// --- Server-Sent Events helper ---
+// Switches the response to an event stream. `signal` aborts when the client goes away
+// (closed tab, cancel button), so in-flight LLM calls can be dropped.
+function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders?.();
+
+    const controller = new AbortController();
+    // Comment lines keep proxies from closing an idle stream while the model is thinking
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) controller.abort();
+    });
+
+    return {
+        signal: controller.signal,
+        send(event, data) {
+            if (res.writableEnded || controller.signal.aborted) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) res.end();
+        },
+    };
+}
+
+// Streams a job as Server-Sent Events: `job` { id, type, status } first, then the progress
+// the handler emitted so far and everything after it. The stream ends with
+//   succeeded { result }  or  error { error, cancelled }
+// plus `running` / `retrying` { attempt, max_attempts, error? } around retries.
+// Closing the stream only stops watching; the job keeps running (cancel with POST /jobs/:id/cancel).
+function streamJob(res, job) {
+    const stream = openEventStream(res);
+    stream.send('job', { id: job.id, type: job.type, status: job.status });
+
+    let stopWatching = () => {};
+    stopWatching = jobQueue.watch(job.id, ({ event, data }) => {
+        if (event === 'succeeded') {
+            stream.send('succeeded', { result: data.result });
+        } else if (event === 'failed') {
+            stream.send('error', { error: data.error || 'Job failed.', cancelled: data.cancelled });
+        } else {
+            stream.send(event, data);
+            return;
         }
-        if (allQuestions.length === 0 && totalQuestions > 0) {
-            console.error(`User ${userId}: AI failed to generate any questions for combined exam.`);
-            return res.status(500).json({ error: 'AI failed to generate questions for the combined exam. Please try again or adjust parameters.' });
+        stopWatching();
+        stream.end();
+    });
+    stream.signal.addEventListener('abort', () => stopWatching());
+}
+
+// Builds the streaming (SSE) handler for one kind of quiz. See runQuizGeneration for the events.
+const quizGenerationStreamHandler = (kind) => async (req, res) => {
+    const userId = req.user.id;
+    console.log(`User ${userId}: Received streaming ${kind} quiz generation request.`);
+
+    const { error, params } = kind === 'practice' ? await parsePracticeRequest(userId, req.body) : parseQuizGenerationRequest(kind, req.body, req.files);
+    if (error) {
+        console.error(`User ${userId}: ${error}`);
+        await removeMaterialFiles(req.files);
+        return res.status(400).json({ error });
+    }
+
+    let job;
+    try {
+        job = await jobQueue.enqueue('generate-quiz', userId, { kind, params });
+    } catch (err) {
+        console.error(`User ${userId}: Error queueing ${kind} quiz generation:`, err.message);
+        await removeMaterialFiles(req.files);
+        return res.status(500).json({ error: 'Could not queue quiz generation. Please try again.' });
+    }
+    streamJob(res, job);
+};
+
+// Protected Routes: Generate a General Quiz (MCQ/FIB), a Descriptive Quiz and a Combined Exam
+// Each one also has a /stream variant that reports progress as Server-Sent Events.
+// They accept form fields or multipart form data with study material to base the quiz on:
+// `material` files (PDFs, images of pages, text files) and/or pasted `material_text`.
+app.post('/generate-quiz', authenticateToken, acceptMaterial, quizGenerationHandler('general', ''));
+app.post('/generate-quiz/stream', authenticateToken, acceptMaterial, quizGenerationStreamHandler('general'));
+
+app.post('/descriptive-quiz', authenticateToken, acceptMaterial, quizGenerationHandler('descriptive', 'Quiz generation failed: '));
+app.post('/descriptive-quiz/stream', authenticateToken, acceptMaterial, quizGenerationStreamHandler('descriptive'));
+
+app.post('/combined-exam', authenticateToken, acceptMaterial, quizGenerationHandler('combined', 'Combined exam generation failed: '));
+app.post('/combined-exam/stream', authenticateToken, acceptMaterial, quizGenerationStreamHandler('combined'));
+
+// --- Practice ---
+
+// Protected Route: What a practice quiz would focus on right now. Query: subject, num_questions
+// (both optional). Returns the plan (see quiz/practice.js) with the retried questions'
+// text only, or 404 when the user has no missed answers to practise.
+app.get('/user/practice-plan', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const { value: size, error } = parsePracticeSize(req.query.num_questions);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        const heldQuizIds = await openQuizIds(await practicePlanner.answeredQuizIds(userId), userId);
+        const plan = await practicePlanner.planFor(userId, { subject: req.query.subject || null, size, heldQuizIds });
+        if (!plan) {
+            return res.status(404).json({ error: req.query.subject ? `You have no missed answers in ${req.query.subject} to practise.` : 'You have no missed answers to practise yet. Take a quiz first.' });
         }
-        console.log(`User ${userId}: AI successfully generated ${allQuestions.length} questions for combined exam.`);
-        allQuestions.sort(() => Math.random() - 0.5);
-        const combinedQuizData = {
-                // No need for an 'id' here, the DB row gets the quizId
-                quiz_type: 'Combined',
-                class: class_name,
-                curriculum: curriculum,
-                subject: subject,
-                chapters: chapters,
-                questions: allQuestions // This is the array of questions from all types
-            };
+        console.log(`User ${userId}: Practice plan for ${plan.subject}: ${plan.sections.map(s => `${s.count} ${s.type}`).join(', ') || 'no new questions'}, ${plan.retry_questions.length} retries.`);
+        res.status(200).json({
+            ...plan,
+            retry_questions: plan.retry_questions.map(q => ({ id: q.id, type: q.type, question: q.question })),
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error planning a practice quiz:`, err.message);
+        res.status(500).json({ error: 'Failed to plan a practice quiz.' });
+    }
+});
 
+// Protected Routes: Generate a practice quiz from the plan above (body: subject, num_questions)
+app.post('/practice-quiz', authenticateToken, quizGenerationHandler('practice', 'Practice quiz generation failed: '));
+app.post('/practice-quiz/stream', authenticateToken, quizGenerationStreamHandler('practice'));
+
+// --- Review deck ---
+// Spaced repetition over the questions the user missed (see quiz/review.js)
+
+// A card as the reviewer sees it: the question as a quiz taker would, plus what to reveal
+// once they have answered (the deck is their own, built from answers they've seen graded)
+const toCardForReviewer = (card) => ({
+    id: card.id,
+    question: toQuestionForTaker(card.question),
+    reveal: {
+        answer: card.question.answer,
+        explanation: card.question.explanation,
+        ...(card.question.type === 'Descriptive' ? { rubric: rubricFor(card.question) } : {}),
+    },
+    ease: card.ease,
+    interval_days: card.interval_days,
+    repetitions: card.repetitions,
+    lapses: card.lapses,
+    due_at: card.due_at,
+    last_reviewed_at: card.last_reviewed_at,
+});
 
-            // Save the combined quiz data, linking it to the user
-            const quizId = uuidv4(); // Generate a unique ID for this combined quiz instance in the DB
-            // userId is already defined from authenticateToken
+// Protected Route: Today's due cards, most overdue first, with the deck size, how many due
+// cards are held back and when the next card comes up. Query: limit (optional).
+app.get('/review/due', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_DUE_CARDS, 1), MAX_DUE_CARDS);
+    try {
+        const heldQuizIds = await openQuizIds(await reviewDeck.quizIds(userId), userId);
+        const { cards, ...deck } = await reviewDeck.listDue(userId, new Date(), limit, heldQuizIds);
+        console.log(`User ${userId}: ${deck.due_count} of ${deck.total_cards} review card(s) due.`);
+        res.status(200).json({ ...deck, cards: cards.map(toCardForReviewer), server_time: new Date().toISOString() });
+    } catch (err) {
+        console.error(`User ${userId}: Error listing due review cards:`, err.message);
+        res.status(500).json({ error: 'Failed to load your review cards.' });
+    }
+});
 
-            const insertSql = `INSERT INTO quizzes (id, user_id, quiz_type, "class", curriculum, subject, chapters, questions) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`; // SQL string
-            const insertParams = [quizId, userId, 'Combined', class_name, curriculum, subject, chapters, JSON.stringify(combinedQuizData)]; // Parameters
+// Protected Route: Record a review and reschedule the card.
+// Body: { rating: 'again' | 'hard' | 'good' | 'easy' } to grade yourself, or { answer } to have
+// an MCQ/FIB card graded like a quiz answer (correct -> good, wrong -> again). Descriptive
+// cards are always self-graded.
+app.post('/review/cards/:cardId/review', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const { rating, answer } = req.body || {};
+    try {
+        const card = await reviewDeck.getCard(req.params.cardId, userId);
+        if (!card) {
+            return res.status(404).json({ error: 'Review card not found.' });
+        }
+        // Cards from a quiz the user can still submit wait until it closes, as the answer they
+        // reveal (or an answer checked against it) would give the quiz away
+        if (card.quiz_id && (await openQuizIds([card.quiz_id], userId)).length) {
+            return res.status(409).json({ error: 'This card comes back once you can no longer submit its quiz.' });
+        }
 
-            console.log(`User ${userId}: Executing SQL (Combined Insert): ${insertSql}`); // Logging
-            // console.log(`User ${userId}: With parameters (Combined Insert):`, insertParams); // Logging
+        let quality;
+        let match = null;
+        if (rating !== undefined) {
+            if (!Object.hasOwn(REVIEW_RATINGS, rating)) {
+                return res.status(400).json({ error: `Rating must be one of ${Object.keys(REVIEW_RATINGS).join(', ')}.` });
+            }
+            quality = REVIEW_RATINGS[rating];
+        } else if (typeof answer === 'string') {
+            if (!['MCQ', 'FIB'].includes(card.question.type)) {
+                return res.status(400).json({ error: `Rate your answer to a ${card.question.type} card yourself (${Object.keys(REVIEW_RATINGS).join(', ')}).` });
+            }
+            match = matchAnswer(card.question, answer, resolveMatchingSettings(card.quiz_settings.matching));
+            quality = match.is_correct ? REVIEW_RATINGS.good : REVIEW_RATINGS.again;
+        } else {
+            return res.status(400).json({ error: 'Send a rating or an answer.' });
+        }
 
+        const method = rating !== undefined ? 'self' : 'auto';
+        const updated = await reviewDeck.recordReview(card, quality, { method, userAnswer: typeof answer === 'string' ? answer : null });
+        console.log(`User ${userId}: Reviewed card ${card.id} (${method}, quality ${quality}); next due ${updated.due_at}.`);
+        res.status(200).json({
+            card: toCardForReviewer(updated),
+            quality,
+            method,
+            ...(match ? { is_correct: match.is_correct, match } : {}),
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error recording a review of card ${req.params.cardId}:`, err.message);
+        res.status(500).json({ error: 'Failed to record the review.' });
+    }
+});
 
-            db.run(insertSql, insertParams, // Use variables for SQL and parameters
-                   function(saveErr) { // Use function keyword for 'this' context (if needed)
-                if (saveErr) {
-                    console.error(`User ${userId}: Error saving generated combined exam to database:`, saveErr.message);
-                    return res.status(500).json({ error: 'Failed to save generated combined exam.' });
-                }
-                console.log(`User ${userId}: Combined Exam saved to database with ID: ${quizId}`);
+// Protected Route: Take a card out of the review deck
+app.delete('/review/cards/:cardId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        if (!(await reviewDeck.removeCard(req.params.cardId, userId))) {
+            return res.status(404).json({ error: 'Review card not found.' });
+        }
+        console.log(`User ${userId}: Removed review card ${req.params.cardId}.`);
+        res.status(200).json({ message: 'Card removed from your review deck.' });
+    } catch (err) {
+        console.error(`User ${userId}: Error removing review card ${req.params.cardId}:`, err.message);
+        res.status(500).json({ error: 'Failed to remove the card.' });
+    }
+});
 
-                // Send the quiz ID back for frontend redirection
-                res.status(200).json({ success: true, quizId: quizId });
-            });
+// --- Quiz grading ---
+
+// What grading keeps of an OCR result: the engine that read the sheet, its confidence
+// overall and per page, and whether that is too low to trust (OCR_LOW_CONFIDENCE)
+const toOcrReport = ({ engine, confidence, pages, warnings, fallback_from }) => ({
+    engine,
+    confidence,
+    low_confidence: confidence === null ? false : confidence < OCR_LOW_CONFIDENCE,
+    pages: pages.map(({ page, confidence: pageConfidence }) => ({ page, confidence: pageConfidence })),
+    warnings,
+    ...(fallback_from ? { fallback_from } : {}),
+});
 
-        } catch (error) {
-            console.error(`User ${userId}: Error during combined exam generation process:`, error.message);
-            // MODIFIED: Simplified error message
-            res.status(500).json({ error: 'Combined exam generation failed: ' + error.message });
-        }
-    });
+// Reads the answer sheet PDF at `filePath` with the configured OCR engine (see ocr/index.js),
+// reporting progress as 'ocr' events. Resolves to { text, ocr } (see toOcrReport); a sheet
+// that can't be read gives empty text and an `ocr.error` instead of failing.
+async function readAnswerSheet(userId, filePath, emit = () => {}) {
+    console.log(`User ${userId}: Reading PDF with ${ocrEngine.label} from: ${filePath}`);
+    emit('ocr', { status: 'reading', engine: ocrEngine.name });
+    let text = '';
+    let ocr;
+    try {
+        const pdfBuffer = await fs.promises.readFile(filePath);
+        console.log(`User ${userId}: PDF read into buffer. Size: ${pdfBuffer.length} bytes.`);
 
-// Protected Route: Submit Quiz Answers and Evaluate
-// Uses authenticateToken middleware and handles optional file upload for context
-// MODIFIED: Removed API key fetching for evaluation
-app.post('/submit-quiz/:quizId', authenticateToken, upload.single('pdfFile'), async (req, res) => {
-    const quizId = req.params.quizId;
-    const userAnswers = req.body;
-    const userId = req.user.id;
-    const uploadedFile = req.file;
-    const filePath = uploadedFile ? uploadedFile.path : null;
+        const ocrResult = await ocrEngine.readPdf(pdfBuffer, {
+            onPage: ({ done, total }) => emit('ocr', { status: 'reading', engine: ocrEngine.name, done, total }),
+        });
+        text = ocrResult.text;
+        ocr = toOcrReport(ocrResult);
+        if (!text) {
+            console.warn(`User ${userId}: No valid text found in OCR response.`);
+        }
+        console.log(`User ${userId}: Extracted text length: ${text.length} (${ocrResult.engine}, confidence ${ocrResult.confidence ?? 'n/a'}).`);
+    } catch (error) {
+        console.error(`User ${userId}: OCR error (${ocrEngine.label}): ${error.message}`);
+        ocr = { engine: ocrEngine.name, error: error.message, confidence: null, low_confidence: true, pages: [], warnings: [] };
+    }
+    emit('ocr', { status: 'done', engine: ocr.engine, confidence: ocr.confidence, low_confidence: ocr.low_confidence });
+    return { text, ocr };
+}
 
-    let finalExtractedText = '';
-    let totalScore = 0;
-    let overallPercentage = 0;
-    const evaluationResults = [];
+// Reads the optional answer sheet, scores every answer and saves the result. `sheet` is an
+// answer sheet already read and reviewed: { text, ocr, segments (question id -> answer) }.
+// Runs as a 'grade-quiz' job (see /submit-quiz below) and resolves to the submission response.
+async function gradeQuizSubmission(userId, quizId, userAnswers, filePath, { emit = () => {}, attemptId = null, sheet = null } = {}) {
+    let finalExtractedText = '';
+    let ocrReport = null; // How the uploaded PDF was read (see toOcrReport)
+    let totalScore = 0;
+    let overallPercentage = 0;
+    const evaluationResults = [];
+    const reviewFlags = []; // { position, reason, note } of gradings for the review queue (quiz/overrides.js)
 
-    console.log(`User ${userId}: Received submission for quiz ID: ${quizId}`);
-    console.log(`User ${userId}: PDF file uploaded: ${uploadedFile ? 'Yes' : 'No'}`);
+    console.log(`User ${userId}: Grading submission for quiz ID: ${quizId}`);
+    console.log(`User ${userId}: PDF file uploaded: ${filePath ? 'Yes' : 'No'}`);
 
     try {
         // Step 1: Retrieve quiz data (NO API KEY FETCH HERE)
         console.log(`User ${userId}: Fetching quiz data for evaluation...`);
 
         // MODIFIED: Removed JOIN with api_keys table
-        const row = await new Promise((resolve, reject) => {
-            db.get(`SELECT questions, quiz_type FROM quizzes WHERE id = ? AND user_id = ?`,[quizId, userId],(err, row) => {
-                    if (err) {
-                        console.error(`User ${userId}: DB Error fetching quiz:`, err.message);
-                        return reject(err);
-                    }
-                    if (!row) {
-                        console.warn(`User ${userId}: Quiz ${quizId} not found or not owned by user.`);
-                        return resolve(null);
-                    }
-                    resolve(row);
-                }
-            );
-        });
+        // The quiz may be the user's own or one assigned to them
+        const quiz = await quizStore.getQuizForTaker(quizId, userId);
 
-        if (!row) {
-            if (filePath) {
-                console.log(`User ${userId}: Cleaning up uploaded PDF: ${filePath}`);
-                await fs.promises.unlink(filePath).catch(err =>
-                    console.error(`Error deleting file ${filePath}:`, err)
-                );
-            }
-            return res.status(404).json({ error: 'Quiz not found or unauthorized access.' });
-        }
-
-        // Step 2: OCR with Google Cloud Vision (Logic remains the same)
-        // This uses visionClient, assumed to be authenticated via other means (e.g. service account JSON file)
-        if (filePath) {
-            console.log(`User ${userId}: Sending PDF to Google Cloud Vision API from: ${filePath}`);
-            try {
-                const pdfBuffer = await fs.promises.readFile(filePath);
-                console.log(`User ${userId}: PDF read into buffer. Size: ${pdfBuffer.length} bytes.`);
-
-                const request = {
-                    requests: [{
-                        inputConfig: {
-                            content: pdfBuffer.toString('base64'),
-                            mimeType: 'application/pdf',
-                        },
-                        features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
-                    }],
-                };
+        if (!quiz) {
+            console.warn(`User ${userId}: Quiz ${quizId} not found or not available to user.`);
+            // The quiz was deleted after submission; retrying won't bring it back
+            throw Object.assign(new Error('Quiz not found or unauthorized access.'), { retryable: false });
+        }
 
-                console.log(`User ${userId}: Sending request to Vision API...`);
-                const [response] = await visionClient.batchAnnotateFiles(request);
-                console.log(`User ${userId}: Response received from Vision API.`);
-
-                const fileAnnotationResponse = response?.responses?.[0];
-                if (fileAnnotationResponse?.responses?.length > 0) {
-                    finalExtractedText = fileAnnotationResponse.responses
-                        .map(page => page.fullTextAnnotation?.text)
-                        .filter(Boolean)
-                        .join('\n')
-                        .trim();
-                } else {
-                    console.warn(`User ${userId}: No valid text found in OCR response.`);
-                }
-
-                console.log(`User ${userId}: Extracted text length: ${finalExtractedText.length}`);
-            } catch (error) {
-                console.error(`User ${userId}: Vision API error: ${error.message}`);
-                finalExtractedText = '';
-            }
-        } else {
-            console.log(`User ${userId}: No PDF file uploaded. Skipping OCR.`);
-        }
+        // Step 2: The answer sheet, split into the answer to each descriptive question
+        // (quiz/segment.js). A sheet the student reviewed on TakeQuiz comes with its mapping;
+        // an uploaded PDF is read with the configured OCR engine and split here. An unreadable
+        // sheet doesn't stop grading; `ocrReport` records what happened.
+        let sheetAnswers = {}; // question id -> answer text from the sheet
+        if (sheet) {
+            console.log(`User ${userId}: Using the reviewed answer sheet (${Object.keys(sheet.segments).length} answer(s) mapped).`);
+            ({ text: finalExtractedText, ocr: ocrReport, segments: sheetAnswers } = sheet);
+        } else if (filePath) {
+            ({ text: finalExtractedText, ocr: ocrReport } = await readAnswerSheet(userId, filePath, emit));
+            const { segments } = segmentAnswerSheet(finalExtractedText, quiz.questions);
+            sheetAnswers = Object.fromEntries(segments.filter(segment => segment.text).map(segment => [segment.question_id, segment.text]));
+            console.log(`User ${userId}: Mapped the answer sheet to ${Object.keys(sheetAnswers).length} of ${segments.length} descriptive question(s).`);
+        } else {
+            console.log(`User ${userId}: No PDF file uploaded. Skipping OCR.`);
+        }
 
         // Step 3: Evaluate User Answers
         console.log(`User ${userId}: Starting quiz evaluation.`);
 
         // MODIFIED: Removed encrypted_key, api_type destructuring
-        const { questions, quiz_type } = row; // Get questions and quiz_type from row
-        const originalQuestions = JSON.parse(questions).questions;
+        const originalQuestions = quiz.questions;
+        const matchingSettings = resolveMatchingSettings(quiz.settings.matching);
+        const gradingSettings = resolveGradingSettings(quiz.settings.grading);
         // Removed API key decryption logic
         // const apiKey = decryptApiKey(encrypted_key, encryptionKey, iv); // Remove this
         // Removed api_type variable as it's not needed
 
         for (const originalQ of originalQuestions) {
-            const currentUserAnswer = userAnswers[`answer_${originalQ.id}`] || '';
-            const result = {
-                question: originalQ.question,
+            const currentUserAnswer = userAnswers[`answer_${originalQ.id}`] || '';
+            const sheetAnswer = sheetAnswers[originalQ.id] || '';
+            const position = evaluationResults.length + 1; // As the answer is saved
+            const result = {
+                question_id: originalQ.id,
+                question: originalQ.question,
                 type: originalQ.type,
                 correct_answer: originalQ.answer,
                 explanation: originalQ.explanation,
                 user_answer: currentUserAnswer,
-                extracted_pdf_text_used: finalExtractedText || 'No text extracted or uploaded.',
+                extracted_pdf_text_used: sheetAnswer || 'No text extracted or uploaded.',
                 score: 0,
                 feedback: 'Not evaluated',
                 correct_parts: 'N/A',
@@ -1001,333 +1416,1705 @@ app.post('/submit-quiz/:quizId', authenticateToken, upload.single('pdfFile'), as
                 is_correct: false
             };
 
-            if (['MCQ', 'FIB'].includes(originalQ.type)) {
-                const isCorrect = originalQ.type === 'MCQ'
-                    ? userAnswerMatchesMCQ(originalQ, currentUserAnswer)
-                    : userAnswerMatchesFIB(originalQ, currentUserAnswer);
+            if (['MCQ', 'FIB'].includes(originalQ.type)) {
+                // The decision (method, what it matched, why) is kept with the answer
+                const match = matchAnswer(originalQ, currentUserAnswer, matchingSettings);
+                const isCorrect = match.is_correct;
+                const exactly = ['exact', 'option-letter'].includes(match.method);
+
+                Object.assign(result, {
+                    is_correct: isCorrect,
+                    score: isCorrect ? 10 : 0,
+                    feedback: isCorrect ? (exactly ? 'Correct.' : `Correct. ${match.detail}`) : `Incorrect. ${match.detail}`,
+                    correct_parts: isCorrect ? originalQ.answer : 'N/A',
+                    improvements: isCorrect ? 'N/A' : `The correct answer is ${originalQ.answer}.`,
+                    match
+                });
+
+                console.log(`User ${userId}: Evaluated ${originalQ.type} question (ID: ${originalQ.id}) - Correct: ${isCorrect} (${match.method})`);
+            } else if (originalQ.type === 'Descriptive') {
+                console.log(`User ${userId}: Evaluating descriptive question ID: ${originalQ.id}`);
+                const hasAnswerText = currentUserAnswer.trim() || sheetAnswer.trim();
+
+                Object.assign(result, {
+                    feedback: hasAnswerText ? 'Evaluation pending from AI...' : 'No answer text provided.',
+                    improvements: hasAnswerText ? 'N/A' : 'Provide a written or typed answer.'
+                });
+
+                if (hasAnswerText) {
+                    try {
+                        // MODIFIED: Removed apiKey, apiType parameters
+                        const aiEvaluation = await gradeDescriptiveAnswer(
+                            originalQ, currentUserAnswer, sheetAnswer, gradingSettings
+                        );
+                        const { sampling } = aiEvaluation;
+
+                        Object.assign(result, {
+                            score: aiEvaluation.score,
+                            rubric_scores: aiEvaluation.rubric_scores,
+                            feedback: aiEvaluation.feedback,
+                            correct_parts: aiEvaluation.correct_parts,
+                            improvements: aiEvaluation.improvements,
+                            ...(sampling ? { grading: sampling } : {})
+                        });
+
+                        console.log(`User ${userId}: AI evaluation complete for question ID ${originalQ.id}${sampling ? ` (scores ${sampling.scores.join(', ')}; spread ${sampling.spread})` : ''}`);
+
+                        if (aiEvaluation.failed) {
+                            reviewFlags.push({ position, reason: 'failed', note: aiEvaluation.feedback });
+                        } else if (sampling?.disagreement) {
+                            reviewFlags.push({ position, reason: 'low_confidence', note: `Grader samples disagreed: scores ${sampling.scores.join(', ')} (spread ${sampling.spread} > ${gradingSettings.max_spread}).` });
+                        } else if (aiEvaluation.partial) {
+                            reviewFlags.push({ position, reason: 'low_confidence', note: 'The AI returned an incomplete evaluation.' });
+                        } else if (sheetAnswer && ocrReport?.low_confidence) {
+                            reviewFlags.push({ position, reason: 'low_confidence', note: `Graded from an answer sheet read with ${ocrReport.confidence ?? 'unknown'}% OCR confidence.` });
+                        }
+                    } catch (err) {
+                        console.error(`User ${userId}: AI evaluation failed: ${err.message}`);
+                        Object.assign(result, {
+                            score: 0,
+                            feedback: `Evaluation failed: ${err.message}`,
+                            improvements: 'Check the backend AI connection.' // Modified message
+                        });
+                        reviewFlags.push({ position, reason: 'failed', note: result.feedback });
+                    }
+                }
+            } else {
+                console.warn(`User ${userId}: Unknown question type: ${originalQ.type}`);
+                result.feedback = `Skipped: Unknown question type "${originalQ.type}".`;
+            }
+
+            totalScore += result.score;
+            evaluationResults.push(result);
+            emit('evaluated', { position: evaluationResults.length, total: originalQuestions.length });
+        }
+
+        // Step 4: Save Results (Logic remains the same)
+        const maxPossibleScore = originalQuestions.length * 10;
+        overallPercentage = maxPossibleScore ? (totalScore / maxPossibleScore) * 100 : 0;
+        const resultId = uuidv4();
+
+        try {
+            await resultStore.saveResult({
+                id: resultId,
+                userId,
+                quizId,
+                attemptId,
+                score: overallPercentage,
+                extractedText: finalExtractedText,
+                ocr: ocrReport,
+                answers: evaluationResults,
+            });
+            console.log(`User ${userId}: Result saved with ID: ${resultId}`);
+        } catch (err) {
+            console.error(`User ${userId}: DB error saving results:`, err.message);
+            throw err;
+        }
+
+        // Gradings that can't be trusted as they are wait for the quiz owner's review
+        if (reviewFlags.length) {
+            try {
+                await gradeReviews.flag(resultId, reviewFlags);
+                console.log(`User ${userId}: Flagged ${reviewFlags.length} answer(s) of result ${resultId} for review.`);
+            } catch (err) {
+                console.error(`User ${userId}: Error flagging answers for review:`, err.message);
+            }
+        }
+
+        // Missed questions go into the user's review deck. The result is saved either way.
+        try {
+            const added = await reviewDeck.addMissed(userId, quizId, originalQuestions, evaluationResults);
+            if (added) console.log(`User ${userId}: Added ${added} missed question(s) to the review deck.`);
+        } catch (err) {
+            console.error(`User ${userId}: Error adding missed questions to the review deck:`, err.message);
+        }
+
+        // Step 5: Hand the response back to the job (stored as the job result). The answer key
+        // stays out of it while the student can submit the quiz again.
+        const answerKeyWithheld = await quizStillOpen(quiz, userId);
+        return {
+            resultId,
+            score: parseFloat(overallPercentage.toFixed(2)),
+            totalScore,
+            maxPossibleScore,
+            ocr: ocrReport,
+            results: answerKeyWithheld ? evaluationResults.map(withoutAnswerKey) : evaluationResults,
+            message: 'Evaluation complete'
+        };
+
+    } catch (error) {
+        console.error(`User ${userId}: Error during evaluation:`, error.message);
+        throw error;
+    }
+}
+
+// The uploaded PDF is kept until the job is finished for good, so retries can OCR it again
+const removeJobUpload = async (job, { filePath }) => {
+    if (filePath) {
+        console.log(`Job ${job.id}: Deleting uploaded file: ${filePath}`);
+        await fs.promises.unlink(filePath).catch(err =>
+            console.error(`Job ${job.id}: File deletion error:`, err)
+        );
+    }
+};
+
+jobQueue.register('grade-quiz', ({ quizId, answers, filePath, attemptId, sheet }, { job, emit }) =>
+    gradeQuizSubmission(job.user_id, quizId, answers, filePath, { emit, attemptId, sheet }), {
+    onSettled: removeJobUpload,
+});
+
+// Reads an answer sheet before submission and splits it per question, for the student to
+// review on TakeQuiz. Resolves to { quizId, text, ocr, segments, unassigned }.
+jobQueue.register('read-answer-sheet', async ({ quizId, filePath }, { job, emit }) => {
+    const quiz = await quizStore.getQuizForTaker(quizId, job.user_id);
+    if (!quiz) {
+        throw Object.assign(new Error('Quiz not found or unauthorized access.'), { retryable: false });
+    }
+    const { text, ocr } = await readAnswerSheet(job.user_id, filePath, emit);
+    return { quizId, text, ocr, ...segmentAnswerSheet(text, quiz.questions) };
+}, {
+    onSettled: removeJobUpload,
+});
+
+// The answer sheet a submission was reviewed with: the 'read-answer-sheet' job it was read by
+// (`answerSheetJobId`) and the student's mapping of it (`answerSheet`, JSON of question id ->
+// answer). Resolves to { sheet } or { error } (a 400 message).
+async function reviewedAnswerSheet(userId, quiz, answerSheetJobId, answerSheet) {
+    const job = await jobQueue.getJobForUser(answerSheetJobId, userId);
+    if (!job || job.type !== 'read-answer-sheet' || job.status !== 'succeeded' || job.result?.quizId !== quiz.id) {
+        return { error: 'The answer sheet was not read for this quiz. Upload it again.' };
+    }
+    let raw;
+    try {
+        raw = typeof answerSheet === 'string' ? JSON.parse(answerSheet) : answerSheet;
+    } catch {
+        return { error: 'The answer sheet mapping is not valid JSON.' };
+    }
+    const { segments, errors } = normalizeSegments(raw, quiz.questions);
+    if (errors.length) return { error: `Invalid answer sheet mapping: ${errors.join(' ')}` };
+    return { sheet: { text: job.result.text, ocr: job.result.ocr, segments } };
+}
+
+// Protected Route: Read an answer sheet PDF (`pdfFile`) and split it per question before
+// submitting. Responds 202 with a jobId; the job result is the proposed mapping, which the
+// student corrects and sends back with /submit-quiz (see reviewedAnswerSheet).
+app.post('/quiz/:quizId/answer-sheet', authenticateToken, upload.single('pdfFile'), async (req, res) => {
+    const quizId = req.params.quizId;
+    const userId = req.user.id;
+    const filePath = req.file?.path ?? null;
+    const removeUpload = async () => {
+        if (filePath) await fs.promises.unlink(filePath).catch(err => console.error(`Error deleting file ${filePath}:`, err));
+    };
+
+    if (!filePath) {
+        return res.status(400).json({ error: 'Upload the answer sheet as a PDF file (pdfFile).' });
+    }
+    try {
+        const quiz = await quizStore.getQuizForTaker(quizId, userId);
+        if (!quiz) {
+            await removeUpload();
+            return res.status(404).json({ error: 'Quiz not found or unauthorized access.' });
+        }
+        const job = await jobQueue.enqueue('read-answer-sheet', userId, { quizId, filePath });
+        console.log(`User ${userId}: Reading the answer sheet for quiz ${quizId} (job ${job.id}).`);
+        res.status(202).json({ jobId: job.id, status: job.status, message: 'Reading the answer sheet.' });
+    } catch (err) {
+        console.error(`User ${userId}: Error queueing the answer sheet for quiz ${quizId}:`, err.message);
+        await removeUpload();
+        res.status(500).json({ error: 'Failed to read the answer sheet.' });
+    }
+});
+
+// Protected Route: Submit Quiz Answers and Evaluate
+// Uses authenticateToken middleware and handles optional file upload for context.
+// Grading runs in the background: responds 202 with a jobId, then poll GET /jobs/:id
+// until it succeeds (the job result is the evaluation: score, results, ...).
+// The `attemptId` field submits that attempt (required for timed quizzes). After its deadline
+// the submitted answers are turned away and the answers autosaved in time are graded instead.
+// Students can submit quizzes assigned to their groups; without an attempt, only until the due date.
+// An answer sheet comes either as the `pdfFile` upload (split per question automatically) or,
+// after POST /quiz/:quizId/answer-sheet, as `answerSheetJobId` plus the reviewed `answerSheet`.
+app.post('/submit-quiz/:quizId', authenticateToken, upload.single('pdfFile'), async (req, res) => {
+    const quizId = req.params.quizId;
+    const { attemptId, answerSheetJobId, answerSheet, ...userAnswers } = req.body;
+    const userId = req.user.id;
+    const uploadedFile = req.file;
+    const filePath = uploadedFile ? uploadedFile.path : null;
+
+    console.log(`User ${userId}: Received submission for quiz ID: ${quizId}`);
+
+    const removeUpload = async () => {
+        if (filePath) {
+            console.log(`User ${userId}: Cleaning up uploaded PDF: ${filePath}`);
+            await fs.promises.unlink(filePath).catch(err =>
+                console.error(`Error deleting file ${filePath}:`, err)
+            );
+        }
+    };
+
+    try {
+        const quiz = await quizStore.getQuizForTaker(quizId, userId);
+        if (!quiz) {
+            console.warn(`User ${userId}: Quiz ${quizId} not found or not available to user.`);
+            await removeUpload();
+            return res.status(404).json({ error: 'Quiz not found or unauthorized access.' });
+        }
+
+        let sheet;
+        if (answerSheetJobId) {
+            const reviewed = await reviewedAnswerSheet(userId, quiz, answerSheetJobId, answerSheet);
+            if (reviewed.error || filePath) {
+                await removeUpload();
+                return res.status(400).json({ error: reviewed.error || 'Send either an answer sheet PDF or a reviewed answer sheet, not both.' });
+            }
+            sheet = reviewed.sheet;
+        }
+
+        if (!attemptId) {
+            // Deadlines and attempt limits are enforced through attempts
+            const { time_limit_minutes, max_attempts } = resolveAttemptSettings(quiz.settings);
+            if (time_limit_minutes || max_attempts) {
+                await removeUpload();
+                return res.status(400).json({
+                    error: `This quiz ${time_limit_minutes ? 'is timed' : 'has a limited number of attempts'}. Start an attempt before submitting.`,
+                });
+            }
+            const { past_due, due_at } = await assignmentFor(quiz, userId);
+            if (past_due) {
+                await removeUpload();
+                return res.status(403).json({ error: `This assignment was due on ${due_at}. It can no longer be submitted.` });
+            }
+            const job = await jobQueue.enqueue('grade-quiz', userId, { quizId, answers: userAnswers, filePath, sheet });
+            return res.status(202).json({ jobId: job.id, status: job.status, message: 'Submission received. Grading has started.' });
+        }
+
+        const attempt = await attemptStore.get(attemptId, userId);
+        if (!attempt || attempt.quiz_id !== quizId) {
+            await removeUpload();
+            return res.status(404).json({ error: 'Attempt not found for this quiz.' });
+        }
+
+        if (isPastDeadline(attempt)) {
+            await removeUpload();
+            const job = await autoSubmitAttempt(userId, attempt);
+            if (!job) {
+                return res.status(409).json({ error: 'This attempt has already been submitted.' });
+            }
+            return res.status(202).json({
+                jobId: job.id,
+                status: job.status,
+                late: true,
+                message: 'Time was up, so the answers saved before the deadline were submitted instead.',
+            });
+        }
+
+        const job = await submitAttempt(userId, attempt, { answers: userAnswers, filePath, sheet });
+        if (!job) {
+            await removeUpload();
+            return res.status(409).json({ error: 'This attempt has already been submitted.' });
+        }
+        res.status(202).json({ jobId: job.id, status: job.status, message: 'Submission received. Grading has started.' });
+    } catch (error) {
+        console.error(`User ${userId}: Error queueing evaluation:`, error.message);
+        await removeUpload();
+        res.status(500).json({
+            score: 0,
+            results: [],
+            message: 'An error occurred during evaluation.',
+            error: error.message
+        });
+    }
+});
+
+// --- Attempts (exam sessions) ---
+// TakeQuiz starts an attempt before the questions are answered, autosaves draft answers to
+// it and submits with its id. Timed quizzes (settings.time_limit_minutes) get a deadline:
+// late submissions are replaced by the autosaved answers, and a sweeper submits attempts
+// whose taker never came back.
+const ATTEMPT_SWEEP_INTERVAL_MS = parseInt(process.env.ATTEMPT_SWEEP_INTERVAL_MS, 10) || 30000;
+const MAX_DRAFT_ANSWER_LENGTH = 20000;
+
+// Autosaved drafts are keyed by question id; grading expects the form field names
+const draftToFormAnswers = (draft) => Object.fromEntries(
+    Object.entries(draft).map(([questionId, answer]) => [`answer_${questionId}`, answer])
+);
+
+// The attempt plus the server clock, so the countdown can correct for a skewed client clock
+const attemptResponse = (attempt) => {
+    const { job_id, ...rest } = attempt;
+    return { ...rest, server_time: new Date().toISOString() };
+};
+
+// Marks the attempt submitted and queues its grading. Resolves to the job, or null when
+// the attempt had already been submitted.
+async function submitAttempt(userId, attempt, { answers, filePath = null, sheet, autoSubmitted = false }) {
+    const submitted = await attemptStore.markSubmitted(attempt.id, autoSubmitted ? { autoSubmitted, submittedAt: attempt.deadline_at } : {});
+    if (!submitted) return null;
+    const job = await jobQueue.enqueue('grade-quiz', userId, { quizId: attempt.quiz_id, answers, filePath, sheet, attemptId: attempt.id });
+    await attemptStore.setJob(attempt.id, job.id);
+    return job;
+}
+
+// Submits the answers autosaved before the deadline
+async function autoSubmitAttempt(userId, attempt) {
+    const job = await submitAttempt(userId, attempt, { answers: draftToFormAnswers(attempt.answers), autoSubmitted: true });
+    if (job) console.log(`User ${userId}: Attempt ${attempt.id} at quiz ${attempt.quiz_id} ran out of time. Submitted the autosaved answers (job ${job.id}).`);
+    return job;
+}
+
+let attemptSweepTimer = null;
+
+function startAttemptSweeper() {
+    const sweep = async () => {
+        try {
+            for (const attempt of await attemptStore.listOverdue()) {
+                await autoSubmitAttempt(attempt.user_id, attempt);
+            }
+        } catch (err) {
+            console.error("Error submitting overdue attempts:", err.message);
+        }
+    };
+    attemptSweepTimer = setInterval(sweep, ATTEMPT_SWEEP_INTERVAL_MS).unref();
+    sweep();
+}
+
+function stopAttemptSweeper() {
+    clearInterval(attemptSweepTimer);
+    attemptSweepTimer = null;
+}
+
+// How the quiz reaches the user: { due_at, past_due } of their assignment; never due for the owner
+async function assignmentFor(quiz, userId) {
+    if (quiz.user_id === userId) return { due_at: null, past_due: false };
+    const assignment = await groupStore.getAssignmentForMember(quiz.id, userId);
+    return { due_at: assignment?.due_at ?? null, past_due: Boolean(assignment?.past_due) };
+}
+
+// Whether the user can still submit the quiz: an attempt is under way, or the quiz is assigned
+// to them, not yet due and has attempts left. While it is, its answers are not given away: the
+// graded answers come without the answer key, the tutor only gives hints, its review cards
+// wait and practice quizzes don't retry its questions.
+async function quizStillOpen(quiz, userId) {
+    if (!quiz) return false;
+    if (await attemptStore.getActive(quiz.id, userId)) return true;
+    if (quiz.user_id === userId) return false;
+    const { past_due } = await assignmentFor(quiz, userId);
+    if (past_due) return false;
+    const { max_attempts } = resolveAttemptSettings(quiz.settings);
+    return max_attempts === null || await attemptStore.countUsed(quiz.id, userId) < max_attempts;
+}
+
+// A graded answer as its student sees it while they can still submit the quiz: without the
+// correct answer, the explanation, the suggested improvements or what answer matching
+// compared it with (a wrong MCQ/FIB answer's feedback can name the expected value)
+const withoutAnswerKey = (gradedAnswer) => {
+    const { correct_answer, explanation, improvements, match, ...answer } = gradedAnswer;
+    return {
+        ...answer,
+        ...(['MCQ', 'FIB'].includes(answer.type) && !answer.is_correct ? { feedback: 'Incorrect.' } : {}),
+        answer_withheld: true,
+    };
+};
+
+// The quizzes among `quizIds` the user can still submit (quizStillOpen)
+async function openQuizIds(quizIds, userId) {
+    const open = [];
+    for (const quizId of quizIds) {
+        if (await quizStillOpen(await quizStore.getQuizForTaker(quizId, userId), userId)) open.push(quizId);
+    }
+    return open;
+}
+
+// Adds to each graded attempt (newest first) the change in score since the graded attempt before it
+const withScoreChanges = (attempts) => attempts.map((attempt, index) => {
+    const previous = attempts.slice(index + 1).find(a => a.score !== null && a.score !== undefined);
+    const graded = attempt.score !== null && attempt.score !== undefined;
+    return { ...attempt, change: graded && previous ? attempt.score - previous.score : null };
+});
+
+// Protected Route: The attempt rules (time limit, maximum attempts, scoring policy, due date
+// for an assigned quiz), how many attempts are left, the quiz score under the policy, the
+// attempt in progress (if any) and past attempts
+app.get('/quiz/:quizId/attempts', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await quizStore.getQuizForTaker(req.params.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or unauthorized access.' });
+        }
+        const rules = resolveAttemptSettings(quiz.settings);
+        const active = await attemptStore.getActive(quiz.id, userId);
+        const attempts = await attemptStore.listForQuiz(quiz.id, userId);
+        const used = await attemptStore.countUsed(quiz.id, userId);
+        const scores = await resultStore.listScores(quiz.id, userId);
+        res.status(200).json({
+            ...rules,
+            ...await assignmentFor(quiz, userId),
+            attempts_used: used,
+            attempts_left: rules.max_attempts ? Math.max(0, rules.max_attempts - used) : null,
+            score: applyScoringPolicy(scores, rules.scoring_policy),
+            active: active && !isPastDeadline(active) ? attemptResponse(active) : null,
+            attempts: withScoreChanges(attempts.filter(a => a.status === 'submitted')),
+            server_time: new Date().toISOString(),
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error listing attempts at quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to load attempts.' });
+    }
+});
+
+// Protected Route: Start an attempt, or resume the one in progress (200 instead of 201).
+// An attempt whose deadline passed while the taker was away is submitted first: 409 with
+// the grading jobId. 403 once every allowed attempt has been used or the assignment is past due.
+app.post('/quiz/:quizId/attempts', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await quizStore.getQuizForTaker(req.params.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or unauthorized access.' });
+        }
+
+        const active = await attemptStore.getActive(quiz.id, userId);
+        if (active && isPastDeadline(active)) {
+            const job = await autoSubmitAttempt(userId, active);
+            return res.status(409).json({
+                error: 'Time ran out on your previous attempt, so it was submitted with the answers saved before the deadline.',
+                jobId: job?.id ?? null,
+            });
+        }
+        if (active) {
+            return res.status(200).json({ success: true, resumed: true, attempt: attemptResponse(active) });
+        }
+
+        const { past_due, due_at } = await assignmentFor(quiz, userId);
+        if (past_due) {
+            return res.status(403).json({ error: `This assignment was due on ${due_at}. It can no longer be started.` });
+        }
+        const { time_limit_minutes: minutes, max_attempts } = resolveAttemptSettings(quiz.settings);
+        if (max_attempts && await attemptStore.countUsed(quiz.id, userId) >= max_attempts) {
+            return res.status(403).json({ error: `You have used all ${max_attempts} attempt(s) at this quiz.` });
+        }
+        const attempt = await attemptStore.start(quiz.id, userId, minutes ? minutes * 60 : null);
+        console.log(`User ${userId}: Started attempt ${attempt.id} at quiz ${quiz.id}${minutes ? ` (${minutes} minute limit)` : ''}.`);
+        res.status(201).json({ success: true, resumed: false, attempt: attemptResponse(attempt) });
+    } catch (err) {
+        console.error(`User ${userId}: Error starting an attempt at quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to start the attempt.' });
+    }
+});
+
+// Protected Route: Autosave draft answers. Body: { answers: { [questionId]: text } }.
+// After the deadline nothing is saved any more; the attempt is submitted instead (409).
+app.put('/attempts/:attemptId/answers', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const attempt = await attemptStore.get(req.params.attemptId, userId);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Attempt not found.' });
+        }
+        if (attempt.status !== 'in_progress') {
+            return res.status(409).json({ error: 'This attempt has already been submitted.', jobId: attempt.job_id });
+        }
+        if (isPastDeadline(attempt)) {
+            const job = await autoSubmitAttempt(userId, attempt);
+            return res.status(409).json({
+                error: 'Time is up. The answers saved before the deadline have been submitted.',
+                jobId: job?.id ?? null,
+            });
+        }
+
+        const answers = req.body.answers;
+        if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+            return res.status(400).json({ error: 'answers must be an object of question id -> answer text.' });
+        }
+        const questionIds = new Set((await quizStore.getQuestions(attempt.quiz_id)).map(q => q.id));
+        const draft = {};
+        for (const [questionId, answer] of Object.entries(answers)) {
+            if (!questionIds.has(questionId) || typeof answer !== 'string') continue;
+            draft[questionId] = answer.slice(0, MAX_DRAFT_ANSWER_LENGTH);
+        }
+
+        if (!await attemptStore.saveDraft(attempt.id, draft)) {
+            return res.status(409).json({ error: 'This attempt has already been submitted.' });
+        }
+        const now = new Date().toISOString();
+        res.status(200).json({ success: true, saved_at: now, deadline_at: attempt.deadline_at, server_time: now });
+    } catch (err) {
+        console.error(`User ${userId}: Error autosaving attempt ${req.params.attemptId}:`, err.message);
+        res.status(500).json({ error: 'Failed to save the answers.' });
+    }
+});
+
+// --- Job status ---
+// Protected Route: Poll a background job (quiz generation or grading)
+app.get('/jobs/:jobId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const job = await jobQueue.getJobForUser(req.params.jobId, userId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        res.status(200).json(job);
+    } catch (err) {
+        console.error(`User ${userId}: Error fetching job ${req.params.jobId}:`, err.message);
+        res.status(500).json({ error: 'Failed to fetch job status.' });
+    }
+});
+
+// Protected Route: Watch a job as Server-Sent Events (used to resume after a reload)
+app.get('/jobs/:jobId/events', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const job = await jobQueue.getJobForUser(req.params.jobId, userId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        streamJob(res, job);
+    } catch (err) {
+        console.error(`User ${userId}: Error streaming job ${req.params.jobId}:`, err.message);
+        res.status(500).json({ error: 'Failed to stream job status.' });
+    }
+});
+
+// Protected Route: Cancel a queued or running job
+app.post('/jobs/:jobId/cancel', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const job = await jobQueue.getJobForUser(req.params.jobId, userId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found.' });
+        }
+        if (jobQueue.isFinished(job.status)) {
+            return res.status(409).json({ error: `Job already ${job.status}.` });
+        }
+        await jobQueue.cancel(job.id);
+        console.log(`User ${userId}: Cancelled job ${job.id}.`);
+        res.status(200).json({ success: true, message: 'Job cancelled.' });
+    } catch (err) {
+        console.error(`User ${userId}: Error cancelling job ${req.params.jobId}:`, err.message);
+        res.status(500).json({ error: 'Failed to cancel job.' });
+    }
+});
+
+// --- Chatbot ---
+
+// The tutor context of a thread about a graded answer (chat/tutor.js): { prompt, question,
+// hints_only }, built from the stored result so a changed grade is picked up. Null for a
+// plain thread, or when the result is gone.
+async function tutorContext(conversation, userId) {
+    if (!conversation.result_id) return null;
+    const result = await resultStore.getResult(conversation.result_id, userId);
+    const answer = result?.user_id === userId ? result.feedback[conversation.position - 1] : null;
+    if (!answer) return null;
+    const quiz = await quizStore.getQuizForTaker(result.quiz_id, userId);
+    const hintsOnly = await quizStillOpen(quiz, userId);
+    return {
+        prompt: buildTutorPrompt({ quiz, answer, position: conversation.position, hintsOnly }),
+        question: answer.question,
+        hints_only: hintsOnly,
+    };
+}
+
+// Checks a chatbot message (body: { message, conversationId? }) and builds what the model
+// sees: the thread so far (the most recent CHAT_CONTEXT_CHARS of it), after the tutor prompt
+// in a tutor thread. Without a conversation id a new thread is started, under `conversationId`
+// once saved. Resolves to { userMessage, conversationId, isNew, title, messages } or
+// { status, error }.
+async function prepareChatMessage(userId, body) {
+    const userMessage = typeof body.message === 'string' ? body.message.trim() : '';
+    if (!userMessage) {
+        return { status: 400, error: 'Message is required.' };
+    }
+    if (userMessage.length > MAX_CHAT_MESSAGE_LENGTH) {
+        return { status: 400, error: `Messages must not exceed ${MAX_CHAT_MESSAGE_LENGTH} characters.` };
+    }
+    const conversation = body.conversationId ? await conversationStore.get(String(body.conversationId), userId) : null;
+    if (body.conversationId && !conversation) {
+        return { status: 404, error: 'Conversation not found.' };
+    }
+
+    const tutor = conversation && await tutorContext(conversation, userId);
+    const history = (conversation?.messages ?? []).map(({ role, content }) => ({ role, content }));
+    const { messages, dropped } = fitToContext([...history, { role: 'user', content: userMessage }], CHAT_CONTEXT_CHARS - (tutor?.prompt.length ?? 0));
+    if (dropped > 0) {
+        console.log(`User ${userId}: Left the ${dropped} oldest message(s) of the conversation out of the chatbot context.`);
+    }
+    if (tutor) {
+        console.log(`User ${userId}: Chatting as tutor (${tutor.hints_only ? 'hints only' : 'full answer'}).`);
+    }
+    return {
+        userMessage,
+        conversationId: conversation?.id ?? uuidv4(),
+        isNew: !conversation,
+        title: conversation?.title ?? titleFromMessage(userMessage),
+        messages: tutor ? [{ role: 'system', content: tutor.prompt }, ...messages] : messages,
+    };
+}
+
+// Protected Route: Send a chatbot message (see prepareChatMessage). The question and the reply
+// are saved once the reply arrives. Responds with { response, conversation }.
+app.post('/chatbot', authenticateToken, async (req, res) => { // authenticateToken applied
+        const userId = req.user.id; // Get user ID from authenticated token payload
+        console.log(`User ${userId}: Received chatbot message${req.body.conversationId ? ` in conversation ${req.body.conversationId}` : ''}.`);
+
+        try {
+            const chat = await prepareChatMessage(userId, req.body);
+            if (chat.error) {
+                return res.status(chat.status).json({ error: chat.error });
+            }
+
+            // --- LLM Provider Call for Chatbot ---
+            console.log(`User ${userId}: Calling ${llm.label} for chatbot with ${chat.messages.length} message(s)...`);
+            const botResponse = await llm.chat({
+                messages: chat.messages,
+                temperature: 0.7,
+            });
+
+            console.log(`User ${userId}: ${llm.label} chatbot response received.`);
+
+            const saved = await conversationStore.addExchange(userId, chat.conversationId, chat.userMessage, botResponse, { isNew: chat.isNew });
+
+            // Send the AI response back to the frontend
+            res.status(200).json({ response: botResponse, conversation: saved });
+
+        } catch (error) {
+            console.error(`User ${userId}: Error calling ${llm.label} for chatbot:`, error.message);
+            // LLMError messages are already readable (connection refused, HTTP status, ...)
+            res.status(500).json({ error: error instanceof LLMError ? error.message : 'Error communicating with the AI.' });
+        }
+    });
+
+// Protected Route (SSE): Send a chatbot message and stream the reply as it is written. Same
+// body as POST /chatbot. Events:
+//   started { conversation_id, title }  - the thread the exchange is saved in
+//   token { text }                      - the next piece of the reply
+//   done { response, conversation }     - the whole reply, once saved
+//   error { error }
+// Closing the stream (the stop button) stops the model; what it wrote so far is saved as the reply.
+app.post('/chatbot/stream', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    console.log(`User ${userId}: Received streaming chatbot message${req.body.conversationId ? ` in conversation ${req.body.conversationId}` : ''}.`);
+
+    let chat;
+    try {
+        chat = await prepareChatMessage(userId, req.body);
+    } catch (err) {
+        console.error(`User ${userId}: Error preparing chatbot message:`, err.message);
+        return res.status(500).json({ error: 'Failed to load the conversation.' });
+    }
+    if (chat.error) {
+        return res.status(chat.status).json({ error: chat.error });
+    }
+
+    const stream = openEventStream(res);
+    stream.send('started', { conversation_id: chat.conversationId, title: chat.title });
+
+    let reply = ''; // Built up as it streams, so a stopped reply keeps what was written
+    try {
+        console.log(`User ${userId}: Streaming ${llm.label} chatbot reply with ${chat.messages.length} message(s)...`);
+        await llm.streamChat({
+            messages: chat.messages,
+            temperature: 0.7,
+            signal: stream.signal,
+            onToken: (text) => {
+                reply += text;
+                stream.send('token', { text });
+            },
+        });
+    } catch (error) {
+        if (!stream.signal.aborted) {
+            console.error(`User ${userId}: Error streaming ${llm.label} chatbot reply:`, error.message);
+            stream.send('error', { error: error instanceof LLMError ? error.message : 'Error communicating with the AI.' });
+            return stream.end();
+        }
+        console.log(`User ${userId}: Chatbot reply stopped after ${reply.length} character(s).`);
+    }
+
+    try {
+        // A reply stopped before its first word is dropped along with the question
+        if (!reply) return stream.end();
+        const saved = await conversationStore.addExchange(userId, chat.conversationId, chat.userMessage, reply, { isNew: chat.isNew });
+        stream.send('done', { response: reply, conversation: saved });
+    } catch (err) {
+        console.error(`User ${userId}: Error saving chatbot exchange:`, err.message);
+        stream.send('error', { error: 'Failed to save the conversation.' });
+    }
+    stream.end();
+});
+
+// Protected Route: The user's chatbot conversations, most recently active first
+app.get('/chatbot/conversations', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        res.status(200).json({ conversations: await conversationStore.list(userId) });
+    } catch (err) {
+        console.error(`User ${userId}: Error listing chatbot conversations:`, err.message);
+        res.status(500).json({ error: 'Failed to load conversations.' });
+    }
+});
+
+// Protected Route: Open the tutor thread about a graded answer of the user's, starting it when
+// there is none yet. Body: { resultId, position } (1 = the first question). Responds with
+// { conversation }.
+app.post('/chatbot/tutor', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const { resultId } = req.body;
+    const position = parsePosition(req.body.position);
+    try {
+        const result = resultId && position ? await resultStore.getResult(String(resultId), userId) : null;
+        const answer = result?.user_id === userId ? result.feedback[position - 1] : null;
+        if (!answer) {
+            return res.status(404).json({ error: 'Answer not found in your results.' });
+        }
+        const conversation = await conversationStore.openTutor(userId, result.id, position, tutorTitle(position, answer.question));
+        console.log(`User ${userId}: Opened tutor conversation ${conversation.id} for question ${position} of result ${result.id}.`);
+        res.status(200).json({ conversation });
+    } catch (err) {
+        console.error(`User ${userId}: Error opening a tutor conversation:`, err.message);
+        res.status(500).json({ error: 'Failed to open the tutor.' });
+    }
+});
+
+// Protected Route: A chatbot conversation with its messages, and for a tutor thread
+// `tutor`: { question, hints_only }
+app.get('/chatbot/conversations/:conversationId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const conversation = await conversationStore.get(req.params.conversationId, userId);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found.' });
+        }
+        const tutor = await tutorContext(conversation, userId);
+        res.status(200).json({ conversation: { ...conversation, tutor: tutor && { question: tutor.question, hints_only: tutor.hints_only } } });
+    } catch (err) {
+        console.error(`User ${userId}: Error loading conversation ${req.params.conversationId}:`, err.message);
+        res.status(500).json({ error: 'Failed to load the conversation.' });
+    }
+});
+
+// Protected Route: Rename a chatbot conversation. Body: { title }.
+app.patch('/chatbot/conversations/:conversationId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) {
+        return res.status(400).json({ error: 'Title is required.' });
+    }
+    if (title.length > MAX_CONVERSATION_TITLE_LENGTH) {
+        return res.status(400).json({ error: `Titles must not exceed ${MAX_CONVERSATION_TITLE_LENGTH} characters.` });
+    }
+    try {
+        const conversation = await conversationStore.rename(req.params.conversationId, userId, title);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found.' });
+        }
+        console.log(`User ${userId}: Renamed conversation ${conversation.id}.`);
+        res.status(200).json({ success: true, conversation });
+    } catch (err) {
+        console.error(`User ${userId}: Error renaming conversation ${req.params.conversationId}:`, err.message);
+        res.status(500).json({ error: 'Failed to rename the conversation.' });
+    }
+});
+
+// Protected Route: Delete a chatbot conversation and its messages
+app.delete('/chatbot/conversations/:conversationId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        if (!(await conversationStore.remove(req.params.conversationId, userId))) {
+            return res.status(404).json({ error: 'Conversation not found.' });
+        }
+        console.log(`User ${userId}: Deleted conversation ${req.params.conversationId}.`);
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error(`User ${userId}: Error deleting conversation ${req.params.conversationId}:`, err.message);
+        res.status(500).json({ error: 'Failed to delete the conversation.' });
+    }
+});
+
+// Protected Route: Get a specific quiz by ID (Checks Ownership or Assignment)
+// Uses authenticateToken middleware and checks if the quiz belongs to the user or is assigned
+// to one of their groups
+app.get('/quiz/:quizId', authenticateToken, (req, res) => { // Middleware Applied
+        const quizId = req.params.quizId; // Get quiz ID from URL parameter
+        const userId = req.user.id; // Get authenticated user ID
+        console.log(`User ${userId}: Received request to fetch quiz with ID: ${quizId}.`);
+
+        if (!quizId) {
+            console.error(`User ${userId}: No quizId provided in URL parameters for fetch.`);
+            return res.status(400).json({ error: 'Quiz ID is required.' });
+        }
+
+        // Retrieve the quiz data from the database, checking that the user owns it or had it assigned
+        // Select includes "class" quoted
+        const selectSql = `SELECT id, user_id = ? AS is_owner, quiz_type, "class", curriculum, subject, chapters, (SELECT COUNT(*) FROM results WHERE results.quiz_id = quizzes.id) AS result_count FROM quizzes WHERE id = ? AND (user_id = ? OR EXISTS (SELECT 1 FROM assignments a JOIN group_members m ON m.group_id = a.group_id WHERE a.quiz_id = quizzes.id AND m.user_id = ?))`; // Query by quiz ID AND owner or group member
+        const selectParams = [userId, quizId, userId, userId]; // Parameters for the query
+
+        console.log(`User ${userId}: Executing SQL (Fetch Quiz): ${selectSql}`); // Logging
+        console.log(`User ${userId}: With parameters (Fetch Quiz):`, selectParams); // Logging
+
+
+        // Use db.get because we expect a single row or no row
+        db.get(selectSql, selectParams, (err, row) => { // Use variables for SQL and parameters
+            if (err) {
+                console.error(`User ${userId}: Database error retrieving quiz:`, err.message);
+                return res.status(500).json({ error: 'Failed to retrieve quiz data from database.' });
+            }
+
+            // If no row is returned, the quiz was not found or is not available to the user
+            if (!row) {
+                console.log(`User ${userId}: Quiz with ID ${quizId} not found or not available to user.`);
+                return res.status(404).json({ error: `Quiz not found or you do not have permission to view it.` }); // 404 Not Found
+            }
+
+            console.log(`User ${userId}: Quiz with ID ${quizId} found (${row.is_owner ? 'owner' : 'assigned'}). Loading questions...`);
+
+            // Load the questions (in order) from the questions table, and the assignment for a student
+            Promise.all([
+                quizStore.getQuestions(quizId),
+                row.is_owner ? null : groupStore.getAssignmentForMember(quizId, userId),
+            ]).then(([questions, assignment]) => {
+                // Prepare data to send to the frontend for taking the quiz
+                // Remove sensitive data (correct answers, explanations) from questions array
+                const questionsForFrontend = questions.map(toQuestionForTaker);
+
+                // Structure the final quiz data object to send to the frontend
+                const quizDataForFrontend = {
+                    id: row.id, // Use the id from the database row
+                    quiz_type: row.quiz_type,
+                    class: row.class, // Use row.class here, which was selected as "class"
+                    curriculum: row.curriculum,
+                    subject: row.subject,
+                    chapters: row.chapters,
+                    questions: questionsForFrontend, // Send the cleaned questions array
+                    is_owner: Boolean(row.is_owner),
+                    can_edit: Boolean(row.is_owner) && row.result_count === 0, // The owner may edit until someone takes it
+                    assignment: assignment ? { group_names: assignment.group_names, due_at: assignment.due_at, past_due: assignment.past_due } : null,
+                };
+
+                console.log(`User ${userId}: Successfully retrieved quiz ID ${quizId}. Sending data to frontend.`);
+                // Send the quiz data to the frontend with a 200 OK status
+                res.status(200).json(quizDataForFrontend);
+
+            }).catch((questionsError) => {
+                console.error(`User ${userId}: Database error retrieving quiz questions:`, questionsError.message);
+                res.status(500).json({ error: 'Failed to retrieve quiz questions.' });
+            });
+        });
+    });
+
+// --- Quiz editing ---
+// The owner can fix, add, remove and reorder questions until someone has taken the quiz
+// (results keep their own copy of each question, so later edits would no longer match them).
+// Every edited question goes through the same schema checks as generated ones.
+
+const EDITABLE_QUESTION_FIELDS = ['type', 'question', 'options', 'answer', 'accepted_answers', 'rubric', 'explanation'];
+
+// Applies the editable fields from `fields` on top of `base` and validates the result.
+// Single-type quizzes only take questions of their own type. Returns { question, errors }.
+function prepareEditedQuestion(fields, quizType, base = {}) {
+    const expectedType = quizType === 'Combined' ? undefined : quizType;
+    const changes = {};
+    for (const key of EDITABLE_QUESTION_FIELDS) {
+        if (fields?.[key] !== undefined) changes[key] = fields[key];
+    }
+    const merged = { ...base, ...changes };
+    merged.type = merged.type ?? expectedType;
+    if (merged.explanation === undefined) merged.explanation = '';
+
+    const question = normalizeQuestion(merged, expectedType);
+    question.id = base.id || uuidv4();
+    return { question, errors: validateQuestion(question, expectedType) };
+}
+
+// Loads the user's quiz for editing. Sends the error response and returns null when it
+// doesn't exist, isn't theirs, or has already been taken.
+async function loadQuizForEditing(req, res) {
+    const quiz = await quizStore.getOwnedQuiz(req.params.quizId, req.user.id);
+    if (!quiz) {
+        res.status(404).json({ error: 'Quiz not found or you do not have permission to edit it.' });
+        return null;
+    }
+    if (quiz.result_count > 0) {
+        res.status(409).json({ error: 'This quiz has already been taken, so its questions can no longer be edited.' });
+        return null;
+    }
+    return quiz;
+}
+
+const invalidQuestionResponse = (res, problems) => res.status(400).json({
+    error: problems.length === 1
+        ? `Question ${problems[0].position} is invalid: ${problems[0].errors.join(' ')}`
+        : `${problems.length} questions are invalid.`,
+    problems, // [{ position, id, errors }]
+});
+
+// Protected Route: Quiz with answers and explanations, for the owner's editor
+app.get('/quiz/:quizId/edit', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await quizStore.getOwnedQuiz(req.params.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or you do not have permission to edit it.' });
+        }
+        res.status(200).json({
+            id: quiz.id,
+            quiz_type: quiz.quiz_type,
+            class: quiz.class,
+            curriculum: quiz.curriculum,
+            subject: quiz.subject,
+            chapters: quiz.chapters,
+            questions: quiz.questions,
+            editable: quiz.result_count === 0,
+            settings: {
+                matching: resolveMatchingSettings(quiz.settings.matching),
+                grading: resolveGradingSettings(quiz.settings.grading),
+                ...resolveAttemptSettings(quiz.settings),
+            },
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error loading quiz ${req.params.quizId} for editing:`, err.message);
+        res.status(500).json({ error: 'Failed to load quiz for editing.' });
+    }
+});
+
+// Protected Route: Replace the whole question list (edit, add, remove and reorder in one go).
+// Body: { questions: [...] } in the new order. Items with a known id update that question,
+// items without one are added.
+app.put('/quiz/:quizId/questions', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await loadQuizForEditing(req, res);
+        if (!quiz) return;
+
+        const items = req.body.questions;
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'A quiz needs at least one question.' });
+        }
+
+        const existingById = new Map(quiz.questions.map(q => [q.id, q]));
+        const seenIds = new Set();
+        const problems = [];
+        const questions = items.map((item, index) => {
+            const base = item?.id !== undefined ? existingById.get(String(item.id)) : undefined;
+            const { question, errors } = prepareEditedQuestion(item, quiz.quiz_type, base);
+            if (item?.id !== undefined && !base) {
+                errors.unshift('Unknown question id.');
+            } else if (base && seenIds.has(base.id)) {
+                errors.unshift('Question appears more than once.');
+            }
+            if (base) seenIds.add(base.id);
+
+            if (errors.length > 0) problems.push({ position: index + 1, id: item?.id ?? question.id, errors });
+            return question;
+        });
+        if (problems.length > 0) {
+            return invalidQuestionResponse(res, problems);
+        }
+
+        await quizStore.saveQuestions(quiz, questions);
+        console.log(`User ${userId}: Saved ${questions.length} edited questions for quiz ${quiz.id}.`);
+        res.status(200).json({ success: true, questions });
+    } catch (err) {
+        console.error(`User ${userId}: Error saving questions for quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to save quiz questions.' });
+    }
+});
+
+// Protected Route: Add one question. Body: the question fields, plus an optional 1-based `position`.
+app.post('/quiz/:quizId/questions', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await loadQuizForEditing(req, res);
+        if (!quiz) return;
+
+        const { question, errors } = prepareEditedQuestion(req.body, quiz.quiz_type);
+        const requestedPosition = parseInt(req.body.position, 10);
+        const position = requestedPosition >= 1 && requestedPosition <= quiz.questions.length
+            ? requestedPosition
+            : quiz.questions.length + 1;
+        if (errors.length > 0) {
+            return invalidQuestionResponse(res, [{ position, id: question.id, errors }]);
+        }
+
+        const questions = [...quiz.questions];
+        questions.splice(position - 1, 0, question);
+        await quizStore.saveQuestions(quiz, questions);
+        console.log(`User ${userId}: Added question ${question.id} to quiz ${quiz.id} at position ${position}.`);
+        res.status(201).json({ success: true, question, questions });
+    } catch (err) {
+        console.error(`User ${userId}: Error adding a question to quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to add question.' });
+    }
+});
+
+// Protected Route: Edit one question. Body: any of type, question, options, answer, accepted_answers, rubric, explanation.
+app.patch('/quiz/:quizId/questions/:questionId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await loadQuizForEditing(req, res);
+        if (!quiz) return;
+
+        const index = quiz.questions.findIndex(q => q.id === req.params.questionId);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Question not found in this quiz.' });
+        }
+
+        const { question, errors } = prepareEditedQuestion(req.body, quiz.quiz_type, quiz.questions[index]);
+        if (errors.length > 0) {
+            return invalidQuestionResponse(res, [{ position: index + 1, id: question.id, errors }]);
+        }
+
+        const questions = [...quiz.questions];
+        questions[index] = question;
+        await quizStore.saveQuestions(quiz, questions);
+        console.log(`User ${userId}: Edited question ${question.id} of quiz ${quiz.id}.`);
+        res.status(200).json({ success: true, question });
+    } catch (err) {
+        console.error(`User ${userId}: Error editing question ${req.params.questionId}:`, err.message);
+        res.status(500).json({ error: 'Failed to edit question.' });
+    }
+});
+
+// Protected Route: Remove one question (the last one can't be removed)
+app.delete('/quiz/:quizId/questions/:questionId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await loadQuizForEditing(req, res);
+        if (!quiz) return;
+
+        const questions = quiz.questions.filter(q => q.id !== req.params.questionId);
+        if (questions.length === quiz.questions.length) {
+            return res.status(404).json({ error: 'Question not found in this quiz.' });
+        }
+        if (questions.length === 0) {
+            return res.status(400).json({ error: 'A quiz needs at least one question.' });
+        }
+
+        await quizStore.saveQuestions(quiz, questions);
+        console.log(`User ${userId}: Removed question ${req.params.questionId} from quiz ${quiz.id}.`);
+        res.status(200).json({ success: true, questions });
+    } catch (err) {
+        console.error(`User ${userId}: Error removing question ${req.params.questionId}:`, err.message);
+        res.status(500).json({ error: 'Failed to remove question.' });
+    }
+});
+
+// Attempt rules that can be set on a quiz, with the parser that checks each one
+const ATTEMPT_SETTING_PARSERS = {
+    time_limit_minutes: parseTimeLimit,
+    max_attempts: parseMaxAttempts,
+    scoring_policy: parseScoringPolicy,
+};
+
+// Protected Route: Change the quiz settings. Body: any of
+//   matching           - how typed MCQ/FIB answers are matched (see quiz/matching.js)
+//   grading            - how many times descriptive answers are graded (see quiz/grading.js)
+//   time_limit_minutes - exam time limit, or null for an untimed quiz
+//   max_attempts       - how many times the quiz may be submitted, or null for no limit
+//   scoring_policy     - 'best', 'latest' or 'average': which attempts make up the quiz score
+// Allowed after the quiz was taken; time limits apply to attempts started afterwards.
+app.put('/quiz/:quizId/settings', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await quizStore.getOwnedQuiz(req.params.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or you do not have permission to edit it.' });
+        }
+        const { matching: rawMatching, grading: rawGrading } = req.body;
+        const attemptKeys = Object.keys(ATTEMPT_SETTING_PARSERS).filter(key => req.body[key] !== undefined);
+        if (rawMatching === undefined && rawGrading === undefined && attemptKeys.length === 0) {
+            return res.status(400).json({ error: `Nothing to update. Send any of matching, grading, ${Object.keys(ATTEMPT_SETTING_PARSERS).join(', ')}.` });
+        }
+
+        const settings = { ...quiz.settings };
+        if (rawMatching !== undefined) {
+            const { settings: matching, errors } = normalizeMatchingSettings(rawMatching);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: `Invalid matching settings: ${errors.join(' ')}` });
+            }
+            settings.matching = matching;
+        }
+        if (rawGrading !== undefined) {
+            const { settings: grading, errors } = normalizeGradingSettings(rawGrading);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: `Invalid grading settings: ${errors.join(' ')}` });
+            }
+            settings.grading = grading;
+        }
+        for (const key of attemptKeys) {
+            const { value, error } = ATTEMPT_SETTING_PARSERS[key](req.body[key]);
+            if (error) return res.status(400).json({ error });
+            if (value === null) delete settings[key];
+            else settings[key] = value;
+        }
+
+        await quizStore.saveSettings(quiz.id, settings);
+        console.log(`User ${userId}: Updated settings of quiz ${quiz.id}:`, JSON.stringify(settings));
+        res.status(200).json({ success: true, settings });
+    } catch (err) {
+        console.error(`User ${userId}: Error updating settings of quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to update quiz settings.' });
+    }
+});
+
+// --- Regenerating single questions ---
+// Replaces the given questions with fresh AI ones of the same type, using the quiz's stored
+// class, curriculum, subject and chapters. The model sees every question already in the quiz
+// (including the ones being replaced) so it doesn't hand the same ones back.
+// Runs as a 'regenerate-questions' job. Resolves to { quizId, replaced: [{ previous_id, question }], questions }.
+async function regenerateQuizQuestions(userId, quizId, questionIds, { emit = () => {}, signal } = {}) {
+    const quiz = await quizStore.getOwnedQuiz(quizId, userId);
+    if (!quiz) {
+        throw Object.assign(new Error('Quiz not found or you do not have permission to edit it.'), { retryable: false });
+    }
+    if (quiz.result_count > 0) {
+        throw Object.assign(new Error('This quiz has already been taken, so its questions can no longer be edited.'), { retryable: false });
+    }
+    const missing = questionIds.filter(id => !quiz.questions.some(q => q.id === id));
+    if (missing.length > 0) {
+        throw Object.assign(new Error(`Question(s) not found in this quiz: ${missing.join(', ')}`), { retryable: false });
+    }
+
+    // Combined exams mix types, so ask for each type separately
+    const targetsByType = new Map();
+    for (const question of quiz.questions) {
+        if (!questionIds.includes(question.id)) continue;
+        if (!targetsByType.has(question.type)) targetsByType.set(question.type, []);
+        targetsByType.get(question.type).push(question);
+    }
+
+    const questions = [...quiz.questions];
+    const replaced = [];
+    for (const [type, targets] of targetsByType) {
+        console.log(`User ${userId}: Regenerating ${targets.length} ${type} question(s) in quiz ${quizId}...`);
+        emit('section', { section: type, status: 'running', count: targets.length });
+        const { questions: fresh } = await generateQuizWithAI(
+            type, quiz.class, quiz.curriculum, quiz.subject, quiz.chapters, targets.length,
+            {
+                signal,
+                existingQuestions: questions.map(q => q.question),
+                onRepair: ({ attempt, pending }) => emit('repair', { section: type, attempt, pending }),
+            }
+        );
+        targets.forEach((target, i) => {
+            const index = questions.findIndex(q => q.id === target.id);
+            questions[index] = fresh[i];
+            replaced.push({ previous_id: target.id, question: fresh[i] });
+            emit('replaced', { previous_id: target.id, position: index + 1 });
+        });
+    }
 
-                Object.assign(result, {
-                    is_correct: isCorrect,
-                    score: isCorrect ? 10 : 0,
-                    feedback: isCorrect ? 'Correct.' : 'Incorrect.',
-                    correct_parts: isCorrect ? originalQ.answer : 'N/A',
-                    improvements: isCorrect ? 'N/A' : `The correct answer is ${originalQ.answer}.`
-                });
+    await quizStore.saveQuestions(quiz, questions);
+    console.log(`User ${userId}: Replaced ${replaced.length} question(s) in quiz ${quizId}.`);
+    await addToQuestionBank(userId, replaced.map(r => r.question), quiz);
+    return { quizId, replaced, questions };
+}
 
-                console.log(`User ${userId}: Evaluated ${originalQ.type} question (ID: ${originalQ.id}) - Correct: ${isCorrect}`);
-            } else if (originalQ.type === 'Descriptive') {
-                console.log(`User ${userId}: Evaluating descriptive question ID: ${originalQ.id}`);
-                const hasAnswerText = currentUserAnswer.trim() || finalExtractedText.trim();
+jobQueue.register('regenerate-questions', ({ quizId, questionIds }, { job, emit, signal }) =>
+    regenerateQuizQuestions(job.user_id, quizId, questionIds, { emit, signal })
+);
 
-                Object.assign(result, {
-                    feedback: hasAnswerText ? 'Evaluation pending from AI...' : 'No answer text provided.',
-                    improvements: hasAnswerText ? 'N/A' : 'Provide a written or typed answer.'
-                });
+// Protected Route: Replace selected questions with new AI-generated ones.
+// Body: { questionIds: [...] }. Waits for the job and returns the replacements.
+app.post('/quiz/:quizId/questions/regenerate', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await loadQuizForEditing(req, res);
+        if (!quiz) return;
 
-                if (hasAnswerText) {
-                    try {
-                        // MODIFIED: Removed apiKey, apiType parameters
-                        const aiEvaluation = await evaluateDescriptiveAnswer(
-                            originalQ, currentUserAnswer, finalExtractedText
-                        );
-
-                        Object.assign(result, {
-                            score: aiEvaluation.score,
-                            feedback: aiEvaluation.feedback,
-                            correct_parts: aiEvaluation.correct_parts,
-                            improvements: aiEvaluation.improvements
-                        });
-
-                        console.log(`User ${userId}: AI evaluation complete for question ID ${originalQ.id}`);
-                    } catch (err) {
-                        console.error(`User ${userId}: AI evaluation failed: ${err.message}`);
-                        Object.assign(result, {
-                            score: 0,
-                            feedback: `Evaluation failed: ${err.message}`,
-                            improvements: 'Check the backend AI connection.' // Modified message
-                        });
-                    }
-                }
-            } else {
-                console.warn(`User ${userId}: Unknown question type: ${originalQ.type}`);
-                result.feedback = `Skipped: Unknown question type "${originalQ.type}".`;
-            }
+        const questionIds = Array.isArray(req.body.questionIds) ? [...new Set(req.body.questionIds.map(String))] : [];
+        if (questionIds.length === 0) {
+            return res.status(400).json({ error: 'Select at least one question to regenerate.' });
+        }
+        const unknown = questionIds.filter(id => !quiz.questions.some(q => q.id === id));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Question(s) not found in this quiz: ${unknown.join(', ')}` });
+        }
 
-            totalScore += result.score;
-            evaluationResults.push(result);
-        }
+        const job = await jobQueue.enqueue('regenerate-questions', userId, { quizId: quiz.id, questionIds });
+        const finished = await jobQueue.waitFor(job.id);
+        if (finished.status !== 'succeeded') {
+            throw new Error(finished.error || 'Question regeneration failed.');
+        }
+        const { replaced, questions } = finished.result;
+        res.status(200).json({ success: true, jobId: job.id, replaced, questions });
+    } catch (err) {
+        console.error(`User ${userId}: Error regenerating questions in quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Question regeneration failed: ' + err.message });
+    }
+});
 
-        // Step 4: Save Results (Logic remains the same)
-        const maxPossibleScore = originalQuestions.length * 10;
-        overallPercentage = maxPossibleScore ? (totalScore / maxPossibleScore) * 100 : 0;
-        const resultId = uuidv4();
+// --- Question bank ---
+// Generated questions are copied into the bank automatically. Teachers search it (full text
+// plus tag filters) and assemble new quizzes from it without calling the model again.
 
-        await new Promise((resolve, reject) => {
-            db.run('INSERT INTO results (id, user_id, quiz_id, score, feedback, submitted_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
-                [resultId, userId, quizId, overallPercentage, JSON.stringify(evaluationResults)],
-                function (err) {
-                    if (err) {
-                        console.error(`User ${userId}: DB error saving results:`, err.message);
-                        return reject(err);
-                    }
-                    console.log(`User ${userId}: Result saved with ID: ${resultId}`);
-                    resolve(this.lastID);
-                }
-            );
-        });
+// Copies freshly generated questions into the user's bank, tagged with the quiz they came from.
+// The quiz is already saved at this point, so a failure here is logged rather than thrown.
+async function addToQuestionBank(userId, questions, quiz) {
+    try {
+        const added = await questionBank.addQuestions(userId, questions, {
+            className: quiz.class,
+            curriculum: quiz.curriculum,
+            subject: quiz.subject,
+            chapter: quiz.chapters,
+            sourceQuizId: quiz.id,
+        });
+        console.log(`User ${userId}: Added ${added} of ${questions.length} question(s) to the question bank.`);
+    } catch (err) {
+        console.error(`User ${userId}: Error adding questions from quiz ${quiz.id} to the question bank:`, err.message);
+    }
+}
 
-        // Step 5: Respond to Client (Logic remains the same)
-        res.status(200).json({
-            score: parseFloat(overallPercentage.toFixed(2)),
-            totalScore,
-            maxPossibleScore,
-            results: evaluationResults,
-            message: 'Evaluation complete'
-        });
+// Same limit as AI generation
+const MAX_QUIZ_QUESTIONS = 30;
 
-    } catch (error) {
-        console.error(`User ${userId}: Error during evaluation:`, error.message);
-        // MODIFIED: Simplified error message
-        res.status(500).json({
-            score: 0,
-            results: [],
-            message: 'An error occurred during evaluation.',
-            error: error.message
-        });
-    } finally {
-        // Step 6: Clean Up Uploaded File (Logic remains the same)
-        if (filePath) {
-            console.log(`User ${userId}: Deleting uploaded file: ${filePath}`);
-            await fs.promises.unlink(filePath).catch(err =>
-                console.error(`User ${userId}: File deletion error:`, err)
-            );
-        }
-    }
+// Protected Route: Search the bank. Query: q (full text), type, class, curriculum, subject,
+// chapter, difficulty, limit, offset. Returns { questions, total }.
+app.get('/bank/questions', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const { questions, total } = await questionBank.search(userId, req.query);
+        console.log(`User ${userId}: Question bank search "${req.query.q || ''}" matched ${total} question(s).`);
+        res.status(200).json({ questions, total });
+    } catch (err) {
+        console.error(`User ${userId}: Error searching the question bank:`, err.message);
+        res.status(500).json({ error: 'Failed to search the question bank.' });
+    }
 });
 
-// Helper functions (remain the same)
-function userAnswerMatchesMCQ(question, userAnswer) {
-    return userAnswer.trim().toUpperCase() === question.answer.trim().toUpperCase().split('.')[0];
-}
+// Protected Route: Tag values present in the bank, for the search filters
+app.get('/bank/tags', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        res.status(200).json(await questionBank.getTags(userId));
+    } catch (err) {
+        console.error(`User ${userId}: Error loading question bank tags:`, err.message);
+        res.status(500).json({ error: 'Failed to load question bank tags.' });
+    }
+});
 
-function userAnswerMatchesFIB(question, userAnswer) {
-    return userAnswer.trim().toLowerCase() === question.answer.trim().toLowerCase();
-}
+// Protected Route: Retag a bank question. Body: any of class, curriculum, subject, chapter, difficulty.
+app.patch('/bank/questions/:bankQuestionId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const { difficulty } = req.body;
+    if (difficulty !== undefined && difficulty !== null && difficulty !== '' && !DIFFICULTY_LEVELS.includes(difficulty)) {
+        return res.status(400).json({ error: `"difficulty" must be one of ${DIFFICULTY_LEVELS.join(', ')}.` });
+    }
+    try {
+        const question = await questionBank.updateTags(userId, req.params.bankQuestionId, req.body);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found in your question bank.' });
+        }
+        console.log(`User ${userId}: Retagged bank question ${req.params.bankQuestionId}.`);
+        res.status(200).json({ success: true, question });
+    } catch (err) {
+        console.error(`User ${userId}: Error retagging bank question ${req.params.bankQuestionId}:`, err.message);
+        res.status(500).json({ error: 'Failed to update the question.' });
+    }
+});
 
-// Protected Route: Chatbot endpoint
-// MODIFIED: Removed API key fetching, call Ollama API directly
-app.post('/chatbot', authenticateToken, async (req, res) => { // authenticateToken applied
-        const userId = req.user.id; // Get user ID from authenticated token payload
-        const userMessage = req.body.message;
-        console.log(`User ${userId}: Received chatbot message.`);
+// Protected Route: Remove a question from the bank (quizzes that use it keep their copy)
+app.delete('/bank/questions/:bankQuestionId', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        if (!(await questionBank.remove(userId, req.params.bankQuestionId))) {
+            return res.status(404).json({ error: 'Question not found in your question bank.' });
+        }
+        console.log(`User ${userId}: Removed bank question ${req.params.bankQuestionId}.`);
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error(`User ${userId}: Error removing bank question ${req.params.bankQuestionId}:`, err.message);
+        res.status(500).json({ error: 'Failed to remove the question.' });
+    }
+});
 
-        if (!userMessage) {
-            return res.status(400).json({ error: 'Message is required.' });
-        }
+// Protected Route: Build a quiz from bank questions, in the order given.
+// Body: { questionIds: [...], class?, curriculum?, subject?, chapters? }. Missing quiz details
+// are taken from the questions' tags. The quiz type is the questions' type, or Combined.
+app.post('/bank/quizzes', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const questionIds = Array.isArray(req.body.questionIds)
+        ? [...new Set(req.body.questionIds.map(id => parseInt(id, 10)).filter(Number.isInteger))]
+        : [];
+    if (questionIds.length === 0) {
+        return res.status(400).json({ error: 'Select at least one question from your question bank.' });
+    }
+    if (questionIds.length > MAX_QUIZ_QUESTIONS) {
+        return res.status(400).json({ error: `A quiz can have at most ${MAX_QUIZ_QUESTIONS} questions.` });
+    }
 
-        // Removed database query to api_keys table
-        // Removed API key decryption logic
+    try {
+        const picked = await questionBank.getQuestions(userId, questionIds);
+        if (picked.length !== questionIds.length) {
+            const found = new Set(picked.map(q => q.id));
+            const unknown = questionIds.filter(id => !found.has(id));
+            return res.status(400).json({ error: `Question(s) not found in your question bank: ${unknown.join(', ')}` });
+        }
 
-        try {
-              // --- Ollama API Call for Chatbot ---
-            console.log(`User ${userId}: Calling Ollama API for chatbot at ${OLLAMA_ENDPOINT}/api/chat...`);
-            // Ollama's /api/chat endpoint is suitable for conversational turn
-            const ollamaResponse = await axios.post(`${OLLAMA_ENDPOINT}/api/chat`, {
-                model: OLLAMA_MODEL,
-                messages: [{ role: "user", content: userMessage }],
-                options: { // Adjust options as needed for chat
-                    temperature: 0.7,
-                    // Add any other desired options
-                },
-                stream: false,
-                timeout: 120000
-            });
+        const types = new Set(picked.map(q => q.type));
+        const quizType = types.size === 1 ? picked[0].type : 'Combined';
+        // The value from the body, else the distinct tag values of the picked questions
+        const detail = (bodyKey, tagKey = bodyKey) => {
+            const given = typeof req.body[bodyKey] === 'string' ? req.body[bodyKey].trim() : '';
+            return given || [...new Set(picked.map(q => q[tagKey]).filter(Boolean))].join(', ') || null;
+        };
+
+        // The quiz gets its own copies, so later edits don't touch the bank
+        const questions = picked.map(({ type, question, options, answer, accepted_answers, rubric, explanation, difficulty }) => ({
+            id: uuidv4(),
+            type,
+            question,
+            ...(options ? { options } : {}),
+            answer,
+            ...(accepted_answers ? { accepted_answers } : {}),
+            ...(rubric ? { rubric } : {}),
+            explanation,
+            ...(difficulty ? { difficulty } : {}),
+        }));
+
+        const quizId = uuidv4();
+        await quizStore.createQuiz({
+            id: quizId,
+            userId,
+            quizType,
+            className: detail('class'),
+            curriculum: detail('curriculum'),
+            subject: detail('subject'),
+            chapters: detail('chapters', 'chapter'),
+            questions,
+            details: { source: 'question-bank', bank_question_ids: questionIds },
+        });
+        await questionBank.markUsed(questionIds);
 
-            let botResponse = '';
-            // Assuming Ollama /api/chat response structure includes 'message' field
-            if (ollamaResponse.data && ollamaResponse.data.message && ollamaResponse.data.message.content) {
-                botResponse = ollamaResponse.data.message.content;
-            } else {
-                console.error(`User ${userId}: Ollama API returned unexpected response structure for chatbot:`, ollamaResponse.data);
-                throw new Error("Ollama API returned an empty or invalid response for chatbot.");
-            }
+        console.log(`User ${userId}: ${quizType} quiz ${quizId} assembled from ${questions.length} bank question(s).`);
+        res.status(201).json({ success: true, quizId, quiz_type: quizType, message: 'Quiz created from your question bank' });
+    } catch (err) {
+        console.error(`User ${userId}: Error assembling a quiz from the question bank:`, err.message);
+        res.status(500).json({ error: 'Failed to create the quiz: ' + err.message });
+    }
+});
 
-              console.log(`User ${userId}: Ollama API chatbot response received.`);
-
-              // Send the AI response back to the frontend
-              res.status(200).json({ response: botResponse });
-
-            } catch (ollamaError) {
-              console.error(`User ${userId}: Error calling Ollama API for chatbot:`, ollamaError);
-              let errorMessage = 'Error communicating with the AI.';
-              // Handle specific Ollama errors
-              const lowerCaseErrorMessage = (ollamaError.message || '').toLowerCase();
-              if (ollamaError.code === 'ECONNREFUSED' || lowerCaseErrorMessage.includes('connect econnrefused')) {
-                  errorMessage = `Connection refused: Is Ollama running and accessible at ${OLLAMA_ENDPOINT}?`;
-              } else if (lowerCaseErrorMessage.includes('enotfound')) {
-                   errorMessage = `Ollama endpoint not found: Check the address ${OLLAMA_ENDPOINT}`;
-              } else if (ollamaError.response) {
-                   errorMessage = `Ollama API Error ${ollamaError.response.status}: ${ollamaError.response.statusText}`;
-                   if (ollamaError.response.data) {
-                       // Ollama often sends helpful error messages in the body
-                       if (typeof ollamaError.response.data === 'object' && ollamaError.response.data.error) {
-                           errorMessage += ` - Details: ${ollamaError.response.data.error}`;
-                       } else {
-                            errorMessage += ` - Details: ${JSON.stringify(ollamaError.response.data)}`;
-                       }
-                   }
-              }
-
-
-              res.status(500).json({ error: errorMessage });
-            }
-    });
+// --- Groups and assignments ---
+// Teachers put students in groups (students join with the group's code) and assign quizzes
+// to a group, optionally with a due date. Members take an assigned quiz like their own one
+// (see getQuizForTaker) and the teacher sees every member's results for it.
 
-// Protected Route: Get a specific quiz by ID (Checks Ownership)
-// Uses authenticateToken middleware and checks if the quiz belongs to the user
-app.get('/quiz/:quizId', authenticateToken, (req, res) => { // Middleware Applied
-        const quizId = req.params.quizId; // Get quiz ID from URL parameter
-        const userId = req.user.id; // Get authenticated user ID
-        console.log(`User ${userId}: Received request to fetch quiz with ID: ${quizId}.`);
+// Protected Route (teachers): Create a group. Body: { name }
+app.post('/groups', authenticateToken, requireTeacher, async (req, res) => {
+    const userId = req.user.id;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > MAX_GROUP_NAME_LENGTH) {
+        return res.status(400).json({ error: `Group name is required (at most ${MAX_GROUP_NAME_LENGTH} characters).` });
+    }
+    try {
+        const group = await groupStore.create(userId, name);
+        console.log(`User ${userId}: Created group ${group.id} ("${name}").`);
+        res.status(201).json({ success: true, group });
+    } catch (err) {
+        console.error(`User ${userId}: Error creating a group:`, err.message);
+        res.status(500).json({ error: 'Failed to create the group.' });
+    }
+});
 
-        if (!quizId) {
-            console.error(`User ${userId}: No quizId provided in URL parameters for fetch.`);
-            return res.status(400).json({ error: 'Quiz ID is required.' });
-        }
+// Protected Route: Groups the user teaches and groups they have joined
+app.get('/groups', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        res.status(200).json({
+            teaching: await groupStore.listForTeacher(userId),
+            joined: await groupStore.listForMember(userId),
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error listing groups:`, err.message);
+        res.status(500).json({ error: 'Failed to load your groups.' });
+    }
+});
 
-        // Retrieve the quiz data from the database, checking that it belongs to the user
-        // Select includes "class" quoted
-        const selectSql = `SELECT id, quiz_type, "class", curriculum, subject, chapters, questions FROM quizzes WHERE id = ? AND user_id = ?`; // Query by quiz ID AND user ID
-        const selectParams = [quizId, userId]; // Parameters for the query
+// Protected Route: Join a group. Body: { code }
+app.post('/groups/join', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const group = await groupStore.findByJoinCode(req.body.code);
+        if (!group) {
+            return res.status(404).json({ error: 'No group has that join code.' });
+        }
+        if (group.teacher_id === userId) {
+            return res.status(400).json({ error: 'You teach this group, so you cannot join it as a student.' });
+        }
+        const joined = await groupStore.addMember(group.id, userId);
+        if (joined) console.log(`User ${userId}: Joined group ${group.id}.`);
+        res.status(joined ? 201 : 200).json({ success: true, joined, group: { id: group.id, name: group.name } });
+    } catch (err) {
+        console.error(`User ${userId}: Error joining a group:`, err.message);
+        res.status(500).json({ error: 'Failed to join the group.' });
+    }
+});
 
-        console.log(`User ${userId}: Executing SQL (Fetch Quiz): ${selectSql}`); // Logging
-        console.log(`User ${userId}: With parameters (Fetch Quiz):`, selectParams); // Logging
+// Protected Route: Leave a group
+app.delete('/groups/:groupId/membership', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        if (!await groupStore.removeMember(req.params.groupId, userId)) {
+            return res.status(404).json({ error: 'You are not a member of this group.' });
+        }
+        console.log(`User ${userId}: Left group ${req.params.groupId}.`);
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error(`User ${userId}: Error leaving group ${req.params.groupId}:`, err.message);
+        res.status(500).json({ error: 'Failed to leave the group.' });
+    }
+});
 
+// Loads the teacher's group. Sends the 404 and returns null when it isn't theirs.
+async function loadOwnedGroup(req, res) {
+    const group = await groupStore.getOwned(req.params.groupId, req.user.id);
+    if (!group) {
+        res.status(404).json({ error: 'Group not found or you do not teach it.' });
+        return null;
+    }
+    return group;
+}
 
-        // Use db.get because we expect a single row or no row
-        db.get(selectSql, selectParams, (err, row) => { // Use variables for SQL and parameters
-            if (err) {
-                console.error(`User ${userId}: Database error retrieving quiz:`, err.message);
-                return res.status(500).json({ error: 'Failed to retrieve quiz data from database.' });
-            }
+// Protected Route (teachers): The group with its join code, members and assigned quizzes
+app.get('/groups/:groupId', authenticateToken, requireTeacher, async (req, res) => {
+    try {
+        const group = await loadOwnedGroup(req, res);
+        if (group) res.status(200).json(group);
+    } catch (err) {
+        console.error(`User ${req.user.id}: Error loading group ${req.params.groupId}:`, err.message);
+        res.status(500).json({ error: 'Failed to load the group.' });
+    }
+});
 
-            // If no row is returned, the quiz was not found or does not belong to the user
-            if (!row) {
-                console.log(`User ${userId}: Quiz with ID ${quizId} not found or does not belong to user.`);
-                return res.status(404).json({ error: `Quiz not found or you do not have permission to view it.` }); // 404 Not Found
-            }
+// Protected Route (teachers): Remove a student from the group. Their results stay.
+app.delete('/groups/:groupId/members/:userId', authenticateToken, requireTeacher, async (req, res) => {
+    try {
+        const group = await loadOwnedGroup(req, res);
+        if (!group) return;
+        if (!await groupStore.removeMember(group.id, Number(req.params.userId))) {
+            return res.status(404).json({ error: 'That student is not in this group.' });
+        }
+        console.log(`User ${req.user.id}: Removed user ${req.params.userId} from group ${group.id}.`);
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error(`User ${req.user.id}: Error removing a member from group ${req.params.groupId}:`, err.message);
+        res.status(500).json({ error: 'Failed to remove the student.' });
+    }
+});
 
-            console.log(`User ${userId}: Quiz with ID ${quizId} found and belongs to user. Parsing questions...`);
+// Protected Route (teachers): Assign one of the teacher's quizzes to the group, or change the
+// due date of an existing assignment. Body: { quizId, due_at? } (null or omitted: no due date)
+app.post('/groups/:groupId/assignments', authenticateToken, requireTeacher, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const group = await loadOwnedGroup(req, res);
+        if (!group) return;
+        const quiz = await quizStore.getOwnedQuiz(req.body.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or you do not own it.' });
+        }
+        const { value: dueAt, error } = parseDueDate(req.body.due_at);
+        if (error) return res.status(400).json({ error });
+
+        const created = await groupStore.assign(group.id, quiz.id, dueAt);
+        console.log(`User ${userId}: ${created ? 'Assigned' : 'Updated assignment of'} quiz ${quiz.id} to group ${group.id}${dueAt ? `, due ${dueAt}` : ''}.`);
+        res.status(created ? 201 : 200).json({ success: true, assignment: { group_id: group.id, quiz_id: quiz.id, due_at: dueAt, past_due: isPastDue(dueAt) } });
+    } catch (err) {
+        console.error(`User ${userId}: Error assigning a quiz to group ${req.params.groupId}:`, err.message);
+        res.status(500).json({ error: 'Failed to assign the quiz.' });
+    }
+});
 
-            // Parse the questions JSON string from the database
-            try {
-                const questionsData = JSON.parse(row.questions); // Assuming 'questions' column stores {"questions": [...]}
-
-                // Prepare data to send to the frontend for taking the quiz
-                // Remove sensitive data (correct answers, explanations) from questions array
-                 const questionsForFrontend = questionsData.questions.map(q => {
-                     // Use spread syntax to exclude answer and explanation
-                     // Ensure a default empty array for options if missing from source
-                     const { answer, explanation, options, ...rest } = q;
-                     return {
-                         ...rest,
-                         options: options || [] // Ensure options is always an array for the frontend
-                     }; // Return question object without answer/explanation
-                 });
+// Protected Route (teachers): Take a quiz off the group. Results already submitted stay.
+app.delete('/groups/:groupId/assignments/:quizId', authenticateToken, requireTeacher, async (req, res) => {
+    try {
+        const group = await loadOwnedGroup(req, res);
+        if (!group) return;
+        if (!await groupStore.unassign(group.id, req.params.quizId)) {
+            return res.status(404).json({ error: 'That quiz is not assigned to this group.' });
+        }
+        console.log(`User ${req.user.id}: Unassigned quiz ${req.params.quizId} from group ${group.id}.`);
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error(`User ${req.user.id}: Error unassigning a quiz from group ${req.params.groupId}:`, err.message);
+        res.status(500).json({ error: 'Failed to remove the assignment.' });
+    }
+});
 
-                // Structure the final quiz data object to send to the frontend
-                const quizDataForFrontend = {
-                    id: row.id, // Use the id from the database row
-                    quiz_type: row.quiz_type,
-                    class: row.class, // Use row.class here, which was selected as "class"
-                    curriculum: row.curriculum,
-                    subject: row.subject,
-                    chapters: row.chapters,
-                    questions: questionsForFrontend // Send the cleaned questions array
-                };
+// Protected Route: Quizzes assigned to the user through their groups, soonest due first
+app.get('/user/assignments', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        res.status(200).json(await groupStore.listAssignmentsForMember(userId));
+    } catch (err) {
+        console.error(`User ${userId}: Error listing assignments:`, err.message);
+        res.status(500).json({ error: 'Failed to load your assignments.' });
+    }
+});
 
-                console.log(`User ${userId}: Successfully retrieved and parsed quiz ID ${quizId}. Sending data to frontend.`);
-                // Send the quiz data to the frontend with a 200 OK status
-                res.status(200).json(quizDataForFrontend);
+// Protected Route (quiz owner): Every assigned student's results for the quiz, with the quiz
+// score under its scoring policy and which submissions came in after the due date
+app.get('/quiz/:quizId/student-results', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await quizStore.getOwnedQuiz(req.params.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or you do not own it.' });
+        }
+        const { scoring_policy, max_attempts } = resolveAttemptSettings(quiz.settings);
+        const students = await groupStore.listStudentResults(quiz.id, userId, scoring_policy);
+        res.status(200).json({
+            quiz: { id: quiz.id, quiz_type: quiz.quiz_type, class: quiz.class, curriculum: quiz.curriculum, subject: quiz.subject, chapters: quiz.chapters },
+            scoring_policy,
+            max_attempts,
+            assignments: await groupStore.listAssignmentsForQuiz(quiz.id, userId),
+            students,
+            submitted_count: students.filter(student => student.attempts.length > 0).length,
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error loading student results for quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to load the student results.' });
+    }
+});
 
-            } catch (parseError) {
-                // Handle errors during JSON parsing
-                console.error(`User ${userId}: Error parsing questions JSON from database:`, parseError);
-                res.status(500).json({ error: 'Failed to parse quiz questions data.' });
-            }
-        });
-    });
+// --- Grade reviews ---
+// Answers the AI failed to grade, graded with low confidence, or disputed by the student wait
+// in the quiz owner's queue until they keep the grade or override it (quiz/overrides.js).
+// Answers are addressed by result id and position (1 = first question).
 
-// Protected Route: Chatbot endpoint
-// MODIFIED: Removed API key fetching, call Ollama API directly
-app.post('/chatbot', authenticateToken, async (req, res) => { // authenticateToken applied
-        const userId = req.user.id; // Get user ID from authenticated token payload
-        const userMessage = req.body.message;
-        console.log(`User ${userId}: Received chatbot message.`);
+const parsePosition = (value) => {
+    const position = Number(value);
+    return Number.isInteger(position) && position >= 1 ? position : null;
+};
 
-        if (!userMessage) {
-            return res.status(400).json({ error: 'Message is required.' });
-        }
+// Protected Route (teachers): Open reviews on the teacher's quizzes, oldest first
+app.get('/grade-reviews', authenticateToken, requireTeacher, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const reviews = await gradeReviews.listOpen(userId);
+        res.status(200).json({ reviews });
+    } catch (err) {
+        console.error(`User ${userId}: Error loading grade reviews:`, err.message);
+        res.status(500).json({ error: 'Failed to load the grade reviews.' });
+    }
+});
 
-        // Removed database query to api_keys table
-        // Removed API key decryption logic
+// Protected Route (teachers): Keep the grade of a reviewed answer as it is
+app.post('/grade-reviews/:reviewId/resolve', authenticateToken, requireTeacher, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        if (!(await gradeReviews.resolve(req.params.reviewId, userId))) {
+            return res.status(404).json({ error: 'Open review not found on your quizzes.' });
+        }
+        console.log(`User ${userId}: Kept the grade under review ${req.params.reviewId}.`);
+        res.status(200).json({ message: 'The grade was kept.' });
+    } catch (err) {
+        console.error(`User ${userId}: Error resolving grade review ${req.params.reviewId}:`, err.message);
+        res.status(500).json({ error: 'Failed to resolve the review.' });
+    }
+});
 
-        try {
-              // --- Ollama API Call for Chatbot ---
-            console.log(`User ${userId}: Calling Ollama API for chatbot at ${OLLAMA_ENDPOINT}/api/chat...`);
-            // Ollama's /api/chat endpoint is suitable for conversational turn
-            const ollamaResponse = await axios.post(`${OLLAMA_ENDPOINT}/api/chat`, {
-                model: OLLAMA_MODEL,
-                messages: [{ role: "user", content: userMessage }],
-                options: { // Adjust options as needed for chat
-                    temperature: 0.7,
-                    // Add any other desired options
-                },
-                stream: false,
-                timeout: 120000
-            });
+// Protected Route (teachers, quiz owner): Override the grade of an answer. Body: { score (0-10;
+// 0 or 10 for MCQ/FIB), feedback (optional, replaces the feedback), comment (required, why) }.
+// The result's percentage is recomputed; the AI grade stays on record.
+app.put('/user/results/:resultId/answers/:position/grade', authenticateToken, requireTeacher, async (req, res) => {
+    const userId = req.user.id;
+    const { resultId } = req.params;
+    const position = parsePosition(req.params.position);
+    const { score: rawScore, feedback: rawFeedback, comment: rawComment } = req.body;
+    try {
+        const answer = position && await gradeReviews.getReviewableAnswer(resultId, position, userId);
+        if (!answer) {
+            return res.status(404).json({ error: 'Answer not found in a result of your quizzes.' });
+        }
 
-            let botResponse = '';
-            // Assuming Ollama /api/chat response structure includes 'message' field
-            if (ollamaResponse.data && ollamaResponse.data.message && typeof ollamaResponse.data.message.content == 'string') {
-                botResponse = ollamaResponse.data.message.content;
-                console.log(`User ${userId}: Ollama API chatbot response received successfully.`);
-            } else {
-                console.error(`User ${userId}: Ollama API returned unexpected response structure for chatbot:`, ollamaResponse.data);
-                throw new Error("Ollama API returned an empty or invalid response for chatbot.");
-            }
+        const score = Number(rawScore);
+        const comment = typeof rawComment === 'string' ? rawComment.trim() : '';
+        const feedback = typeof rawFeedback === 'string' && rawFeedback.trim() ? rawFeedback.trim() : answer.feedback;
+        const errors = [];
+        if (rawScore === undefined || rawScore === null || rawScore === '' || !Number.isFinite(score) || score < 0 || score > 10) {
+            errors.push('"score" must be a number from 0 to 10.');
+        } else if (answer.type !== 'Descriptive' && score !== 0 && score !== 10) {
+            errors.push(`${answer.type} answers are either right (10) or wrong (0).`);
+        }
+        if (!comment) errors.push('Add a comment explaining the new grade.');
+        else if (comment.length > MAX_REVIEW_NOTE_LENGTH) errors.push(`The comment can be at most ${MAX_REVIEW_NOTE_LENGTH} characters.`);
+        if (rawFeedback !== undefined && typeof rawFeedback !== 'string') errors.push('"feedback" must be text.');
+        else if (feedback && feedback.length > MAX_OVERRIDE_FEEDBACK_LENGTH) errors.push(`The feedback can be at most ${MAX_OVERRIDE_FEEDBACK_LENGTH} characters.`);
+        if (errors.length) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
 
-              console.log(`User ${userId}: Ollama API chatbot response received.`);
-
-              // Send the AI response back to the frontend
-              res.status(200).json({ response: botResponse });
-
-            } catch (ollamaError) {
-              console.error(`User ${userId}: Error calling Ollama API for chatbot:`, ollamaError);
-              let errorMessage = 'Error communicating with the AI.';
-              // Handle specific Ollama errors
-              const lowerCaseErrorMessage = (ollamaError.message || '').toLowerCase();
-              if (ollamaError.code === 'ECONNREFUSED' || lowerCaseErrorMessage.includes('connect econnrefused')) {
-                  errorMessage = `Connection refused: Is Ollama running and accessible at ${OLLAMA_ENDPOINT}?`;
-              } else if (lowerCaseErrorMessage.includes('enotfound')) {
-                   errorMessage = `Ollama endpoint not found: Check the address ${OLLAMA_ENDPOINT}`;
-              } else if (ollamaError.response) {
-                   errorMessage = `Ollama API Error ${ollamaError.response.status}: ${ollamaError.response.statusText}`;
-                   if (ollamaError.response.data) {
-                       // Ollama often sends helpful error messages in the body
-                       if (typeof ollamaError.response.data === 'object' && ollamaError.response.data.error) {
-                           errorMessage += ` - Details: ${ollamaError.response.data.error}`;
-                       } else {
-                            errorMessage += ` - Details: ${JSON.stringify(ollamaError.response.data)}`;
-                       }
-                   }
-              }
-
-
-              res.status(500).json({ error: errorMessage });
-            }
-        });
+        const updated = await gradeReviews.override(answer, { reviewerId: userId, score, feedback, comment });
+        console.log(`User ${userId}: Overrode answer ${position} of result ${resultId}: ${answer.score} -> ${score} (result now ${updated.result_score.toFixed(2)}%).`);
+        res.status(200).json(updated);
+    } catch (err) {
+        console.error(`User ${userId}: Error overriding answer ${req.params.position} of result ${resultId}:`, err.message);
+        res.status(500).json({ error: 'Failed to override the grade.' });
+    }
+});
+
+// Protected Route: The student disputes the grade of one of their answers. Body: { reason }.
+// Only quizzes someone else set can be disputed: that is who reviews it.
+app.post('/user/results/:resultId/answers/:position/dispute', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    const { resultId } = req.params;
+    const position = parsePosition(req.params.position);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        return res.status(400).json({ error: 'Say why the grade should be looked at again.' });
+    }
+    if (reason.length > MAX_REVIEW_NOTE_LENGTH) {
+        return res.status(400).json({ error: `The reason can be at most ${MAX_REVIEW_NOTE_LENGTH} characters.` });
+    }
+    try {
+        const result = await resultStore.getResult(resultId, userId);
+        if (!result || result.user_id !== userId || !position) {
+            return res.status(404).json({ error: 'Answer not found in your results.' });
+        }
+        const quiz = await quizStore.getQuizForTaker(result.quiz_id, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'This quiz is no longer available to you.' });
+        }
+        if (quiz.user_id === userId) {
+            return res.status(400).json({ error: 'Only quizzes a teacher set you can be disputed.' });
+        }
+        const review = await gradeReviews.dispute(resultId, position, userId, reason);
+        if (!review) {
+            return res.status(404).json({ error: 'Answer not found in your results.' });
+        }
+        console.log(`User ${userId}: Disputed answer ${position} of result ${resultId}.`);
+        res.status(201).json({ review });
+    } catch (err) {
+        console.error(`User ${userId}: Error disputing answer ${req.params.position} of result ${resultId}:`, err.message);
+        res.status(500).json({ error: 'Failed to send the dispute.' });
+    }
+});
 
+// --- Analytics ---
+
+// Protected Route (quiz owner): Gradebook, score distribution and per-question statistics
+// (difficulty, MCQ distractors, common wrong FIB answers, rubric averages) over every
+// submission of the quiz, the owner's own and those of students it was assigned to
+app.get('/quiz/:quizId/analytics', authenticateToken, async (req, res) => {
+    const userId = req.user.id;
+    try {
+        const quiz = await quizStore.getOwnedQuiz(req.params.quizId, userId);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found or you do not own it.' });
+        }
+        const { scoring_policy } = resolveAttemptSettings(quiz.settings);
+        const analytics = await quizAnalytics.forQuiz(quiz, scoring_policy);
+        console.log(`User ${userId}: Computed analytics for quiz ${quiz.id} over ${analytics.submission_count} submission(s).`);
+        res.status(200).json({
+            quiz: { id: quiz.id, quiz_type: quiz.quiz_type, class: quiz.class, curriculum: quiz.curriculum, subject: quiz.subject, chapters: quiz.chapters },
+            scoring_policy,
+            ...analytics,
+        });
+    } catch (err) {
+        console.error(`User ${userId}: Error computing analytics for quiz ${req.params.quizId}:`, err.message);
+        res.status(500).json({ error: 'Failed to compute the quiz analytics.' });
+    }
+});
 
 // Protected Route: Get a list of quizzes generated by the logged-in user
 // Uses authenticateToken middleware
@@ -1357,96 +3144,98 @@ app.get('/user/quizzes', authenticateToken, (req, res) => { // Middleware Applie
     });
 });
 
-// Protected Route: Get a list of quiz results for the logged-in user
+// Protected Route: Get the logged-in user's quiz results, grouped by quiz
 // Uses authenticateToken middleware
-app.get('/user/results', authenticateToken, (req, res) => { // Middleware Applied
-    const userId = req.user.id; // Get authenticated user ID
-    console.log(`User ${userId}: Received request to fetch list of results.`);
-
-    // Query the results table for all results belonging to this user
-    // Join with quizzes table to get some basic info about the quiz
-    const selectSql = `SELECT r.id AS result_id, r.quiz_id, r.score, r.submitted_at,q.quiz_type,q."class",q.subject,q.chapters FROM results r JOIN quizzes q ON r.quiz_id = q.id WHERE r.user_id = ? ORDER BY r.submitted_at DESC`; // Order by submission date, newest first
-
-    const selectParams = [userId]; // Parameter is the user ID
-
-    console.log(`User ${userId}: Executing SQL (List Results): ${selectSql}`); // Logging
-    console.log(`User ${userId}: With parameters (List Results):`, selectParams); // Logging
+// Each group has the quiz's scoring policy and score, and its attempts oldest first with the
+// change in score from the previous attempt (see quiz/results.js)
+app.get('/user/results', authenticateToken, async (req, res) => { // Middleware Applied
+    const userId = req.user.id; // Get authenticated user ID
+    console.log(`User ${userId}: Received request to fetch list of results.`);
 
+    try {
+        const groups = await resultStore.listByQuiz(userId);
+        console.log(`User ${userId}: Successfully retrieved results for ${groups.length} quizzes.`);
+        res.status(200).json(groups);
+    } catch (err) {
+        console.error(`User ${userId}: Database error retrieving list of results:`, err.message);
+        res.status(500).json({ error: 'Failed to retrieve result history.' });
+    }
+});
 
-    // Use db.all because we expect potentially multiple rows
-    db.all(selectSql, selectParams, (err, rows) => { // Use variables for SQL and parameters
-        if (err) {
-            console.error(`User ${userId}: Database error retrieving list of results:`, err.message);
-            return res.status(500).json({ error: 'Failed to retrieve result history.' });
-        }
+// Protected Route: Get the logged-in user's progress
+// Uses authenticateToken middleware
+// Mastery per subject and chapter, a timeline of submissions with the running mastery of each
+// subject, and the weakest chapters (see quiz/progress.js)
+app.get('/user/progress', authenticateToken, async (req, res) => { // Middleware Applied
+    const userId = req.user.id; // Get authenticated user ID
+    console.log(`User ${userId}: Received request to fetch progress.`);
 
-        // Rows is an array of objects, where each object is a result summary with some quiz info
-        console.log(`User ${userId}: Successfully retrieved ${rows ? rows.length : 0} results.`);
-        res.status(200).json(rows || []); // Send the array of result summaries, or an empty array
-    });
+    try {
+        const progress = await progressTracker.forUser(userId);
+        console.log(`User ${userId}: Computed progress over ${progress.submissions} submission(s) in ${progress.subjects.length} subject(s).`);
+        res.status(200).json(progress);
+    } catch (err) {
+        console.error(`User ${userId}: Database error computing progress:`, err.message);
+        res.status(500).json({ error: 'Failed to compute your progress.' });
+    }
 });
 
 // Protected Route: Get details for a specific quiz result by ID (Checks Ownership)
-// Uses authenticateToken middleware and checks if the result belongs to the user
-app.get('/user/results/:resultId', authenticateToken, (req, res) => { // Middleware Applied
-    const resultId = req.params.resultId; // Get result ID from URL parameter
-    const userId = req.user.id; // Get authenticated user ID
-    console.log(`User ${userId}: Received request to fetch result with ID: ${resultId}.`);
-
-    if (!resultId) {
-        console.error(`User ${userId}: No resultId provided in URL parameters for fetch.`);
-        return res.status(400).json({ error: 'Result ID is required.' });
-    }
-
-    // Query the results table for the specific result belonging to this user
-    // Select all columns, including the feedback JSON
-    const selectSql = `SELECT id, user_id, quiz_id, score, feedback, submitted_at FROM results WHERE id = ? AND user_id = ?`; // Query by result ID AND user ID
-    const selectParams = [resultId, userId]; // Parameters for the query
-
-    console.log(`User ${userId}: Executing SQL (Fetch Result Detail): ${selectSql}`); // Logging
-    console.log(`User ${userId}: With parameters (Fetch Result Detail):`, selectParams); // Logging
-
-
-    // Use db.get because we expect a single row or no row
-    db.get(selectSql, selectParams, (err, row) => { // Use variables for SQL and parameters
-        if (err) {
-            console.error(`User ${userId}: Database error retrieving result details:`, err.message);
-            return res.status(500).json({ error: 'Failed to retrieve result details from database.' });
-        }
-
-        // If no row is returned, the result was not found or does not belong to the user
-        if (!row) {
-            console.log(`User ${userId}: Result with ID ${resultId} not found or does not belong to user.`);
-            return res.status(404).json({ error: `Result not found or you do not have permission to view it.` }); // 404 Not Found
-        }
-
-        console.log(`User ${userId}: Result with ID ${resultId} found and belongs to user. Parsing feedback...`);
+// Uses authenticateToken middleware and checks if the result belongs to the user, or to a
+// student who took the user's quiz
+app.get('/user/results/:resultId', authenticateToken, async (req, res) => { // Middleware Applied
+    const resultId = req.params.resultId; // Get result ID from URL parameter
+    const userId = req.user.id; // Get authenticated user ID
+    console.log(`User ${userId}: Received request to fetch result with ID: ${resultId}.`);
+
+    if (!resultId) {
+        console.error(`User ${userId}: No resultId provided in URL parameters for fetch.`);
+        return res.status(400).json({ error: 'Result ID is required.' });
+    }
 
-        // Parse the feedback JSON string from the database
-        try {
-            const feedbackData = JSON.parse(row.feedback); // Assuming 'feedback' column stores JSON
-
-            // Structure the final result data object to send to the frontend
-            const resultDataForFrontend = {
-                id: row.id,
-                quiz_id: row.quiz_id,
-                score: row.score, // Score (real number)
-                submitted_at: row.submitted_at, // Timestamp
-                feedback: feedbackData // Send the parsed feedback object/array
-                // Note: We don't fetch quiz details here, as the list view already provides them.
-                // If needed, you could perform a JOIN here similar to the /user/results endpoint.
-            };
+    try {
+        // The result and its graded answers (one per question, in quiz order)
+        const result = await resultStore.getResult(resultId, userId);
 
-            console.log(`User ${userId}: Successfully retrieved and parsed result ID ${resultId}. Sending data to frontend.`);
-            // Send the result details to the frontend with a 200 OK status
-            res.status(200).json(resultDataForFrontend);
+        // If nothing is returned, the result was not found or does not belong to the user
+        if (!result) {
+            console.log(`User ${userId}: Result with ID ${resultId} not found or does not belong to user.`);
+            return res.status(404).json({ error: `Result not found or you do not have permission to view it.` }); // 404 Not Found
+        }
 
-        } catch (parseError) {
-            // Handle errors during JSON parsing
-            console.error(`User ${userId}: Error parsing feedback JSON from database:`, parseError);
-            res.status(500).json({ error: 'Failed to parse result feedback data.' });
-        }
-    });
+        // Open reviews and overrides per answer (see quiz/overrides.js)
+        const reviews = await gradeReviews.forResult(resultId);
+        // The student doesn't get the answer key while they can submit the quiz again
+        const answerKeyWithheld = result.user_id === userId
+            && await quizStillOpen(await quizStore.getQuizForTaker(result.quiz_id, userId), userId);
+
+        // Structure the final result data object to send to the frontend
+        const resultDataForFrontend = {
+            id: result.id,
+            quiz_id: result.quiz_id,
+            user_id: result.user_id, // Who submitted it
+            username: result.username,
+            score: result.score, // Score (real number)
+            submitted_at: result.submitted_at, // Timestamp
+            ocr: result.ocr, // How the uploaded answer sheet was read, if there was one
+            can_review: result.user_id !== userId, // The viewer owns the quiz and may override grades
+            // Graded answers, same shape as the grading job returns, plus their open `review`
+            // and `grade_history` (overrides, oldest first)
+            feedback: result.feedback.map((answer, index) => ({
+                ...(answerKeyWithheld ? withoutAnswerKey(answer) : answer),
+                ...(reviews.get(index + 1) ?? { review: null, grade_history: [] }),
+            }))
+            // Note: We don't fetch quiz details here, as the list view already provides them.
+            // If needed, you could perform a JOIN here similar to the /user/results endpoint.
+        };
+
+        console.log(`User ${userId}: Successfully retrieved result ID ${resultId} with ${result.feedback.length} answers. Sending data to frontend.`);
+        // Send the result details to the frontend with a 200 OK status
+        res.status(200).json(resultDataForFrontend);
+    } catch (err) {
+        console.error(`User ${userId}: Database error retrieving result details:`, err.message);
+        res.status(500).json({ error: 'Failed to retrieve result details from database.' });
+    }
 });
 
 // Protected Route: Get profile information for the logged-in user
@@ -1456,7 +3245,7 @@ app.get('/user/profile', authenticateToken, (req, res) => { // Middleware Applie
     console.log(`User ${userId}: Received request to fetch profile info.`);
 
     // Query the users table for the authenticated user's information
-    const selectSql = `SELECT id, username FROM users WHERE id = ?`; // Select ID and username
+    const selectSql = `SELECT id, username, role FROM users WHERE id = ?`; // Select ID, username and role
     const selectParams = [userId]; // Parameter is the user ID
 
     console.log(`User ${userId}: Executing SQL (Fetch Profile): ${selectSql}`); // Logging
@@ -1479,8 +3268,30 @@ app.get('/user/profile', authenticateToken, (req, res) => { // Middleware Applie
 
         console.log(`User ${userId}: Successfully retrieved profile info.`);
         // Send the user data (excluding password hash) to the frontend
-        res.status(200).json({ id: row.id, username: row.username });
-    });
+        res.status(200).json({ id: row.id, username: row.username, role: row.role });
+    });
+});
+
+// Protected Route: Switch between the student and teacher role. Body: { role }
+// Teachers can create groups and assign quizzes; everyone can generate and take quizzes.
+app.put('/user/role', authenticateToken, (req, res) => {
+    const userId = req.user.id;
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}.` });
+    }
+
+    db.run(`UPDATE users SET role = ? WHERE id = ?`, [role, userId], function(err) {
+        if (err) {
+            console.error(`User ${userId}: Database error updating role:`, err.message);
+            return res.status(500).json({ error: 'Failed to update your role.' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'User not found. Please log in again.' });
+        }
+        console.log(`User ${userId}: Role set to ${role}.`);
+        res.status(200).json({ success: true, role });
+    });
 });
 
 
@@ -1489,10 +3300,12 @@ app.get('/', (req, res) => {
   res.send('Quiz Genie Backend is running!');
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`Backend server listening on port ${port}`);
-});
+// Start server (called once the database migrations have run)
+function startServer() {
+  app.listen(port, () => {
+    console.log(`Backend server listening on port ${port}`);
+  });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
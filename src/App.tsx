@@ -6,6 +6,13 @@ import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Index from "./pages/Index";
 import ProfilePage from "./pages/ProfilePage";
+import QuestionBank from "./pages/QuestionBank";
+import Groups from "./pages/Groups";
+import StudentResults from "./pages/StudentResults";
+import GradeReviews from "./pages/GradeReviews";
+import QuizAnalytics from "./pages/QuizAnalytics";
+import PracticeQuiz from "./pages/PracticeQuiz";
+import Review from "./pages/Review";
 import GenerateQuiz from "./pages/GenerateQuiz";
 import DescriptiveQuiz from "./pages/DescriptiveQuiz";
 import CombinedExam from "./pages/CombinedExam";
@@ -32,9 +39,16 @@ const App = () => (
           <Route path="/generate-quiz" element={<GenerateQuiz />} />
           <Route path="/descriptive-quiz" element={<DescriptiveQuiz />} />
           <Route path="/combined-exam" element={<CombinedExam />} />
+          <Route path="/practice" element={<PracticeQuiz />} />
+          <Route path="/review" element={<Review />} />
           <Route path="/chatbot" element={<Chatbot />} />
           <Route path="/take-quiz/:quizId" element={<TakeQuiz />} />
           <Route path="/profile" element={<ProfilePage />} />
+          <Route path="/question-bank" element={<QuestionBank />} />
+          <Route path="/groups" element={<Groups />} />
+          <Route path="/quiz/:quizId/student-results" element={<StudentResults />} />
+          <Route path="/quiz/:quizId/analytics" element={<QuizAnalytics />} />
+          <Route path="/grade-reviews" element={<GradeReviews />} />
           <Route path="*" element={<NotFound />} />
         </Routes>
       </BrowserRouter>
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ScanText } from 'lucide-react';
+import OcrSummary from './OcrSummary';
+import { AnswerSheetReading, SEGMENT_MATCH_LABELS, SheetSegment } from '../lib/answer-sheet';
+
+type AnswerSheetReviewProps = {
+  reading: AnswerSheetReading;
+  segments: SheetSegment[]; // The mapping as edited so far
+  questionText: (questionId: string) => string;
+  onChange: (segments: SheetSegment[]) => void;
+  disabled?: boolean;
+};
+
+// The answer sheet split per descriptive question, for the student to correct before grading.
+// Each question is graded on the text in its box (plus its typed answer).
+const AnswerSheetReview = ({ reading, segments, questionText, onChange, disabled = false }: AnswerSheetReviewProps) => {
+  const updateText = (questionId: string, text: string) => {
+    onChange(segments.map((segment) => (segment.question_id === questionId ? { ...segment, text } : segment)));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="flex items-center text-lg font-semibold">
+          <ScanText className="h-5 w-5 mr-2 text-quiz-primary" />
+          Check Your Answer Sheet
+        </h2>
+        <p className="text-sm text-gray-600">
+          This is how your answer sheet was split between the descriptive questions. Fix anything that landed under the wrong question before grading.
+        </p>
+      </div>
+
+      <OcrSummary ocr={reading.ocr} beforeGrading />
+
+      {segments.map((segment) => (
+        <div key={segment.question_id}>
+          <div className="flex items-baseline justify-between gap-2">
+            <label htmlFor={`sheet_${segment.question_id}`} className="block text-sm font-medium text-gray-700 truncate">
+              Question {segment.number}: {questionText(segment.question_id)}
+            </label>
+            <span className={`shrink-0 text-xs ${segment.matched_by ? 'text-gray-500' : 'text-yellow-700'}`}>
+              {segment.matched_by ? SEGMENT_MATCH_LABELS[segment.matched_by] : 'Not found on the sheet'}
+            </span>
+          </div>
+          <textarea
+            id={`sheet_${segment.question_id}`}
+            value={segment.text}
+            onChange={(e) => updateText(segment.question_id, e.target.value)}
+            rows={4}
+            disabled={disabled}
+            placeholder="No answer from the sheet"
+            className="mt-1 block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+          />
+        </div>
+      ))}
+
+      {reading.unassigned && (
+        <div>
+          <p className="block text-sm font-medium text-gray-700">Not matched to a question</p>
+          <p className="text-xs text-gray-500">This text is not graded. Copy any part of it that answers a question into that question's box.</p>
+          <pre className="mt-1 max-h-48 overflow-y-auto whitespace-pre-wrap rounded-md bg-gray-50 p-3 text-sm text-gray-600">{reading.unassigned}</pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnswerSheetReview;
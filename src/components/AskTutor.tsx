@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { GraduationCap, Loader } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../hooks/use-toast';
+import { openTutor } from '../lib/chat';
+
+type AskTutorProps = {
+  resultId: string;
+  position: number; // Question number in the result
+};
+
+// Opens the chatbot on a tutor thread about this graded answer
+const AskTutor = ({ resultId, position }: AskTutorProps) => {
+  const { token } = useAuth();
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const [opening, setOpening] = useState(false);
+
+  const handleClick = async () => {
+    setOpening(true);
+    try {
+      const conversation = await openTutor(resultId, position, token);
+      navigate(`/chatbot?conversation=${conversation.id}`);
+    } catch (err) {
+      toast({ title: 'Error', description: err instanceof Error ? err.message : 'Failed to open the tutor.', variant: 'destructive' });
+      setOpening(false);
+    }
+  };
+
+  return (
+    <button type="button" onClick={handleClick} disabled={opening} className="mt-3 mr-4 inline-flex items-center text-xs font-medium text-quiz-primary hover:underline">
+      {opening ? <Loader className="mr-1 h-3 w-3 animate-spin" /> : <GraduationCap className="mr-1 h-3 w-3" />}
+      Ask the tutor
+    </button>
+  );
+};
+
+export default AskTutor;
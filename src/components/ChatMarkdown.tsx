@@ -0,0 +1,26 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+
+type ChatMarkdownProps = {
+  content: string;
+};
+
+// Models often write LaTeX as \( ... \) and \[ ... \]; remark-math reads $ ... $ and $$ ... $$
+const normalizeMathDelimiters = (text: string) => text
+  .replace(/\\\[([\s\S]+?)\\\]/g, (_, math: string) => `$$${math}$$`)
+  .replace(/\\\(([\s\S]+?)\\\)/g, (_, math: string) => `$${math}$`);
+
+// An assistant message: markdown (tables, lists, code blocks) with LaTeX maths
+const ChatMarkdown = ({ content }: ChatMarkdownProps) => (
+  <div className="prose prose-sm max-w-none text-gray-800 prose-pre:bg-gray-900 prose-pre:text-gray-100 prose-code:before:content-none prose-code:after:content-none">
+    <ReactMarkdown remarkPlugins={[remarkGfm, remarkMath]} rehypePlugins={[rehypeKatex]}>
+      {normalizeMathDelimiters(content)}
+    </ReactMarkdown>
+  </div>
+);
+
+export default ChatMarkdown;
@@ -0,0 +1,72 @@
+import React, { FormEvent, useState } from 'react';
+import { Flag, Loader } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { disputeGrade } from '../lib/grade-reviews';
+
+type DisputeGradeProps = {
+  resultId: string;
+  position: number; // Question number in the result
+};
+
+// Lets a student ask the teacher who set the quiz to look at the grade of an answer again.
+const DisputeGrade = ({ resultId, position }: DisputeGradeProps) => {
+  const { token } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      await disputeGrade(resultId, position, reason.trim(), token);
+      setSent(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send the dispute.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (sent) {
+    return <p className="mt-3 text-xs text-gray-600">Sent to your teacher for review.</p>;
+  }
+
+  if (!open) {
+    return (
+      <button type="button" onClick={() => setOpen(true)} className="mt-3 inline-flex items-center text-xs font-medium text-gray-500 hover:text-quiz-primary">
+        <Flag className="mr-1 h-3 w-3" />
+        Dispute this grade
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        rows={2}
+        maxLength={1000}
+        placeholder="Why should this answer be graded again?"
+        className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+        required
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button type="submit" className="quiz-button flex items-center text-sm" disabled={sending || !reason.trim()}>
+          {sending && <Loader className="mr-2 h-4 w-4 animate-spin" />}
+          Send for Review
+        </button>
+        <button type="button" className="quiz-button-secondary text-sm" onClick={() => setOpen(false)} disabled={sending}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DisputeGrade;
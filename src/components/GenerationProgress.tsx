@@ -0,0 +1,78 @@
+import React from 'react';
+import { CheckCircle, Loader, XCircle } from 'lucide-react';
+import type { SectionProgress, StreamedQuestion } from '../hooks/use-quiz-generation';
+import { formatSource } from '../lib/material';
+
+type GenerationProgressProps = {
+  questions: StreamedQuestion[];
+  sections: SectionProgress[];
+  total: number;
+  status: string;
+  onCancel: () => void;
+};
+
+// Live view of a streaming generation: per-section progress plus each question as it arrives
+const GenerationProgress = ({ questions, sections, total, status, onCancel }: GenerationProgressProps) => {
+  const percent = total > 0 ? Math.round((questions.length / total) * 100) : 0;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="flex items-center justify-between text-sm text-gray-700 mb-1">
+          <span className="flex items-center">
+            <Loader className="animate-spin mr-2 h-4 w-4 text-quiz-primary" />
+            {status || 'Generating questions...'}
+          </span>
+          <span>{questions.length} / {total || '?'}</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div className="bg-quiz-primary h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+        </div>
+      </div>
+
+      {sections.length > 1 && (
+        <div className="flex flex-wrap gap-3 text-sm">
+          {sections.map((section) => (
+            <span key={section.type} className="flex items-center" title={section.error}>
+              {section.status === 'done' && <CheckCircle className="h-4 w-4 mr-1 text-green-600" />}
+              {section.status === 'failed' && <XCircle className="h-4 w-4 mr-1 text-red-600" />}
+              {section.status === 'pending' && <Loader className="animate-spin h-4 w-4 mr-1 text-gray-400" />}
+              {section.type} ({section.count})
+            </span>
+          ))}
+        </div>
+      )}
+
+      {questions.length > 0 && (
+        <ol className="space-y-3 max-h-96 overflow-y-auto">
+          {questions.map(({ question }, index) => (
+            <li key={question.id} className="border border-gray-200 rounded-md p-3 bg-white">
+              <p className="text-xs font-medium text-quiz-primary mb-1">
+                Question {index + 1} &middot; {question.type}
+              </p>
+              <p className="text-sm text-gray-800">{question.question}</p>
+              {question.source && <p className="mt-1 text-xs text-gray-500">Source: {formatSource(question.source)}</p>}
+              {question.options.length > 0 && (
+                <ul className="mt-2 grid sm:grid-cols-2 gap-1 text-xs text-gray-600">
+                  {question.options.map((option) => (
+                    <li key={option}>{option}</li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <button
+        type="button"
+        onClick={onCancel}
+        className="w-full border border-gray-300 rounded-md py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+      >
+        Cancel Generation
+      </button>
+    </div>
+  );
+};
+
+export default GenerationProgress;
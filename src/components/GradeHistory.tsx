@@ -0,0 +1,42 @@
+import React from 'react';
+import { Flag, UserCheck } from 'lucide-react';
+import { AnswerReview, GradeChange, REVIEW_REASON_LABELS } from '../lib/grade-reviews';
+
+type GradeHistoryProps = {
+  review?: AnswerReview | null; // Open review of the answer
+  history?: GradeChange[]; // Overrides, oldest first
+};
+
+const formatTimestamp = (timestamp: string) => new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+
+// Where a graded answer stands with human review: waiting for it, and every grade a reviewer
+// set, starting from the AI's.
+const GradeHistory = ({ review, history = [] }: GradeHistoryProps) => {
+  if (!review && history.length === 0) return null;
+
+  return (
+    <div className="mt-2 space-y-1 text-xs">
+      {review && (
+        <p className="flex items-center text-yellow-700">
+          <Flag className="h-3 w-3 mr-1 shrink-0" />
+          Waiting for review: {REVIEW_REASON_LABELS[review.reason]}{review.note ? ` (${review.note})` : ''}
+        </p>
+      )}
+      {history.length > 0 && (
+        <>
+          <p className="text-gray-500">AI grade: {history[0].previous_score}/10{history[0].previous_feedback ? ` - ${history[0].previous_feedback}` : ''}</p>
+          {history.map((change, index) => (
+            <p key={index} className="flex items-start text-gray-600">
+              <UserCheck className="h-3 w-3 mr-1 mt-0.5 shrink-0" />
+              <span>
+                Changed to {change.score}/10 by {change.reviewer ?? 'a reviewer'} on {formatTimestamp(change.created_at)}: {change.comment}
+              </span>
+            </p>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GradeHistory;
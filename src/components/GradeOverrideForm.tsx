@@ -0,0 +1,86 @@
+import React, { FormEvent, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { GradeOverride } from '../lib/grade-reviews';
+
+type GradeOverrideFormProps = {
+  type: 'MCQ' | 'FIB' | 'Descriptive';
+  score: number; // The current grade, to start from
+  feedback: string | null;
+  onSubmit: (override: GradeOverride) => Promise<void>;
+  onCancel?: () => void;
+};
+
+const inputClass = 'block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary';
+
+// A reviewer's new grade for an answer: the score (right/wrong for MCQ and FIB), feedback for
+// the student and a comment saying why, which is kept in the audit trail.
+const GradeOverrideForm = ({ type, score, feedback, onSubmit, onCancel }: GradeOverrideFormProps) => {
+  const [newScore, setNewScore] = useState(String(score));
+  const [newFeedback, setNewFeedback] = useState(feedback ?? '');
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSubmit({ score: Number(newScore), feedback: newFeedback, comment });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 rounded-md bg-quiz-light p-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Score</label>
+        {type === 'Descriptive' ? (
+          <input
+            type="number"
+            min={0}
+            max={10}
+            step={0.5}
+            value={newScore}
+            onChange={(e) => setNewScore(e.target.value)}
+            className={`${inputClass} max-w-[8rem]`}
+            required
+          />
+        ) : (
+          <select value={newScore} onChange={(e) => setNewScore(e.target.value)} className={`${inputClass} max-w-[12rem]`}>
+            <option value="10">Correct (10)</option>
+            <option value="0">Wrong (0)</option>
+          </select>
+        )}
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Feedback for the student</label>
+        <textarea value={newFeedback} onChange={(e) => setNewFeedback(e.target.value)} rows={3} className={inputClass} />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Why the grade changed</label>
+        <input
+          type="text"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          maxLength={1000}
+          placeholder="e.g. The answer names all three stages"
+          className={inputClass}
+          required
+        />
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" className="quiz-button flex items-center" disabled={saving || !comment.trim()}>
+          {saving && <Loader className="mr-2 h-4 w-4 animate-spin" />}
+          Save Grade
+        </button>
+        {onCancel && (
+          <button type="button" className="quiz-button-secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default GradeOverrideForm;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+// How a descriptive answer graded several times came out (backend quiz/grading.js). The
+// score shown is the median sample's.
+export interface GradingSampling {
+  samples: number;
+  scores: number[]; // Of the samples that didn't fail
+  models: string[];
+  failed: number;
+  spread: number | null; // Highest minus lowest score, out of 10
+  confidence: number; // 0-100, lower as the scores spread
+  disagreement: boolean; // Spread above the quiz's limit; the answer waits for review
+}
+
+type GradingSamplesProps = {
+  grading?: GradingSampling | null;
+};
+
+const GradingSamples = ({ grading }: GradingSamplesProps) => {
+  if (!grading) return null;
+  const models = [...new Set(grading.models)];
+
+  return (
+    <div className={`mt-2 text-xs ${grading.disagreement ? 'text-yellow-800' : 'text-gray-500'}`}>
+      <p>
+        Graded {grading.samples} times{models.length > 1 ? ` by ${models.join(' and ')}` : ''}: median of {grading.scores.join(', ') || 'no scores'}
+        {grading.spread !== null && <> &middot; spread {grading.spread} &middot; {grading.confidence}% confidence</>}
+        {grading.failed > 0 && <> &middot; {grading.failed} failed</>}
+      </p>
+      {grading.disagreement && (
+        <p className="flex items-center mt-1">
+          <AlertTriangle className="h-3 w-3 mr-1 shrink-0" />
+          The gradings disagreed, so this score was sent for review.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GradingSamples;
@@ -1,7 +1,7 @@
 // frontend/src/components/Navbar.tsx
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { BookOpen, Menu, User, X } from 'lucide-react'; // Import User icon (optional)
+import { BookOpen, Layers, Library, Menu, User, Users, X } from 'lucide-react'; // Import User icon (optional)
 
 // You might need state or context here to check if the user is logged in
 // For simplicity, let's add the link directly for now.
@@ -43,10 +43,24 @@ const Navbar: React.FC = () => {
 
             {/* --- Add Profile Link AND Conditional Rendering here (Desktop) --- */}
             {isLoggedIn() ? ( // Conditionally render if logged in (example check)
-              <Link to="/profile" className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-quiz-primary flex items-center">
-                 <User className="h-4 w-4 mr-1" /> {/* Optional: User icon */}
-                 Profile
-              </Link>
+              <>
+                <Link to="/question-bank" className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-quiz-primary flex items-center">
+                   <Library className="h-4 w-4 mr-1" />
+                   Question Bank
+                </Link>
+                <Link to="/groups" className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-quiz-primary flex items-center">
+                   <Users className="h-4 w-4 mr-1" />
+                   Groups
+                </Link>
+                <Link to="/review" className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-quiz-primary flex items-center">
+                   <Layers className="h-4 w-4 mr-1" />
+                   Review
+                </Link>
+                <Link to="/profile" className="px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:text-quiz-primary flex items-center">
+                   <User className="h-4 w-4 mr-1" /> {/* Optional: User icon */}
+                   Profile
+                </Link>
+              </>
             ) : (
               // Optional: Add Login/Register links if not logged in
               <>
@@ -95,10 +109,24 @@ const Navbar: React.FC = () => {
 
              {/* --- Add Profile Link AND Conditional Rendering here (Mobile) --- */}
              {isLoggedIn() ? ( // Conditionally render if logged in (example check)
-               <Link to="/profile" className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-quiz-primary hover:bg-gray-100 flex items-center">
-                  <User className="h-5 w-5 mr-2" /> {/* Optional: User icon */}
-                  Profile
-               </Link>
+               <>
+                 <Link to="/question-bank" className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-quiz-primary hover:bg-gray-100 flex items-center">
+                    <Library className="h-5 w-5 mr-2" />
+                    Question Bank
+                 </Link>
+                 <Link to="/groups" className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-quiz-primary hover:bg-gray-100 flex items-center">
+                    <Users className="h-5 w-5 mr-2" />
+                    Groups
+                 </Link>
+                 <Link to="/review" className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-quiz-primary hover:bg-gray-100 flex items-center">
+                    <Layers className="h-5 w-5 mr-2" />
+                    Review
+                 </Link>
+                 <Link to="/profile" className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-quiz-primary hover:bg-gray-100 flex items-center">
+                    <User className="h-5 w-5 mr-2" /> {/* Optional: User icon */}
+                    Profile
+                 </Link>
+               </>
              ) : (
                // Optional: Add Login/Register links if not logged in
                <>
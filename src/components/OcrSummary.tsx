@@ -0,0 +1,62 @@
+import React from 'react';
+import { AlertTriangle, ScanText } from 'lucide-react';
+
+// How an uploaded answer sheet was read (the `ocr` report of a graded submission, see
+// toOcrReport on the backend), with a warning when the text may have been misread.
+
+export interface OcrReport {
+  engine: string; // vision, tesseract, or both joined with "+" when nothing was read
+  confidence: number | null; // 0-100
+  low_confidence: boolean;
+  pages: { page: number; confidence: number | null }[];
+  warnings: string[];
+  fallback_from?: string; // The engine that failed before this one was used
+  error?: string; // The sheet could not be read at all
+}
+
+const ENGINE_LABELS: Record<string, string> = {
+  vision: 'Google Cloud Vision',
+  tesseract: 'local OCR (Tesseract)',
+};
+
+const engineLabel = (engine: string) => ENGINE_LABELS[engine] ?? engine;
+
+// `beforeGrading` words it for the answer sheet review on TakeQuiz
+const OcrSummary = ({ ocr, beforeGrading = false }: { ocr: OcrReport; beforeGrading?: boolean }) => {
+  if (ocr.error) {
+    return (
+      <div className="flex items-start rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+        <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+        <p>
+          The uploaded answer sheet could not be read ({ocr.error}).
+          {beforeGrading ? ' Type your descriptive answers in below, or they will be graded on the typed answers only.' : ' Descriptive answers were graded on the typed answers only.'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`rounded-md border p-3 text-sm ${ocr.low_confidence ? 'border-yellow-200 bg-yellow-50 text-yellow-800' : 'border-gray-200 bg-white text-gray-600'}`}>
+      <p className="flex items-center">
+        {ocr.low_confidence ? <AlertTriangle className="h-4 w-4 mr-2 shrink-0" /> : <ScanText className="h-4 w-4 mr-2 shrink-0" />}
+        <span>
+          Answer sheet read by {engineLabel(ocr.engine)}
+          {ocr.fallback_from && ` because ${engineLabel(ocr.fallback_from)} failed`}
+          {ocr.confidence !== null ? ` with ${ocr.confidence}% confidence.` : '.'}
+        </span>
+      </p>
+      {ocr.low_confidence && (
+        <p className="mt-1">
+          {beforeGrading ? 'Parts of the sheet may have been misread, so check the answers below.' : 'Parts of the sheet may have been misread, so double-check the descriptive scores.'}
+        </p>
+      )}
+      {ocr.pages.length > 1 && (
+        <p className="mt-1 text-xs">
+          By page: {ocr.pages.map((page) => `p. ${page.page} ${page.confidence ?? '?'}%`).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OcrSummary;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { CartesianGrid, Line, LineChart, ReferenceLine, XAxis, YAxis } from 'recharts';
+import { AlertTriangle, TrendingUp } from 'lucide-react';
+import { ChartConfig, ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from './ui/chart';
+import { formatScoreChange } from '../lib/attempts';
+import { UserProgress } from '../lib/progress';
+
+// The progress section of the profile page: the running mastery of each subject over the
+// user's submissions, mastery per chapter, and the weakest chapters called out on top.
+
+const SUBJECT_COLORS = ['#8B5CF6', '#F7BE38', '#7E69AB', '#10B981', '#F97316', '#0EA5E9'];
+
+const masteryColor = (mastery: number | null, target: number) =>
+  mastery === null ? 'text-gray-400' : mastery >= target ? 'text-green-600' : mastery >= 40 ? 'text-yellow-600' : 'text-red-600';
+
+const trendLabel = (trend: number | null) =>
+  trend === null ? null : (
+    <span className={`text-xs ${trend > 0 ? 'text-green-600' : trend < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+      {formatScoreChange(trend)}
+    </span>
+  );
+
+const ProgressPanel = ({ progress }: { progress: UserProgress }) => {
+  const target = progress.mastery_target;
+
+  // Chart series are keyed s0, s1, ... since subject names aren't safe in CSS variable names
+  const series = progress.subjects.slice(0, SUBJECT_COLORS.length).map((subject, index) => ({ key: `s${index}`, subject: subject.subject }));
+  const chartConfig: ChartConfig = Object.fromEntries(
+    series.map(({ key, subject }, index) => [key, { label: subject, color: SUBJECT_COLORS[index] }])
+  );
+  const chartData = progress.timeline.map((point, index) => ({
+    submission: index + 1,
+    date: new Date(`${point.submitted_at.replace(' ', 'T')}Z`).toLocaleDateString(),
+    ...Object.fromEntries(series.map(({ key, subject }) => [key, point.mastery[subject] ?? null])),
+  }));
+
+  return (
+    <div className="space-y-6">
+      <p className="text-center text-gray-600">
+        Overall mastery{' '}
+        <span className={`font-semibold ${masteryColor(progress.mastery, target)}`}>{progress.mastery}%</span>
+        {' '}&middot; {progress.answers} answer{progress.answers === 1 ? '' : 's'} in {progress.submissions} submission{progress.submissions === 1 ? '' : 's'}
+      </p>
+
+      {/* Weakest chapters first: the ones worth practising */}
+      {progress.weakest_chapters.length > 0 ? (
+        <div className="quiz-card border-l-4 border-red-400">
+          <h3 className="flex items-center text-lg font-medium text-quiz-dark mb-3">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" /> Chapters to work on
+          </h3>
+          <ul className="grid sm:grid-cols-3 gap-4">
+            {progress.weakest_chapters.map((chapter) => (
+              <li key={`${chapter.subject}/${chapter.chapter}`} className="rounded-md bg-red-50 p-3">
+                <p className="font-medium text-gray-800">{chapter.chapter}</p>
+                <p className="text-xs text-gray-500">{chapter.subject}</p>
+                <p className="mt-1 text-sm">
+                  <span className={`font-semibold ${masteryColor(chapter.mastery, target)}`}>{chapter.mastery}%</span>{' '}
+                  <span className="text-gray-500">over {chapter.answers} answers</span> {trendLabel(chapter.trend)}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p className="text-center text-sm text-gray-500">
+          No weak chapters: every chapter with enough answers is at {target}% mastery or above.
+        </p>
+      )}
+
+      {/* Running mastery of each subject, one point per submission */}
+      <div className="quiz-card">
+        <h3 className="flex items-center text-lg font-medium text-quiz-dark mb-4">
+          <TrendingUp className="h-5 w-5 text-quiz-primary mr-2" /> Mastery over time
+        </h3>
+        <ChartContainer config={chartConfig} className="h-64 w-full aspect-auto">
+          <LineChart data={chartData}>
+            <CartesianGrid vertical={false} />
+            <XAxis dataKey="submission" tickLine={false} axisLine={false} />
+            <YAxis domain={[0, 100]} tickLine={false} axisLine={false} width={30} />
+            <ReferenceLine y={target} strokeDasharray="4 4" />
+            <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => payload[0]?.payload.date} />} />
+            <ChartLegend content={<ChartLegendContent />} />
+            {series.map(({ key }) => (
+              <Line key={key} dataKey={key} type="monotone" stroke={`var(--color-${key})`} strokeWidth={2} dot={false} connectNulls />
+            ))}
+          </LineChart>
+        </ChartContainer>
+      </div>
+
+      {/* Mastery per chapter, weakest first within each subject */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {progress.subjects.map((subject) => (
+          <div key={subject.subject} className="quiz-card">
+            <div className="flex items-baseline justify-between mb-3">
+              <h3 className="text-lg font-medium text-quiz-dark">{subject.subject}</h3>
+              <span className="text-sm">
+                <span className={`font-semibold ${masteryColor(subject.mastery, target)}`}>{subject.mastery}%</span> {trendLabel(subject.trend)}
+              </span>
+            </div>
+            <ul className="space-y-2 text-sm">
+              {subject.chapters.map((chapter) => (
+                <li key={chapter.chapter} className="grid grid-cols-[1fr_6rem_3.5rem] items-center gap-2">
+                  <span className={chapter.weak ? 'font-medium text-red-700' : 'text-gray-700'}>{chapter.chapter}</span>
+                  <div className="h-2 w-full rounded bg-gray-100">
+                    <div
+                      className={`h-2 rounded ${chapter.weak ? 'bg-red-400' : 'bg-quiz-primary'}`}
+                      style={{ width: `${chapter.mastery ?? 0}%` }}
+                    />
+                  </div>
+                  <span className="text-right text-gray-600">{chapter.mastery}%</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ProgressPanel;
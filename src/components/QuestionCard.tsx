@@ -0,0 +1,88 @@
+import React from 'react';
+import { QuestionSource, formatSource } from '../lib/material';
+
+// One question with the input for its type: option buttons for MCQ, a text field for FIB and
+// a text area for Descriptive. The inputs are named answer_<question id>, which is what the
+// submit endpoints read.
+
+export interface QuizQuestion {
+  id: string;
+  question: string;
+  type: 'MCQ' | 'FIB' | 'Descriptive';
+  options?: string[];
+  source?: QuestionSource; // Quizzes based on study material
+}
+
+type QuestionCardProps = {
+  question: QuizQuestion;
+  number?: number;
+  value: string;
+  onChange: (value: string) => void;
+  disabled?: boolean;
+  children?: React.ReactNode; // Shown under the input (e.g. the graded answer in a review)
+};
+
+const QuestionCard = ({ question, number, value, onChange, disabled = false, children }: QuestionCardProps) => (
+  <div className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30">
+    <p className="text-gray-800 font-medium mb-3">
+      {number !== undefined && `${number}. `}{question.question}
+    </p>
+    {question.source && <p className="-mt-2 mb-3 text-xs text-gray-500">Source: {formatSource(question.source)}</p>}
+
+    {/* Render options for MCQ */}
+    {question.type === 'MCQ' && question.options && (
+      <div className="space-y-2 mt-2">
+        {question.options.map((option, optIndex) => (
+          <div key={optIndex} className="flex items-center">
+            <input
+              type="radio"
+              id={`q${question.id}-opt${optIndex}`}
+              name={`answer_${question.id}`}
+              value={option.split('.')[0]} // Store the letter (A, B, C, D)
+              className="text-quiz-primary focus:ring-quiz-primary"
+              onChange={(e) => onChange(e.target.value)}
+              checked={value === option.split('.')[0]}
+              disabled={disabled}
+            />
+            <label htmlFor={`q${question.id}-opt${optIndex}`} className="ml-2 text-gray-700">
+              {option}
+            </label>
+          </div>
+        ))}
+      </div>
+    )}
+
+    {/* Add input fields for FIB and Descriptive */}
+    {question.type === 'FIB' && (
+      <div className="mt-2">
+        <input
+          type="text"
+          name={`answer_${question.id}`}
+          placeholder="Enter your answer"
+          className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+          onChange={(e) => onChange(e.target.value)}
+          value={value}
+          disabled={disabled}
+        />
+      </div>
+    )}
+
+    {question.type === 'Descriptive' && (
+      <div className="mt-2">
+        <textarea
+          name={`answer_${question.id}`}
+          rows={4}
+          placeholder="Write your detailed answer here..."
+          className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+          onChange={(e) => onChange(e.target.value)}
+          value={value}
+          disabled={disabled}
+        />
+      </div>
+    )}
+
+    {children}
+  </div>
+);
+
+export default QuestionCard;
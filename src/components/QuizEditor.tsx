@@ -0,0 +1,631 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, Loader, Plus, RefreshCw, Save, Trash2 } from 'lucide-react';
+import { useToast } from '../hooks/use-toast';
+import { SCORING_POLICY_LABELS, ScoringPolicy } from '../lib/attempts';
+
+type QuestionType = 'MCQ' | 'FIB' | 'Descriptive';
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+const QUESTION_TYPES: QuestionType[] = ['MCQ', 'FIB', 'Descriptive'];
+
+interface StoredQuestion {
+  id: string;
+  type: QuestionType;
+  question: string;
+  options?: string[];
+  answer: string;
+  accepted_answers?: string[];
+  rubric?: RubricCriterion[];
+  explanation?: string;
+}
+
+// One grading criterion of a Descriptive question
+interface RubricCriterion {
+  criterion: string;
+  points: number;
+}
+
+// How typed MCQ/FIB answers are matched when grading (PUT /quiz/:quizId/settings)
+interface MatchingSettings {
+  fuzzy: boolean;
+  fuzzy_max_distance: number;
+  numeric_tolerance: number;
+  require_units: boolean;
+}
+
+// How many times descriptive answers are graded (PUT /quiz/:quizId/settings)
+interface GradingSettings {
+  samples: number;
+  max_spread: number; // Points out of 10 the samples may differ before the answer is flagged
+}
+
+// Question as edited in the form. `key` identifies new questions that have no id yet.
+interface DraftQuestion {
+  key: string;
+  id?: string;
+  type: QuestionType;
+  question: string;
+  options: string[]; // Option texts without the "A. " label
+  answer: string; // Option letter for MCQ
+  acceptedAnswers: string; // FIB only, one per line
+  rubric: RubricCriterion[]; // Descriptive only
+  explanation: string;
+}
+
+interface QuizEditorProps {
+  quizId: string;
+  token: string | null;
+  quizType: string;
+  onSaved: () => void;
+  onClose: () => void;
+}
+
+const backendUrl = 'http://localhost:3001';
+
+const stripLabel = (option: string) => option.replace(/^\s*\(?[A-Da-d][.)]\s*/, '');
+
+const toDraft = (q: StoredQuestion): DraftQuestion => ({
+  key: q.id,
+  id: q.id,
+  type: q.type,
+  question: q.question,
+  options: q.type === 'MCQ' ? OPTION_LETTERS.map((_, i) => stripLabel(q.options?.[i] || '')) : ['', '', '', ''],
+  answer: q.answer,
+  acceptedAnswers: (q.accepted_answers || []).join('\n'),
+  rubric: q.rubric || [],
+  explanation: q.explanation || '',
+});
+
+let newQuestionCounter = 0;
+const blankDraft = (type: QuestionType): DraftQuestion => ({
+  key: `new-${++newQuestionCounter}`,
+  type,
+  question: '',
+  options: ['', '', '', ''],
+  answer: type === 'MCQ' ? 'A' : '',
+  acceptedAnswers: '',
+  rubric: type === 'Descriptive' ? [{ criterion: '', points: 10 }] : [],
+  explanation: '',
+});
+
+// Owner's editor for a saved quiz: fix text, options, answers, rubrics and explanations, reorder,
+// add or remove questions, then save everything with PUT /quiz/:quizId/questions (answer
+// matching, grading, the time limit and the attempt rules go to PUT /quiz/:quizId/settings first).
+// A saved question can also be swapped for a fresh AI one straight away.
+const QuizEditor = ({ quizId, token, quizType, onSaved, onClose }: QuizEditorProps) => {
+  const [drafts, setDrafts] = useState<DraftQuestion[]>([]);
+  const [problems, setProblems] = useState<{ [key: string]: string[] }>({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [regeneratingKey, setRegeneratingKey] = useState<string | null>(null);
+  const [error, setError] = useState('');
+  const [newType, setNewType] = useState<QuestionType>(quizType === 'Combined' ? 'MCQ' : (quizType as QuestionType));
+  const [matching, setMatching] = useState<MatchingSettings | null>(null);
+  const [grading, setGrading] = useState<GradingSettings | null>(null);
+  const [timeLimit, setTimeLimit] = useState(''); // Minutes; empty for an untimed quiz
+  const [maxAttempts, setMaxAttempts] = useState(''); // Empty for unlimited attempts
+  const [scoringPolicy, setScoringPolicy] = useState<ScoringPolicy>('latest');
+  const { toast } = useToast();
+
+  useEffect(() => {
+    const loadQuiz = async () => {
+      try {
+        const response = await fetch(`${backendUrl}/quiz/${quizId}/edit`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load the quiz for editing.');
+        if (!data.editable) throw new Error('This quiz has already been taken, so its questions can no longer be edited.');
+        setDrafts(data.questions.map(toDraft));
+        setMatching(data.settings?.matching ?? null);
+        setGrading(data.settings?.grading ?? null);
+        setTimeLimit(data.settings?.time_limit_minutes ? String(data.settings.time_limit_minutes) : '');
+        setMaxAttempts(data.settings?.max_attempts ? String(data.settings.max_attempts) : '');
+        setScoringPolicy(data.settings?.scoring_policy ?? 'latest');
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to load the quiz for editing.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadQuiz();
+  }, [quizId, token]);
+
+  const updateDraft = (key: string, changes: Partial<DraftQuestion>) => {
+    setDrafts(prev => prev.map(d => (d.key === key ? { ...d, ...changes } : d)));
+  };
+
+  const updateOption = (draft: DraftQuestion, index: number, value: string) => {
+    const options = [...draft.options];
+    options[index] = value;
+    updateDraft(draft.key, { options });
+  };
+
+  const updateCriterion = (draft: DraftQuestion, index: number, changes: Partial<RubricCriterion>) => {
+    updateDraft(draft.key, { rubric: draft.rubric.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  };
+
+  const moveDraft = (index: number, offset: number) => {
+    setDrafts(prev => {
+      const next = [...prev];
+      const target = index + offset;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeDraft = (key: string) => {
+    setDrafts(prev => prev.filter(d => d.key !== key));
+  };
+
+  // Replaces one saved question on the server and in the form; other unsaved edits stay as they are
+  const handleRegenerate = async (draft: DraftQuestion) => {
+    if (!draft.id) return;
+    setRegeneratingKey(draft.key);
+    setError('');
+
+    try {
+      const response = await fetch(`${backendUrl}/quiz/${quizId}/questions/regenerate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ questionIds: [draft.id] }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to regenerate the question.');
+
+      const replacement: StoredQuestion = data.replaced[0].question;
+      setDrafts(prev => prev.map(d => (d.key === draft.key ? toDraft(replacement) : d)));
+      setProblems(prev => {
+        const next = { ...prev };
+        delete next[draft.key];
+        return next;
+      });
+      toast({
+        title: "Question Regenerated",
+        description: "The new question has already been saved.",
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to regenerate the question.');
+    } finally {
+      setRegeneratingKey(null);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    setProblems({});
+
+    const questions = drafts.map(d => ({
+      ...(d.id ? { id: d.id } : {}),
+      type: d.type,
+      question: d.question,
+      ...(d.type === 'MCQ' ? { options: d.options } : {}),
+      answer: d.answer,
+      ...(d.type === 'FIB' ? { accepted_answers: d.acceptedAnswers.split('\n').map(a => a.trim()).filter(Boolean) } : {}),
+      ...(d.type === 'Descriptive' ? { rubric: d.rubric } : {}),
+      explanation: d.explanation,
+    }));
+
+    try {
+      const settingsResponse = await fetch(`${backendUrl}/quiz/${quizId}/settings`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          ...(matching ? { matching } : {}),
+          ...(grading ? { grading } : {}),
+          time_limit_minutes: timeLimit.trim() ? Number(timeLimit) : null,
+          max_attempts: maxAttempts.trim() ? Number(maxAttempts) : null,
+          scoring_policy: scoringPolicy,
+        }),
+      });
+      if (!settingsResponse.ok) {
+        const settingsData = await settingsResponse.json().catch(() => ({}));
+        throw new Error(settingsData.error || 'Failed to save the quiz settings.');
+      }
+
+      const response = await fetch(`${backendUrl}/quiz/${quizId}/questions`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ questions }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        // Show the schema problems next to the questions they belong to
+        if (Array.isArray(data.problems)) {
+          const byKey: { [key: string]: string[] } = {};
+          data.problems.forEach((p: { position: number; errors: string[] }) => {
+            const draft = drafts[p.position - 1];
+            if (draft) byKey[draft.key] = p.errors;
+          });
+          setProblems(byKey);
+        }
+        throw new Error(data.error || 'Failed to save the quiz.');
+      }
+
+      toast({
+        title: "Quiz Updated",
+        description: `${data.questions.length} question(s) saved.`,
+      });
+      onSaved();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save the quiz.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto mb-2" />
+        <p className="text-gray-700">Loading questions...</p>
+      </div>
+    );
+  }
+
+  if (drafts.length === 0 && error) {
+    return (
+      <div className="space-y-4 text-center">
+        <p className="text-red-600">{error}</p>
+        <button type="button" onClick={onClose} className="quiz-button-secondary">
+          Back to Quiz
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 rounded-md p-3 text-sm">
+          {error}
+        </div>
+      )}
+
+      {drafts.map((draft, index) => (
+        <div key={draft.key} className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-semibold text-quiz-primary">
+              Question {index + 1} &middot; {draft.type}
+            </p>
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() => handleRegenerate(draft)}
+                disabled={!draft.id || regeneratingKey !== null || isSaving}
+                className="p-1 text-gray-500 hover:text-quiz-primary disabled:opacity-30"
+                title={draft.id ? 'Regenerate this question with AI' : 'Save the quiz before regenerating a new question'}
+              >
+                <RefreshCw className={`h-4 w-4 ${regeneratingKey === draft.key ? 'animate-spin' : ''}`} />
+              </button>
+              <button type="button" onClick={() => moveDraft(index, -1)} disabled={index === 0} className="p-1 text-gray-500 hover:text-quiz-primary disabled:opacity-30" title="Move up">
+                <ArrowUp className="h-4 w-4" />
+              </button>
+              <button type="button" onClick={() => moveDraft(index, 1)} disabled={index === drafts.length - 1} className="p-1 text-gray-500 hover:text-quiz-primary disabled:opacity-30" title="Move down">
+                <ArrowDown className="h-4 w-4" />
+              </button>
+              <button type="button" onClick={() => removeDraft(draft.key)} disabled={drafts.length === 1} className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30" title="Remove question">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          <textarea
+            value={draft.question}
+            onChange={(e) => updateDraft(draft.key, { question: e.target.value })}
+            rows={2}
+            placeholder="Question text"
+            className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+          />
+
+          {draft.type === 'MCQ' ? (
+            <div className="space-y-2">
+              {OPTION_LETTERS.map((letter, optIndex) => (
+                <div key={letter} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`correct-${draft.key}`}
+                    checked={draft.answer === letter}
+                    onChange={() => updateDraft(draft.key, { answer: letter })}
+                    className="text-quiz-primary focus:ring-quiz-primary"
+                    title="Mark as the correct answer"
+                  />
+                  <span className="text-sm font-medium text-gray-700 w-4">{letter}.</span>
+                  <input
+                    type="text"
+                    value={draft.options[optIndex]}
+                    onChange={(e) => updateOption(draft, optIndex, e.target.value)}
+                    placeholder={`Option ${letter}`}
+                    className="block w-full rounded-md border border-gray-300 shadow-sm py-1 px-2 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+                  />
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">Select the radio button next to the correct option.</p>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {draft.type === 'FIB' ? 'Answer' : 'Model Answer'}
+              </label>
+              {draft.type === 'FIB' ? (
+                <>
+                  <input
+                    type="text"
+                    value={draft.answer}
+                    onChange={(e) => updateDraft(draft.key, { answer: e.target.value })}
+                    className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                  />
+                  <label className="block text-sm font-medium text-gray-700 mt-3 mb-1">Also accept (one per line)</label>
+                  <textarea
+                    value={draft.acceptedAnswers}
+                    onChange={(e) => updateDraft(draft.key, { acceptedAnswers: e.target.value })}
+                    rows={2}
+                    placeholder="Other spellings or forms, e.g. 'two' for '2'"
+                    className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+                  />
+                </>
+              ) : (
+                <textarea
+                  value={draft.answer}
+                  onChange={(e) => updateDraft(draft.key, { answer: e.target.value })}
+                  rows={3}
+                  className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                />
+              )}
+            </div>
+          )}
+
+          {draft.type === 'Descriptive' && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Rubric ({draft.rubric.reduce((sum, c) => sum + (c.points || 0), 0)} points)
+              </label>
+              {draft.rubric.map((criterion, criterionIndex) => (
+                <div key={criterionIndex} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={criterion.criterion}
+                    onChange={(e) => updateCriterion(draft, criterionIndex, { criterion: e.target.value })}
+                    placeholder="What the answer must show"
+                    className="block w-full rounded-md border border-gray-300 shadow-sm py-1 px-2 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+                  />
+                  <input
+                    type="number"
+                    min={1}
+                    max={10}
+                    value={criterion.points}
+                    onChange={(e) => updateCriterion(draft, criterionIndex, { points: Number(e.target.value) })}
+                    className="block w-20 rounded-md border border-gray-300 shadow-sm py-1 px-2 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+                    title="Points"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateDraft(draft.key, { rubric: draft.rubric.filter((_, i) => i !== criterionIndex) })}
+                    className="p-1 text-gray-500 hover:text-red-600"
+                    title="Remove criterion"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {draft.rubric.length < 6 && (
+                <button
+                  type="button"
+                  onClick={() => updateDraft(draft.key, { rubric: [...draft.rubric, { criterion: '', points: 2 }] })}
+                  className="text-sm text-quiz-primary hover:underline flex items-center gap-1"
+                >
+                  <Plus className="h-3 w-3" /> Add criterion
+                </button>
+              )}
+              {draft.rubric.length === 0 && (
+                <p className="text-xs text-gray-500">Without a rubric, answers are scored on overall accuracy and completeness.</p>
+              )}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Explanation</label>
+            <textarea
+              value={draft.explanation}
+              onChange={(e) => updateDraft(draft.key, { explanation: e.target.value })}
+              rows={2}
+              className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+            />
+          </div>
+
+          {problems[draft.key] && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {problems[draft.key].map((problem) => (
+                <li key={problem}>{problem}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+
+      <div className="flex items-center gap-2">
+        {quizType === 'Combined' && (
+          <select
+            value={newType}
+            onChange={(e) => setNewType(e.target.value as QuestionType)}
+            className="rounded-md border border-gray-300 py-2 px-3 text-sm"
+          >
+            {QUESTION_TYPES.map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          onClick={() => setDrafts(prev => [...prev, blankDraft(newType)])}
+          className="quiz-button-secondary flex items-center"
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          Add Question
+        </button>
+      </div>
+
+      {matching && quizType !== 'Descriptive' && (
+        <div className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30 space-y-3">
+          <p className="text-sm font-semibold text-quiz-primary">Answer Matching</p>
+          <p className="text-xs text-gray-500">
+            Typed answers are compared ignoring case, spacing and punctuation; numbers are compared by value and unit.
+            MCQ answers can be the option letter or the option text.
+          </p>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={matching.fuzzy}
+              onChange={(e) => setMatching({ ...matching, fuzzy: e.target.checked })}
+              className="text-quiz-primary focus:ring-quiz-primary"
+            />
+            Accept small spelling mistakes, up to
+            <input
+              type="number"
+              min={1}
+              max={5}
+              value={matching.fuzzy_max_distance}
+              onChange={(e) => setMatching({ ...matching, fuzzy_max_distance: Number(e.target.value) })}
+              disabled={!matching.fuzzy}
+              className="w-16 rounded-md border border-gray-300 py-1 px-2 text-sm"
+            />
+            letters
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Numbers may differ by
+            <input
+              type="number"
+              min={0}
+              max={50}
+              step={0.5}
+              value={matching.numeric_tolerance * 100}
+              onChange={(e) => setMatching({ ...matching, numeric_tolerance: Number(e.target.value) / 100 })}
+              className="w-20 rounded-md border border-gray-300 py-1 px-2 text-sm"
+            />
+            % (whole numbers without a unit must be exact)
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={matching.require_units}
+              onChange={(e) => setMatching({ ...matching, require_units: e.target.checked })}
+              className="text-quiz-primary focus:ring-quiz-primary"
+            />
+            Require the unit when the answer has one
+          </label>
+        </div>
+      )}
+
+      {grading && drafts.some((d) => d.type === 'Descriptive') && (
+        <div className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30 space-y-3">
+          <p className="text-sm font-semibold text-quiz-primary">Descriptive Grading</p>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Grade each answer
+            <select
+              value={grading.samples}
+              onChange={(e) => setGrading({ ...grading, samples: Number(e.target.value) })}
+              className="rounded-md border border-gray-300 py-1 px-2 text-sm"
+            >
+              {[1, 2, 3, 4, 5].map((count) => (
+                <option key={count} value={count}>{count === 1 ? 'once' : `${count} times`}</option>
+              ))}
+            </select>
+            and keep the median score
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Send for review when the scores differ by more than
+            <input
+              type="number"
+              min={0}
+              max={10}
+              step={0.5}
+              value={grading.max_spread}
+              onChange={(e) => setGrading({ ...grading, max_spread: Number(e.target.value) })}
+              disabled={grading.samples === 1}
+              className="w-20 rounded-md border border-gray-300 py-1 px-2 text-sm"
+            />
+            points
+          </label>
+          <p className="text-xs text-gray-500">
+            AI grading can vary between runs. Grading more times gives steadier scores but takes longer.
+          </p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30 space-y-3">
+        <p className="text-sm font-semibold text-quiz-primary">Time Limit</p>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="number"
+            min={1}
+            max={600}
+            value={timeLimit}
+            onChange={(e) => setTimeLimit(e.target.value)}
+            placeholder="None"
+            className="w-24 rounded-md border border-gray-300 py-1 px-2 text-sm"
+          />
+          minutes
+        </label>
+        <p className="text-xs text-gray-500">
+          Leave empty for an untimed quiz. A new limit applies to attempts started after saving.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30 space-y-3">
+        <p className="text-sm font-semibold text-quiz-primary">Attempts</p>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          At most
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={maxAttempts}
+            onChange={(e) => setMaxAttempts(e.target.value)}
+            placeholder="Any"
+            className="w-24 rounded-md border border-gray-300 py-1 px-2 text-sm"
+          />
+          attempts
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Quiz score
+          <select
+            value={scoringPolicy}
+            onChange={(e) => setScoringPolicy(e.target.value as ScoringPolicy)}
+            className="rounded-md border border-gray-300 py-1 px-2 text-sm"
+          >
+            {(Object.keys(SCORING_POLICY_LABELS) as ScoringPolicy[]).map((policy) => (
+              <option key={policy} value={policy}>{SCORING_POLICY_LABELS[policy]}</option>
+            ))}
+          </select>
+        </label>
+        <p className="text-xs text-gray-500">
+          Leave the number empty for unlimited attempts. The quiz score is worked out from the graded attempts.
+        </p>
+      </div>
+
+      <div className="flex justify-end gap-3 pt-2">
+        <button type="button" onClick={onClose} className="quiz-button-secondary" disabled={isSaving}>
+          Cancel
+        </button>
+        <button type="button" onClick={handleSave} className="quiz-button flex items-center" disabled={isSaving || regeneratingKey !== null || drafts.length === 0}>
+          {isSaving ? <Loader className="animate-spin mr-2 h-4 w-4" /> : <Save className="mr-2 h-4 w-4" />}
+          Save Changes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuizEditor;
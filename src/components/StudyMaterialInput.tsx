@@ -0,0 +1,83 @@
+import React from 'react';
+import { FileUp, X } from 'lucide-react';
+import { MATERIAL_ACCEPT, MAX_MATERIAL_FILES, MAX_MATERIAL_FILE_MB, StudyMaterial } from '../lib/material';
+
+type StudyMaterialInputProps = {
+  value: StudyMaterial;
+  onChange: (material: StudyMaterial) => void;
+  disabled?: boolean;
+};
+
+// Optional study material for the generation forms: uploaded files and/or pasted notes.
+// With material the questions are based on it and cite the page they come from.
+const StudyMaterialInput = ({ value, onChange, disabled = false }: StudyMaterialInputProps) => {
+  const addFiles = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const picked = Array.from(e.target.files ?? []);
+    e.target.value = ''; // Picking the same file again should still fire onChange
+    const known = new Set(value.files.map((file) => `${file.name}:${file.size}`));
+    const files = [...value.files, ...picked.filter((file) => !known.has(`${file.name}:${file.size}`))];
+    onChange({ ...value, files: files.slice(0, MAX_MATERIAL_FILES) });
+  };
+
+  const removeFile = (index: number) => {
+    onChange({ ...value, files: value.files.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="rounded-md border border-dashed border-gray-300 p-4 space-y-3">
+      <div>
+        <p className="block text-sm font-medium text-gray-700">Study Material (optional)</p>
+        <p className="text-xs text-gray-500">
+          Upload a chapter PDF, scanned pages or photos, or paste your notes. Questions will be based on it and cite their page.
+        </p>
+      </div>
+
+      <div>
+        <label className={`inline-flex items-center text-sm font-medium text-quiz-primary ${disabled || value.files.length >= MAX_MATERIAL_FILES ? 'opacity-50' : 'cursor-pointer hover:underline'}`}>
+          <FileUp className="h-4 w-4 mr-1" />
+          Add files
+          <input
+            type="file"
+            accept={MATERIAL_ACCEPT}
+            multiple
+            onChange={addFiles}
+            disabled={disabled || value.files.length >= MAX_MATERIAL_FILES}
+            className="sr-only"
+          />
+        </label>
+        <span className="ml-2 text-xs text-gray-500">Up to {MAX_MATERIAL_FILES} files, {MAX_MATERIAL_FILE_MB} MB each</span>
+      </div>
+
+      {value.files.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {value.files.map((file, index) => (
+            <li key={`${file.name}:${file.size}`} className="flex items-center justify-between rounded bg-quiz-light px-2 py-1">
+              <span className="truncate text-gray-700">{file.name}</span>
+              <button
+                type="button"
+                onClick={() => removeFile(index)}
+                disabled={disabled}
+                className="ml-2 text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${file.name}`}
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <textarea
+        id="material_text"
+        value={value.text}
+        onChange={(e) => onChange({ ...value, text: e.target.value })}
+        rows={4}
+        disabled={disabled}
+        placeholder="Or paste your notes here"
+        className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+      />
+    </div>
+  );
+};
+
+export default StudyMaterialInput;
@@ -1,11 +1,18 @@
 import React, { createContext, useState, useContext, useEffect, ReactNode } from 'react';
 
+// Basic user info returned by /login. `role` is missing for sessions saved before roles existed.
+interface AuthUser {
+  id: string;
+  username: string;
+  role?: 'student' | 'teacher';
+}
+
 // Define the shape of the authentication context state
 interface AuthState {
   token: string | null; // Store the JWT token
-  user: { id: string; username: string } | null; // Store basic user info (optional)
+  user: AuthUser | null; // Store basic user info (optional)
   isLoggedIn: boolean; // Derived state: true if token and user exist
-  login: (token: string, user: { id: string; username: string }) => void; // Function to log in
+  login: (token: string, user: AuthUser) => void; // Function to log in
   logout: () => void; // Function to log out
   loading: boolean; // To indicate if initial auth state is being loaded (e.g., from localStorage)
 }
@@ -18,7 +25,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   // State to hold the token and user info
   // Initialize state by checking local storage for a saved token/user
   const [token, setToken] = useState<string | null>(null);
-  const [user, setUser] = useState<{ id: string; username: string } | null>(null);
+  const [user, setUser] = useState<AuthUser | null>(null);
   const [loading, setLoading] = useState(true); // Start in loading state
 
   // Effect to run once on mount to check localStorage
@@ -52,7 +59,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   }, []); // Empty dependency array means this runs only once on mount
 
   // Function to handle login
-  const login = (newToken: string, newUser: { id: string; username: string }) => {
+  const login = (newToken: string, newUser: AuthUser) => {
     localStorage.setItem('token', newToken); // Store token in localStorage
     localStorage.setItem('user', JSON.stringify(newUser)); // Store user info (as string)
     setToken(newToken);
@@ -0,0 +1,194 @@
+import * as React from "react"
+import { streamServerEvents } from "../lib/sse"
+import type { QuestionSource } from "../lib/material"
+
+const backendUrl = "http://localhost:3001"
+
+export type StreamedQuestion = {
+  section: string
+  position: number
+  question: {
+    id: string
+    type: string
+    question: string
+    options: string[]
+    source?: QuestionSource // Quizzes based on study material
+  }
+}
+
+export type SectionProgress = {
+  type: string
+  count: number
+  status: "pending" | "done" | "failed"
+  error?: string
+}
+
+export type GenerationResult = {
+  quizId: string
+  regenerated: { position: number; type?: string; reasons: string[] }[]
+}
+
+type GenerationCallbacks = {
+  onSaved: (result: GenerationResult) => void
+  onCancelled: () => void
+  onFailed: (message: string) => void
+}
+
+// Events sent while watching a generation job (see streamJob and runQuizGeneration on the backend)
+type GenerationEvent =
+  | { event: "job"; data: { id: string; status: string } }
+  | { event: "running"; data: { attempt: number; max_attempts: number } }
+  | { event: "retrying"; data: { attempt: number; max_attempts: number; error: string } }
+  | { event: "started"; data: { total: number; sections: { type: string; count: number }[] } }
+  | { event: "material"; data: { status: "extracting"; done: number; total: number } | { status: "ready"; pages: number; chunks: number } }
+  | { event: "question"; data: StreamedQuestion }
+  | { event: "repair"; data: { section: string; attempt: number; pending: number } }
+  | { event: "section"; data: { section: string; status: "done" | "failed"; error?: string } }
+  | { event: "saved"; data: GenerationResult }
+  | { event: "succeeded"; data: { result: GenerationResult } }
+  | { event: "error"; data: { error?: string; cancelled?: boolean } }
+
+// Drives a quiz generation job and keeps the partial quiz in state. The job id is kept in
+// localStorage under `storageKey`, so a reload (or coming back to the page) picks the same
+// job up again instead of losing it. Leaving the page stops watching but not the job.
+export function useQuizGeneration(token: string | null, storageKey: string, callbacks: GenerationCallbacks) {
+  const [isGenerating, setIsGenerating] = React.useState(false)
+  const [questions, setQuestions] = React.useState<StreamedQuestion[]>([])
+  const [sections, setSections] = React.useState<SectionProgress[]>([])
+  const [total, setTotal] = React.useState(0)
+  const [status, setStatus] = React.useState("")
+  const controllerRef = React.useRef<AbortController | null>(null)
+  const jobIdRef = React.useRef<string | null>(null)
+  const callbacksRef = React.useRef(callbacks)
+
+  React.useEffect(() => {
+    callbacksRef.current = callbacks
+  })
+
+  const watch = React.useCallback(async (url: string, method: "GET" | "POST", body?: URLSearchParams | FormData) => {
+    if (controllerRef.current) return
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setIsGenerating(true)
+    setQuestions([])
+    setSections([])
+    setTotal(0)
+    setStatus("Waiting for the generator...")
+
+    let result: GenerationResult | null = null
+    let failure: { error?: string; cancelled?: boolean } | null = null
+
+    try {
+      await streamServerEvents(url, {
+        token,
+        method,
+        body,
+        signal: controller.signal,
+        onEvent: (serverEvent) => {
+          const { event, data } = serverEvent as GenerationEvent
+          switch (event) {
+            case "job":
+              jobIdRef.current = data.id
+              localStorage.setItem(storageKey, data.id)
+              break
+            case "running":
+              // A retry starts from scratch
+              setQuestions([])
+              setSections([])
+              setStatus(data.attempt > 1 ? `Retrying (attempt ${data.attempt} of ${data.max_attempts})...` : "Contacting the model...")
+              break
+            case "retrying":
+              setStatus(`Attempt ${data.attempt} failed: ${data.error} Retrying shortly...`)
+              break
+            case "started":
+              setTotal(data.total)
+              setSections(data.sections.map((s) => ({ ...s, status: "pending" as const })))
+              setStatus("Generating questions...")
+              break
+            case "material":
+              setStatus(data.status === "extracting"
+                ? `Reading your study material (${data.done} of ${data.total})...`
+                : `Generating questions from ${data.pages} page(s) of study material...`)
+              break
+            case "question":
+              setQuestions((prev) => [...prev, data])
+              break
+            case "repair":
+              setStatus(`Regenerating ${data.pending} invalid ${data.section} question(s) (attempt ${data.attempt})...`)
+              break
+            case "section":
+              setSections((prev) => prev.map((s) => s.type === data.section ? { ...s, status: data.status, error: data.error } : s))
+              break
+            case "saved":
+              result = { quizId: data.quizId, regenerated: data.regenerated || [] }
+              setStatus("Saving quiz...")
+              break
+            case "succeeded":
+              result = result || data.result
+              break
+            case "error":
+              failure = data
+              break
+          }
+        },
+      })
+    } catch (err) {
+      // Aborted because the page went away: the job carries on and is resumed next time
+      if (controller.signal.aborted) return
+      failure = { error: err instanceof Error ? err.message : "Quiz generation failed." }
+    } finally {
+      controllerRef.current = null
+      setIsGenerating(false)
+      setStatus("")
+    }
+
+    // The job is finished one way or another (or unknown to the server), so stop tracking it
+    localStorage.removeItem(storageKey)
+    jobIdRef.current = null
+
+    if (result) {
+      callbacksRef.current.onSaved(result)
+    } else if (failure?.cancelled) {
+      callbacksRef.current.onCancelled()
+    } else {
+      callbacksRef.current.onFailed(failure?.error || "The server closed the stream before the quiz was saved.")
+    }
+  }, [token, storageKey])
+
+  // Pick up a job that was still running when the page was last left
+  React.useEffect(() => {
+    const pendingJobId = localStorage.getItem(storageKey)
+    if (token && pendingJobId) {
+      watch(`${backendUrl}/jobs/${pendingJobId}/events`, "GET")
+    }
+  }, [token, storageKey, watch])
+
+  // Stop watching (not the job) when the page is left
+  React.useEffect(() => () => controllerRef.current?.abort(), [])
+
+  // `path` is one of the /stream generation endpoints; `body` is form data when it carries files
+  const generate = React.useCallback((path: string, body: URLSearchParams | FormData) => {
+    return watch(`${backendUrl}${path}`, "POST", body)
+  }, [watch])
+
+  const cancel = React.useCallback(async () => {
+    const jobId = jobIdRef.current
+    if (!jobId) {
+      // Not queued yet, so dropping the request is enough
+      controllerRef.current?.abort()
+      callbacksRef.current.onCancelled()
+      return
+    }
+    setStatus("Cancelling...")
+    try {
+      await fetch(`${backendUrl}/jobs/${jobId}/cancel`, {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${token}` },
+      })
+    } catch {
+      // The stream still reports how the job ended
+    }
+  }, [token])
+
+  return { generate, cancel, isGenerating, questions, sections, total, status }
+}
@@ -0,0 +1,61 @@
+// Quiz analytics (GET /quiz/:quizId/analytics): gradebook, score distribution and
+// per-question statistics over every submission of a quiz. Only its owner can load them.
+
+import { ScoringPolicy } from './attempts';
+
+const backendUrl = 'http://localhost:3001';
+
+export type Difficulty = 'easy' | 'medium' | 'hard';
+
+export interface QuestionStats {
+  question_id: string;
+  type: 'MCQ' | 'FIB' | 'Descriptive';
+  question: string;
+  responses: number;
+  blank: number;
+  average_score: number | null; // 0-10
+  correct?: number; // MCQ and FIB
+  percent_correct: number | null; // Descriptive: share of the points earned
+  difficulty: Difficulty | null;
+  options?: { letter: string; text: string; count: number; is_correct: boolean }[]; // MCQ
+  unreadable?: number; // MCQ answers that matched no option
+  common_wrong_answers?: { answer: string; count: number }[]; // FIB
+  rubric?: { criterion: string; max_points: number; graded: number; average_points: number; percent: number | null }[]; // Descriptive
+}
+
+export interface GradebookRow {
+  user_id: number;
+  username: string;
+  attempts: number;
+  score: number; // Under the scoring policy
+  best_score: number;
+  latest_result_id: string;
+  last_submitted_at: string;
+  question_scores: (number | null)[]; // Latest submission, in question order
+}
+
+export interface QuizAnalytics {
+  quiz: { id: string; quiz_type: string; class: string; curriculum: string; subject: string; chapters: string };
+  scoring_policy: ScoringPolicy;
+  submission_count: number;
+  taker_count: number;
+  distribution: {
+    buckets: { from: number; to: number; count: number }[];
+    count: number;
+    mean: number | null;
+    median: number | null;
+    min: number | null;
+    max: number | null;
+  };
+  questions: QuestionStats[];
+  gradebook: GradebookRow[];
+}
+
+export async function fetchQuizAnalytics(quizId: string, token: string | null): Promise<QuizAnalytics> {
+  const response = await fetch(`${backendUrl}/quiz/${quizId}/analytics`, {
+    headers: { 'Authorization': `Bearer ${token}` },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data;
+}
@@ -0,0 +1,65 @@
+// Answer sheets (POST /quiz/:quizId/answer-sheet). Before grading, the uploaded PDF is read
+// and split into the answer to each descriptive question; the student checks that mapping
+// and submits it with the quiz (the `answerSheetJobId` and `answerSheet` fields).
+
+import type { OcrReport } from '../components/OcrSummary';
+import { pollJob } from './jobs';
+
+const backendUrl = 'http://localhost:3001';
+
+export type SegmentMatch = 'number' | 'heading' | 'whole-sheet';
+
+export interface SheetSegment {
+  question_id: string;
+  number: number; // Position of the question in the quiz
+  text: string;
+  matched_by: SegmentMatch | null; // How the answer was found; null when it wasn't
+}
+
+// The result of the 'read-answer-sheet' job
+export interface AnswerSheetReading {
+  quizId: string;
+  text: string;
+  ocr: OcrReport;
+  segments: SheetSegment[];
+  unassigned: string; // Text that didn't belong to any descriptive question
+}
+
+export const SEGMENT_MATCH_LABELS: Record<SegmentMatch, string> = {
+  number: 'Found by question number',
+  heading: 'Found by heading',
+  'whole-sheet': 'Whole sheet',
+};
+
+// Uploads the sheet and waits for it to be read. `onStatus` gets progress messages.
+export async function readAnswerSheet(
+  quizId: string,
+  file: File,
+  token: string | null,
+  { signal, onStatus }: { signal?: AbortSignal; onStatus?: (status: string) => void } = {},
+): Promise<{ jobId: string; reading: AnswerSheetReading }> {
+  const body = new FormData();
+  body.append('pdfFile', file);
+  const response = await fetch(`${backendUrl}/quiz/${quizId}/answer-sheet`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}` },
+    body,
+    signal,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Failed to upload the answer sheet: ${response.status}`);
+
+  const job = await pollJob<AnswerSheetReading>(data.jobId, token, {
+    signal,
+    onUpdate: (update) => {
+      const ocr = update.progress.filter(p => p.event === 'ocr').pop()?.data as { status: string; done?: number; total?: number } | undefined;
+      onStatus?.(ocr?.total ? `Reading your answer sheet (page ${ocr.done} of ${ocr.total})...` : 'Reading your answer sheet...');
+    },
+  });
+  if (!job.result) throw new Error('The answer sheet could not be read.');
+  return { jobId: data.jobId, reading: job.result };
+}
+
+// The reviewed mapping as sent with the submission: question id -> answer text
+export const sheetAnswersFrom = (segments: SheetSegment[]) =>
+  Object.fromEntries(segments.map((segment) => [segment.question_id, segment.text]));
@@ -0,0 +1,126 @@
+// Exam attempts (POST /quiz/:quizId/attempts). An attempt records when the quiz was started,
+// its deadline for timed quizzes and the autosaved draft answers. A quiz can limit how many
+// attempts are allowed; its scoring policy decides which attempts make up the quiz score.
+
+const backendUrl = 'http://localhost:3001';
+
+export type ScoringPolicy = 'best' | 'latest' | 'average';
+
+export const SCORING_POLICY_LABELS: Record<ScoringPolicy, string> = {
+  best: 'Best attempt',
+  latest: 'Latest attempt',
+  average: 'Average of attempts',
+};
+
+export interface Attempt {
+  id: string;
+  quiz_id: string;
+  status: 'in_progress' | 'submitted';
+  started_at: string;
+  time_limit_seconds: number | null;
+  deadline_at: string | null;
+  answers: { [questionId: string]: string };
+  server_time: string;
+}
+
+export interface PastAttempt {
+  id: string;
+  started_at: string;
+  submitted_at: string;
+  time_taken_seconds: number | null;
+  time_limit_seconds: number | null;
+  auto_submitted: boolean;
+  result_id: string | null;
+  score: number | null; // Null until graded
+  change: number | null; // Score change since the previous graded attempt
+}
+
+export interface AttemptOverview {
+  time_limit_minutes: number | null;
+  max_attempts: number | null; // Null for unlimited attempts
+  scoring_policy: ScoringPolicy;
+  due_at: string | null; // Due date of an assigned quiz
+  past_due: boolean; // The assignment can no longer be started
+  attempts_used: number;
+  attempts_left: number | null;
+  score: number | null; // Quiz score under the scoring policy
+  active: Attempt | null;
+  attempts: PastAttempt[]; // Newest first
+}
+
+// GET /user/results: one group per quiz, attempts oldest first
+export interface ResultAttempt {
+  attempt_number: number;
+  result_id: string;
+  attempt_id: string | null;
+  score: number;
+  change: number | null;
+  submitted_at: string;
+  time_taken_seconds: number | null; // Null when it wasn't submitted from a timed attempt
+  auto_submitted: boolean;
+}
+
+export interface QuizResultGroup {
+  quiz_id: string;
+  quiz_type: string;
+  class: string;
+  curriculum: string;
+  subject: string;
+  chapters: string;
+  scoring_policy: ScoringPolicy;
+  max_attempts: number | null;
+  attempts: ResultAttempt[];
+  attempt_count: number;
+  score: number;
+  last_submitted_at: string;
+}
+
+// Thrown when the server submitted the attempt itself because time ran out; `jobId` is the grading job
+export class AttemptClosedError extends Error {
+  jobId: string | null;
+
+  constructor(message: string, jobId: string | null) {
+    super(message);
+    this.name = 'AttemptClosedError';
+    this.jobId = jobId;
+  }
+}
+
+const request = async <T>(path: string, token: string | null, init: RequestInit = {}): Promise<T> => {
+  const response = await fetch(`${backendUrl}${path}`, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 409) throw new AttemptClosedError(data.error || 'This attempt is closed.', data.jobId ?? null);
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data as T;
+};
+
+export const fetchAttempts = (quizId: string, token: string | null) =>
+  request<AttemptOverview>(`/quiz/${quizId}/attempts`, token);
+
+// Starts an attempt, or resumes the one in progress
+export const startAttempt = async (quizId: string, token: string | null) =>
+  (await request<{ attempt: Attempt }>(`/quiz/${quizId}/attempts`, token, { method: 'POST' })).attempt;
+
+export const saveDraftAnswers = (attemptId: string, answers: { [questionId: string]: string }, token: string | null) =>
+  request<{ saved_at: string }>(`/attempts/${attemptId}/answers`, token, {
+    method: 'PUT',
+    body: JSON.stringify({ answers }),
+  });
+
+// 12.5 -> "+12.5", -3 -> "-3.0"
+export const formatScoreChange = (change: number) => `${change > 0 ? '+' : ''}${change.toFixed(1)}`;
+
+// 754 -> "12:34", 3725 -> "1:02:05"
+export function formatDuration(totalSeconds: number): string {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
@@ -0,0 +1,97 @@
+// Chatbot conversations (POST /chatbot/stream, /chatbot/conversations). Threads are saved on the
+// server; a message without a conversation id starts a new one. A tutor thread is about one
+// graded answer (POST /chatbot/tutor) and the server gives the tutor its context.
+
+import { streamServerEvents } from './sse';
+
+const backendUrl = 'http://localhost:3001';
+
+export interface ChatMessage {
+  id?: number;
+  role: 'user' | 'assistant';
+  content: string;
+  created_at?: string;
+}
+
+export interface Conversation {
+  id: string;
+  title: string;
+  result_id: string | null; // Set on a tutor thread, with the answer's position
+  position: number | null;
+  created_at: string;
+  updated_at: string;
+  message_count: number;
+}
+
+export interface ConversationWithMessages extends Conversation {
+  messages: ChatMessage[];
+  tutor?: { question: string; hints_only: boolean } | null; // hints_only while the quiz can still be submitted
+}
+
+const request = async <T>(path: string, token: string | null, init: RequestInit = {}): Promise<T> => {
+  const response = await fetch(`${backendUrl}${path}`, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data as T;
+};
+
+export const fetchConversations = async (token: string | null) =>
+  (await request<{ conversations: Conversation[] }>('/chatbot/conversations', token)).conversations;
+
+export const fetchConversation = async (conversationId: string, token: string | null) =>
+  (await request<{ conversation: ConversationWithMessages }>(`/chatbot/conversations/${conversationId}`, token)).conversation;
+
+type ChatStreamEvent =
+  | { event: 'started'; data: { conversation_id: string; title: string } }
+  | { event: 'token'; data: { text: string } }
+  | { event: 'done'; data: { response: string; conversation: Conversation } }
+  | { event: 'error'; data: { error: string } };
+
+type StreamChatOptions = {
+  signal?: AbortSignal; // Aborting stops the reply; what was written so far is saved
+  onStarted?: (conversationId: string, title: string) => void;
+  onToken: (text: string) => void;
+};
+
+// Sends a message and streams the reply (POST /chatbot/stream). Resolves to the reply and the
+// conversation it was saved in once it is complete.
+export async function streamChatMessage(message: string, conversationId: string | null, token: string | null, { signal, onStarted, onToken }: StreamChatOptions) {
+  let done: { response: string; conversation: Conversation } | null = null;
+  let failure: string | null = null;
+  await streamServerEvents(`${backendUrl}/chatbot/stream`, {
+    token,
+    body: new URLSearchParams({ message, ...(conversationId ? { conversationId } : {}) }),
+    signal,
+    onEvent: (serverEvent) => {
+      const { event, data } = serverEvent as ChatStreamEvent;
+      if (event === 'started') onStarted?.(data.conversation_id, data.title);
+      else if (event === 'token') onToken(data.text);
+      else if (event === 'done') done = data;
+      else if (event === 'error') failure = data.error;
+    },
+  });
+  if (failure || !done) throw new Error(failure || 'The reply ended unexpectedly.');
+  return done;
+}
+
+// The tutor thread about the answer at `position` (1 = first question) of a result
+export const openTutor = async (resultId: string, position: number, token: string | null) =>
+  (await request<{ conversation: Conversation }>('/chatbot/tutor', token, {
+    method: 'POST',
+    body: JSON.stringify({ resultId, position }),
+  })).conversation;
+
+export const renameConversation = async (conversationId: string, title: string, token: string | null) =>
+  (await request<{ conversation: Conversation }>(`/chatbot/conversations/${conversationId}`, token, {
+    method: 'PATCH',
+    body: JSON.stringify({ title }),
+  })).conversation;
+
+export const deleteConversation = (conversationId: string, token: string | null) =>
+  request<{ success: boolean }>(`/chatbot/conversations/${conversationId}`, token, { method: 'DELETE' });
@@ -0,0 +1,102 @@
+// Human review of graded answers (GET /grade-reviews). Answers the AI failed to grade, graded
+// with low confidence or disputed by the student wait for the quiz owner, who keeps the grade
+// or overrides it. Answers are addressed by result id and position (1 = first question).
+
+import type { GradingSampling } from '../components/GradingSamples';
+
+const backendUrl = 'http://localhost:3001';
+
+export type ReviewReason = 'failed' | 'low_confidence' | 'disputed';
+
+export const REVIEW_REASON_LABELS: Record<ReviewReason, string> = {
+  failed: 'AI grading failed',
+  low_confidence: 'Low confidence',
+  disputed: 'Disputed by the student',
+};
+
+// An open review of an answer
+export interface AnswerReview {
+  id: number;
+  reason: ReviewReason;
+  note: string | null;
+  created_at: string;
+}
+
+// One override in an answer's audit trail
+export interface GradeChange {
+  previous_score: number;
+  previous_feedback: string | null;
+  score: number;
+  feedback: string | null;
+  comment: string;
+  reviewer: string | null;
+  created_at: string;
+}
+
+// The grade before the first override
+export interface AiGrade {
+  score: number;
+  is_correct: boolean;
+  feedback: string | null;
+  rubric_scores?: { criterion: string; points: number; max_points: number; comment?: string }[];
+  grading?: GradingSampling;
+}
+
+// An item of the review queue
+export interface QueuedReview extends AnswerReview {
+  result_id: string;
+  quiz: { id: string; quiz_type: string; class: string; subject: string; chapters: string };
+  student: { id: number; username: string };
+  answer: {
+    position: number;
+    type: 'MCQ' | 'FIB' | 'Descriptive';
+    question: string;
+    correct_answer: string;
+    user_answer: string;
+    score: number;
+    is_correct: boolean;
+    feedback: string | null;
+    extracted_pdf_text_used?: string;
+    ai_grade?: AiGrade;
+    grading?: GradingSampling;
+  };
+}
+
+export interface GradeOverride {
+  score: number;
+  feedback: string;
+  comment: string;
+}
+
+const request = async <T>(path: string, token: string | null, init: RequestInit = {}): Promise<T> => {
+  const response = await fetch(`${backendUrl}${path}`, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data as T;
+};
+
+export const fetchGradeReviews = async (token: string | null) =>
+  (await request<{ reviews: QueuedReview[] }>('/grade-reviews', token)).reviews;
+
+// Keeps the grade as it is
+export const resolveGradeReview = (reviewId: number, token: string | null) =>
+  request<{ message: string }>(`/grade-reviews/${reviewId}/resolve`, token, { method: 'POST' });
+
+// Resolves to the answer's new score and the result's new percentage
+export const overrideGrade = (resultId: string, position: number, override: GradeOverride, token: string | null) =>
+  request<{ score: number; result_score: number }>(`/user/results/${resultId}/answers/${position}/grade`, token, {
+    method: 'PUT',
+    body: JSON.stringify(override),
+  });
+
+export const disputeGrade = async (resultId: string, position: number, reason: string, token: string | null) =>
+  (await request<{ review: AnswerReview }>(`/user/results/${resultId}/answers/${position}/dispute`, token, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  })).review;
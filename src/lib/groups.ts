@@ -0,0 +1,135 @@
+// Groups and assignments. Teachers create groups that students join with a code, and assign
+// quizzes to a group (optionally with a due date); the teacher then sees every member's results.
+
+import { ScoringPolicy } from './attempts';
+
+const backendUrl = 'http://localhost:3001';
+
+export type Role = 'student' | 'teacher';
+
+export interface TaughtGroup {
+  id: string;
+  name: string;
+  join_code: string;
+  created_at: string;
+  member_count: number;
+  assignment_count: number;
+}
+
+export interface JoinedGroup {
+  id: string;
+  name: string;
+  teacher_username: string;
+  joined_at: string;
+}
+
+interface QuizInfo {
+  quiz_id: string;
+  quiz_type: string;
+  class: string;
+  curriculum: string;
+  subject: string;
+  chapters: string;
+}
+
+export interface GroupAssignment extends QuizInfo {
+  due_at: string | null;
+  past_due: boolean;
+  assigned_at: string;
+  submitted_count: number; // Members who have submitted it
+}
+
+export interface GroupDetails {
+  id: string;
+  name: string;
+  join_code: string;
+  created_at: string;
+  members: { user_id: number; username: string; joined_at: string }[];
+  assignments: GroupAssignment[];
+}
+
+// A quiz assigned to the logged-in user
+export interface MyAssignment extends QuizInfo {
+  group_names: string;
+  due_at: string | null;
+  past_due: boolean;
+  assigned_at: string;
+  submitted_count: number; // How many times the user has submitted it
+}
+
+export interface StudentResult {
+  user_id: number;
+  username: string;
+  group_names: string;
+  due_at: string | null;
+  attempts: { result_id: string; score: number; submitted_at: string; late: boolean }[]; // Oldest first
+  score: number | null; // Under the quiz's scoring policy; null until they submit
+}
+
+export interface StudentResultsOverview {
+  quiz: { id: string; quiz_type: string; class: string; curriculum: string; subject: string; chapters: string };
+  scoring_policy: ScoringPolicy;
+  max_attempts: number | null;
+  assignments: { group_id: string; group_name: string; due_at: string | null; past_due: boolean; member_count: number }[];
+  students: StudentResult[];
+  submitted_count: number;
+}
+
+const request = async <T>(path: string, token: string | null, init: RequestInit = {}): Promise<T> => {
+  const response = await fetch(`${backendUrl}${path}`, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data as T;
+};
+
+export const fetchGroups = (token: string | null) =>
+  request<{ teaching: TaughtGroup[]; joined: JoinedGroup[] }>('/groups', token);
+
+export const fetchGroup = (groupId: string, token: string | null) =>
+  request<GroupDetails>(`/groups/${groupId}`, token);
+
+export const createGroup = async (name: string, token: string | null) =>
+  (await request<{ group: TaughtGroup }>('/groups', token, { method: 'POST', body: JSON.stringify({ name }) })).group;
+
+export const joinGroup = (code: string, token: string | null) =>
+  request<{ joined: boolean; group: { id: string; name: string } }>('/groups/join', token, {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  });
+
+export const leaveGroup = (groupId: string, token: string | null) =>
+  request<{ success: boolean }>(`/groups/${groupId}/membership`, token, { method: 'DELETE' });
+
+export const removeMember = (groupId: string, userId: number, token: string | null) =>
+  request<{ success: boolean }>(`/groups/${groupId}/members/${userId}`, token, { method: 'DELETE' });
+
+// Assigns the quiz, or changes the due date when it is already assigned to the group
+export const assignQuiz = (groupId: string, quizId: string, dueAt: string | null, token: string | null) =>
+  request<{ success: boolean }>(`/groups/${groupId}/assignments`, token, {
+    method: 'POST',
+    body: JSON.stringify({ quizId, due_at: dueAt }),
+  });
+
+export const unassignQuiz = (groupId: string, quizId: string, token: string | null) =>
+  request<{ success: boolean }>(`/groups/${groupId}/assignments/${quizId}`, token, { method: 'DELETE' });
+
+export const fetchMyAssignments = (token: string | null) =>
+  request<MyAssignment[]>('/user/assignments', token);
+
+export const fetchStudentResults = (quizId: string, token: string | null) =>
+  request<StudentResultsOverview>(`/quiz/${quizId}/student-results`, token);
+
+export const setRole = (role: Role, token: string | null) =>
+  request<{ role: Role }>('/user/role', token, { method: 'PUT', body: JSON.stringify({ role }) });
+
+// "Due 5 May, 14:00" / "No due date"
+export const formatDueDate = (dueAt: string | null) =>
+  dueAt
+    ? `Due ${new Date(dueAt).toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}`
+    : 'No due date';
@@ -0,0 +1,54 @@
+// Background jobs (GET /jobs/:id). Quiz generation and grading run as jobs on the backend.
+
+const backendUrl = 'http://localhost:3001';
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+export interface Job<Result = unknown> {
+  id: string;
+  type: string;
+  status: JobStatus;
+  attempts: number;
+  max_attempts: number;
+  cancelled: boolean;
+  error: string | null;
+  result: Result | null;
+  progress: { event: string; data: unknown }[];
+}
+
+type PollOptions<Result> = {
+  signal?: AbortSignal;
+  intervalMs?: number;
+  onUpdate?: (job: Job<Result>) => void;
+};
+
+const wait = (ms: number, signal?: AbortSignal) => new Promise<void>((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Polling aborted', 'AbortError'));
+  }, { once: true });
+});
+
+export async function fetchJob<Result>(jobId: string, token: string | null, signal?: AbortSignal): Promise<Job<Result>> {
+  const response = await fetch(`${backendUrl}/jobs/${jobId}`, {
+    headers: { 'Authorization': `Bearer ${token}` },
+    signal,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to fetch job: ${response.status}`);
+  }
+  return data;
+}
+
+// Polls until the job succeeds (resolving with it) or fails (rejecting with its error)
+export async function pollJob<Result>(jobId: string, token: string | null, { signal, intervalMs = 1500, onUpdate }: PollOptions<Result> = {}) {
+  while (true) {
+    const job = await fetchJob<Result>(jobId, token, signal);
+    onUpdate?.(job);
+    if (job.status === 'succeeded') return job;
+    if (job.status === 'failed') throw new Error(job.error || 'The job failed.');
+    await wait(intervalMs, signal);
+  }
+}
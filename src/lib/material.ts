@@ -0,0 +1,39 @@
+// Study material for quiz generation: the `material` files and `material_text` field of the
+// generation endpoints. The backend reads the text out of it and bases the questions on it.
+
+export const MAX_MATERIAL_FILES = 5;
+export const MAX_MATERIAL_FILE_MB = 20;
+export const MATERIAL_ACCEPT = '.pdf,.txt,.md,image/png,image/jpeg,image/webp,image/bmp,image/gif';
+
+export interface StudyMaterial {
+  files: File[]; // PDFs (scanned ones too), photos of pages, text files
+  text: string; // Pasted notes
+}
+
+export const EMPTY_MATERIAL: StudyMaterial = { files: [], text: '' };
+
+export const hasMaterial = (material: StudyMaterial) => material.files.length > 0 || material.text.trim() !== '';
+
+// The excerpt a question grounded in study material was written from
+export interface QuestionSource {
+  label: string; // S1, S2, ...
+  file: string;
+  page: number;
+}
+
+// "chapter3.pdf, p. 2"
+export const formatSource = (source: QuestionSource) => `${source.file}, p. ${source.page}`;
+
+// The body of a generation request. Files need multipart form data; without them the form is
+// sent url-encoded, as before.
+export function generationBody(fields: Record<string, string | number>, material: StudyMaterial): URLSearchParams | FormData {
+  const entries = Object.entries(fields).map(([name, value]): [string, string] => [name, String(value)]);
+  const text = material.text.trim();
+  if (text) entries.push(['material_text', text]);
+  if (material.files.length === 0) return new URLSearchParams(entries);
+
+  const body = new FormData();
+  entries.forEach(([name, value]) => body.append(name, value));
+  material.files.forEach((file) => body.append('material', file));
+  return body;
+}
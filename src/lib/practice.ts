@@ -0,0 +1,43 @@
+// Adaptive practice (GET /user/practice-plan, POST /practice-quiz/stream): a quiz aimed at
+// the chapters and question types the user keeps getting wrong, at a difficulty that follows
+// their mastery, with retries of questions they still haven't got right.
+
+const backendUrl = 'http://localhost:3001';
+
+export const MAX_PRACTICE_QUESTIONS = 20;
+
+export interface MissRate {
+  name: string;
+  answers: number;
+  misses: number;
+  miss_rate: number; // 0-100
+}
+
+export interface PracticePlan {
+  subject: string;
+  class: string;
+  curriculum: string;
+  mastery: number;
+  difficulty: 'easy' | 'medium' | 'hard';
+  answers: number;
+  misses: number;
+  chapters: MissRate[]; // Focus chapters, highest miss rate first
+  topic: string;
+  types: MissRate[];
+  sections: { type: string; count: number }[]; // New questions per type
+  retry_questions: { id: string; type: string; question: string }[];
+  missed_examples: string[];
+  subjects: string[]; // Subjects with missed answers
+}
+
+// Resolves to null when there is nothing to practise (in `subject`, if given)
+export async function fetchPracticePlan(token: string | null, subject: string, numQuestions: number): Promise<PracticePlan | null> {
+  const query = new URLSearchParams({ num_questions: String(numQuestions), ...(subject ? { subject } : {}) });
+  const response = await fetch(`${backendUrl}/user/practice-plan?${query}`, {
+    headers: { 'Authorization': `Bearer ${token}` },
+  });
+  if (response.status === 404) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data;
+}
@@ -0,0 +1,39 @@
+// Personal progress (GET /user/progress): mastery, the share of the points earned, per
+// subject and chapter over the user's own submissions, and the chapters they are weakest in.
+
+export interface MasterySummary {
+  mastery: number | null; // 0-100
+  answers: number;
+  submissions: number;
+  trend: number | null; // Latest submissions compared with the earlier ones, in points
+  last_practiced_at: string;
+}
+
+export interface ChapterProgress extends MasterySummary {
+  chapter: string;
+  weak: boolean;
+}
+
+export interface SubjectProgress extends MasterySummary {
+  subject: string;
+  chapters: ChapterProgress[]; // Weakest first
+}
+
+export interface ProgressPoint {
+  result_id: string;
+  quiz_id: string;
+  submitted_at: string;
+  subject: string;
+  score: number;
+  mastery: { [subject: string]: number | null }; // Running mastery of each subject so far
+}
+
+export interface UserProgress {
+  mastery_target: number;
+  mastery: number | null;
+  answers: number;
+  submissions: number;
+  subjects: SubjectProgress[];
+  timeline: ProgressPoint[]; // Oldest first
+  weakest_chapters: (ChapterProgress & { subject: string })[];
+}
@@ -0,0 +1,74 @@
+// Review deck (GET /review/due, POST /review/cards/:id/review). Every question the user
+// missed comes back on a spaced-repetition (SM-2) schedule until they know it.
+
+import type { QuizQuestion } from '../components/QuestionCard';
+
+const backendUrl = 'http://localhost:3001';
+
+export type ReviewRating = 'again' | 'hard' | 'good' | 'easy';
+
+export const REVIEW_RATING_LABELS: Record<ReviewRating, string> = {
+  again: 'Again',
+  hard: 'Hard',
+  good: 'Good',
+  easy: 'Easy',
+};
+
+export interface ReviewCard {
+  id: number;
+  question: QuizQuestion;
+  reveal: {
+    answer: string;
+    explanation: string;
+    rubric?: { criterion: string; points: number }[]; // Descriptive
+  };
+  ease: number;
+  interval_days: number;
+  repetitions: number;
+  lapses: number;
+  due_at: string;
+  last_reviewed_at: string | null;
+}
+
+export interface DueCards {
+  cards: ReviewCard[]; // Most overdue first
+  due_count: number;
+  held_count: number; // Due, but from a quiz the user can still submit
+  total_cards: number;
+  next_due_at: string | null; // First card that isn't due yet
+  server_time: string;
+}
+
+export interface ReviewOutcome {
+  card: ReviewCard; // Rescheduled
+  quality: number; // SM-2 quality, 0-5
+  method: 'self' | 'auto';
+  is_correct?: boolean; // Auto-graded reviews
+  match?: { detail: string };
+}
+
+const request = async <T>(path: string, token: string | null, init: RequestInit = {}): Promise<T> => {
+  const response = await fetch(`${backendUrl}${path}`, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.status}`);
+  return data as T;
+};
+
+export const fetchDueCards = (token: string | null) =>
+  request<DueCards>('/review/due', token);
+
+// MCQ and FIB answers are graded by the server; Descriptive cards take a rating
+export const reviewCard = (cardId: number, review: { answer: string } | { rating: ReviewRating }, token: string | null) =>
+  request<ReviewOutcome>(`/review/cards/${cardId}/review`, token, { method: 'POST', body: JSON.stringify(review) });
+
+export const removeCard = (cardId: number, token: string | null) =>
+  request<{ message: string }>(`/review/cards/${cardId}`, token, { method: 'DELETE' });
+
+// 1 -> "tomorrow", 6 -> "in 6 days"
+export const formatInterval = (days: number) => (days <= 1 ? 'tomorrow' : `in ${days} days`);
@@ -0,0 +1,80 @@
+// Minimal Server-Sent Events reader over fetch (EventSource can't send the Authorization
+// header, and only supports GET).
+
+export type ServerEvent = {
+  event: string;
+  data: unknown;
+};
+
+type StreamOptions = {
+  token: string | null;
+  method?: 'GET' | 'POST';
+  body?: URLSearchParams | FormData; // Form data sets its own multipart Content-Type
+  signal?: AbortSignal;
+  onEvent: (event: ServerEvent) => void;
+};
+
+const parseBlock = (block: string): ServerEvent | null => {
+  let event = 'message';
+  const dataLines: string[] = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith(':')) continue; // heartbeat comment
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  }
+  if (dataLines.length === 0) return null;
+  const raw = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch {
+    return { event, data: raw };
+  }
+};
+
+// Resolves when the server closes the stream. Rejects with the server's error message when
+// the request is refused before streaming starts (e.g. a 400 for missing fields), and with
+// an AbortError when `signal` is aborted.
+export async function streamServerEvents(url: string, { token, method = 'POST', body, signal, onEvent }: StreamOptions) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body instanceof URLSearchParams ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'text/event-stream',
+    },
+    body,
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    const text = await response.text();
+    let message = text || `Error: ${response.statusText}`;
+    try {
+      message = JSON.parse(text).error || message;
+    } catch {
+      // Not JSON, keep the raw text
+    }
+    throw new Error(message);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const parsed = parseBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) onEvent(parsed);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  const rest = parseBlock(buffer.trim());
+  if (rest) onEvent(rest);
+}
@@ -1,25 +1,44 @@
-
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, FormEvent } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Layout from '../components/Layout';
-import { Send, Loader, User, Sparkles } from 'lucide-react';
+import { Send, Loader, User, Sparkles, Plus, MessageSquare, Pencil, Trash2, Check, X, GraduationCap, Square } from 'lucide-react';
+import ChatMarkdown from '../components/ChatMarkdown';
 import { useToast } from '../hooks/use-toast';
 import { useAuth } from '../context/AuthContext';
+import {
+  ChatMessage,
+  Conversation,
+  ConversationWithMessages,
+  deleteConversation,
+  fetchConversation,
+  fetchConversations,
+  renameConversation,
+  streamChatMessage,
+} from '../lib/chat';
 
-interface Message {
-  content: string;
-  type: 'user' | 'bot';
-}
+const GREETING = "Hello! I'm your AI study assistant. Ask me any questions about your subjects or topics you're learning about!";
+const TUTOR_GREETING = "Let's go over this question together. Ask me about your answer, or anything about it that isn't clear.";
+const TUTOR_FIRST_QUESTION = 'Can you explain my mistake?';
 
+// The study assistant. Conversations are saved, so a thread can be picked up again from the
+// list and the assistant remembers what was said earlier in it. `?conversation=<id>` opens a
+// thread, which is how "Ask the tutor" on a quiz result lands here. Replies stream in and are
+// rendered as markdown with maths; the stop button keeps what was written so far.
 const Chatbot = () => {
   const [message, setMessage] = useState('');
-  const [messages, setMessages] = useState<Message[]>([{
-    content: "Hello! I'm your AI study assistant. Ask me any questions about your subjects or topics you're learning about!",
-    type: 'bot',
-  }]);
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [activeId, setActiveId] = useState<string | null>(null); // null for a new conversation
+  const [tutor, setTutor] = useState<ConversationWithMessages['tutor']>(null); // Context of a tutor thread
+  const [renaming, setRenaming] = useState<{ id: string; title: string } | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isOpening, setIsOpening] = useState(false);
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const controllerRef = useRef<AbortController | null>(null); // Aborts the reply being streamed
   const { toast } = useToast();
   const { token } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const requestedId = searchParams.get('conversation');
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -29,94 +48,270 @@ const Chatbot = () => {
     scrollToBottom();
   }, [messages]);
 
+  // Leaving the page stops the reply
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (!token) return;
+    fetchConversations(token)
+      .then(setConversations)
+      .catch((err) => toast({ title: 'Error', description: err instanceof Error ? err.message : 'Failed to load your conversations.', variant: 'destructive' }));
+  }, [token, toast]);
+
+  const showError = (err: unknown, fallback: string) => {
+    toast({ title: 'Error', description: err instanceof Error ? err.message : fallback, variant: 'destructive' });
+  };
+
+  const startNewConversation = () => {
+    setActiveId(null);
+    setTutor(null);
+    setMessages([]);
+    setSearchParams({});
+  };
+
+  const openConversation = (conversationId: string) => {
+    if (conversationId !== activeId) setSearchParams({ conversation: conversationId });
+  };
+
+  // The thread in the address bar is the one shown
+  useEffect(() => {
+    if (!token || !requestedId) return;
+    let cancelled = false;
+    setIsOpening(true);
+    fetchConversation(requestedId, token)
+      .then((conversation) => {
+        if (cancelled) return;
+        setActiveId(conversation.id);
+        setTutor(conversation.tutor ?? null);
+        setMessages(conversation.messages);
+        // A new tutor thread starts from the obvious question
+        if (conversation.tutor && conversation.messages.length === 0) setMessage(TUTOR_FIRST_QUESTION);
+      })
+      .catch((err) => {
+        if (!cancelled) toast({ title: 'Error', description: err instanceof Error ? err.message : 'Failed to open the conversation.', variant: 'destructive' });
+      })
+      .finally(() => {
+        if (!cancelled) setIsOpening(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [requestedId, token, toast]);
+
+  const handleRename = async (e: FormEvent) => {
+    e.preventDefault();
+    if (!renaming || !renaming.title.trim()) return;
+    try {
+      const updated = await renameConversation(renaming.id, renaming.title.trim(), token);
+      setConversations((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+      setRenaming(null);
+    } catch (err) {
+      showError(err, 'Failed to rename the conversation.');
+    }
+  };
+
+  const handleDelete = async (conversation: Conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}" and all its messages?`)) return;
+    try {
+      await deleteConversation(conversation.id, token);
+      setConversations((prev) => prev.filter((c) => c.id !== conversation.id));
+      if (conversation.id === activeId) startNewConversation();
+    } catch (err) {
+      showError(err, 'Failed to delete the conversation.');
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    
+
     if (!message.trim()) return;
-    
+
     const userMessage = message;
     setMessage('');
-    
-    // Add user message to chat
-    setMessages((prev) => [...prev, { content: userMessage, type: 'user' }]);
-    
+
+    // Add user message to chat, and the reply it streams into
+    setMessages((prev) => [...prev, { content: userMessage, role: 'user' }, { content: '', role: 'assistant' }]);
+
     setIsLoading(true);
-    
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    let started: Conversation | null = null;
+    let reply = '';
+
+    // Nothing was saved: take the message back so it can be sent again
+    const takeBack = () => {
+      setMessages((prev) => prev.slice(0, -2));
+      setMessage(userMessage);
+    };
+
     try {
-      const response = await fetch('http://localhost:3001/chatbot', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Bearer ${token}`,
+      const data = await streamChatMessage(userMessage, activeId, token, {
+        signal: controller.signal,
+        onStarted: (conversationId, title) => {
+          const now = new Date().toISOString();
+          started = { id: conversationId, title, result_id: null, position: null, created_at: now, updated_at: now, message_count: 0 };
+        },
+        onToken: (text) => {
+          reply += text;
+          setMessages((prev) => [...prev.slice(0, -1), { content: reply, role: 'assistant' }]);
         },
-        body: new URLSearchParams({ message: userMessage }),
       });
-      
-      
-      const data = await response.json();
-      
-      if (data.error) {
+
+      // The conversation moves to the top of the list
+      setActiveId(data.conversation.id);
+      setConversations((prev) => [data.conversation, ...prev.filter((c) => c.id !== data.conversation.id)]);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        takeBack();
         toast({
-          title: "Error",
-          description: data.error,
+          title: "Connection Error",
+          description: error instanceof Error ? error.message : "Failed to reach our AI wizards. Please try again.",
           variant: "destructive",
         });
-        return;
+      } else if (!reply) {
+        takeBack();
+      } else if (started) {
+        // Stopped: the server saves the reply as far as it got
+        const conversation: Conversation = started;
+        setActiveId(conversation.id);
+        setConversations((prev) => [prev.find((c) => c.id === conversation.id) ?? conversation, ...prev.filter((c) => c.id !== conversation.id)]);
       }
-      
-      // Add bot response to chat
-    setMessages((prev) => [...prev, { content: data.response, type: 'bot' }]);
-  } catch (error) {
-    toast({
-      title: "Connection Error",
-      description: "Failed to reach our AI wizards. Please try again.",
-      variant: "destructive",
-    });
-  } finally {
-    setIsLoading(false);
-  }
+    } finally {
+      controllerRef.current = null;
+      setIsLoading(false);
+    }
   };
 
+  // The reply being streamed shows once its first words arrive
+  const writtenMessages = messages.filter((msg) => msg.content);
+  const shownMessages: ChatMessage[] = writtenMessages.length ? writtenMessages : [{ content: tutor ? TUTOR_GREETING : GREETING, role: 'assistant' }];
+  const isThinking = isLoading && !messages[messages.length - 1]?.content;
+
   return (
     <Layout>
       <div className="min-h-screen bg-quiz-light py-8">
-        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 grid gap-6 lg:grid-cols-[16rem_1fr]">
+          <aside className="quiz-card h-fit">
+            <button type="button" onClick={startNewConversation} className="quiz-button w-full flex items-center justify-center mb-4" disabled={isLoading}>
+              <Plus className="mr-2 h-4 w-4" />
+              New Chat
+            </button>
+            {conversations.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center">Your conversations will appear here.</p>
+            ) : (
+              <ul className="space-y-1 max-h-[60vh] overflow-y-auto">
+                {conversations.map((conversation) => (
+                  <li key={conversation.id}>
+                    {renaming?.id === conversation.id ? (
+                      <form onSubmit={handleRename} className="flex items-center gap-1">
+                        <input
+                          type="text"
+                          value={renaming.title}
+                          onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                          maxLength={100}
+                          autoFocus
+                          className="flex-grow min-w-0 rounded-md border border-gray-300 py-1 px-2 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+                        />
+                        <button type="submit" className="p-1 text-quiz-primary" title="Save name" disabled={!renaming.title.trim()}>
+                          <Check className="h-4 w-4" />
+                        </button>
+                        <button type="button" className="p-1 text-gray-500" title="Cancel" onClick={() => setRenaming(null)}>
+                          <X className="h-4 w-4" />
+                        </button>
+                      </form>
+                    ) : (
+                      <div
+                        className={`group flex items-center rounded-md text-sm ${
+                          conversation.id === activeId ? 'bg-quiz-light text-quiz-primary font-medium' : 'text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        <button
+                          type="button"
+                          onClick={() => openConversation(conversation.id)}
+                          className="flex-grow min-w-0 flex items-center py-2 px-2 text-left"
+                          disabled={isLoading || isOpening}
+                        >
+                          <MessageSquare className="h-4 w-4 mr-2 shrink-0" />
+                          <span className="truncate">{conversation.title}</span>
+                        </button>
+                        <button
+                          type="button"
+                          className="p-1 text-gray-400 hover:text-quiz-primary"
+                          title="Rename"
+                          onClick={() => setRenaming({ id: conversation.id, title: conversation.title })}
+                        >
+                          <Pencil className="h-3 w-3" />
+                        </button>
+                        <button
+                          type="button"
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Delete"
+                          onClick={() => handleDelete(conversation)}
+                          disabled={isLoading}
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </aside>
+
           <div className="quiz-card min-h-[70vh] flex flex-col">
             <div className="text-center mb-6">
               <h1 className="text-2xl font-bold gradient-text">AI Study Assistant</h1>
               <p className="text-gray-600">Ask questions about any topic to enhance your learning</p>
             </div>
 
+            {tutor && (
+              <div className="mb-4 rounded-md bg-quiz-light p-3 text-sm text-gray-700">
+                <p className="flex items-center font-semibold text-quiz-primary mb-1">
+                  <GraduationCap className="h-4 w-4 mr-1" />
+                  Tutor
+                </p>
+                <p>{tutor.question}</p>
+                {tutor.hints_only && (
+                  <p className="mt-1 text-xs text-gray-500">You can still submit this quiz, so the tutor will give hints rather than the answer.</p>
+                )}
+              </div>
+            )}
+
             <div className="flex-grow overflow-y-auto mb-4 p-4 bg-quiz-light rounded-lg space-y-4">
-              {messages.map((msg, index) => (
+              {isOpening ? (
+                <Loader className="h-6 w-6 animate-spin text-quiz-primary mx-auto" />
+              ) : shownMessages.map((msg, index) => (
                 <div
-                  key={index}
-                  className={`flex ${msg.type === 'user' ? 'justify-end' : 'justify-start'}`}
+                  key={msg.id ?? `new-${index}`}
+                  className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
                 >
                   <div
                     className={`max-w-[80%] rounded-lg p-3 ${
-                      msg.type === 'user'
+                      msg.role === 'user'
                         ? 'bg-quiz-primary text-white'
                         : 'bg-white shadow border border-quiz-accent/30'
                     }`}
                   >
                     <div className="flex items-center mb-1">
-                      {msg.type === 'bot' ? (
+                      {msg.role === 'assistant' ? (
                         <Sparkles className="h-4 w-4 text-quiz-primary mr-1" />
                       ) : (
                         <User className="h-4 w-4 text-white mr-1" />
                       )}
-                      <span className={`text-xs font-semibold ${msg.type === 'user' ? 'text-white' : 'text-quiz-primary'}`}>
-                        {msg.type === 'user' ? 'You' : 'Quiz Genie'}
+                      <span className={`text-xs font-semibold ${msg.role === 'user' ? 'text-white' : 'text-quiz-primary'}`}>
+                        {msg.role === 'user' ? 'You' : 'Quiz Genie'}
                       </span>
                     </div>
-                    <p className={`text-sm whitespace-pre-wrap ${msg.type === 'bot' ? 'text-gray-800' : ''}`}>
-                      {msg.content}
-                    </p>
+                    {msg.role === 'assistant' ? (
+                      <ChatMarkdown content={msg.content} />
+                    ) : (
+                      <p className="text-sm whitespace-pre-wrap">{msg.content}</p>
+                    )}
                   </div>
                 </div>
               ))}
-              {isLoading && (
+              {isThinking && (
                 <div className="flex justify-start">
                   <div className="bg-white shadow border border-quiz-accent/30 rounded-lg p-4">
                     <div className="flex items-center">
@@ -136,16 +331,28 @@ const Chatbot = () => {
                   value={message}
                   onChange={(e) => setMessage(e.target.value)}
                   placeholder="Ask anything about your studies..."
+                  maxLength={4000}
                   className="w-full border border-gray-300 rounded-lg py-3 pl-4 pr-12 focus:ring-quiz-primary focus:border-quiz-primary"
-                  disabled={isLoading}
+                  disabled={isLoading || isOpening}
                 />
-                <button
-                  type="submit"
-                  disabled={isLoading || !message.trim()}
-                  className="absolute right-2 top-1/2 transform -translate-y-1/2 text-white bg-quiz-primary p-2 rounded-full hover:bg-quiz-secondary transition-colors disabled:opacity-50"
-                >
-                  <Send className="h-4 w-4" />
-                </button>
+                {isLoading ? (
+                  <button
+                    type="button"
+                    onClick={() => controllerRef.current?.abort()}
+                    title="Stop"
+                    className="absolute right-2 top-1/2 transform -translate-y-1/2 text-white bg-quiz-primary p-2 rounded-full hover:bg-quiz-secondary transition-colors"
+                  >
+                    <Square className="h-4 w-4 fill-current" />
+                  </button>
+                ) : (
+                  <button
+                    type="submit"
+                    disabled={isOpening || !message.trim()}
+                    className="absolute right-2 top-1/2 transform -translate-y-1/2 text-white bg-quiz-primary p-2 rounded-full hover:bg-quiz-secondary transition-colors disabled:opacity-50"
+                  >
+                    <Send className="h-4 w-4" />
+                  </button>
+                )}
               </div>
               <p className="mt-2 text-xs text-gray-500 text-center">
                 Powered by the magic of Gemini and OpenAI
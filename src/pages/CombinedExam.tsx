@@ -3,8 +3,12 @@ import React, { useState, FormEvent } from 'react';
 import Layout from '../components/Layout';
 import { useNavigate } from 'react-router-dom';
 import { useToast } from '../hooks/use-toast';
-import { BookOpen, Files, Loader } from 'lucide-react';
+import { BookOpen, Files } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useQuizGeneration } from '../hooks/use-quiz-generation';
+import GenerationProgress from '../components/GenerationProgress';
+import StudyMaterialInput from '../components/StudyMaterialInput';
+import { EMPTY_MATERIAL, generationBody, hasMaterial } from '../lib/material';
 
 const CombinedExam = () => {
   const [formData, setFormData] = useState({
@@ -15,12 +19,42 @@ const CombinedExam = () => {
     num_mcq: 0,
     num_fib: 0,
     num_descriptive: 0,
+    time_limit_minutes: '', // Empty for an untimed exam
   });
-  const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [material, setMaterial] = useState(EMPTY_MATERIAL);
   const navigate = useNavigate();
   const { toast } = useToast();
   const { token } = useAuth();
+  // Generation runs as a background job; a reload resumes watching it (see useQuizGeneration)
+  const { generate, cancel, isGenerating, questions, sections, total, status } = useQuizGeneration(token, 'generation-job:combined-exam', {
+    onSaved: (result) => {
+      toast({
+        title: "Combined Exam Generated!",
+        description: result.regenerated.length
+          ? `Your comprehensive exam is ready to take. ${result.regenerated.length} question(s) failed validation and were regenerated.`
+          : "Your comprehensive exam is ready to take.",
+        variant: "default",
+      });
+
+      // Navigate to the take quiz page using the received quizId
+      navigate(`/take-quiz/${result.quizId}`);
+    },
+    onCancelled: () => {
+      toast({
+        title: "Generation Cancelled",
+        description: "No exam was saved.",
+      });
+    },
+    onFailed: (message) => {
+      setError(message);
+      toast({
+        title: "Generation Failed",
+        description: message,
+        variant: "destructive",
+      });
+    },
+  });
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
      const { name, value } = e.target;
@@ -30,66 +64,11 @@ const CombinedExam = () => {
         }));
   };
 
-  const handleSubmit = async (e: FormEvent) => {
+  const handleSubmit = (e: FormEvent) => {
     e.preventDefault();
-    setIsLoading(true);
     setError('');
-    
-    try {
-      const response = await fetch('http://localhost:3001/combined-exam', {
-        method: 'POST',
-         headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: new URLSearchParams(formData as any),
-    });
-    
-    if (response.ok) {
-       // Parse the JSON response from the backend
-       const result = await response.json(); // <--- Parse JSON response
-       
-       toast({
-        title: "Combined Exam Generated!",
-        description: "Your comprehensive exam is ready to take.",
-        variant: "default",
-      });
-      
-      // Check for success and quizId in the parsed result
-      if (result.success && result.quizId) {
-
-      navigate(`/take-quiz/${result.quizId}`); 
-    } else {
-      console.error("Backend did not return success: true and quizId");
-      setError("Failed to get exam ID from backend.");
-      toast({
-        title: "Generation Error",
-        description: "Backend did not provide exam ID.",
-        variant: "destructive",
-      });
-      navigate('/'); 
-    }
-  } else {
-    const errorData = await response.json();
-    const errorMessage = errorData.error || `Error: ${response.statusText}`;
-    setError(errorMessage);
-    toast({
-      title: "Generation Failed",
-      description: errorMessage,
-      variant: "destructive",
-    });
-  }
-} catch (err) {
-  setError(err instanceof Error ? err.message : 'An unknown error occurred');
-  toast({
-    title: "Connection Error",
-    description: "Could not connect to the backend or process response.",
-    variant: "destructive",
-  });
-  } finally {
-    setIsLoading(false);
-  }
-};
+    generate('/combined-exam/stream', generationBody(formData, material));
+  };
 
   return (
     <Layout>
@@ -174,7 +153,7 @@ const CombinedExam = () => {
                     rows={3}
                     placeholder="e.g., Cell Biology, Genetics, Photosynthesis"
                     className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
-                    required
+                    required={!hasMaterial(material)} // The material's file names stand in for chapters
                   />
                 </div>
 
@@ -234,26 +213,48 @@ const CombinedExam = () => {
                   </div>
                   <p className="mt-2 text-xs text-amber-700">You can set any question type to 0 if you don't want to include it</p>
                 </div>
+
+                <div>
+                  <label htmlFor="time_limit_minutes" className="block text-sm font-medium text-gray-700 mb-1">
+                    Time Limit in Minutes (optional)
+                  </label>
+                  <input
+                    type="number"
+                    id="time_limit_minutes"
+                    name="time_limit_minutes"
+                    value={formData.time_limit_minutes}
+                    onChange={handleChange}
+                    min={1}
+                    max={600}
+                    placeholder="Leave empty for no time limit"
+                    className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Timed exams run on a countdown; answers saved before the deadline are submitted automatically when it runs out.
+                  </p>
+                </div>
               </div>
 
+              <StudyMaterialInput value={material} onChange={setMaterial} disabled={isGenerating} />
+
               <div className="pt-4">
-                <button
-                  type="submit"
-                  disabled={isLoading}
-                  className="quiz-button w-full flex items-center justify-center"
-                >
-                  {isLoading ? (
-                    <>
-                      <Loader className="animate-spin mr-2 h-4 w-4" />
-                      Creating Combined Exam...
-                    </>
-                  ) : (
-                    <>
-                      <BookOpen className="mr-2 h-4 w-4" />
-                      Create Combined Exam
-                    </>
-                  )}
-                </button>
+                {isGenerating ? (
+                  <GenerationProgress
+                    questions={questions}
+                    sections={sections}
+                    total={total}
+                    status={status}
+                    onCancel={cancel}
+                  />
+                ) : (
+                  <button
+                    type="submit"
+                    className="quiz-button w-full flex items-center justify-center"
+                  >
+                    <BookOpen className="mr-2 h-4 w-4" />
+                    Create Combined Exam
+                  </button>
+                )}
               </div>
             </form>
           </div>
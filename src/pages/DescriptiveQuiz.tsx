@@ -3,8 +3,12 @@ import React, { useState, FormEvent } from 'react';
 import Layout from '../components/Layout';
 import { useNavigate } from 'react-router-dom';
 import { useToast } from '../hooks/use-toast';
-import { BookOpen, FileText, Loader } from 'lucide-react';
+import { BookOpen, FileText } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useQuizGeneration } from '../hooks/use-quiz-generation';
+import GenerationProgress from '../components/GenerationProgress';
+import StudyMaterialInput from '../components/StudyMaterialInput';
+import { EMPTY_MATERIAL, generationBody, hasMaterial } from '../lib/material';
 
 const DescriptiveQuiz = () => {
   const [formData, setFormData] = useState({
@@ -14,82 +18,51 @@ const DescriptiveQuiz = () => {
     chapters: '',
     num_questions: 3,
   });
-  const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [material, setMaterial] = useState(EMPTY_MATERIAL);
   const navigate = useNavigate();
   const { toast } = useToast();
   const { token } = useAuth();
+  // Generation runs as a background job; a reload resumes watching it (see useQuizGeneration)
+  const { generate, cancel, isGenerating, questions, sections, total, status } = useQuizGeneration(token, 'generation-job:descriptive-quiz', {
+    onSaved: (result) => {
+      toast({
+        title: "Descriptive Quiz Generated!",
+        description: result.regenerated.length
+          ? `Your quiz is ready to take. ${result.regenerated.length} question(s) failed validation and were regenerated.`
+          : "Your quiz is ready to take.",
+        variant: "default",
+      });
+
+      // Navigate to the take quiz page using the received quizId
+      navigate(`/take-quiz/${result.quizId}`);
+    },
+    onCancelled: () => {
+      toast({
+        title: "Generation Cancelled",
+        description: "No quiz was saved.",
+      });
+    },
+    onFailed: (message) => {
+      setError(message);
+      toast({
+        title: "Generation Failed",
+        description: message,
+        variant: "destructive",
+      });
+    },
+  });
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: name === 'num_questions' ? parseInt(value) : value }));
   };
 
-  const handleSubmit = async (e: FormEvent) => {
-        e.preventDefault();
-        setIsLoading(true);
-        setError('');
-    
-        try {
-          const response = await fetch('http://localhost:3001/descriptive-quiz', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/x-www-form-urlencoded',
-              'Authorization': `Bearer ${token}`,
-            },
-            body: new URLSearchParams(formData as any),
-          });
-    
-          if (response.ok) {
-            
-             const result = await response.json(); // Assuming backend sends JSON with success and quizId
-    
-            toast({
-              title: "Descriptive Quiz Generated!",
-              description: "Your quiz is ready to take.",
-              variant: "default",
-            });
-    
-             // >>> Add this console log <<<
-             console.log("Descriptive Quiz Generated with ID:", result.quizId);
-             // >>> End of console log <<<
-    
-            if (result.success && result.quizId) {
-              navigate(`/take-quiz/${result.quizId}`); // Navigate to the standard TakeQuiz route
-            } else {
-                // Handle case where backend returns ok but no success/quizId
-                console.error("Backend did not return success: true and quizId");
-                setError("Failed to get quiz ID from backend.");
-                toast({
-                    title: "Generation Error",
-                    description: "Backend did not provide quiz ID.",
-                    variant: "destructive",
-                });
-              navigate('/'); // Fallback navigation
-            }
-          } else {
-              // Handle non-ok responses (e.g., 400, 500 errors from backend)
-              const errorData = await response.json(); // Assuming backend sends JSON error
-              const errorMessage = errorData.error || `Error: ${response.statusText}`;
-            setError(errorMessage);
-            toast({
-              title: "Generation Failed",
-              description: errorMessage,
-              variant: "destructive",
-            });
-          }
-        } catch (err) {
-            // Handle network errors or errors during json parsing etc.
-          setError(err instanceof Error ? err.message : 'An unknown error occurred');
-          toast({
-            title: "Connection Error",
-            description: "Could not connect to the backend or process response.",
-            variant: "destructive",
-          });
-        } finally {
-          setIsLoading(false);
-        }
-      };
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    setError('');
+    generate('/descriptive-quiz/stream', generationBody(formData, material));
+  };
 
   return (
     <Layout>
@@ -174,7 +147,7 @@ const DescriptiveQuiz = () => {
                     rows={3}
                     placeholder="e.g., Shakespeare's Hamlet, French Revolution"
                     className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
-                    required
+                    required={!hasMaterial(material)} // The material's file names stand in for chapters
                   />
                 </div>
 
@@ -202,24 +175,26 @@ const DescriptiveQuiz = () => {
                 </div>
               </div>
 
+              <StudyMaterialInput value={material} onChange={setMaterial} disabled={isGenerating} />
+
               <div className="pt-4">
-                <button
-                  type="submit"
-                  disabled={isLoading}
-                  className="quiz-button w-full flex items-center justify-center"
-                >
-                  {isLoading ? (
-                    <>
-                      <Loader className="animate-spin mr-2 h-4 w-4" />
-                      Generating Descriptive Quiz...
-                    </>
-                  ) : (
-                    <>
-                      <BookOpen className="mr-2 h-4 w-4" />
-                      Generate Descriptive Quiz
-                    </>
-                  )}
-                </button>
+                {isGenerating ? (
+                  <GenerationProgress
+                    questions={questions}
+                    sections={sections}
+                    total={total}
+                    status={status}
+                    onCancel={cancel}
+                  />
+                ) : (
+                  <button
+                    type="submit"
+                    className="quiz-button w-full flex items-center justify-center"
+                  >
+                    <BookOpen className="mr-2 h-4 w-4" />
+                    Generate Descriptive Quiz
+                  </button>
+                )}
               </div>
             </form>
           </div>
@@ -3,8 +3,12 @@ import React, { useState, FormEvent } from 'react';
 import Layout from '../components/Layout';
 import { useNavigate } from 'react-router-dom';
 import { useToast } from '../hooks/use-toast';
-import { BookOpen, CheckCircle, FileQuestion, Loader } from 'lucide-react';
+import { BookOpen, CheckCircle, FileQuestion } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useQuizGeneration } from '../hooks/use-quiz-generation';
+import GenerationProgress from '../components/GenerationProgress';
+import StudyMaterialInput from '../components/StudyMaterialInput';
+import { EMPTY_MATERIAL, generationBody, hasMaterial } from '../lib/material';
 
 const GenerateQuiz = () => {
   const [formData, setFormData] = useState({
@@ -15,76 +19,51 @@ const GenerateQuiz = () => {
     chapters: '',
     num_questions: 5,
   });
-  const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [material, setMaterial] = useState(EMPTY_MATERIAL);
   const navigate = useNavigate();
   const { toast } = useToast();
   const { token } = useAuth();
+  // Generation runs as a background job; a reload resumes watching it (see useQuizGeneration)
+  const { generate, cancel, isGenerating, questions, sections, total, status } = useQuizGeneration(token, 'generation-job:generate-quiz', {
+    onSaved: (result) => {
+      toast({
+        title: "Quiz Generated!",
+        description: result.regenerated.length
+          ? `Your quiz is ready to take. ${result.regenerated.length} question(s) failed validation and were regenerated.`
+          : "Your quiz is ready to take.",
+        variant: "default",
+      });
+
+      // Navigate to the take quiz page using the received quizId
+      navigate(`/take-quiz/${result.quizId}`);
+    },
+    onCancelled: () => {
+      toast({
+        title: "Generation Cancelled",
+        description: "No quiz was saved.",
+      });
+    },
+    onFailed: (message) => {
+      setError(message);
+      toast({
+        title: "Generation Failed",
+        description: "Could not create your quiz. Please try again.",
+        variant: "destructive",
+      });
+    },
+  });
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: name === 'num_questions' ? parseInt(value) : value }));
   };
 
-  const handleSubmit = async (e: FormEvent) => {
+  const handleSubmit = (e: FormEvent) => {
     e.preventDefault();
-    setIsLoading(true);
     setError('');
-    
-    try {
-      const response = await fetch('http://localhost:3001/generate-quiz', { // <--- Use the full backend URL
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: new URLSearchParams(formData as any),
-      });
-    
-    // Note: Your backend currently sends a simple JSON message.
-    // It will need to return the quizId in the JSON response later.
-    // For now, we'll just check if the response is OK.
-    if (response.ok) {
-             // Backend currently returns { message: '...' }
-             // When backend generates and saves quiz, it will return { success: true, quizId: '...' }
-             // Let's parse the response as JSON to be ready for the actual quizId
-             const result = await response.json();
-    
-             if (result.success && result.quizId) {
-              toast({
-                title: "Quiz Generated!",
-                description: "Your quiz is ready to take.",
-                variant: "default",
-              });
-    
-    // Navigate to the take quiz page using the received quizId
-    navigate(`/take-quiz/${result.quizId}`);
-  } else {
-                // Handle cases where backend might return OK but with an error message in JSON
-                 const errorData = result.error || 'Failed to generate quiz.';
-                 setError(errorData);
-                 toast({
-                     title: "Generation Failed",
-                     description: errorData,
-                     variant: "destructive",
-                 });
-             }
-    
-    } else {
-      const text = await response.text();
-      throw new Error(text || 'Failed to generate quiz');
-    }
-  } catch (err) {
-    setError(err instanceof Error ? err.message : 'An unknown error occurred');
-    toast({
-      title: "Generation Failed",
-      description: "Could not create your quiz. Please try again.",
-      variant: "destructive",
-    });
-  } finally {
-    setIsLoading(false);
-  }
-};
+    generate('/generate-quiz/stream', generationBody(formData, material));
+  };
 
   return (
     <Layout>
@@ -201,7 +180,7 @@ const GenerateQuiz = () => {
                     rows={3}
                     placeholder="e.g., Electromagnetism, Newton's Laws of Motion"
                     className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
-                    required
+                    required={!hasMaterial(material)} // The material's file names stand in for chapters
                   />
                 </div>
 
@@ -224,24 +203,26 @@ const GenerateQuiz = () => {
                 </div>
               </div>
 
+              <StudyMaterialInput value={material} onChange={setMaterial} disabled={isGenerating} />
+
               <div className="pt-4">
-                <button
-                  type="submit"
-                  disabled={isLoading}
-                  className="quiz-button w-full flex items-center justify-center"
-                >
-                  {isLoading ? (
-                    <>
-                      <Loader className="animate-spin mr-2 h-4 w-4" />
-                      Generating Quiz...
-                    </>
-                  ) : (
-                    <>
-                      <BookOpen className="mr-2 h-4 w-4" />
-                      Generate Quiz
-                    </>
-                  )}
-                </button>
+                {isGenerating ? (
+                  <GenerationProgress
+                    questions={questions}
+                    sections={sections}
+                    total={total}
+                    status={status}
+                    onCancel={cancel}
+                  />
+                ) : (
+                  <button
+                    type="submit"
+                    className="quiz-button w-full flex items-center justify-center"
+                  >
+                    <BookOpen className="mr-2 h-4 w-4" />
+                    Generate Quiz
+                  </button>
+                )}
               </div>
             </form>
           </div>
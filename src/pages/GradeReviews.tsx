@@ -0,0 +1,147 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle, ClipboardCheck, Loader, Pencil } from 'lucide-react';
+import Layout from '../components/Layout';
+import GradeOverrideForm from '../components/GradeOverrideForm';
+import GradingSamples from '../components/GradingSamples';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../hooks/use-toast';
+import { GradeOverride, QueuedReview, REVIEW_REASON_LABELS, fetchGradeReviews, overrideGrade, resolveGradeReview } from '../lib/grade-reviews';
+
+// The teacher's review queue: answers on their quizzes the AI failed to grade, graded with
+// low confidence or that a student disputed. Each one is kept as graded or given a new grade.
+
+const NO_SHEET_TEXT = 'No text extracted or uploaded.';
+
+const GradeReviews = () => {
+  const { token } = useAuth();
+  const { toast } = useToast();
+  const [reviews, setReviews] = useState<QueuedReview[] | null>(null);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      setReviews(await fetchGradeReviews(token));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the review queue.');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) loadReviews();
+  }, [token, loadReviews]);
+
+  const removeFromQueue = (reviewId: number) => {
+    setReviews((current) => current?.filter((review) => review.id !== reviewId) ?? null);
+    setEditingId(null);
+  };
+
+  const handleKeep = async (review: QueuedReview) => {
+    setBusyId(review.id);
+    try {
+      await resolveGradeReview(review.id, token);
+      removeFromQueue(review.id);
+      toast({ title: 'Grade Kept', description: `${review.student.username}'s answer keeps its score of ${review.answer.score}/10.` });
+    } catch (err) {
+      toast({ title: 'Error', description: err instanceof Error ? err.message : 'Failed to resolve the review.', variant: 'destructive' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleOverride = async (review: QueuedReview, override: GradeOverride) => {
+    try {
+      const updated = await overrideGrade(review.result_id, review.answer.position, override, token);
+      removeFromQueue(review.id);
+      toast({
+        title: 'Grade Updated',
+        description: `${review.student.username}'s submission now scores ${updated.result_score.toFixed(2)}%.`,
+      });
+    } catch (err) {
+      toast({ title: 'Error', description: err instanceof Error ? err.message : 'Failed to override the grade.', variant: 'destructive' });
+    }
+  };
+
+  return (
+    <Layout>
+      <section className="py-12 bg-gradient-to-b from-white to-quiz-light min-h-screen">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-10">
+            <ClipboardCheck className="h-10 w-10 text-quiz-primary mx-auto mb-3" />
+            <h1 className="text-3xl md:text-4xl font-bold tracking-tight mb-2 gradient-text">Grade Reviews</h1>
+            <p className="text-lg text-gray-600">Answers on your quizzes whose grade needs a second look.</p>
+          </div>
+
+          {error && <p className="text-red-500 mb-6 text-center">{error}</p>}
+
+          {!reviews ? (
+            !error && <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto" />
+          ) : reviews.length === 0 ? (
+            <div className="quiz-card text-center text-gray-600">
+              <CheckCircle className="h-8 w-8 text-green-600 mx-auto mb-2" />
+              <p>Nothing to review. Failed or disputed gradings will show up here.</p>
+            </div>
+          ) : (
+            <ul className="space-y-6">
+              {reviews.map((review) => (
+                <li key={review.id} className="quiz-card text-sm">
+                  <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
+                    <div>
+                      <p className="font-semibold text-quiz-dark">{review.student.username}</p>
+                      <Link to={`/quiz/${review.quiz.id}/student-results`} className="text-xs text-quiz-primary hover:underline">
+                        {review.quiz.subject} - {review.quiz.quiz_type} &middot; {review.quiz.chapters}
+                      </Link>
+                    </div>
+                    <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+                      review.reason === 'disputed' ? 'bg-blue-50 text-blue-700' : review.reason === 'failed' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-800'
+                    }`}>
+                      {REVIEW_REASON_LABELS[review.reason]}
+                    </span>
+                  </div>
+                  {review.note && <p className="mb-3 italic text-gray-600">"{review.note}"</p>}
+
+                  <p className="font-medium text-gray-800">{review.answer.position}. {review.answer.question}</p>
+                  <p className="text-gray-700 mt-1">Answer: {review.answer.user_answer || <span className="text-gray-400">(blank)</span>}</p>
+                  {review.answer.extracted_pdf_text_used && review.answer.extracted_pdf_text_used !== NO_SHEET_TEXT && (
+                    <p className="text-gray-700 mt-1 whitespace-pre-wrap">From the answer sheet: {review.answer.extracted_pdf_text_used}</p>
+                  )}
+                  <p className="text-gray-500 mt-1">{review.answer.type === 'Descriptive' ? 'Key points' : 'Correct'}: {review.answer.correct_answer}</p>
+                  <p className="mt-2 font-medium">Current grade: {review.answer.score}/10</p>
+                  {review.answer.feedback && <p className="text-gray-600">{review.answer.feedback}</p>}
+                  <GradingSamples grading={review.answer.grading} />
+
+                  <div className="mt-4">
+                    {editingId === review.id ? (
+                      <GradeOverrideForm
+                        type={review.answer.type}
+                        score={review.answer.score}
+                        feedback={review.answer.feedback}
+                        onSubmit={(override) => handleOverride(review, override)}
+                        onCancel={() => setEditingId(null)}
+                      />
+                    ) : (
+                      <div className="flex gap-2">
+                        <button type="button" className="quiz-button flex items-center" onClick={() => setEditingId(review.id)} disabled={busyId === review.id}>
+                          <Pencil className="mr-1 h-4 w-4" />
+                          Change Grade
+                        </button>
+                        <button type="button" className="quiz-button-secondary flex items-center" onClick={() => handleKeep(review)} disabled={busyId === review.id}>
+                          {busyId === review.id ? <Loader className="mr-1 h-4 w-4 animate-spin" /> : <CheckCircle className="mr-1 h-4 w-4" />}
+                          Keep Grade
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </section>
+    </Layout>
+  );
+};
+
+export default GradeReviews;
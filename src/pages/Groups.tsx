@@ -0,0 +1,429 @@
+import React, { FormEvent, useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { BarChart2, ClipboardCheck, ClipboardList, Loader, LogOut, Plus, Trash2, UserMinus, Users } from 'lucide-react';
+import Layout from '../components/Layout';
+import { useToast } from '../hooks/use-toast';
+import { useAuth } from '../context/AuthContext';
+import {
+  GroupDetails,
+  JoinedGroup,
+  MyAssignment,
+  Role,
+  TaughtGroup,
+  assignQuiz,
+  createGroup,
+  fetchGroup,
+  fetchGroups,
+  fetchMyAssignments,
+  formatDueDate,
+  joinGroup,
+  leaveGroup,
+  removeMember,
+  setRole,
+  unassignQuiz,
+} from '../lib/groups';
+
+// Students join groups with a code and see the quizzes assigned to them. Teachers also
+// create groups, manage members and assign their quizzes with a due date.
+
+interface OwnQuiz {
+  id: string;
+  quiz_type: string;
+  subject: string;
+  chapters: string;
+  created_at: string;
+}
+
+const backendUrl = 'http://localhost:3001';
+const inputClass = 'block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary';
+
+const Groups = () => {
+  const [role, setRoleState] = useState<Role | null>(null);
+  const [teaching, setTeaching] = useState<TaughtGroup[]>([]);
+  const [joined, setJoined] = useState<JoinedGroup[]>([]);
+  const [assignments, setAssignments] = useState<MyAssignment[]>([]);
+  const [ownQuizzes, setOwnQuizzes] = useState<OwnQuiz[]>([]);
+  const [selectedGroup, setSelectedGroup] = useState<GroupDetails | null>(null);
+  const [joinCode, setJoinCode] = useState('');
+  const [newGroupName, setNewGroupName] = useState('');
+  const [assignForm, setAssignForm] = useState({ quizId: '', dueAt: '' }); // dueAt: datetime-local value
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const { toast } = useToast();
+  const { token } = useAuth();
+
+  const loadAll = useCallback(async () => {
+    if (!token) return;
+    try {
+      const authHeaders = { 'Authorization': `Bearer ${token}` };
+      const profileResponse = await fetch(`${backendUrl}/user/profile`, { headers: authHeaders });
+      if (!profileResponse.ok) throw new Error(`Failed to fetch profile: ${profileResponse.status}`);
+      const profile = await profileResponse.json();
+      setRoleState(profile.role);
+
+      const groups = await fetchGroups(token);
+      setTeaching(groups.teaching);
+      setJoined(groups.joined);
+      setAssignments(await fetchMyAssignments(token));
+
+      if (profile.role === 'teacher') {
+        const quizzesResponse = await fetch(`${backendUrl}/user/quizzes`, { headers: authHeaders });
+        if (!quizzesResponse.ok) throw new Error(`Failed to fetch quizzes: ${quizzesResponse.status}`);
+        setOwnQuizzes(await quizzesResponse.json());
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load your groups.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (!token) {
+      setError('User not authenticated. Please log in.');
+      setIsLoading(false);
+      return;
+    }
+    loadAll();
+  }, [token, loadAll]);
+
+  // Runs a change, then reloads the lists
+  const run = async (action: () => Promise<unknown>, success?: string) => {
+    setIsBusy(true);
+    try {
+      await action();
+      if (success) toast({ title: success });
+      await loadAll();
+    } catch (err) {
+      toast({
+        title: 'Something went wrong',
+        description: err instanceof Error ? err.message : 'The request failed.',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleJoin = (e: FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await joinGroup(joinCode, token);
+      setJoinCode('');
+      toast({ title: result.joined ? `Joined ${result.group.name}` : `You are already in ${result.group.name}` });
+    });
+  };
+
+  const handleCreateGroup = (e: FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const group = await createGroup(newGroupName, token);
+      setNewGroupName('');
+      setSelectedGroup(await fetchGroup(group.id, token));
+    }, 'Group created');
+  };
+
+  // Changes something in the open group, then shows it again
+  const runInGroup = (group: GroupDetails, action: () => Promise<unknown>, success: string) =>
+    run(async () => {
+      await action();
+      setSelectedGroup(await fetchGroup(group.id, token));
+    }, success);
+
+  const handleAssign = (e: FormEvent) => {
+    e.preventDefault();
+    if (!selectedGroup || !assignForm.quizId) return;
+    runInGroup(selectedGroup, async () => {
+      await assignQuiz(selectedGroup.id, assignForm.quizId, assignForm.dueAt ? new Date(assignForm.dueAt).toISOString() : null, token);
+      setAssignForm({ quizId: '', dueAt: '' });
+    }, 'Quiz assigned');
+  };
+
+  const switchRole = (next: Role) =>
+    run(async () => {
+      await setRole(next, token);
+      setSelectedGroup(null);
+    }, `You are now a ${next}`);
+
+  const openGroup = async (groupId: string) => {
+    try {
+      setSelectedGroup(await fetchGroup(groupId, token));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the group.');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <div className="max-w-7xl mx-auto py-12 px-4 text-center">
+          <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto mb-2" />
+          <p className="text-gray-600">Loading your groups...</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <section className="py-12 bg-gradient-to-b from-white to-quiz-light">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-10">
+            <Users className="h-10 w-10 text-quiz-primary mx-auto mb-3" />
+            <h1 className="text-3xl md:text-4xl font-bold tracking-tight mb-2 gradient-text">Groups</h1>
+            <p className="text-lg text-gray-600">
+              {role === 'teacher'
+                ? 'Create groups for your classes, share the join code with your students and assign them quizzes.'
+                : 'Join your class with the code from your teacher to see the quizzes assigned to you.'}
+            </p>
+            {role && (
+              <p className="mt-3 text-sm text-gray-500">
+                You are signed in as a {role}.{' '}
+                <button
+                  type="button"
+                  disabled={isBusy}
+                  onClick={() => switchRole(role === 'teacher' ? 'student' : 'teacher')}
+                  className="font-medium text-quiz-primary hover:underline"
+                >
+                  Switch to {role === 'teacher' ? 'student' : 'teacher'}
+                </button>
+              </p>
+            )}
+          </div>
+
+          {error && <p className="text-red-500 mb-6 text-center">{error}</p>}
+
+          <div className="grid lg:grid-cols-3 gap-8">
+            {/* Student side: joining groups and assigned quizzes */}
+            <div className="space-y-6">
+              <form onSubmit={handleJoin} className="quiz-card space-y-3">
+                <h2 className="text-lg font-semibold text-quiz-dark">Join a group</h2>
+                <input
+                  type="text"
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value)}
+                  placeholder="Join code, e.g. K7QH2M"
+                  className={`${inputClass} uppercase tracking-widest`}
+                  required
+                />
+                <button type="submit" className="quiz-button w-full" disabled={isBusy || !joinCode.trim()}>
+                  Join
+                </button>
+              </form>
+
+              <div className="quiz-card">
+                <h2 className="text-lg font-semibold text-quiz-dark mb-3">My groups ({joined.length})</h2>
+                {joined.length === 0 ? (
+                  <p className="text-sm text-gray-600">You have not joined any group yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {joined.map((group) => (
+                      <li key={group.id} className="flex items-center justify-between py-2 text-sm">
+                        <span>
+                          <span className="font-medium text-gray-800">{group.name}</span>
+                          <span className="block text-xs text-gray-500">Teacher: {group.teacher_username}</span>
+                        </span>
+                        <button
+                          type="button"
+                          title="Leave group"
+                          disabled={isBusy}
+                          onClick={() => run(() => leaveGroup(group.id, token), `Left ${group.name}`)}
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <LogOut className="h-4 w-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div className="quiz-card">
+                <h2 className="text-lg font-semibold text-quiz-dark mb-3 flex items-center">
+                  <ClipboardList className="h-5 w-5 text-quiz-primary mr-2" />
+                  Assigned to me ({assignments.length})
+                </h2>
+                {assignments.length === 0 ? (
+                  <p className="text-sm text-gray-600">No quizzes have been assigned to you.</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {assignments.map((assignment) => (
+                      <li key={assignment.quiz_id}>
+                        <Link
+                          to={`/take-quiz/${assignment.quiz_id}`}
+                          className="block rounded-md border border-gray-200 bg-white px-3 py-2 text-sm hover:shadow"
+                        >
+                          <span className="font-medium text-gray-800">{assignment.subject} - {assignment.quiz_type}</span>
+                          <span className="block text-xs text-gray-500">{assignment.chapters} &middot; {assignment.group_names}</span>
+                          <span className={`block text-xs ${assignment.past_due ? 'text-red-600' : 'text-gray-600'}`}>
+                            {formatDueDate(assignment.due_at)}
+                            {assignment.submitted_count > 0
+                              ? ` · Submitted${assignment.submitted_count > 1 ? ` ${assignment.submitted_count} times` : ''}`
+                              : assignment.past_due ? ' · Missed' : ' · Not submitted yet'}
+                          </span>
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+
+            {/* Teacher side: groups, members and assignments */}
+            {role === 'teacher' && (
+              <div className="lg:col-span-2 space-y-6">
+                <div className="quiz-card">
+                  <Link to="/grade-reviews" className="mb-4 inline-flex items-center text-sm font-medium text-quiz-primary hover:underline">
+                    <ClipboardCheck className="mr-1 h-4 w-4" />
+                    Grade reviews: failed, low-confidence and disputed gradings
+                  </Link>
+                  <form onSubmit={handleCreateGroup} className="flex gap-3 mb-4">
+                    <input
+                      type="text"
+                      value={newGroupName}
+                      onChange={(e) => setNewGroupName(e.target.value)}
+                      placeholder="New group name, e.g. Class 8 B - Science"
+                      maxLength={100}
+                      className={inputClass}
+                      required
+                    />
+                    <button type="submit" className="quiz-button flex items-center whitespace-nowrap" disabled={isBusy || !newGroupName.trim()}>
+                      <Plus className="mr-1 h-4 w-4" />
+                      Create
+                    </button>
+                  </form>
+                  {teaching.length === 0 ? (
+                    <p className="text-sm text-gray-600">You have not created any group yet.</p>
+                  ) : (
+                    <div className="grid sm:grid-cols-2 gap-3">
+                      {teaching.map((group) => (
+                        <button
+                          type="button"
+                          key={group.id}
+                          onClick={() => openGroup(group.id)}
+                          className={`text-left rounded-md border px-3 py-2 text-sm hover:shadow ${
+                            selectedGroup?.id === group.id ? 'border-quiz-primary bg-quiz-light' : 'border-gray-200 bg-white'
+                          }`}
+                        >
+                          <span className="font-medium text-gray-800">{group.name}</span>
+                          <span className="block text-xs text-gray-500">
+                            Code {group.join_code} &middot; {group.member_count} student{group.member_count === 1 ? '' : 's'} &middot; {group.assignment_count} quiz{group.assignment_count === 1 ? '' : 'zes'}
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {selectedGroup && (
+                  <div className="quiz-card space-y-6">
+                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                      <h2 className="text-xl font-semibold text-quiz-dark">{selectedGroup.name}</h2>
+                      <p className="text-sm text-gray-600">
+                        Join code: <span className="font-mono text-lg font-bold tracking-widest text-quiz-primary">{selectedGroup.join_code}</span>
+                      </p>
+                    </div>
+
+                    <div>
+                      <h3 className="font-semibold text-gray-800 mb-2">Assigned quizzes</h3>
+                      {selectedGroup.assignments.length === 0 ? (
+                        <p className="text-sm text-gray-600 mb-3">Nothing assigned yet.</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-100 mb-3">
+                          {selectedGroup.assignments.map((assignment) => (
+                            <li key={assignment.quiz_id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                              <span>
+                                <span className="font-medium text-gray-800">{assignment.subject} - {assignment.quiz_type}</span>
+                                <span className={`block text-xs ${assignment.past_due ? 'text-red-600' : 'text-gray-500'}`}>
+                                  {formatDueDate(assignment.due_at)} &middot; {assignment.submitted_count} of {selectedGroup.members.length} submitted
+                                </span>
+                              </span>
+                              <span className="flex items-center gap-3">
+                                <Link to={`/quiz/${assignment.quiz_id}/student-results`} className="flex items-center text-quiz-primary hover:underline">
+                                  <BarChart2 className="mr-1 h-4 w-4" />
+                                  Results
+                                </Link>
+                                <button
+                                  type="button"
+                                  title="Remove assignment"
+                                  disabled={isBusy}
+                                  onClick={() => runInGroup(selectedGroup, () => unassignQuiz(selectedGroup.id, assignment.quiz_id, token), 'Assignment removed')}
+                                  className="text-gray-400 hover:text-red-600"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </button>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+
+                      <form onSubmit={handleAssign} className="grid sm:grid-cols-3 gap-3 items-end">
+                        <label className="sm:col-span-2 text-sm text-gray-700">
+                          Quiz
+                          <select
+                            value={assignForm.quizId}
+                            onChange={(e) => setAssignForm({ ...assignForm, quizId: e.target.value })}
+                            className={inputClass}
+                            required
+                          >
+                            <option value="">Choose one of your quizzes</option>
+                            {ownQuizzes.map((quiz) => (
+                              <option key={quiz.id} value={quiz.id}>
+                                {quiz.subject} - {quiz.quiz_type} ({quiz.chapters}, {new Date(quiz.created_at).toLocaleDateString()})
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="text-sm text-gray-700">
+                          Due (optional)
+                          <input
+                            type="datetime-local"
+                            value={assignForm.dueAt}
+                            onChange={(e) => setAssignForm({ ...assignForm, dueAt: e.target.value })}
+                            className={inputClass}
+                          />
+                        </label>
+                        <button type="submit" className="quiz-button sm:col-span-3" disabled={isBusy || !assignForm.quizId}>
+                          Assign (or update the due date)
+                        </button>
+                      </form>
+                    </div>
+
+                    <div>
+                      <h3 className="font-semibold text-gray-800 mb-2">Students ({selectedGroup.members.length})</h3>
+                      {selectedGroup.members.length === 0 ? (
+                        <p className="text-sm text-gray-600">No one has joined yet. Share the join code with your students.</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-100">
+                          {selectedGroup.members.map((member) => (
+                            <li key={member.user_id} className="flex items-center justify-between py-2 text-sm">
+                              <span className="text-gray-800">{member.username}</span>
+                              <button
+                                type="button"
+                                title="Remove from group"
+                                disabled={isBusy}
+                                onClick={() => runInGroup(selectedGroup, () => removeMember(selectedGroup.id, member.user_id, token), `${member.username} removed`)}
+                                className="text-gray-400 hover:text-red-600"
+                              >
+                                <UserMinus className="h-4 w-4" />
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </Layout>
+  );
+};
+
+export default Groups;
@@ -0,0 +1,178 @@
+import React, { FormEvent, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Loader, RotateCcw, Target } from 'lucide-react';
+import Layout from '../components/Layout';
+import GenerationProgress from '../components/GenerationProgress';
+import { useToast } from '../hooks/use-toast';
+import { useAuth } from '../context/AuthContext';
+import { useQuizGeneration } from '../hooks/use-quiz-generation';
+import { MAX_PRACTICE_QUESTIONS, PracticePlan, fetchPracticePlan } from '../lib/practice';
+
+// "Practice my weak spots": shows what a practice quiz would focus on, from the user's missed
+// answers, and generates it.
+
+const PracticeQuiz = () => {
+  const [subject, setSubject] = useState(''); // Empty: the subject with the most missed answers
+  const [numQuestions, setNumQuestions] = useState(10);
+  const [plan, setPlan] = useState<PracticePlan | null>(null);
+  const [loadingPlan, setLoadingPlan] = useState(true);
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { token } = useAuth();
+  // Generation runs as a background job; a reload resumes watching it (see useQuizGeneration)
+  const { generate, cancel, isGenerating, questions, sections, total, status } = useQuizGeneration(token, 'generation-job:practice-quiz', {
+    onSaved: (result) => {
+      toast({
+        title: "Practice Quiz Generated!",
+        description: "Your practice quiz is ready to take.",
+      });
+      navigate(`/take-quiz/${result.quizId}`);
+    },
+    onCancelled: () => {
+      toast({
+        title: "Generation Cancelled",
+        description: "No quiz was saved.",
+      });
+    },
+    onFailed: (message) => {
+      setError(message);
+      toast({
+        title: "Generation Failed",
+        description: message,
+        variant: "destructive",
+      });
+    },
+  });
+
+  // The plan follows the chosen subject and size
+  useEffect(() => {
+    if (!token) return;
+    setLoadingPlan(true);
+    fetchPracticePlan(token, subject, numQuestions)
+      .then(setPlan)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load the practice plan.'))
+      .finally(() => setLoadingPlan(false));
+  }, [token, subject, numQuestions]);
+
+  const handleSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    setError('');
+    generate('/practice-quiz/stream', new URLSearchParams({ subject: plan?.subject ?? subject, num_questions: String(numQuestions) }));
+  };
+
+  return (
+    <Layout>
+      <div className="py-12 bg-quiz-light min-h-screen">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="quiz-card">
+            <div className="text-center mb-8">
+              <div className="w-16 h-16 mx-auto bg-quiz-light rounded-full flex items-center justify-center mb-4">
+                <Target className="h-8 w-8 text-quiz-primary" />
+              </div>
+              <h1 className="text-2xl font-bold gradient-text mb-2">Practice My Weak Spots</h1>
+              <p className="text-gray-600">A quiz built from the questions you got wrong</p>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-800 rounded-md p-3 text-sm mb-6">
+                {error}
+              </div>
+            )}
+
+            {loadingPlan && !plan ? (
+              <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto" />
+            ) : !plan ? (
+              <p className="text-center text-gray-600">
+                You have no missed answers to practise yet. <Link to="/generate-quiz" className="text-quiz-primary underline">Take a quiz</Link> first!
+              </p>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div className="grid sm:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="subject" className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                    <select
+                      id="subject"
+                      value={plan.subject}
+                      onChange={(e) => setSubject(e.target.value)}
+                      disabled={isGenerating}
+                      className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                    >
+                      {plan.subjects.map((name) => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="num_questions" className="block text-sm font-medium text-gray-700 mb-1">Number of Questions</label>
+                    <input
+                      type="number"
+                      id="num_questions"
+                      value={numQuestions}
+                      onChange={(e) => setNumQuestions(Math.min(MAX_PRACTICE_QUESTIONS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                      min={1}
+                      max={MAX_PRACTICE_QUESTIONS}
+                      disabled={isGenerating}
+                      className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                    />
+                  </div>
+                </div>
+
+                {/* What the quiz will focus on */}
+                <div className="rounded-md border border-gray-200 bg-white p-4 text-sm space-y-3">
+                  <p className="text-gray-700">
+                    {plan.misses} of your {plan.answers} answers in {plan.subject} were missed ({plan.mastery}% mastery),
+                    so new questions will be <span className="font-medium">{plan.difficulty}</span>.
+                  </p>
+                  {plan.chapters.length > 0 && (
+                    <div>
+                      <p className="text-gray-500 mb-1">Focus chapters</p>
+                      <ul className="flex flex-wrap gap-2">
+                        {plan.chapters.map((chapter) => (
+                          <li key={chapter.name} className="rounded bg-red-50 px-2 py-0.5 text-red-800">
+                            {chapter.name} <span className="text-red-500">{chapter.miss_rate}% missed</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  <p className="text-gray-700">
+                    New questions: {plan.sections.map((section) => `${section.count} ${section.type}`).join(', ') || 'none'}
+                    {plan.types.length > 0 && (
+                      <span className="text-gray-500"> (by how often you miss each type: {plan.types.map((type) => `${type.name} ${type.miss_rate}%`).join(', ')})</span>
+                    )}
+                  </p>
+                  {plan.retry_questions.length > 0 && (
+                    <div>
+                      <p className="flex items-center text-gray-500 mb-1"><RotateCcw className="h-4 w-4 mr-1" /> Questions to retry</p>
+                      <ul className="list-disc pl-5 text-gray-700">
+                        {plan.retry_questions.map((question) => <li key={question.id}>{question.question}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+
+                <div className="pt-2">
+                  {isGenerating ? (
+                    <GenerationProgress
+                      questions={questions}
+                      sections={sections}
+                      total={total}
+                      status={status}
+                      onCancel={cancel}
+                    />
+                  ) : (
+                    <button type="submit" disabled={loadingPlan} className="quiz-button w-full flex items-center justify-center">
+                      <Target className="mr-2 h-4 w-4" />
+                      Generate Practice Quiz
+                    </button>
+                  )}
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default PracticeQuiz;
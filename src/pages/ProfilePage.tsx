@@ -1,8 +1,11 @@
 // frontend/src/pages/ProfilePage.tsx
-import React, { ReactNode, useEffect, useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom'; // Import Link for navigation
 import Layout from '../components/Layout'; // Import your Layout component
-import { BookOpen, CheckCircle } from 'lucide-react'; // Optional: Import icons for lists
+import { BookOpen, CheckCircle, Target } from 'lucide-react'; // Optional: Import icons for lists
+import { formatDuration, formatScoreChange, QuizResultGroup, SCORING_POLICY_LABELS } from '../lib/attempts';
+import { UserProgress } from '../lib/progress';
+import ProgressPanel from '../components/ProgressPanel';
 
 // Define interfaces for the data we expect from the backend (keep these as they are)
 interface UserProfile {
@@ -20,22 +23,13 @@ interface QuizSummary {
   created_at: string; // Timestamp string
 }
 
-interface ResultSummary {
-  curriculum: ReactNode;
-  result_id: string; // Result ID (UUID)
-  quiz_id: string; // Associated Quiz ID
-  score: number; // Percentage score
-  submitted_at: string; // Timestamp string
-  quiz_type: string; // From the join
-  class: string; // From the join
-  subject: string; // From the join
-  chapters: string; // From the join
-}
+const scoreColor = (score: number) => (score >= 70 ? 'text-green-600' : score >= 40 ? 'text-yellow-600' : 'text-red-600');
 
 const ProfilePage: React.FC = () => {
   const [userProfile, setUserProfile] = useState<UserProfile | null>(null);
   const [quizzes, setQuizzes] = useState<QuizSummary[]>([]);
-  const [results, setResults] = useState<ResultSummary[]>([]);
+  const [results, setResults] = useState<QuizResultGroup[]>([]);
+  const [progress, setProgress] = useState<UserProgress | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -65,11 +59,16 @@ const ProfilePage: React.FC = () => {
         if (!quizzesResponse.ok) throw new Error(`Failed to fetch quizzes: ${quizzesResponse.status}`);
         setQuizzes(await quizzesResponse.json());
 
-        // Fetch user results
+        // Fetch user results (grouped by quiz)
         const resultsResponse = await fetch(`${backendUrl}/user/results`, { headers: authHeaders });
         if (!resultsResponse.ok) throw new Error(`Failed to fetch results: ${resultsResponse.status}`);
         setResults(await resultsResponse.json());
 
+        // Fetch mastery per subject and chapter (computed from the results)
+        const progressResponse = await fetch(`${backendUrl}/user/progress`, { headers: authHeaders });
+        if (!progressResponse.ok) throw new Error(`Failed to fetch progress: ${progressResponse.status}`);
+        setProgress(await progressResponse.json());
+
       } catch (err: any) {
         console.error("Error fetching profile data:", err);
         setError(err.message || 'An error occurred while fetching data.');
@@ -120,6 +119,19 @@ const ProfilePage: React.FC = () => {
             )}
           </div>
 
+          {/* Progress Section: mastery over time and the weakest chapters */}
+          {progress && progress.submissions > 0 && (
+            <div className="mb-12">
+              <h2 className="text-2xl font-semibold mb-6 text-center gradient-text">My Progress</h2>
+              <ProgressPanel progress={progress} />
+              <div className="mt-6 text-center">
+                <Link to="/practice" className="quiz-button inline-flex items-center">
+                  <Target className="mr-2 h-4 w-4" /> Practice My Weak Spots
+                </Link>
+              </div>
+            </div>
+          )}
+
           {/* Quizzes Section */}
           <div className="mb-12">
             <h2 className="text-2xl font-semibold mb-6 text-center gradient-text">My Quizzes ({quizzes.length})</h2>
@@ -143,23 +155,48 @@ const ProfilePage: React.FC = () => {
             )}
           </div>
 
-          {/* Results Section */}
+          {/* Results Section: one card per quiz, listing its attempts */}
           <div>
             <h2 className="text-2xl font-semibold mb-6 text-center gradient-text">My Results ({results.length})</h2>
              {results.length > 0 ? (
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {results.map((result) => (
-                  // Link each result item to the view result page
-                  <Link to={`/user/results/${result.result_id}`} key={result.result_id} className="block quiz-card hover:shadow-xl transition-shadow duration-200">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {results.map((group) => (
+                  <div key={group.quiz_id} className="quiz-card">
                      <div className="flex items-center mb-2">
                        <CheckCircle className="h-5 w-5 text-green-600 mr-2" /> {/* Example Icon */}
-                       <h3 className="text-lg font-medium text-quiz-dark truncate">{result.subject} - {result.quiz_type}</h3>
+                       <h3 className="text-lg font-medium text-quiz-dark truncate">{group.subject} - {group.quiz_type}</h3>
                      </div>
-                     <p className="text-gray-600 text-sm mb-1">Class: {result.class}, Curriculum: {result.curriculum}</p>
-                     <p className="text-gray-600 text-sm mb-2">Chapters: {result.chapters}</p>
-                     <p className={`text-lg font-bold ${result.score >= 70 ? 'text-green-600' : result.score >= 40 ? 'text-yellow-600' : 'text-red-600'}`}>Score: {result.score.toFixed(2)}%</p> {/* Styled score */}
-                     <p className="text-gray-500 text-xs">Submitted: {new Date(result.submitted_at).toLocaleString()}</p>
-                  </Link>
+                     <p className="text-gray-600 text-sm mb-1">Class: {group.class}, Curriculum: {group.curriculum}</p>
+                     <p className="text-gray-600 text-sm mb-2">Chapters: {group.chapters}</p>
+                     <p className={`text-lg font-bold ${scoreColor(group.score)}`}>Score: {group.score.toFixed(2)}%</p> {/* Styled score */}
+                     <p className="text-gray-500 text-xs mb-3">
+                       {SCORING_POLICY_LABELS[group.scoring_policy]} &middot; {group.attempt_count}
+                       {group.max_attempts ? ` of ${group.max_attempts}` : ''} attempt{group.attempt_count === 1 ? '' : 's'}
+                     </p>
+                     <ul className="divide-y divide-gray-100 border-t border-gray-100">
+                       {group.attempts.map((attempt) => (
+                         <li key={attempt.result_id}>
+                           <Link to={`/user/results/${attempt.result_id}`} className="flex items-center justify-between py-2 text-sm hover:bg-gray-50">
+                             <span className="text-gray-700">
+                               Attempt {attempt.attempt_number}
+                               <span className="block text-gray-500 text-xs">
+                                 {new Date(attempt.submitted_at).toLocaleString()}
+                                 {attempt.time_taken_seconds !== null && ` · ${formatDuration(attempt.time_taken_seconds)}${attempt.auto_submitted ? ' (time ran out)' : ''}`}
+                               </span>
+                             </span>
+                             <span className="text-right">
+                               <span className={`font-semibold ${scoreColor(attempt.score)}`}>{attempt.score.toFixed(2)}%</span>
+                               {attempt.change !== null && (
+                                 <span className={`block text-xs ${attempt.change > 0 ? 'text-green-600' : attempt.change < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                                   {formatScoreChange(attempt.change)}
+                                 </span>
+                               )}
+                             </span>
+                           </Link>
+                         </li>
+                       ))}
+                     </ul>
+                  </div>
                 ))}
               </div>
             ) : (
@@ -0,0 +1,339 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowDown, ArrowUp, Library, Loader, Minus, Plus, Search, Trash2 } from 'lucide-react';
+import Layout from '../components/Layout';
+import { useToast } from '../hooks/use-toast';
+import { useAuth } from '../context/AuthContext';
+
+// Every generated question lands in the bank. Search it, pick questions and turn them into a new quiz.
+
+interface BankQuestion {
+  id: number;
+  type: 'MCQ' | 'FIB' | 'Descriptive';
+  question: string;
+  options?: string[];
+  answer: string;
+  explanation: string;
+  class: string | null;
+  curriculum: string | null;
+  subject: string | null;
+  chapter: string | null;
+  difficulty: 'easy' | 'medium' | 'hard' | null;
+  times_used: number;
+  created_at: string;
+}
+
+type TagKey = 'type' | 'class' | 'curriculum' | 'subject' | 'chapter' | 'difficulty';
+type Tags = Record<TagKey, string[]>;
+type Filters = Record<TagKey, string>;
+
+const TAG_LABELS: Record<TagKey, string> = {
+  type: 'Type',
+  class: 'Class',
+  curriculum: 'Curriculum',
+  subject: 'Subject',
+  chapter: 'Chapter',
+  difficulty: 'Difficulty',
+};
+const TAG_KEYS = Object.keys(TAG_LABELS) as TagKey[];
+const EMPTY_FILTERS: Filters = { type: '', class: '', curriculum: '', subject: '', chapter: '', difficulty: '' };
+const PAGE_SIZE = 20;
+const backendUrl = 'http://localhost:3001';
+
+const difficultyClass = (difficulty: BankQuestion['difficulty']) =>
+  difficulty === 'easy' ? 'bg-green-100 text-green-800'
+    : difficulty === 'hard' ? 'bg-red-100 text-red-800'
+    : 'bg-yellow-100 text-yellow-800';
+
+const QuestionBank = () => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [tags, setTags] = useState<Tags | null>(null);
+  const [questions, setQuestions] = useState<BankQuestion[]>([]);
+  const [total, setTotal] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<BankQuestion[]>([]);
+  const [quizDetails, setQuizDetails] = useState({ class: '', curriculum: '', subject: '', chapters: '' });
+  const [isCreating, setIsCreating] = useState(false);
+
+  const { toast } = useToast();
+  const { token } = useAuth();
+  const navigate = useNavigate();
+
+  const fetchPage = useCallback(async (offset: number, signal?: AbortSignal) => {
+    const params = new URLSearchParams({ q: query, limit: String(PAGE_SIZE), offset: String(offset) });
+    TAG_KEYS.forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+    const response = await fetch(`${backendUrl}/bank/questions?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      signal,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Search failed: ${response.status}`);
+    return data as { questions: BankQuestion[]; total: number };
+  }, [query, filters, token]);
+
+  useEffect(() => {
+    if (!token) return;
+    fetch(`${backendUrl}/bank/tags`, { headers: { 'Authorization': `Bearer ${token}` } })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setTags(data))
+      .catch(() => {}); // Filters just stay empty
+  }, [token]);
+
+  // Search again (debounced) whenever the text or a filter changes
+  useEffect(() => {
+    if (!token) {
+      setError('You must be logged in to use the question bank.');
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      setError(null);
+      try {
+        const data = await fetchPage(0, controller.signal);
+        setQuestions(data.questions);
+        setTotal(data.total);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setError(err instanceof Error ? err.message : 'Search failed.');
+      } finally {
+        if (!controller.signal.aborted) setIsSearching(false);
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [fetchPage, token]);
+
+  const loadMore = async () => {
+    setIsSearching(true);
+    try {
+      const data = await fetchPage(questions.length);
+      setQuestions(prev => [...prev, ...data.questions]);
+      setTotal(data.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Search failed.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const isSelected = (id: number) => selected.some(q => q.id === id);
+  const toggleSelected = (question: BankQuestion) => {
+    setSelected(prev => (prev.some(q => q.id === question.id)
+      ? prev.filter(q => q.id !== question.id)
+      : [...prev, question]));
+  };
+  const moveSelected = (index: number, direction: -1 | 1) => {
+    setSelected(prev => {
+      const next = [...prev];
+      [next[index], next[index + direction]] = [next[index + direction], next[index]];
+      return next;
+    });
+  };
+
+  const handleDelete = async (question: BankQuestion) => {
+    if (!window.confirm('Remove this question from your question bank? Quizzes that use it keep their copy.')) return;
+    try {
+      const response = await fetch(`${backendUrl}/bank/questions/${question.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Failed to remove question: ${response.status}`);
+      setQuestions(prev => prev.filter(q => q.id !== question.id));
+      setSelected(prev => prev.filter(q => q.id !== question.id));
+      setTotal(prev => prev - 1);
+    } catch (err) {
+      toast({
+        title: 'Could not remove question',
+        description: err instanceof Error ? err.message : 'Please try again.',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleCreateQuiz = async () => {
+    setIsCreating(true);
+    try {
+      const response = await fetch(`${backendUrl}/bank/quizzes`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ questionIds: selected.map(q => q.id), ...quizDetails }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `Failed to create quiz: ${response.status}`);
+      toast({ title: 'Quiz created', description: `${selected.length} questions from your question bank.` });
+      navigate(`/take-quiz/${data.quizId}`);
+    } catch (err) {
+      toast({
+        title: 'Could not create quiz',
+        description: err instanceof Error ? err.message : 'Please try again.',
+        variant: 'destructive',
+      });
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <Layout>
+      <section className="py-12 bg-gradient-to-b from-white to-quiz-light">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-10">
+            <Library className="h-10 w-10 text-quiz-primary mx-auto mb-3" />
+            <h1 className="text-3xl md:text-4xl font-bold tracking-tight mb-2 gradient-text">Question Bank</h1>
+            <p className="text-lg text-gray-600">Every question you generate is saved here. Pick questions to build a new quiz without waiting for the AI.</p>
+          </div>
+
+          <div className="grid lg:grid-cols-3 gap-8">
+            {/* Search and results */}
+            <div className="lg:col-span-2 space-y-4">
+              <div className="quiz-card space-y-4">
+                <div className="relative">
+                  <Search className="h-4 w-4 text-gray-400 absolute left-3 top-3" />
+                  <input
+                    type="search"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Search question text, answers and explanations"
+                    className="block w-full rounded-md border border-gray-300 shadow-sm py-2 pl-9 pr-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                  />
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                  {TAG_KEYS.map(key => (
+                    <select
+                      key={key}
+                      value={filters[key]}
+                      onChange={(e) => setFilters(prev => ({ ...prev, [key]: e.target.value }))}
+                      className="rounded-md border border-gray-300 py-2 px-3 text-sm"
+                    >
+                      <option value="">Any {TAG_LABELS[key].toLowerCase()}</option>
+                      {(tags?.[key] || []).map(value => (
+                        <option key={value} value={value}>{value}</option>
+                      ))}
+                    </select>
+                  ))}
+                </div>
+              </div>
+
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-800 rounded-md p-3 text-sm">{error}</div>
+              )}
+
+              <p className="text-sm text-gray-600">
+                {isSearching && questions.length === 0 ? 'Searching...' : `${total} question${total === 1 ? '' : 's'} found`}
+              </p>
+
+              {questions.map(question => (
+                <div key={question.id} className={`bg-white rounded-lg shadow p-5 border ${isSelected(question.id) ? 'border-quiz-primary' : 'border-quiz-accent/30'}`}>
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="space-y-2">
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className="px-2 py-0.5 rounded bg-quiz-light text-quiz-primary font-semibold">{question.type}</span>
+                        {question.difficulty && (
+                          <span className={`px-2 py-0.5 rounded ${difficultyClass(question.difficulty)}`}>{question.difficulty}</span>
+                        )}
+                        <span className="text-gray-500">
+                          {[question.class, question.curriculum, question.subject, question.chapter].filter(Boolean).join(' · ')}
+                        </span>
+                      </div>
+                      <p className="text-gray-800">{question.question}</p>
+                      {question.options && (
+                        <ul className="text-sm text-gray-600 space-y-0.5">
+                          {question.options.map(option => <li key={option}>{option}</li>)}
+                        </ul>
+                      )}
+                      <p className="text-sm text-green-700"><span className="font-medium">Answer:</span> {question.answer}</p>
+                      {question.times_used > 0 && (
+                        <p className="text-xs text-gray-500">Used in {question.times_used} quiz{question.times_used === 1 ? '' : 'zes'} built from the bank</p>
+                      )}
+                    </div>
+                    <div className="flex flex-col items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => toggleSelected(question)}
+                        className={isSelected(question.id) ? 'quiz-button-secondary flex items-center text-sm' : 'quiz-button flex items-center text-sm'}
+                      >
+                        {isSelected(question.id) ? <Minus className="h-4 w-4 mr-1" /> : <Plus className="h-4 w-4 mr-1" />}
+                        {isSelected(question.id) ? 'Remove' : 'Add'}
+                      </button>
+                      <button type="button" onClick={() => handleDelete(question)} className="p-1 text-gray-400 hover:text-red-600" title="Delete from question bank">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+
+              {questions.length < total && (
+                <div className="text-center">
+                  <button type="button" onClick={loadMore} disabled={isSearching} className="quiz-button-secondary">
+                    {isSearching ? 'Loading...' : 'Load more'}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* New quiz from the selection */}
+            <div>
+              <div className="quiz-card space-y-4 lg:sticky lg:top-6">
+                <h2 className="text-xl font-semibold text-quiz-dark">New quiz ({selected.length})</h2>
+                {selected.length === 0 ? (
+                  <p className="text-sm text-gray-600">Add questions from the results to build a quiz.</p>
+                ) : (
+                  <ol className="space-y-2">
+                    {selected.map((question, index) => (
+                      <li key={question.id} className="flex items-start gap-2 text-sm">
+                        <span className="font-medium text-quiz-primary">{index + 1}.</span>
+                        <span className="flex-1 text-gray-700 line-clamp-2">{question.question}</span>
+                        <button type="button" onClick={() => moveSelected(index, -1)} disabled={index === 0} className="p-0.5 text-gray-500 hover:text-quiz-primary disabled:opacity-30" title="Move up">
+                          <ArrowUp className="h-4 w-4" />
+                        </button>
+                        <button type="button" onClick={() => moveSelected(index, 1)} disabled={index === selected.length - 1} className="p-0.5 text-gray-500 hover:text-quiz-primary disabled:opacity-30" title="Move down">
+                          <ArrowDown className="h-4 w-4" />
+                        </button>
+                        <button type="button" onClick={() => toggleSelected(question)} className="p-0.5 text-gray-500 hover:text-red-600" title="Remove from quiz">
+                          <Minus className="h-4 w-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+
+                <div className="space-y-2">
+                  <p className="text-xs text-gray-500">Leave these empty to use the questions' own tags.</p>
+                  {(['class', 'curriculum', 'subject', 'chapters'] as const).map(key => (
+                    <input
+                      key={key}
+                      type="text"
+                      value={quizDetails[key]}
+                      onChange={(e) => setQuizDetails(prev => ({ ...prev, [key]: e.target.value }))}
+                      placeholder={key === 'class' ? 'Class/Grade' : key.charAt(0).toUpperCase() + key.slice(1)}
+                      className="block w-full rounded-md border border-gray-300 shadow-sm py-1 px-2 text-sm focus:ring-quiz-primary focus:border-quiz-primary"
+                    />
+                  ))}
+                </div>
+
+                <button
+                  type="button"
+                  onClick={handleCreateQuiz}
+                  disabled={selected.length === 0 || isCreating}
+                  className="quiz-button w-full flex items-center justify-center"
+                >
+                  {isCreating ? <><Loader className="animate-spin mr-2 h-4 w-4" /> Creating...</> : 'Create Quiz'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    </Layout>
+  );
+};
+
+export default QuestionBank;
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+import { Loader, PieChart } from 'lucide-react';
+import Layout from '../components/Layout';
+import { ChartConfig, ChartContainer, ChartTooltip, ChartTooltipContent } from '../components/ui/chart';
+import { useAuth } from '../context/AuthContext';
+import { SCORING_POLICY_LABELS } from '../lib/attempts';
+import { Difficulty, QuestionStats, QuizAnalytics as Analytics, fetchQuizAnalytics } from '../lib/analytics';
+
+// Analytics for the owner of a quiz: how the takers scored, how hard each question was,
+// which distractors caught people out, the common wrong FIB answers, rubric averages and
+// a gradebook of everyone's latest submission.
+
+const distributionChart: ChartConfig = {
+  count: { label: 'Takers', color: '#8B5CF6' },
+};
+
+const DIFFICULTY_CLASSES: Record<Difficulty, string> = {
+  easy: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  hard: 'bg-red-100 text-red-800',
+};
+
+const percentBar = (percent: number, highlight = false) => (
+  <div className="h-2 w-full rounded bg-gray-100">
+    <div className={`h-2 rounded ${highlight ? 'bg-green-500' : 'bg-quiz-accent'}`} style={{ width: `${Math.min(100, percent)}%` }} />
+  </div>
+);
+
+const QuestionCard = ({ stats, index }: { stats: QuestionStats; index: number }) => {
+  const answered = stats.responses - stats.blank;
+  return (
+    <div className="quiz-card space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <p className="font-medium text-gray-800">{index + 1}. {stats.question}</p>
+        <span className="flex shrink-0 items-center gap-2 text-xs">
+          <span className="rounded bg-gray-100 px-2 py-0.5 text-gray-700">{stats.type}</span>
+          {stats.difficulty && <span className={`rounded px-2 py-0.5 ${DIFFICULTY_CLASSES[stats.difficulty]}`}>{stats.difficulty}</span>}
+        </span>
+      </div>
+      <p className="text-sm text-gray-600">
+        {stats.percent_correct === null
+          ? 'No submissions yet.'
+          : stats.type === 'Descriptive'
+            ? `${stats.percent_correct}% of the points earned on average (${stats.average_score}/10)`
+            : `${stats.percent_correct}% correct (${stats.correct} of ${stats.responses})`}
+        {stats.blank > 0 && ` · ${stats.blank} left blank`}
+      </p>
+
+      {/* MCQ: how often each option was picked */}
+      {stats.options && (
+        <ul className="space-y-1 text-sm">
+          {stats.options.map((option) => (
+            <li key={option.letter} className="grid grid-cols-[1fr_6rem_2.5rem] items-center gap-2">
+              <span className={option.is_correct ? 'font-medium text-green-700' : 'text-gray-700'}>
+                {option.letter}. {option.text}{option.is_correct && ' ✓'}
+              </span>
+              {percentBar(answered ? (option.count / answered) * 100 : 0, option.is_correct)}
+              <span className="text-right text-gray-600">{option.count}</span>
+            </li>
+          ))}
+          {Boolean(stats.unreadable) && <li className="text-xs text-gray-500">{stats.unreadable} answer(s) matched no option.</li>}
+        </ul>
+      )}
+
+      {/* FIB: the wrong answers given most often */}
+      {stats.common_wrong_answers && (
+        stats.common_wrong_answers.length === 0 ? (
+          <p className="text-sm text-gray-500">No wrong answers.</p>
+        ) : (
+          <div className="text-sm">
+            <p className="text-gray-500 mb-1">Most common wrong answers</p>
+            <ul className="flex flex-wrap gap-2">
+              {stats.common_wrong_answers.map((wrong) => (
+                <li key={wrong.answer} className="rounded border border-red-200 bg-red-50 px-2 py-0.5 text-red-800">
+                  {wrong.answer} <span className="text-red-500">×{wrong.count}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )
+      )}
+
+      {/* Descriptive: average points per rubric criterion */}
+      {stats.rubric && stats.rubric.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {stats.rubric.map((criterion) => (
+            <li key={criterion.criterion} className="grid grid-cols-[1fr_6rem_4.5rem] items-center gap-2">
+              <span className="text-gray-700">{criterion.criterion}</span>
+              {percentBar(criterion.percent ?? 0)}
+              <span className="text-right text-gray-600">{criterion.average_points}/{criterion.max_points}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const QuizAnalytics = () => {
+  const { quizId } = useParams<{ quizId: string }>();
+  const { token } = useAuth();
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!quizId || !token) return;
+    fetchQuizAnalytics(quizId, token)
+      .then(setAnalytics)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load the analytics.'));
+  }, [quizId, token]);
+
+  if (!analytics) {
+    return (
+      <Layout>
+        <div className="max-w-7xl mx-auto py-12 px-4 text-center">
+          {error ? <p className="text-red-500">Error: {error}</p> : <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto" />}
+        </div>
+      </Layout>
+    );
+  }
+
+  const { quiz, distribution } = analytics;
+  const buckets = distribution.buckets.map((bucket) => ({ ...bucket, range: `${bucket.from}-${bucket.to}%` }));
+
+  return (
+    <Layout>
+      <section className="py-12 bg-gradient-to-b from-white to-quiz-light">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+          <div className="text-center">
+            <PieChart className="h-10 w-10 text-quiz-primary mx-auto mb-3" />
+            <h1 className="text-3xl md:text-4xl font-bold tracking-tight mb-2 gradient-text">Quiz Analytics</h1>
+            <p className="text-lg text-gray-600">{quiz.subject} - {quiz.quiz_type} &middot; Class {quiz.class}, {quiz.curriculum} &middot; {quiz.chapters}</p>
+            <p className="text-sm text-gray-500 mt-2">
+              {analytics.submission_count} submission{analytics.submission_count === 1 ? '' : 's'} by {analytics.taker_count} taker{analytics.taker_count === 1 ? '' : 's'}
+              {' '}&middot; Quiz scores use the {SCORING_POLICY_LABELS[analytics.scoring_policy].toLowerCase()}
+            </p>
+          </div>
+
+          {analytics.submission_count === 0 ? (
+            <p className="text-center text-gray-600">Nobody has submitted this quiz yet.</p>
+          ) : (
+            <>
+              {/* Score distribution: one quiz score per taker */}
+              <div className="quiz-card">
+                <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+                  <h2 className="text-lg font-semibold text-quiz-dark">Score distribution</h2>
+                  <p className="text-sm text-gray-600">
+                    Mean {distribution.mean}% &middot; Median {distribution.median}% &middot; Range {distribution.min?.toFixed(1)}-{distribution.max?.toFixed(1)}%
+                  </p>
+                </div>
+                <ChartContainer config={distributionChart} className="h-64 w-full aspect-auto">
+                  <BarChart data={buckets}>
+                    <CartesianGrid vertical={false} />
+                    <XAxis dataKey="range" tickLine={false} axisLine={false} />
+                    <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={30} />
+                    <ChartTooltip content={<ChartTooltipContent />} />
+                    <Bar dataKey="count" fill="var(--color-count)" radius={4} />
+                  </BarChart>
+                </ChartContainer>
+              </div>
+
+              {/* Per-question statistics */}
+              <div>
+                <h2 className="text-lg font-semibold text-quiz-dark mb-4">Questions</h2>
+                <div className="grid md:grid-cols-2 gap-6">
+                  {analytics.questions.map((stats, index) => (
+                    <QuestionCard key={stats.question_id} stats={stats} index={index} />
+                  ))}
+                </div>
+              </div>
+
+              {/* Gradebook: latest submission of each taker */}
+              <div className="quiz-card overflow-x-auto">
+                <h2 className="text-lg font-semibold text-quiz-dark mb-4">Gradebook</h2>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-3">Taker</th>
+                      <th className="py-2 pr-3 text-right">Quiz score</th>
+                      <th className="py-2 pr-3 text-right">Best</th>
+                      <th className="py-2 pr-3 text-right">Attempts</th>
+                      {analytics.questions.map((stats, index) => (
+                        <th key={stats.question_id} className="py-2 px-1 text-center" title={stats.question}>Q{index + 1}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {analytics.gradebook.map((row) => (
+                      <tr key={row.user_id}>
+                        <td className="py-2 pr-3 font-medium text-gray-800">{row.username}</td>
+                        <td className="py-2 pr-3 text-right font-semibold">{row.score.toFixed(2)}%</td>
+                        <td className="py-2 pr-3 text-right text-gray-600">{row.best_score.toFixed(2)}%</td>
+                        <td className="py-2 pr-3 text-right text-gray-600">{row.attempts}</td>
+                        {row.question_scores.map((score, index) => (
+                          <td
+                            key={index}
+                            className={`py-2 px-1 text-center ${score === null ? 'text-gray-300' : score >= 7 ? 'text-green-700' : score >= 4 ? 'text-yellow-700' : 'text-red-700'}`}
+                          >
+                            {score === null ? '-' : score}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="mt-2 text-xs text-gray-500">Question scores (out of 10) are from each taker's latest submission.</p>
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-center gap-3">
+            <Link to={`/take-quiz/${quiz.id}`} className="quiz-button-secondary">Back to Quiz</Link>
+            <Link to={`/quiz/${quiz.id}/student-results`} className="quiz-button-secondary">Student Results</Link>
+          </div>
+        </div>
+      </section>
+    </Layout>
+  );
+};
+
+export default QuizAnalytics;
@@ -6,9 +6,10 @@ import { Loader, UserPlus } from 'lucide-react'; // Icons
 
 const Register = () => {
   const [formData, setFormData] = useState({
-    username: '',
-    password: '',
-  });
+    username: '',
+    password: '',
+    role: 'student', // Teachers can also create groups and assign quizzes
+  });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null); // Use string | null for error state
 
@@ -16,7 +17,7 @@ const Register = () => {
   const { toast } = useToast(); // Initialize toast hook
 
   // Handle input changes
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
@@ -122,9 +123,25 @@ const Register = () => {
                 />
               </div>
 
-              <div className="pt-2">
-                <button
-                  type="submit"
+              <div>
+                <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-1">
+                  I am a
+                </label>
+                <select
+                  id="role"
+                  name="role"
+                  value={formData.role}
+                  onChange={handleChange}
+                  className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
+                >
+                  <option value="student">Student</option>
+                  <option value="teacher">Teacher</option>
+                </select>
+              </div>
+
+              <div className="pt-2">
+                <button
+                  type="submit"
                   disabled={isLoading}
                   className="quiz-button w-full flex items-center justify-center"
                 >
@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle, Eye, Layers, Loader, Trash2, XCircle } from 'lucide-react';
+import Layout from '../components/Layout';
+import QuestionCard from '../components/QuestionCard';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../hooks/use-toast';
+import {
+  DueCards,
+  REVIEW_RATING_LABELS,
+  ReviewOutcome,
+  ReviewRating,
+  fetchDueCards,
+  formatInterval,
+  removeCard,
+  reviewCard,
+} from '../lib/review';
+
+// Works through today's due review cards one at a time. MCQ and FIB answers are checked by
+// the server; for a Descriptive card the model answer is revealed and the user rates
+// themselves. Either way the card is rescheduled (see quiz/review.js on the backend).
+
+const Review = () => {
+  const { token } = useAuth();
+  const { toast } = useToast();
+  const [deck, setDeck] = useState<DueCards | null>(null);
+  const [position, setPosition] = useState(0);
+  const [answer, setAnswer] = useState('');
+  const [revealed, setRevealed] = useState(false);
+  const [outcome, setOutcome] = useState<ReviewOutcome | null>(null);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadDeck = useCallback(async () => {
+    try {
+      setDeck(await fetchDueCards(token));
+      setPosition(0);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load your review cards.');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (token) loadDeck();
+  }, [token, loadDeck]);
+
+  const card = deck?.cards[position] ?? null;
+  const selfGraded = card?.question.type === 'Descriptive';
+
+  const submit = async (review: { answer: string } | { rating: ReviewRating }) => {
+    if (!card) return;
+    setBusy(true);
+    try {
+      const result = await reviewCard(card.id, review, token);
+      setOutcome(result);
+      setRevealed(true);
+      setReviewedCount((count) => count + 1);
+    } catch (err) {
+      toast({ title: 'Review failed', description: err instanceof Error ? err.message : 'Please try again.', variant: 'destructive' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const next = () => {
+    setAnswer('');
+    setRevealed(false);
+    setOutcome(null);
+    if (deck && position + 1 >= deck.cards.length) {
+      loadDeck(); // The batch is done; pick up anything else that is due
+    } else {
+      setPosition((p) => p + 1);
+    }
+  };
+
+  const remove = async () => {
+    if (!card || !window.confirm('Remove this question from your review deck?')) return;
+    setBusy(true);
+    try {
+      await removeCard(card.id, token);
+      setDeck((current) => current && {
+        ...current,
+        cards: current.cards.filter((c) => c.id !== card.id),
+        due_count: current.due_count - 1,
+        total_cards: current.total_cards - 1,
+      });
+      setAnswer('');
+      setRevealed(false);
+      setOutcome(null);
+    } catch (err) {
+      toast({ title: 'Could not remove the card', description: err instanceof Error ? err.message : 'Please try again.', variant: 'destructive' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Layout>
+      <section className="py-12 bg-gradient-to-b from-white to-quiz-light min-h-screen">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-10">
+            <Layers className="h-10 w-10 text-quiz-primary mx-auto mb-3" />
+            <h1 className="text-3xl md:text-4xl font-bold tracking-tight mb-2 gradient-text">Review</h1>
+            <p className="text-lg text-gray-600">The questions you missed, brought back just before you'd forget them</p>
+            {deck && (
+              <p className="text-sm text-gray-500 mt-2">
+                {deck.due_count} due &middot; {deck.total_cards} card{deck.total_cards === 1 ? '' : 's'} in your deck
+                {deck.held_count > 0 && ` · ${deck.held_count} waiting until you've finished their quiz`}
+                {reviewedCount > 0 && ` · ${reviewedCount} reviewed this session`}
+              </p>
+            )}
+          </div>
+
+          {error && <p className="text-red-500 text-center mb-6">Error: {error}</p>}
+
+          {!deck ? (
+            !error && <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto" />
+          ) : !card ? (
+            <div className="quiz-card text-center">
+              <CheckCircle className="h-8 w-8 text-green-600 mx-auto mb-3" />
+              <p className="text-gray-700">
+                {deck.total_cards === 0
+                  ? 'Your deck is empty. Questions you miss in quizzes will show up here.'
+                  : 'Nothing left to review today.'}
+              </p>
+              {deck.next_due_at && (
+                <p className="text-sm text-gray-500 mt-1">Next card due {new Date(deck.next_due_at).toLocaleString()}.</p>
+              )}
+              <Link to="/profile" className="quiz-button-secondary inline-block mt-4">Back to Profile</Link>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between text-sm text-gray-500">
+                <span>Card {position + 1} of {deck.cards.length}</span>
+                <button type="button" onClick={remove} disabled={busy} className="inline-flex items-center hover:text-red-600">
+                  <Trash2 className="h-4 w-4 mr-1" /> Remove from deck
+                </button>
+              </div>
+
+              <QuestionCard question={card.question} value={answer} onChange={setAnswer} disabled={revealed || busy}>
+                {revealed && (
+                  <div className="mt-4 border-t border-gray-100 pt-4 text-sm space-y-2">
+                    {outcome?.is_correct !== undefined && (
+                      <p className={`flex items-center font-medium ${outcome.is_correct ? 'text-green-600' : 'text-red-600'}`}>
+                        {outcome.is_correct ? <CheckCircle className="h-4 w-4 mr-1" /> : <XCircle className="h-4 w-4 mr-1" />}
+                        {outcome.is_correct ? 'Correct' : 'Incorrect'}{outcome.match?.detail && ` - ${outcome.match.detail}`}
+                      </p>
+                    )}
+                    <p className="text-gray-800"><span className="font-medium">Answer:</span> {card.reveal.answer}</p>
+                    {card.reveal.explanation && <p className="text-gray-600">{card.reveal.explanation}</p>}
+                    {card.reveal.rubric && (
+                      <ul className="list-disc pl-5 text-gray-600">
+                        {card.reveal.rubric.map((item) => <li key={item.criterion}>{item.criterion} ({item.points} pts)</li>)}
+                      </ul>
+                    )}
+                    {outcome && <p className="text-gray-500">Next review {formatInterval(outcome.card.interval_days)}.</p>}
+                  </div>
+                )}
+              </QuestionCard>
+
+              {/* Answer -> check (MCQ/FIB) or reveal and rate yourself (Descriptive) */}
+              <div className="flex flex-wrap justify-center gap-3">
+                {outcome ? (
+                  <button type="button" onClick={next} className="quiz-button">Next card</button>
+                ) : selfGraded && revealed ? (
+                  (Object.keys(REVIEW_RATING_LABELS) as ReviewRating[]).map((rating) => (
+                    <button
+                      type="button"
+                      key={rating}
+                      onClick={() => submit({ rating })}
+                      disabled={busy}
+                      className={rating === 'again' ? 'quiz-button-secondary' : 'quiz-button'}
+                    >
+                      {REVIEW_RATING_LABELS[rating]}
+                    </button>
+                  ))
+                ) : selfGraded ? (
+                  <button type="button" onClick={() => setRevealed(true)} className="quiz-button inline-flex items-center">
+                    <Eye className="h-4 w-4 mr-2" /> Show answer
+                  </button>
+                ) : (
+                  <>
+                    <button type="button" onClick={() => submit({ answer })} disabled={busy || !answer.trim()} className="quiz-button">
+                      {busy ? <Loader className="h-4 w-4 animate-spin" /> : 'Check answer'}
+                    </button>
+                    <button type="button" onClick={() => submit({ rating: 'again' })} disabled={busy} className="quiz-button-secondary">
+                      I don't know
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </section>
+    </Layout>
+  );
+};
+
+export default Review;
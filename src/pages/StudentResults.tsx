@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { BarChart2, Loader, Pencil } from 'lucide-react';
+import Layout from '../components/Layout';
+import OcrSummary, { OcrReport } from '../components/OcrSummary';
+import GradeHistory from '../components/GradeHistory';
+import GradeOverrideForm from '../components/GradeOverrideForm';
+import GradingSamples, { GradingSampling } from '../components/GradingSamples';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../hooks/use-toast';
+import { SCORING_POLICY_LABELS } from '../lib/attempts';
+import { StudentResultsOverview, fetchStudentResults, formatDueDate } from '../lib/groups';
+import { AnswerReview, GradeChange, GradeOverride, overrideGrade } from '../lib/grade-reviews';
+
+// The teacher's view of a quiz assigned to their groups: every student's submissions and
+// quiz score, with the graded answers of a submission one click away. Any answer's grade can
+// be overridden from there.
+
+interface GradedAnswer {
+  question: string;
+  type: 'MCQ' | 'FIB' | 'Descriptive';
+  user_answer: string;
+  correct_answer: string;
+  score: number;
+  is_correct: boolean;
+  feedback: string | null;
+  grading?: GradingSampling; // Descriptive answers graded several times
+  review: AnswerReview | null; // Waiting for a human look
+  grade_history: GradeChange[]; // Overrides, oldest first
+}
+
+interface ResultDetail {
+  id: string;
+  username: string;
+  score: number;
+  submitted_at: string;
+  ocr: OcrReport | null; // Set when an answer sheet PDF was uploaded
+  can_review: boolean;
+  feedback: GradedAnswer[];
+}
+
+const backendUrl = 'http://localhost:3001';
+
+const scoreColor = (score: number) => (score >= 70 ? 'text-green-600' : score >= 40 ? 'text-yellow-600' : 'text-red-600');
+
+const StudentResults = () => {
+  const { quizId } = useParams<{ quizId: string }>();
+  const { token } = useAuth();
+  const { toast } = useToast();
+  const [overview, setOverview] = useState<StudentResultsOverview | null>(null);
+  const [detail, setDetail] = useState<ResultDetail | null>(null);
+  const [loadingResultId, setLoadingResultId] = useState<string | null>(null);
+  const [editingPosition, setEditingPosition] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!quizId || !token) return;
+    fetchStudentResults(quizId, token)
+      .then(setOverview)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load the student results.'));
+  }, [quizId, token]);
+
+  const openResult = async (resultId: string) => {
+    setLoadingResultId(resultId);
+    try {
+      const response = await fetch(`${backendUrl}/user/results/${resultId}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load the result.');
+      setDetail(data);
+      setEditingPosition(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the result.');
+    } finally {
+      setLoadingResultId(null);
+    }
+  };
+
+  // The new grade changes the submission's score, and with it the student's quiz score
+  const handleOverride = async (position: number, override: GradeOverride) => {
+    if (!detail || !quizId) return;
+    try {
+      const updated = await overrideGrade(detail.id, position, override, token);
+      toast({ title: 'Grade Updated', description: `The submission now scores ${updated.result_score.toFixed(2)}%.` });
+      await openResult(detail.id);
+      setOverview(await fetchStudentResults(quizId, token));
+    } catch (err) {
+      toast({ title: 'Error', description: err instanceof Error ? err.message : 'Failed to override the grade.', variant: 'destructive' });
+    }
+  };
+
+  if (!overview) {
+    return (
+      <Layout>
+        <div className="max-w-7xl mx-auto py-12 px-4 text-center">
+          {error ? <p className="text-red-500">Error: {error}</p> : <Loader className="w-8 h-8 text-quiz-primary animate-spin mx-auto" />}
+        </div>
+      </Layout>
+    );
+  }
+
+  const { quiz } = overview;
+  return (
+    <Layout>
+      <section className="py-12 bg-gradient-to-b from-white to-quiz-light">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-10">
+            <BarChart2 className="h-10 w-10 text-quiz-primary mx-auto mb-3" />
+            <h1 className="text-3xl md:text-4xl font-bold tracking-tight mb-2 gradient-text">Student Results</h1>
+            <p className="text-lg text-gray-600">{quiz.subject} - {quiz.quiz_type} &middot; Class {quiz.class}, {quiz.curriculum} &middot; {quiz.chapters}</p>
+            <p className="text-sm text-gray-500 mt-2">
+              {overview.submitted_count} of {overview.students.length} student{overview.students.length === 1 ? '' : 's'} submitted
+              {' '}&middot; Scored by {SCORING_POLICY_LABELS[overview.scoring_policy].toLowerCase()}
+              {overview.max_attempts ? ` · At most ${overview.max_attempts} attempt${overview.max_attempts === 1 ? '' : 's'}` : ''}
+            </p>
+            <p className="text-sm text-gray-500">
+              {overview.assignments.map((a) => `${a.group_name}: ${formatDueDate(a.due_at)}`).join(' · ') || 'Not assigned to any of your groups.'}
+            </p>
+          </div>
+
+          {error && <p className="text-red-500 mb-6 text-center">{error}</p>}
+
+          <div className="grid lg:grid-cols-2 gap-8">
+            <div className="quiz-card overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-3">Student</th>
+                    <th className="py-2 pr-3">Submissions</th>
+                    <th className="py-2 text-right">Score</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {overview.students.map((student) => (
+                    <tr key={student.user_id} className="align-top">
+                      <td className="py-2 pr-3">
+                        <span className="font-medium text-gray-800">{student.username}</span>
+                        <span className="block text-xs text-gray-500">{student.group_names}</span>
+                      </td>
+                      <td className="py-2 pr-3">
+                        {student.attempts.length === 0 ? (
+                          <span className="text-gray-400">{student.due_at && new Date(student.due_at) < new Date() ? 'Missed' : 'Not submitted'}</span>
+                        ) : (
+                          <span className="flex flex-wrap gap-1">
+                            {student.attempts.map((attempt, index) => (
+                              <button
+                                type="button"
+                                key={attempt.result_id}
+                                onClick={() => openResult(attempt.result_id)}
+                                title={`Submitted ${new Date(`${attempt.submitted_at.replace(' ', 'T')}Z`).toLocaleString()}`}
+                                className={`rounded border px-2 py-0.5 text-xs hover:bg-gray-50 ${
+                                  detail?.id === attempt.result_id ? 'border-quiz-primary' : 'border-gray-200'
+                                }`}
+                              >
+                                {loadingResultId === attempt.result_id ? <Loader className="inline h-3 w-3 animate-spin" /> : `#${index + 1}`}{' '}
+                                <span className={scoreColor(attempt.score)}>{attempt.score.toFixed(0)}%</span>
+                                {attempt.late && <span className="ml-1 text-red-600">late</span>}
+                              </button>
+                            ))}
+                          </span>
+                        )}
+                      </td>
+                      <td className={`py-2 text-right font-semibold ${student.score === null ? 'text-gray-400' : scoreColor(student.score)}`}>
+                        {student.score === null ? '-' : `${student.score.toFixed(2)}%`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {overview.students.length === 0 && (
+                <p className="text-center text-gray-600 py-4">No students have been assigned this quiz yet.</p>
+              )}
+            </div>
+
+            <div className="quiz-card">
+              {detail ? (
+                <>
+                  <h2 className="text-lg font-semibold text-quiz-dark mb-1">{detail.username}</h2>
+                  <p className="text-sm text-gray-500 mb-4">
+                    <span className={`font-semibold ${scoreColor(detail.score)}`}>{detail.score.toFixed(2)}%</span>
+                    {' '}&middot; Submitted {new Date(`${detail.submitted_at.replace(' ', 'T')}Z`).toLocaleString()}
+                  </p>
+                  {detail.ocr && <div className="mb-4"><OcrSummary ocr={detail.ocr} /></div>}
+                  <ol className="space-y-3 text-sm">
+                    {detail.feedback.map((answer, index) => (
+                      <li key={index} className="rounded-md border border-gray-200 p-3">
+                        <p className="font-medium text-gray-800">{index + 1}. {answer.question}</p>
+                        <p className="text-gray-700 mt-1">Answer: {answer.user_answer || <span className="text-gray-400">(blank)</span>}</p>
+                        {answer.type !== 'Descriptive' && <p className="text-gray-500">Correct: {answer.correct_answer}</p>}
+                        <p className={answer.is_correct ? 'text-green-600' : 'text-red-600'}>Score: {answer.score}/10</p>
+                        {answer.feedback && <p className="text-gray-600 mt-1">{answer.feedback}</p>}
+                        <GradingSamples grading={answer.grading} />
+                        <GradeHistory review={answer.review} history={answer.grade_history} />
+                        {detail.can_review && (
+                          editingPosition === index + 1 ? (
+                            <div className="mt-2">
+                              <GradeOverrideForm
+                                type={answer.type}
+                                score={answer.score}
+                                feedback={answer.feedback}
+                                onSubmit={(override) => handleOverride(index + 1, override)}
+                                onCancel={() => setEditingPosition(null)}
+                              />
+                            </div>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => setEditingPosition(index + 1)}
+                              className="mt-2 inline-flex items-center text-xs font-medium text-quiz-primary hover:underline"
+                            >
+                              <Pencil className="mr-1 h-3 w-3" />
+                              Change grade
+                            </button>
+                          )
+                        )}
+                      </li>
+                    ))}
+                  </ol>
+                </>
+              ) : (
+                <p className="text-center text-gray-600 py-8">Pick a submission to see the graded answers.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-8 flex justify-center gap-3">
+            <Link to="/groups" className="quiz-button-secondary">Back to Groups</Link>
+            <Link to={`/quiz/${quiz.id}/analytics`} className="quiz-button-secondary">Analytics</Link>
+          </div>
+        </div>
+      </section>
+    </Layout>
+  );
+};
+
+export default StudentResults;
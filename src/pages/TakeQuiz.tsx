@@ -1,9 +1,30 @@
-import React, { useEffect, useState, useRef, FormEvent } from 'react';
+import React, { useEffect, useState, useRef, useCallback, FormEvent } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
-import { Loader, BookOpen } from 'lucide-react';
+import { Loader, BookOpen, Pencil, Clock, History, BarChart2, ClipboardList, PieChart } from 'lucide-react';
 import { useToast } from '../hooks/use-toast';
 import { useAuth } from '../context/AuthContext';
+import { pollJob } from '../lib/jobs';
+import {
+  Attempt,
+  AttemptClosedError,
+  AttemptOverview,
+  SCORING_POLICY_LABELS,
+  fetchAttempts,
+  formatDuration,
+  formatScoreChange,
+  saveDraftAnswers,
+  startAttempt,
+} from '../lib/attempts';
+import { formatDueDate } from '../lib/groups';
+import QuizEditor from '../components/QuizEditor';
+import QuestionCard from '../components/QuestionCard';
+import OcrSummary, { OcrReport } from '../components/OcrSummary';
+import AnswerSheetReview from '../components/AnswerSheetReview';
+import DisputeGrade from '../components/DisputeGrade';
+import AskTutor from '../components/AskTutor';
+import GradingSamples, { GradingSampling } from '../components/GradingSamples';
+import { AnswerSheetReading, SheetSegment, readAnswerSheet, sheetAnswersFrom } from '../lib/answer-sheet';
 
 // Interfaces
 interface Question {
@@ -23,6 +44,17 @@ interface QuizData {
   subject: string;
   chapters: string;
   questions: Question[];
+  can_edit?: boolean; // False once someone has taken the quiz, or when it isn't the user's
+  is_owner?: boolean;
+  assignment?: { group_names: string; due_at: string | null; past_due: boolean } | null; // Set when a teacher assigned it
+}
+
+// Points awarded on one rubric criterion of a Descriptive answer
+interface RubricScore {
+  criterion: string;
+  points: number;
+  max_points: number;
+  comment?: string;
 }
 
 interface EvaluationResult {
@@ -30,6 +62,10 @@ interface EvaluationResult {
   type: 'MCQ' | 'FIB' | 'Descriptive';
   explanation: string;
   score?: number;
+  rubric_scores?: RubricScore[];
+  grading?: GradingSampling; // Set when the quiz grades descriptive answers several times
+  override?: { score: number }; // A teacher replaced the AI grade
+  answer_withheld?: boolean; // No answer key while the quiz can still be submitted
   feedback?: string;
   correct_parts?: string;
   improvements?: string;
@@ -40,12 +76,16 @@ interface EvaluationResult {
 }
 
 interface SubmissionResponse {
+  resultId?: string;
   score: number;
   results: EvaluationResult[];
+  ocr?: OcrReport | null; // Set when an answer sheet PDF was uploaded
   message?: string;
   error?: string;
 }
 
+const AUTOSAVE_INTERVAL_MS = 5000;
+
 const TakeQuiz = () => {
   const { quizId } = useParams<{ quizId: string }>();
   const [quizData, setQuizData] = useState<QuizData | null>(null);
@@ -54,13 +94,183 @@ const TakeQuiz = () => {
   const [userAnswers, setUserAnswers] = useState<{ [questionId: string]: string }>({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submissionResult, setSubmissionResult] = useState<SubmissionResponse | null>(null);
+  const [gradingStatus, setGradingStatus] = useState('');
+  // The uploaded answer sheet split per question, checked by the student before grading
+  const [sheetReview, setSheetReview] = useState<{ jobId: string; reading: AnswerSheetReading; segments: SheetSegment[] } | null>(null);
+  const [sheetStatus, setSheetStatus] = useState(''); // Set while the sheet is being read
+  const [isEditing, setIsEditing] = useState(false);
+  // Exam session: the attempt being taken (its deadline drives the countdown), the quiz's
+  // attempt rules and past attempts
+  const [attempt, setAttempt] = useState<Attempt | null>(null);
+  const [attemptOverview, setAttemptOverview] = useState<AttemptOverview | null>(null);
+  const [secondsLeft, setSecondsLeft] = useState<number | null>(null);
+  const [lastSavedAt, setLastSavedAt] = useState<string | null>(null);
+  const clockOffsetRef = useRef(0); // Server clock minus this browser's clock, in ms
+  const answersRef = useRef(userAnswers);
+  const unsavedRef = useRef(false);
+  const timeUpRef = useRef(false);
+  const submitAnswersRef = useRef<(timeUp: boolean) => void>();
 
   const { toast } = useToast();
   const { token, isLoggedIn } = useAuth();
   const navigate = useNavigate();
   const pdfFileRef = useRef<HTMLInputElement>(null);
+  const gradingControllerRef = useRef<AbortController | null>(null);
   const backendUrl = 'http://localhost:3001';
 
+  // Grading runs as a background job. Its id is kept in localStorage until the job is done,
+  // so reloading the page picks the result up instead of losing the submission.
+  const watchGradingJob = useCallback(async (jobId: string) => {
+    const storageKey = `grading-job:${quizId}`;
+    gradingControllerRef.current?.abort();
+    const controller = new AbortController();
+    gradingControllerRef.current = controller;
+    setIsSubmitting(true);
+    setGradingStatus('Waiting for the grader...');
+
+    try {
+      const job = await pollJob<SubmissionResponse>(jobId, token, {
+        signal: controller.signal,
+        onUpdate: (update) => {
+          const evaluated = update.progress.filter(p => p.event === 'evaluated').pop()?.data as { position: number; total: number } | undefined;
+          const ocr = update.progress.filter(p => p.event === 'ocr').pop()?.data as { status: string; done?: number; total?: number } | undefined;
+          if (update.status === 'queued' && update.attempts > 0) {
+            setGradingStatus(`Retrying (attempt ${update.attempts + 1} of ${update.max_attempts})...`);
+          } else if (evaluated) {
+            setGradingStatus(`Grading answer ${evaluated.position} of ${evaluated.total}...`);
+          } else if (ocr?.status === 'reading') {
+            setGradingStatus(ocr.total ? `Reading your answer sheet (page ${ocr.done} of ${ocr.total})...` : 'Reading your answer sheet...');
+          } else if (update.status === 'running') {
+            setGradingStatus('Grading...');
+          }
+        },
+      });
+      localStorage.removeItem(storageKey);
+      setSubmissionResult(job.result);
+      toast({
+        title: "Submission Successful!",
+        description: job.result?.message || "Your quiz has been submitted and evaluated.",
+      });
+    } catch (err) {
+      if (controller.signal.aborted) return; // Page left; the job keeps running
+      localStorage.removeItem(storageKey);
+      setError(err instanceof Error ? err.message : 'An unknown error occurred during grading.');
+      toast({
+        title: "Grading Failed",
+        description: "Your quiz could not be evaluated. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      if (!controller.signal.aborted) {
+        gradingControllerRef.current = null;
+        setIsSubmitting(false);
+        setGradingStatus('');
+      }
+    }
+  }, [quizId, token, toast]);
+
+  const applyAttempt = useCallback((next: Attempt) => {
+    clockOffsetRef.current = Date.parse(next.server_time) - Date.now();
+    timeUpRef.current = false;
+    setAttempt(next);
+    setUserAnswers(prev => ({ ...prev, ...next.answers }));
+  }, []);
+
+  // The server submitted the attempt itself (time ran out): show the grading of that submission
+  const handleAttemptClosed = useCallback((err: AttemptClosedError) => {
+    setAttempt(null);
+    toast({
+      title: "Time's Up",
+      description: err.message,
+    });
+    if (err.jobId) {
+      localStorage.setItem(`grading-job:${quizId}`, err.jobId);
+      watchGradingJob(err.jobId);
+    }
+  }, [quizId, toast, watchGradingJob]);
+
+  const beginAttempt = useCallback(async () => {
+    if (!quizId) return;
+    try {
+      applyAttempt(await startAttempt(quizId, token));
+    } catch (err) {
+      if (err instanceof AttemptClosedError) handleAttemptClosed(err);
+      else setError(err instanceof Error ? err.message : 'Could not start the quiz.');
+    }
+  }, [quizId, token, applyAttempt, handleAttemptClosed]);
+
+  // Once the quiz is loaded, resume the attempt in progress (a reload keeps the countdown
+  // and the saved answers), or start one straight away when the quiz is untimed and
+  // attempts are left. Timed quizzes wait for the Start button.
+  useEffect(() => {
+    if (!quizData || !quizId || !token || localStorage.getItem(`grading-job:${quizId}`)) return;
+    let cancelled = false;
+    fetchAttempts(quizId, token)
+      .then((overview) => {
+        if (cancelled) return;
+        setAttemptOverview(overview);
+        if (overview.active) applyAttempt(overview.active);
+        else if (!overview.time_limit_minutes && overview.attempts_left !== 0 && !overview.past_due) beginAttempt();
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Could not load your attempts.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [quizData, quizId, token, applyAttempt, beginAttempt]);
+
+  useEffect(() => {
+    answersRef.current = userAnswers;
+  }, [userAnswers]);
+
+  // Autosave changed answers to the attempt every few seconds
+  useEffect(() => {
+    if (!attempt || isSubmitting) return;
+    const timer = setInterval(async () => {
+      if (!unsavedRef.current) return;
+      unsavedRef.current = false;
+      try {
+        const saved = await saveDraftAnswers(attempt.id, answersRef.current, token);
+        setLastSavedAt(saved.saved_at);
+      } catch (err) {
+        if (err instanceof AttemptClosedError) handleAttemptClosed(err);
+        else unsavedRef.current = true; // Try again on the next round
+      }
+    }, AUTOSAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [attempt, isSubmitting, token, handleAttemptClosed]);
+
+  // Countdown to the deadline (on the server's clock); at zero the answers are submitted
+  useEffect(() => {
+    if (!attempt?.deadline_at || isSubmitting) {
+      setSecondsLeft(null);
+      return;
+    }
+    const deadline = Date.parse(attempt.deadline_at);
+    const tick = () => {
+      const left = (deadline - (Date.now() + clockOffsetRef.current)) / 1000;
+      setSecondsLeft(Math.max(0, left));
+      if (left <= 0 && !timeUpRef.current) {
+        timeUpRef.current = true;
+        submitAnswersRef.current?.(true);
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [attempt, isSubmitting]);
+
+  // Resume a submission that was still being graded when the page was last left
+  useEffect(() => {
+    const pendingJobId = quizId ? localStorage.getItem(`grading-job:${quizId}`) : null;
+    if (token && pendingJobId) {
+      watchGradingJob(pendingJobId);
+    }
+  }, [quizId, token, watchGradingJob]);
+
+  useEffect(() => () => gradingControllerRef.current?.abort(), []);
+
   useEffect(() => {
     if (!isLoggedIn && !token) {
       setError("You must be logged in to view a quiz.");
@@ -122,14 +332,15 @@ const TakeQuiz = () => {
   }, [quizId, token, toast, isLoggedIn, navigate, isLoading]);
 
   const handleAnswerChange = (questionId: string, value: string) => {
+    unsavedRef.current = true;
     setUserAnswers(prev => ({
       ...prev,
       [questionId]: value,
     }));
   };
 
-  const handleSubmitQuiz = async (e: FormEvent) => {
-    e.preventDefault();
+  // `timeUp` is set when the countdown ran out and the answers are submitted automatically
+  const submitAnswers = async (timeUp = false) => {
     setIsSubmitting(true);
     setError(null);
 
@@ -141,11 +352,15 @@ const TakeQuiz = () => {
     }
 
     const formData = new FormData();
+    if (attempt) formData.append('attemptId', attempt.id);
     Object.keys(userAnswers).forEach(questionId => {
       formData.append(`answer_${questionId}`, userAnswers[questionId]);
     });
 
-    if (pdfFileRef.current?.files?.[0]) {
+    if (sheetReview) {
+      formData.append('answerSheetJobId', sheetReview.jobId);
+      formData.append('answerSheet', JSON.stringify(sheetAnswersFrom(sheetReview.segments)));
+    } else if (pdfFileRef.current?.files?.[0]) {
       formData.append('pdfFile', pdfFileRef.current.files[0]);
     }
 
@@ -164,11 +379,19 @@ const TakeQuiz = () => {
         throw new Error(result.error || 'Failed to submit quiz for evaluation.');
       }
 
-      setSubmissionResult(result);
-      toast({
-        title: "Submission Successful!",
-        description: result.message || "Your quiz has been submitted and evaluated.",
-      });
+      setAttempt(null);
+      setSheetReview(null);
+      if (timeUp || result.late) {
+        toast({
+          title: "Time's Up",
+          description: result.late ? result.message : 'Your answers were submitted automatically.',
+        });
+      }
+
+      // The backend queues the grading and answers with the job to watch
+      localStorage.setItem(`grading-job:${quizId}`, result.jobId);
+      await watchGradingJob(result.jobId);
+      return;
 
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An unknown error occurred during submission.');
@@ -182,6 +405,56 @@ const TakeQuiz = () => {
     }
   };
 
+  useEffect(() => {
+    submitAnswersRef.current = submitAnswers;
+  });
+
+  // An answer sheet for descriptive questions is read and split per question first; the
+  // student checks the split and submits again to grade
+  const reviewAnswerSheet = async (file: File) => {
+    if (!quizId) return;
+    setError(null);
+    setSheetStatus('Uploading your answer sheet...');
+    try {
+      const { jobId, reading } = await readAnswerSheet(quizId, file, token, { onStatus: setSheetStatus });
+      setSheetReview({ jobId, reading, segments: reading.segments });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'The answer sheet could not be read.');
+      toast({
+        title: "Answer Sheet Not Read",
+        description: "Your answer sheet could not be read. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setSheetStatus('');
+    }
+  };
+
+  const handleSubmitQuiz = (e: FormEvent) => {
+    e.preventDefault();
+    const sheetFile = pdfFileRef.current?.files?.[0];
+    const hasDescriptive = quizData?.questions.some(question => question.type === 'Descriptive');
+    if (sheetFile && hasDescriptive && !sheetReview) {
+      reviewAnswerSheet(sheetFile);
+      return;
+    }
+    submitAnswers();
+  };
+
+  const timeLimitMinutes = attemptOverview?.time_limit_minutes ?? null;
+  const maxAttempts = attemptOverview?.max_attempts ?? null;
+  const pastAttempts = attemptOverview?.attempts ?? [];
+  // Every allowed attempt has been submitted: the quiz can no longer be taken
+  const outOfAttempts = attemptOverview?.attempts_left === 0 && !attempt && !isSubmitting;
+  // An assigned quiz past its due date can't be started any more
+  const pastDue = Boolean(attemptOverview?.past_due) && !attempt && !isSubmitting;
+  // Timed quizzes show a start screen until an attempt is running
+  const needsStart = Boolean(timeLimitMinutes) && !attempt && !isSubmitting;
+  // "Attempt 2 of 3" for quizzes with an attempt limit
+  const attemptLabel = maxAttempts && attemptOverview
+    ? `Attempt ${Math.min(attemptOverview.attempts_used + 1, maxAttempts)} of ${maxAttempts}`
+    : null;
+
   // Conditional Render
   if (isLoading && !quizData && !error) {
     return (
@@ -229,6 +502,12 @@ const TakeQuiz = () => {
                   Overall Score: {submissionResult.score !== undefined ? submissionResult.score.toFixed(2) : 'N/A'}%
                 </p>
               </div>
+
+              {submissionResult.ocr && (
+                <div className="mb-6">
+                  <OcrSummary ocr={submissionResult.ocr} />
+                </div>
+              )}
   
               {/* Loop through results and display feedback */}
               <div className="space-y-6">
@@ -275,8 +554,38 @@ const TakeQuiz = () => {
                       </div>
                     ) : questionResult.type === 'Descriptive' ? (
                       <div>
-                        {/* Display AI Score (0-10) */}
-                        {questionResult.score !== undefined && (
+                        {/* Display the points per rubric criterion, or the score (0-10) for older or overridden results */}
+                        {questionResult.rubric_scores && questionResult.rubric_scores.length > 0 ? (
+                          <div className="mb-1">
+                            <p
+                              className={`text-sm font-semibold ${
+                                (questionResult.score ?? 0) > 7
+                                  ? 'text-green-600'
+                                  : (questionResult.score ?? 0) > 4
+                                  ? 'text-amber-600'
+                                  : 'text-red-600'
+                              } mb-2`}
+                            >
+                              Rubric Score: {questionResult.rubric_scores.reduce((sum, c) => sum + c.points, 0)}/
+                              {questionResult.rubric_scores.reduce((sum, c) => sum + c.max_points, 0)} points
+                            </p>
+                            <table className="w-full text-sm border border-gray-200 rounded-md">
+                              <tbody>
+                                {questionResult.rubric_scores.map((criterion) => (
+                                  <tr key={criterion.criterion} className="border-b border-gray-200 last:border-b-0 align-top">
+                                    <td className="p-2 text-gray-800">
+                                      {criterion.criterion}
+                                      {criterion.comment && <p className="text-xs text-gray-500 mt-1">{criterion.comment}</p>}
+                                    </td>
+                                    <td className="p-2 text-right font-semibold text-gray-800 whitespace-nowrap">
+                                      {criterion.points}/{criterion.max_points}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        ) : questionResult.score !== undefined && (
                           <p
                             className={`text-sm font-semibold ${
                               questionResult.score > 7
@@ -286,9 +595,10 @@ const TakeQuiz = () => {
                                 : 'text-red-600'
                             } mb-1`}
                           >
-                            AI Score: {questionResult.score}/10
+                            {questionResult.override ? 'Teacher Score' : 'AI Score'}: {questionResult.score}/10
                           </p>
                         )}
+                        <GradingSamples grading={questionResult.grading} />
   
                         {/* Display detailed AI Feedback */}
                         {questionResult.feedback && (
@@ -336,6 +646,21 @@ const TakeQuiz = () => {
                         <strong>Explanation:</strong> {questionResult.explanation}
                       </p>
                     )}
+
+                    {questionResult.answer_withheld && (
+                      <p className="text-sm text-gray-500 mt-2">
+                        The correct answer is shown once you can no longer submit this quiz.
+                      </p>
+                    )}
+
+                    {submissionResult.resultId && (
+                      <AskTutor resultId={submissionResult.resultId} position={index + 1} />
+                    )}
+
+                    {/* A quiz someone else set can have its grades disputed with them */}
+                    {submissionResult.resultId && quizData && !quizData.is_owner && (
+                      <DisputeGrade resultId={submissionResult.resultId} position={index + 1} />
+                    )}
                   </div>
                 ))}
               </div>
@@ -368,82 +693,141 @@ const TakeQuiz = () => {
                   {quizData.quiz_type} Quiz - {quizData.subject} ({quizData.class})
                 </p>
               )}
+
+              {/* Assigned by a teacher: which group and when it is due */}
+              {quizData?.assignment && (
+                <p className={`mt-2 text-sm inline-flex items-center ${quizData.assignment.past_due ? 'text-red-600' : 'text-gray-600'}`}>
+                  <ClipboardList className="mr-1 h-4 w-4" />
+                  Assigned to {quizData.assignment.group_names} &middot; {formatDueDate(quizData.assignment.due_at)}
+                </p>
+              )}
+
+              {/* The owner can fix questions until the quiz has been taken */}
+              {quizData?.can_edit && !isEditing && !isSubmitting && (
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(true)}
+                  className="quiz-button-secondary mt-4 inline-flex items-center"
+                >
+                  <Pencil className="mr-2 h-4 w-4" />
+                  Edit Quiz
+                </button>
+              )}
+              {/* The owner can see the results of students the quiz was assigned to, and its analytics */}
+              {quizData?.is_owner && !isEditing && !isSubmitting && (
+                <button
+                  type="button"
+                  onClick={() => navigate(`/quiz/${quizId}/student-results`)}
+                  className="quiz-button-secondary mt-4 ml-2 inline-flex items-center"
+                >
+                  <BarChart2 className="mr-2 h-4 w-4" />
+                  Student Results
+                </button>
+              )}
+              {quizData?.is_owner && !isEditing && !isSubmitting && (
+                <button
+                  type="button"
+                  onClick={() => navigate(`/quiz/${quizId}/analytics`)}
+                  className="quiz-button-secondary mt-4 ml-2 inline-flex items-center"
+                >
+                  <PieChart className="mr-2 h-4 w-4" />
+                  Analytics
+                </button>
+              )}
             </div>
   
-            {/* Display the questions form */}
-            {quizData?.questions.length === 0 ? (
+            {/* Display the questions form (or the editor) */}
+            {isEditing && quizId && quizData ? (
+              <QuizEditor
+                quizId={quizId}
+                token={token}
+                quizType={quizData.quiz_type}
+                onClose={() => setIsEditing(false)}
+                onSaved={() => {
+                  // Reload the quiz as the taker sees it
+                  setIsEditing(false);
+                  setQuizData(null);
+                  setIsLoading(true);
+                }}
+              />
+            ) : pastDue ? (
+              <div className="bg-gray-50 rounded-lg p-4 text-center text-gray-700 text-sm">
+                <p className="font-semibold mb-1">
+                  This assignment was due on {attemptOverview?.due_at ? new Date(attemptOverview.due_at).toLocaleString() : ''}.
+                </p>
+                <p>It can no longer be started. Ask your teacher if you need more time.</p>
+              </div>
+            ) : outOfAttempts ? (
+              <div className="bg-gray-50 rounded-lg p-4 text-center text-gray-700 text-sm">
+                <p className="font-semibold mb-1">
+                  You have used all {maxAttempts} attempt{maxAttempts === 1 ? '' : 's'} at this quiz.
+                </p>
+                {attemptOverview?.score !== null && attemptOverview?.score !== undefined && (
+                  <p>
+                    Your score ({SCORING_POLICY_LABELS[attemptOverview.scoring_policy].toLowerCase()}): {attemptOverview.score.toFixed(2)}%
+                  </p>
+                )}
+              </div>
+            ) : needsStart ? (
+              <div className="text-center space-y-4">
+                <div className="bg-amber-50 rounded-lg p-4 text-amber-800 text-sm">
+                  <p className="font-semibold mb-1">This exam has a {timeLimitMinutes}-minute time limit.</p>
+                  {attemptLabel && <p className="mb-1">{attemptLabel}</p>}
+                  <p>
+                    The timer starts when you begin and keeps running if you leave or reload the page.
+                    Your answers are saved as you go, and whatever is saved is submitted when time runs out.
+                  </p>
+                </div>
+                <button type="button" onClick={beginAttempt} className="quiz-button inline-flex items-center">
+                  <Clock className="mr-2 h-4 w-4" />
+                  Start Exam
+                </button>
+              </div>
+            ) : quizData?.questions.length === 0 ? (
               <div className="text-center text-gray-600">
                 <p>No questions found for this quiz.</p>
               </div>
             ) : (
               <form onSubmit={handleSubmitQuiz}> {/* Add the submit handler */}
+                {attemptLabel && (
+                  <p className="mb-4 text-center text-sm text-gray-600">
+                    {attemptLabel} &middot; Scored by {SCORING_POLICY_LABELS[attemptOverview?.scoring_policy ?? 'latest'].toLowerCase()}
+                  </p>
+                )}
+                {/* Countdown for timed attempts */}
+                {secondsLeft !== null && (
+                  <div
+                    className={`sticky top-0 z-10 mb-6 flex items-center justify-center rounded-md border p-3 font-semibold ${
+                      secondsLeft <= 60 ? 'bg-red-50 border-red-200 text-red-700' : 'bg-white border-quiz-accent/30 text-quiz-primary'
+                    }`}
+                  >
+                    <Clock className="mr-2 h-4 w-4" />
+                    Time left: {formatDuration(secondsLeft)}
+                  </div>
+                )}
+
                 <div className="space-y-6">
                   {quizData?.questions.map((question, index) => (
-                    <div key={question.id} className="bg-white rounded-lg shadow p-6 border border-quiz-accent/30">
-                      <p className="text-gray-800 font-medium mb-3">
-                        {index + 1}. {question.question}
-                      </p>
-  
-                      {/* Render options for MCQ */}
-                      {question.type === 'MCQ' && question.options && (
-                        <div className="space-y-2 mt-2">
-                          {question.options.map((option, optIndex) => (
-                            <div key={optIndex} className="flex items-center">
-                              <input
-                                type="radio"
-                                id={`q${question.id}-opt${optIndex}`}
-                                name={`answer_${question.id}`}
-                                value={option.split('.')[0]} // Store the letter (A, B, C, D)
-                                className="text-quiz-primary focus:ring-quiz-primary"
-                                onChange={(e) => handleAnswerChange(question.id, e.target.value)}
-                                checked={userAnswers[question.id] === option.split('.')[0]}
-                              />
-                              <label htmlFor={`q${question.id}-opt${optIndex}`} className="ml-2 text-gray-700">
-                                {option}
-                              </label>
-                            </div>
-                          ))}
-                        </div>
-                      )}
-  
-                      {/* Add input fields for FIB and Descriptive */}
-                      {question.type === 'FIB' && (
-                        <div className="mt-2">
-                          <input
-                            type="text"
-                            name={`answer_${question.id}`}
-                            placeholder="Enter your answer"
-                            className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
-                            onChange={(e) => handleAnswerChange(question.id, e.target.value)}
-                            value={userAnswers[question.id] || ''}
-                          />
-                        </div>
-                      )}
-  
-                      {question.type === 'Descriptive' && (
-                        <div className="mt-2">
-                          <textarea
-                            name={`answer_${question.id}`}
-                            rows={4}
-                            placeholder="Write your detailed answer here..."
-                            className="block w-full rounded-md border border-gray-300 shadow-sm py-2 px-3 focus:ring-quiz-primary focus:border-quiz-primary"
-                            onChange={(e) => handleAnswerChange(question.id, e.target.value)}
-                            value={userAnswers[question.id] || ''}
-                          />
-                        </div>
-                      )}
-                    </div>
+                    <QuestionCard
+                      key={question.id}
+                      question={question}
+                      number={index + 1}
+                      value={userAnswers[question.id] || ''}
+                      onChange={(value) => handleAnswerChange(question.id, value)}
+                    />
                   ))}
                 </div>
   
-                {/* Upload Reference PDF */}
+                {/* Upload Answer Sheet PDF */}
                 <div className="mt-8 mb-6 p-6 border rounded-lg shadow-sm bg-white">
-                  <label className="block text-lg font-semibold mb-3">Upload Reference PDF (Optional for Descriptive Questions)</label>
+                  <label className="block text-lg font-semibold mb-3">Upload Answer Sheet PDF (Optional for Descriptive Questions)</label>
                   <input
                     type="file"
                     name="pdfFile" // IMPORTANT: Name MUST match 'pdfFile' in backend Multer config
                     ref={pdfFileRef} // Attach the ref
                     accept=".pdf" // Only allow PDF files
+                    onChange={() => setSheetReview(null)} // A new sheet needs a new review
+                    disabled={Boolean(sheetStatus)}
                     className="block w-full text-sm text-gray-500
                     file:mr-4 file:py-2 file:px-4
                     file:rounded-full file:border-0
@@ -452,8 +836,19 @@ const TakeQuiz = () => {
                     hover:file:bg-quiz-accent/30"
                   />
                   <p className="mt-2 text-sm text-gray-600">
-                    Upload a PDF that contains information relevant to the descriptive questions for potentially better AI evaluation.
+                    Upload your written answers as a PDF. Before grading, you can check which part of it answers each descriptive question.
                   </p>
+                  {sheetReview && quizData && (
+                    <div className="mt-6 border-t pt-6">
+                      <AnswerSheetReview
+                        reading={sheetReview.reading}
+                        segments={sheetReview.segments}
+                        questionText={(questionId) => quizData.questions.find(question => question.id === questionId)?.question ?? ''}
+                        onChange={(segments) => setSheetReview({ ...sheetReview, segments })}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                  )}
                 </div>
   
                 {/* Submission button */}
@@ -461,20 +856,62 @@ const TakeQuiz = () => {
                   <button
                     type="submit"
                     className="quiz-button"
-                    disabled={isSubmitting || !quizData} // Disable if submitting or no quiz data
+                    disabled={isSubmitting || Boolean(sheetStatus) || !quizData} // Disable if submitting or no quiz data
                   >
-                    {isSubmitting ? (
+                    {isSubmitting || sheetStatus ? (
                       <>
                         <Loader className="animate-spin mr-2 h-4 w-4" />
-                        Submitting...
+                        {sheetStatus || gradingStatus || 'Submitting...'}
                       </>
                     ) : (
-                      'Submit Quiz'
+                      sheetReview ? 'Submit with These Answers' : 'Submit Quiz'
                     )}
                   </button>
+                  {attempt && !isSubmitting && (
+                    <p className="mt-2 text-xs text-gray-500">
+                      {lastSavedAt
+                        ? `Answers saved automatically at ${new Date(lastSavedAt).toLocaleTimeString()}.`
+                        : 'Your answers are saved automatically as you go.'}
+                    </p>
+                  )}
                 </div>
               </form>
             )}
+
+            {/* Earlier submissions of this quiz, how long each took and how the score changed */}
+            {pastAttempts.length > 0 && !isEditing && (
+              <div className="mt-8 border-t pt-6">
+                <h2 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
+                  <History className="mr-2 h-5 w-5 text-quiz-primary" />
+                  Previous Attempts
+                </h2>
+                {attemptOverview?.score !== null && attemptOverview?.score !== undefined && (
+                  <p className="mb-3 text-sm text-gray-600">
+                    Quiz score ({SCORING_POLICY_LABELS[attemptOverview.scoring_policy].toLowerCase()}):{' '}
+                    <span className="font-semibold text-gray-800">{attemptOverview.score.toFixed(2)}%</span>
+                  </p>
+                )}
+                <ul className="space-y-2 text-sm">
+                  {pastAttempts.map((past) => (
+                    <li key={past.id} className="flex items-center justify-between bg-white rounded-md border border-gray-200 px-3 py-2">
+                      <span className="text-gray-700">{new Date(past.started_at).toLocaleString()}</span>
+                      <span className="text-gray-600">
+                        {past.time_taken_seconds !== null ? `Took ${formatDuration(past.time_taken_seconds)}` : ''}
+                        {past.auto_submitted ? ' (submitted when time ran out)' : ''}
+                      </span>
+                      <span className="font-semibold text-gray-800">
+                        {past.score !== null ? `${past.score.toFixed(2)}%` : 'Grading...'}
+                        {past.change !== null && (
+                          <span className={`ml-2 text-xs ${past.change > 0 ? 'text-green-600' : past.change < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                            {formatScoreChange(past.change)}
+                          </span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       </div>